@@ -15,6 +15,9 @@ import PhoneDetailPage from './pages/user/PhoneDetailPage';
 import ProfilePage from './pages/user/ProfilePage';
 import CartPage from './pages/user/CartPage';
 import WishlistPage from './pages/user/WishlistPage';
+import SharedWishlistPage from './pages/user/SharedWishlistPage';
+import OrdersPage from './pages/user/OrdersPage';
+import OrderDetailPage from './pages/user/OrderDetailPage';
 
 // admin route protection component
 const AdminProtectedRoute = ({ children }) => {
@@ -105,6 +108,21 @@ function App() {
                         </UserProtectedRoute>
                     } />
 
+                    {/* Shared Wishlist Route - public, standalone without TopBar */}
+                    <Route path={ROUTE_PATHS.SHARED_WISHLIST} element={<SharedWishlistPage />} />
+
+                    {/* Order History Routes - standalone without TopBar */}
+                    <Route path={ROUTE_PATHS.ORDERS} element={
+                        <UserProtectedRoute>
+                            <OrdersPage />
+                        </UserProtectedRoute>
+                    } />
+                    <Route path={ROUTE_PATHS.ORDER_DETAIL} element={
+                        <UserProtectedRoute>
+                            <OrderDetailPage />
+                        </UserProtectedRoute>
+                    } />
+
                     {/* Main Routes */}
                     <Route path="/" element={<MainPage />}>
                         <Route index element={<HomePage />} />
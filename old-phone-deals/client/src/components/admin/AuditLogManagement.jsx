@@ -0,0 +1,260 @@
+import React from 'react';
+import {
+    Layout, Card, Table, Space, Row, Col, Button, Typography,
+    DatePicker, Form, Select, Divider, Tag, Tooltip
+} from 'antd';
+import { ReloadOutlined, SearchOutlined, DownloadOutlined } from '@ant-design/icons';
+import useAuditLogViewModel from '../../viewModels/AuditLogViewModel';
+
+const { Title, Text } = Typography;
+const { RangePicker } = DatePicker;
+const { Option } = Select;
+
+// tag colours per HTTP method
+const METHOD_COLORS = {
+    GET: 'blue',
+    POST: 'green',
+    PUT: 'orange',
+    PATCH: 'orange',
+    DELETE: 'red'
+};
+
+const AuditLogManagement = () => {
+    // use the view model to get state and methods
+    const {
+        logs,
+        totalCount,
+        loading,
+        pagination,
+        filterOptions,
+        applyFilters,
+        clearFilters,
+        formatDateTime,
+        formatChangeValue,
+        exportLogs,
+        setPagination
+    } = useAuditLogViewModel();
+
+    const [form] = Form.useForm();
+
+    // submit the filter form
+    const handleSearch = (values) => {
+        const { adminId, action, targetResource, dateRange } = values;
+        applyFilters({
+            adminId,
+            action,
+            targetResource,
+            startDate: dateRange?.[0] ? dateRange[0].format('YYYY-MM-DD') : undefined,
+            endDate: dateRange?.[1] ? dateRange[1].format('YYYY-MM-DD') : undefined
+        });
+    };
+
+    // reset filters and pagination
+    const handleReset = () => {
+        form.resetFields();
+        clearFilters();
+    };
+
+    // render the before/after diff of an entry
+    const renderChanges = (changes) => {
+        if (!changes || changes.length === 0) {
+            return <Text type="secondary">—</Text>;
+        }
+        return (
+            <div>
+                {changes.map(change => (
+                    <div key={change.field} className="audit-change">
+                        <Text strong>{change.field}</Text>:{' '}
+                        <Text delete type="danger">{formatChangeValue(change.before)}</Text>
+                        {' → '}
+                        <Text type="success">{formatChangeValue(change.after)}</Text>
+                    </div>
+                ))}
+            </div>
+        );
+    };
+
+    // prepare column definitions for Ant Design Table
+    const columns = [
+        {
+            title: 'Timestamp',
+            dataIndex: 'createdAt',
+            key: 'createdAt',
+            width: 170,
+            render: (text) => formatDateTime(text)
+        },
+        {
+            title: 'Admin',
+            key: 'admin',
+            width: 200,
+            render: (_, log) => (
+                <div>
+                    <div>{log.adminName}</div>
+                    <Text type="secondary" style={{ fontSize: 12 }}>{log.adminEmail} ({log.adminRole})</Text>
+                </div>
+            )
+        },
+        {
+            title: 'Action',
+            dataIndex: 'action',
+            key: 'action',
+            width: 200,
+            render: (action, log) => (
+                <Space direction="vertical" size={0}>
+                    <Text code>{action}</Text>
+                    <Tag color={METHOD_COLORS[log.method] || 'default'}>{log.method} {log.status}</Tag>
+                </Space>
+            )
+        },
+        {
+            title: 'Resource',
+            key: 'resource',
+            width: 200,
+            render: (_, log) => (
+                <div>
+                    <div>{log.targetResource}</div>
+                    {log.targetId && (
+                        <Tooltip title={log.path}>
+                            <Text type="secondary" style={{ fontSize: 12 }}>{log.targetId}</Text>
+                        </Tooltip>
+                    )}
+                </div>
+            )
+        },
+        {
+            title: 'Changes',
+            dataIndex: 'changes',
+            key: 'changes',
+            width: 400,
+            render: renderChanges
+        }
+    ];
+
+    // handle onChange event from Ant Design Table
+    const handleTableChange = (tablePagination) => {
+        setPagination({
+            pageIndex: tablePagination.current - 1, // convert from 1-based to 0-based
+            pageSize: tablePagination.pageSize
+        });
+    };
+
+    return (
+        <Layout.Content style={{padding: '0 16px'}}>
+            <Card>
+                <Space direction="vertical" size="middle" style={{width: '100%'}}>
+                    {/* header with title, reset and export buttons */}
+                    <Row gutter={[16, 16]} align="middle">
+                        <Col xs={24} sm={12}>
+                            <Space>
+                                <Title level={4} style={{margin: 0}}>Audit Log</Title>
+                                <Button
+                                    type="default"
+                                    size="small"
+                                    onClick={handleReset}
+                                    title="Reset filters and pagination"
+                                    icon={<ReloadOutlined />}
+                                >
+                                    Reset
+                                </Button>
+                            </Space>
+                        </Col>
+                        <Col xs={24} sm={12} style={{ textAlign: 'right' }}>
+                            <Tooltip title="Export every entry matching the current filters">
+                                <Button
+                                    type="primary"
+                                    icon={<DownloadOutlined />}
+                                    onClick={exportLogs}
+                                    disabled={loading}
+                                >
+                                    Export CSV
+                                </Button>
+                            </Tooltip>
+                        </Col>
+
+                        {/* filters */}
+                        <Col xs={24}>
+                            <Form
+                                form={form}
+                                layout="inline"
+                                onFinish={handleSearch}
+                                style={{ display: 'flex', flexWrap: 'wrap', gap: '8px' }}
+                            >
+                                <Form.Item name="adminId" label="Admin" style={{ marginBottom: '8px' }}>
+                                    <Select
+                                        allowClear
+                                        showSearch
+                                        placeholder="Any admin"
+                                        style={{ width: 220 }}
+                                        optionFilterProp="children"
+                                    >
+                                        {filterOptions.admins.map(admin => (
+                                            <Option key={admin._id} value={admin._id}>
+                                                {`${admin.name} (${admin.email})`}
+                                            </Option>
+                                        ))}
+                                    </Select>
+                                </Form.Item>
+                                <Form.Item name="action" label="Action" style={{ marginBottom: '8px' }}>
+                                    <Select allowClear showSearch placeholder="Any action" style={{ width: 220 }}>
+                                        {filterOptions.actions.map(action => (
+                                            <Option key={action} value={action}>{action}</Option>
+                                        ))}
+                                    </Select>
+                                </Form.Item>
+                                <Form.Item name="targetResource" label="Resource" style={{ marginBottom: '8px' }}>
+                                    <Select allowClear placeholder="Any resource" style={{ width: 160 }}>
+                                        {filterOptions.resources.map(resource => (
+                                            <Option key={resource} value={resource}>{resource}</Option>
+                                        ))}
+                                    </Select>
+                                </Form.Item>
+                                <Form.Item
+                                    name="dateRange"
+                                    label="Date Range"
+                                    style={{ marginBottom: '8px', flex: '1 1 300px', minWidth: '260px' }}
+                                >
+                                    <RangePicker style={{ width: '100%' }} format="YYYY-MM-DD" allowClear={true} />
+                                </Form.Item>
+                                <Form.Item style={{ marginBottom: '8px' }}>
+                                    <Button type="primary" htmlType="submit" icon={<SearchOutlined />}>
+                                        Search
+                                    </Button>
+                                </Form.Item>
+                            </Form>
+                        </Col>
+                    </Row>
+
+                    <Divider style={{ margin: '12px 0' }} />
+
+                    {/* audit log table */}
+                    <Table
+                        columns={columns}
+                        dataSource={logs}
+                        rowKey="_id"
+                        loading={loading}
+                        pagination={{
+                            current: pagination.pageIndex + 1, // convert 0-based to 1-based
+                            pageSize: pagination.pageSize,
+                            total: totalCount,
+                            showSizeChanger: true,
+                            pageSizeOptions: ['10', '25', '50', '100'],
+                            showTotal: (total, range) => `${range[0]}-${range[1]} of ${total} entries`,
+                        }}
+                        onChange={handleTableChange}
+                        scroll={{x: '100%', y: 600}}
+                        sticky={{offsetHeader: 0}}
+                    />
+                </Space>
+            </Card>
+
+            <style jsx="true">{`
+                .audit-change {
+                    word-break: break-all;
+                    font-size: 12px;
+                }
+            `}</style>
+        </Layout.Content>
+    );
+};
+
+export default AuditLogManagement;
@@ -0,0 +1,353 @@
+import React, { useEffect } from 'react';
+import {
+    Layout, Card, Table, Space, Row, Col, Button, Typography, Input, Tag,
+    Dropdown, Modal, Form, Select, InputNumber, DatePicker, Switch
+} from 'antd';
+import {
+    PlusOutlined, SearchOutlined, MoreOutlined, EditOutlined,
+    DeleteOutlined, CheckOutlined, StopOutlined, CloseCircleOutlined
+} from '@ant-design/icons';
+import dayjs from 'dayjs';
+import usePromotionManagementViewModel from '../../viewModels/PromotionManagementViewModel';
+
+const { Title, Text } = Typography;
+const { RangePicker } = DatePicker;
+
+const PromotionManagement = () => {
+    // use the view model to get state and methods
+    const {
+        promotions,
+        totalCount,
+        loading,
+        pagination,
+        searchTerm,
+        showEditForm,
+        selectedPromotion,
+        availableBrands,
+        saving,
+        handleSearchChange,
+        handleCancelEdit,
+        handleCreatePromotion,
+        handleEditPromotion,
+        handleSavePromotion,
+        handleToggleActive,
+        handleDeletePromotion,
+        getPromotionState,
+        formatDiscount,
+        setSearchTerm,
+        setPagination
+    } = usePromotionManagementViewModel();
+
+    const [form] = Form.useForm();
+    const promotionType = Form.useWatch('type', form);
+
+    // fill the form when it opens
+    useEffect(() => {
+        if (!showEditForm) {
+            form.resetFields();
+            return;
+        }
+        if (selectedPromotion) {
+            form.setFieldsValue({
+                code: selectedPromotion.code,
+                description: selectedPromotion.description,
+                type: selectedPromotion.type,
+                value: selectedPromotion.value,
+                brand: selectedPromotion.brand || undefined,
+                sellerEmail: selectedPromotion.seller?.email,
+                minSpend: selectedPromotion.minSpend,
+                usageLimitPerUser: selectedPromotion.usageLimitPerUser,
+                dateRange: [dayjs(selectedPromotion.startsAt), dayjs(selectedPromotion.endsAt)],
+                active: selectedPromotion.active
+            });
+        } else {
+            form.setFieldsValue({
+                type: 'percentage',
+                minSpend: 0,
+                usageLimitPerUser: 1,
+                dateRange: [dayjs(), dayjs().add(30, 'day')],
+                active: true
+            });
+        }
+    }, [showEditForm, selectedPromotion, form]);
+
+    // prepare column definitions for Ant Design Table
+    const columns = [
+        {
+            title: 'Code',
+            dataIndex: 'code',
+            key: 'code',
+            width: 150,
+            render: (code, promotion) => (
+                <div>
+                    <Text code strong>{code}</Text>
+                    {promotion.description && (
+                        <div><Text type="secondary" style={{ fontSize: 12 }}>{promotion.description}</Text></div>
+                    )}
+                </div>
+            )
+        },
+        {
+            title: 'Discount',
+            key: 'discount',
+            width: 110,
+            render: (_, promotion) => formatDiscount(promotion)
+        },
+        {
+            title: 'Applies to',
+            key: 'scope',
+            width: 200,
+            render: (_, promotion) => (
+                <Space direction="vertical" size={0}>
+                    {promotion.brand && <span>Brand: {promotion.brand}</span>}
+                    {promotion.seller && <span>Seller: {promotion.seller.firstname} {promotion.seller.lastname}</span>}
+                    {!promotion.brand && !promotion.seller && <Text type="secondary">All phones</Text>}
+                    {promotion.minSpend > 0 && (
+                        <Text type="secondary" style={{ fontSize: 12 }}>Min. spend ${promotion.minSpend.toFixed(2)}</Text>
+                    )}
+                </Space>
+            )
+        },
+        {
+            title: 'Per user',
+            dataIndex: 'usageLimitPerUser',
+            key: 'usageLimitPerUser',
+            width: 90,
+            render: (limit) => (limit > 0 ? `${limit}x` : 'Unlimited')
+        },
+        {
+            title: 'Valid',
+            key: 'window',
+            width: 200,
+            render: (_, promotion) => (
+                <span>
+                    {dayjs(promotion.startsAt).format('YYYY-MM-DD')} → {dayjs(promotion.endsAt).format('YYYY-MM-DD')}
+                </span>
+            )
+        },
+        {
+            title: 'Status',
+            key: 'status',
+            width: 100,
+            render: (_, promotion) => {
+                const state = getPromotionState(promotion);
+                return <Tag color={state.color}>{state.label}</Tag>;
+            }
+        },
+        {
+            title: 'Used',
+            dataIndex: 'timesUsed',
+            key: 'timesUsed',
+            width: 70
+        },
+        {
+            title: 'Actions',
+            key: 'actions',
+            width: 80,
+            fixed: 'right',
+            render: (_, promotion) => {
+                const items = [
+                    {
+                        key: 'edit',
+                        icon: <EditOutlined />,
+                        label: 'Edit',
+                        onClick: () => handleEditPromotion(promotion)
+                    },
+                    {
+                        key: 'toggleActive',
+                        icon: promotion.active ? <StopOutlined /> : <CheckOutlined />,
+                        label: promotion.active ? 'Deactivate' : 'Activate',
+                        onClick: () => handleToggleActive(promotion)
+                    },
+                    {
+                        type: 'divider'
+                    },
+                    {
+                        key: 'delete',
+                        icon: <DeleteOutlined />,
+                        label: 'Delete',
+                        danger: true,
+                        onClick: () => handleDeletePromotion(promotion)
+                    }
+                ];
+
+                return (
+                    <Dropdown menu={{ items }} trigger={['click']} placement="bottomRight">
+                        <Button type="text" icon={<MoreOutlined />} />
+                    </Dropdown>
+                );
+            }
+        }
+    ];
+
+    // handle onChange event from Ant Design Table
+    const handleTableChange = (tablePagination) => {
+        setPagination({
+            pageIndex: tablePagination.current - 1, // convert from 1-based to 0-based
+            pageSize: tablePagination.pageSize
+        });
+    };
+
+    // validate and submit the promotion form
+    const handleSubmit = async () => {
+        try {
+            const values = await form.validateFields();
+            await handleSavePromotion(values);
+        } catch (error) {
+            // validation errors are shown on the form
+        }
+    };
+
+    return (
+        <Layout.Content style={{ padding: '0 16px' }}>
+            <Card>
+                <Space direction="vertical" size="middle" style={{ width: '100%' }}>
+                    {/* header with search and create button */}
+                    <Row gutter={[16, 16]} align="middle">
+                        <Col xs={24} md={8}>
+                            <Title level={4} style={{ margin: 0 }}>Promotions</Title>
+                        </Col>
+                        <Col xs={24} md={10}>
+                            <Input
+                                placeholder="Search by code..."
+                                value={searchTerm || ''}
+                                onChange={handleSearchChange}
+                                prefix={<SearchOutlined />}
+                                suffix={
+                                    searchTerm ? (
+                                        <CloseCircleOutlined
+                                            style={{ cursor: 'pointer' }}
+                                            onClick={() => setSearchTerm('')}
+                                        />
+                                    ) : null
+                                }
+                            />
+                        </Col>
+                        <Col xs={24} md={6} style={{ textAlign: 'right' }}>
+                            <Button type="primary" icon={<PlusOutlined />} onClick={handleCreatePromotion}>
+                                New Promotion
+                            </Button>
+                        </Col>
+                    </Row>
+
+                    {/* promotions table */}
+                    <Table
+                        columns={columns}
+                        dataSource={promotions}
+                        rowKey="_id"
+                        loading={loading}
+                        pagination={{
+                            current: pagination.pageIndex + 1, // convert 0-based to 1-based
+                            pageSize: pagination.pageSize,
+                            total: totalCount,
+                            showSizeChanger: true,
+                            pageSizeOptions: ['5', '10', '25', '50'],
+                            showTotal: (total, range) => `${range[0]}-${range[1]} of ${total} promotions`,
+                        }}
+                        onChange={handleTableChange}
+                        scroll={{ x: '100%', y: 600 }}
+                        sticky={{ offsetHeader: 0 }}
+                    />
+                </Space>
+            </Card>
+
+            {/* Create / Edit Promotion Modal */}
+            <Modal
+                title={selectedPromotion ? `Edit Promotion ${selectedPromotion.code}` : 'New Promotion'}
+                open={showEditForm}
+                onCancel={handleCancelEdit}
+                onOk={handleSubmit}
+                okText={selectedPromotion ? 'Save' : 'Create'}
+                confirmLoading={saving}
+                forceRender
+            >
+                <Form form={form} layout="vertical">
+                    <Form.Item
+                        name="code"
+                        label="Code"
+                        rules={[
+                            { required: true, message: 'Please enter a code' },
+                            { pattern: /^[A-Za-z0-9_-]{3,32}$/, message: '3-32 letters, digits, dashes or underscores' }
+                        ]}
+                        normalize={(value) => value?.toUpperCase()}
+                    >
+                        <Input placeholder="SUMMER10" />
+                    </Form.Item>
+                    <Form.Item name="description" label="Description">
+                        <Input placeholder="Shown to admins only" />
+                    </Form.Item>
+                    <Row gutter={16}>
+                        <Col span={12}>
+                            <Form.Item name="type" label="Type" rules={[{ required: true }]}>
+                                <Select
+                                    options={[
+                                        { value: 'percentage', label: 'Percentage off' },
+                                        { value: 'fixed', label: 'Fixed amount off' }
+                                    ]}
+                                />
+                            </Form.Item>
+                        </Col>
+                        <Col span={12}>
+                            <Form.Item
+                                name="value"
+                                label={promotionType === 'fixed' ? 'Amount ($)' : 'Percent (%)'}
+                                rules={[{ required: true, message: 'Please enter a value' }]}
+                            >
+                                <InputNumber
+                                    min={0.01}
+                                    max={promotionType === 'percentage' ? 100 : undefined}
+                                    precision={2}
+                                    style={{ width: '100%' }}
+                                />
+                            </Form.Item>
+                        </Col>
+                    </Row>
+                    <Row gutter={16}>
+                        <Col span={12}>
+                            <Form.Item name="brand" label="Brand">
+                                <Select
+                                    allowClear
+                                    placeholder="Any brand"
+                                    options={availableBrands.map(brand => ({ value: brand, label: brand }))}
+                                />
+                            </Form.Item>
+                        </Col>
+                        <Col span={12}>
+                            <Form.Item
+                                name="sellerEmail"
+                                label="Seller email"
+                                rules={[{ type: 'email', message: 'Please enter a valid email' }]}
+                            >
+                                <Input placeholder="Any seller" allowClear />
+                            </Form.Item>
+                        </Col>
+                    </Row>
+                    <Row gutter={16}>
+                        <Col span={12}>
+                            <Form.Item name="minSpend" label="Minimum spend ($)">
+                                <InputNumber min={0} precision={2} style={{ width: '100%' }} />
+                            </Form.Item>
+                        </Col>
+                        <Col span={12}>
+                            <Form.Item name="usageLimitPerUser" label="Uses per user (0 = unlimited)">
+                                <InputNumber min={0} precision={0} style={{ width: '100%' }} />
+                            </Form.Item>
+                        </Col>
+                    </Row>
+                    <Form.Item
+                        name="dateRange"
+                        label="Valid from / until"
+                        rules={[{ required: true, message: 'Please choose the dates' }]}
+                    >
+                        <RangePicker style={{ width: '100%' }} format="YYYY-MM-DD" />
+                    </Form.Item>
+                    <Form.Item name="active" label="Active" valuePropName="checked">
+                        <Switch />
+                    </Form.Item>
+                </Form>
+            </Modal>
+        </Layout.Content>
+    );
+};
+
+export default PromotionManagement;
@@ -0,0 +1,247 @@
+import React, { useEffect } from 'react';
+import {
+    Layout, Card, Table, Space, Row, Col, Button, Typography, Tag, Select, Image, Modal, Form, Input
+} from 'antd';
+import dayjs from 'dayjs';
+import useReturnManagementViewModel from '../../viewModels/ReturnManagementViewModel';
+import {
+    RETURN_TRANSITIONS,
+    RETURN_STATUS_LABELS,
+    RETURN_STATUS_COLORS,
+    RETURN_ACTION_LABELS,
+    RETURN_REASON_LABELS
+} from '../../config/orderStatus';
+
+const { Title, Text } = Typography;
+
+const ReturnManagement = () => {
+    // use the view model to get state and methods
+    const {
+        returns,
+        totalCount,
+        loading,
+        pagination,
+        statusFilter,
+        rejectingReturn,
+        updating,
+        handleStatusFilterChange,
+        handleStatusChange,
+        handleReject,
+        handleCancelReject,
+        setPagination
+    } = useReturnManagementViewModel();
+
+    const [form] = Form.useForm();
+
+    // clear the rejection note whenever the dialog closes
+    useEffect(() => {
+        if (!rejectingReturn) {
+            form.resetFields();
+        }
+    }, [rejectingReturn, form]);
+
+    // describe a user in a cell
+    const renderUser = (user) => (user ? (
+        <div>
+            <div>{user.firstname} {user.lastname}</div>
+            <Text type="secondary" style={{ fontSize: 12 }}>{user.email}</Text>
+        </div>
+    ) : <Text type="secondary">Unknown</Text>);
+
+    // prepare column definitions for Ant Design Table
+    const columns = [
+        {
+            title: 'Requested',
+            dataIndex: 'createdAt',
+            key: 'createdAt',
+            width: 110,
+            render: (createdAt) => dayjs(createdAt).format('YYYY-MM-DD')
+        },
+        {
+            title: 'Order',
+            dataIndex: 'order',
+            key: 'order',
+            width: 120,
+            render: (order) => order?.invoiceNumber || (order ? `#${order._id.slice(-8).toUpperCase()}` : '-')
+        },
+        {
+            title: 'Buyer',
+            dataIndex: 'buyer',
+            key: 'buyer',
+            width: 180,
+            render: renderUser
+        },
+        {
+            title: 'Seller',
+            dataIndex: 'seller',
+            key: 'seller',
+            width: 180,
+            render: renderUser
+        },
+        {
+            title: 'Item',
+            key: 'item',
+            width: 200,
+            render: (_, returnRequest) => `${returnRequest.phone?.title || 'Removed listing'} x ${returnRequest.quantity}`
+        },
+        {
+            title: 'Reason',
+            key: 'reason',
+            width: 240,
+            render: (_, returnRequest) => (
+                <Space direction="vertical" size={4}>
+                    <span>{RETURN_REASON_LABELS[returnRequest.reason] || returnRequest.reason}</span>
+                    {returnRequest.details && (
+                        <Text type="secondary" style={{ fontSize: 12 }}>{returnRequest.details}</Text>
+                    )}
+                    {returnRequest.photos?.length > 0 && (
+                        <Image.PreviewGroup>
+                            <Space size={4} wrap>
+                                {returnRequest.photos.map(photo => (
+                                    <Image
+                                        key={photo}
+                                        src={`http://localhost:7777${photo}`}
+                                        width={40}
+                                        height={40}
+                                        style={{ objectFit: 'cover' }}
+                                    />
+                                ))}
+                            </Space>
+                        </Image.PreviewGroup>
+                    )}
+                </Space>
+            )
+        },
+        {
+            title: 'Refund',
+            dataIndex: 'refundAmount',
+            key: 'refundAmount',
+            width: 100,
+            render: (refundAmount) => `$${Number(refundAmount).toFixed(2)}`
+        },
+        {
+            title: 'Status',
+            dataIndex: 'status',
+            key: 'status',
+            width: 220,
+            fixed: 'right',
+            render: (status, returnRequest) => {
+                const nextStatuses = RETURN_TRANSITIONS[status] || [];
+                const lastNote = [...(returnRequest.statusHistory || [])].reverse().find(entry => entry.note)?.note;
+                return (
+                    <Space direction="vertical" size={4}>
+                        <Tag color={RETURN_STATUS_COLORS[status] || 'default'}>
+                            {RETURN_STATUS_LABELS[status] || status}
+                        </Tag>
+                        {lastNote && <Text type="secondary" style={{ fontSize: 12 }}>{lastNote}</Text>}
+                        {nextStatuses.length > 0 && (
+                            <Space size={4} wrap>
+                                {nextStatuses.map(next => (
+                                    <Button
+                                        key={next}
+                                        size="small"
+                                        type={next === 'rejected' ? 'default' : 'primary'}
+                                        danger={next === 'rejected'}
+                                        disabled={updating}
+                                        onClick={() => handleStatusChange(returnRequest, next)}
+                                    >
+                                        {RETURN_ACTION_LABELS[next]}
+                                    </Button>
+                                ))}
+                            </Space>
+                        )}
+                    </Space>
+                );
+            }
+        }
+    ];
+
+    // handle onChange event from Ant Design Table
+    const handleTableChange = (tablePagination) => {
+        setPagination({
+            pageIndex: tablePagination.current - 1, // convert from 1-based to 0-based
+            pageSize: tablePagination.pageSize
+        });
+    };
+
+    // validate and submit the rejection note
+    const handleSubmitReject = async () => {
+        try {
+            const { note } = await form.validateFields();
+            await handleReject(note.trim());
+        } catch (error) {
+            // validation errors are shown on the form
+        }
+    };
+
+    return (
+        <Layout.Content style={{ padding: '0 16px' }}>
+            <Card>
+                <Space direction="vertical" size="middle" style={{ width: '100%' }}>
+                    {/* header with status filter */}
+                    <Row gutter={[16, 16]} align="middle">
+                        <Col xs={24} md={16}>
+                            <Title level={4} style={{ margin: 0 }}>Returns</Title>
+                        </Col>
+                        <Col xs={24} md={8} style={{ textAlign: 'right' }}>
+                            <Select
+                                allowClear
+                                placeholder="All statuses"
+                                value={statusFilter || undefined}
+                                onChange={handleStatusFilterChange}
+                                style={{ width: 200 }}
+                                options={Object.keys(RETURN_STATUS_LABELS).map(status => ({
+                                    value: status,
+                                    label: RETURN_STATUS_LABELS[status]
+                                }))}
+                            />
+                        </Col>
+                    </Row>
+
+                    {/* returns table */}
+                    <Table
+                        columns={columns}
+                        dataSource={returns}
+                        rowKey="_id"
+                        loading={loading}
+                        pagination={{
+                            current: pagination.pageIndex + 1, // convert 0-based to 1-based
+                            pageSize: pagination.pageSize,
+                            total: totalCount,
+                            showSizeChanger: true,
+                            pageSizeOptions: ['5', '10', '25', '50'],
+                            showTotal: (total, range) => `${range[0]}-${range[1]} of ${total} returns`,
+                        }}
+                        onChange={handleTableChange}
+                        scroll={{ x: '100%', y: 600 }}
+                        sticky={{ offsetHeader: 0 }}
+                    />
+                </Space>
+            </Card>
+
+            {/* Reject Return Modal */}
+            <Modal
+                title="Reject Return"
+                open={!!rejectingReturn}
+                onCancel={handleCancelReject}
+                onOk={handleSubmitReject}
+                okText="Reject"
+                okButtonProps={{ danger: true }}
+                confirmLoading={updating}
+                forceRender
+            >
+                <Form form={form} layout="vertical">
+                    <Form.Item
+                        name="note"
+                        label="Reason shown to the buyer"
+                        rules={[{ required: true, whitespace: true, message: 'Please give a reason' }]}
+                    >
+                        <Input.TextArea rows={3} maxLength={500} />
+                    </Form.Item>
+                </Form>
+            </Modal>
+        </Layout.Content>
+    );
+};
+
+export default ReturnManagement;
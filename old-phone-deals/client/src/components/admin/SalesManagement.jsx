@@ -2,12 +2,13 @@ import React, { useState } from 'react';
 import {
     Layout, Card, Table, Space,
     Row, Col, Button, Typography, DatePicker, Form, 
-    Select, Divider, Tooltip
+    Select, Divider, Tooltip, Tag, Modal, Input
 } from 'antd';
-import { ReloadOutlined, SearchOutlined, DownloadOutlined, TableOutlined } from '@ant-design/icons';
+import { ReloadOutlined, SearchOutlined, DownloadOutlined, TableOutlined, FilePdfOutlined } from '@ant-design/icons';
 import useSalesManagementViewModel from '../../viewModels/SalesManagementViewModel';
 import dayjs from 'dayjs';
 import { saveAs } from 'file-saver';
+import { ORDER_TRANSITIONS, ORDER_STATUS_LABELS, ORDER_STATUS_COLORS } from '../../config/orderStatus';
 
 const { Title } = Typography;
 const { RangePicker } = DatePicker;
@@ -17,6 +18,9 @@ const SalesManagement = () => {
     // local state for export loading
     const [exportLoading, setExportLoading] = useState(false);
     const [exportCurrentLoading, setExportCurrentLoading] = useState(false);
+    // order and target status of the status change dialog
+    const [statusChange, setStatusChange] = useState(null);
+    const [statusSaving, setStatusSaving] = useState(false);
     
     // use the view model to get state and methods
     const {
@@ -35,10 +39,36 @@ const SalesManagement = () => {
         handleDateRangeChange,
         clearDateRange,
         handleExportFormatChange,
-        exportData
+        exportData,
+        updateOrderStatus,
+        downloadInvoice
     } = useSalesManagementViewModel();
 
     const [form] = Form.useForm();
+    const [statusForm] = Form.useForm();
+
+    // open the status change dialog for an order
+    const openStatusChange = (order, status) => {
+        statusForm.resetFields();
+        setStatusChange({ order, status });
+    };
+
+    // submit the status change dialog
+    const handleStatusSubmit = async () => {
+        try {
+            const values = await statusForm.validateFields();
+            setStatusSaving(true);
+            const updated = await updateOrderStatus(statusChange.order._id, statusChange.status, values);
+            if (updated) {
+                setStatusChange(null);
+            }
+        } catch (error) {
+            // validation errors are shown on the form
+            console.error('Status change error:', error);
+        } finally {
+            setStatusSaving(false);
+        }
+    };
 
     // handler to reset sorting, pagination and filters
     const handleReset = () => {
@@ -106,7 +136,10 @@ const SalesManagement = () => {
                     'Timestamp': formatDate(order.createdAt),
                     'Buyer name': buyerName,
                     'Items purchased and quantities': itemsText,
-                    'Total amount': Number(order.totalAmount).toFixed(2)
+                    'Shipping': Number(order.shippingTotal || 0).toFixed(2),
+                    'Tax': Number(order.taxTotal || 0).toFixed(2),
+                    'Total amount': Number(order.totalAmount).toFixed(2),
+                    'Refunded': Number(order.refundedTotal || 0).toFixed(2)
                 };
             });
             
@@ -174,7 +207,58 @@ const SalesManagement = () => {
             dataIndex: 'totalAmount',
             key: 'totalAmount',
             width: 120,
-            render: (totalAmount) => `$${Number(totalAmount).toFixed(2)}`,
+            render: (totalAmount, order) => (
+                <>
+                    <div>${Number(totalAmount).toFixed(2)}</div>
+                    {order.refundedTotal > 0 && (
+                        <span style={{ fontSize: 12, color: '#fa8c16' }}>
+                            -${order.refundedTotal.toFixed(2)} refunded
+                        </span>
+                    )}
+                </>
+            ),
+        },
+        {
+            title: 'Status',
+            dataIndex: 'status',
+            key: 'status',
+            width: 220,
+            render: (status, order) => {
+                const nextStatuses = ORDER_TRANSITIONS[status] || [];
+                return (
+                    <Space direction="vertical" size={4}>
+                        <Tag color={ORDER_STATUS_COLORS[status] || 'default'}>
+                            {ORDER_STATUS_LABELS[status] || status}
+                        </Tag>
+                        {order.trackingNumber && (
+                            <span style={{ fontSize: 12 }}>Tracking: {order.trackingNumber}</span>
+                        )}
+                        {nextStatuses.length > 0 && (
+                            <Select
+                                size="small"
+                                placeholder="Move to..."
+                                value={null}
+                                style={{ width: 140 }}
+                                onChange={(value) => openStatusChange(order, value)}
+                            >
+                                {nextStatuses.map(next => (
+                                    <Option key={next} value={next}>{ORDER_STATUS_LABELS[next]}</Option>
+                                ))}
+                            </Select>
+                        )}
+                    </Space>
+                );
+            }
+        },
+        {
+            title: 'Invoice',
+            key: 'invoice',
+            width: 130,
+            render: (_, order) => (
+                <Button size="small" icon={<FilePdfOutlined />} onClick={() => downloadInvoice(order)}>
+                    {order.invoiceNumber || 'PDF'}
+                </Button>
+            )
         }
     ];
 
@@ -318,6 +402,37 @@ const SalesManagement = () => {
                 </Space>
             </Card>
 
+            {/* status change dialog */}
+            <Modal
+                title={statusChange ? `Mark order as ${ORDER_STATUS_LABELS[statusChange.status]}` : ''}
+                open={!!statusChange}
+                onOk={handleStatusSubmit}
+                onCancel={() => setStatusChange(null)}
+                confirmLoading={statusSaving}
+                okText="Update status"
+                destroyOnClose
+            >
+                <Form form={statusForm} layout="vertical">
+                    {statusChange?.status === 'shipped' && (
+                        <>
+                            <Form.Item
+                                name="trackingNumber"
+                                label="Tracking number"
+                                rules={[{ required: true, whitespace: true, message: 'Tracking number is required' }]}
+                            >
+                                <Input />
+                            </Form.Item>
+                            <Form.Item name="carrier" label="Carrier">
+                                <Input />
+                            </Form.Item>
+                        </>
+                    )}
+                    <Form.Item name="note" label="Note">
+                        <Input.TextArea rows={2} />
+                    </Form.Item>
+                </Form>
+            </Modal>
+
             <style jsx="true">{`
                 .items-list {
                     white-space: pre-line;
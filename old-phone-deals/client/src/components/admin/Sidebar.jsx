@@ -10,6 +10,9 @@ import {
     ListCheck,
     BarChartLineFill,
     ChatDotsFill,
+    JournalText,
+    TagFill,
+    ArrowReturnLeft,
     BoxArrowRight
 } from 'react-bootstrap-icons';
 import { useAuth } from '../../context/AuthContext';
@@ -79,6 +82,30 @@ const Sidebar = ({activeSection, setActiveSection, expanded, toggleSidebar}) =>
                         <BarChartLineFill className={`me-2`}/>
                         <span className={styles.navItemText}>Sales & Activity Logs</span>
                     </Nav.Link>
+
+                    <Nav.Link
+                        className={`${styles.navItem} ${activeSection === 'returns' ? styles.activeNavItem : ''}`}
+                        onClick={() => setActiveSection('returns')}
+                    >
+                        <ArrowReturnLeft className={`me-2`}/>
+                        <span className={styles.navItemText}>Returns</span>
+                    </Nav.Link>
+
+                    <Nav.Link
+                        className={`${styles.navItem} ${activeSection === 'promotions' ? styles.activeNavItem : ''}`}
+                        onClick={() => setActiveSection('promotions')}
+                    >
+                        <TagFill className={`me-2`}/>
+                        <span className={styles.navItemText}>Promotions</span>
+                    </Nav.Link>
+
+                    <Nav.Link
+                        className={`${styles.navItem} ${activeSection === 'audit' ? styles.activeNavItem : ''}`}
+                        onClick={() => setActiveSection('audit')}
+                    >
+                        <JournalText className={`me-2`}/>
+                        <span className={styles.navItemText}>Audit Log</span>
+                    </Nav.Link>
                 </Nav>
 
                 <div className="mt-auto p-3 border-top border-secondary">
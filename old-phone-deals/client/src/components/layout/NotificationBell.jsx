@@ -0,0 +1,123 @@
+import React from 'react';
+import { Dropdown, Badge, Button, Spinner } from 'react-bootstrap';
+import { useNavigate } from 'react-router-dom';
+import { Bell, X } from 'react-bootstrap-icons';
+import useNotificationViewModel from '../../viewModels/NotificationViewModel';
+import styles from '../../styles/layout/TopBar.module.css';
+
+/**
+ * Bell icon with an unread badge and a dropdown of the latest notifications
+ */
+const NotificationBell = () => {
+    const navigate = useNavigate();
+    const {
+        notifications,
+        unreadCount,
+        loading,
+        fetchNotifications,
+        markAsRead,
+        markAllAsRead,
+        deleteNotification
+    } = useNotificationViewModel();
+
+    /**
+     * Mark the notification as read and open its link
+     * @param {Object} notification - clicked notification
+     */
+    const handleOpen = async (notification) => {
+        await markAsRead(notification);
+        if (notification.link) {
+            navigate(notification.link);
+        }
+    };
+
+    /**
+     * Delete a notification without triggering the item click
+     * @param {Event} e - click event
+     * @param {Object} notification - notification to delete
+     */
+    const handleDelete = (e, notification) => {
+        e.stopPropagation();
+        deleteNotification(notification);
+    };
+
+    return (
+        <Dropdown
+            align="end"
+            className="me-2"
+            onToggle={(isOpen) => isOpen && fetchNotifications()}
+        >
+            <Dropdown.Toggle variant="outline-secondary" className={styles.notificationToggle} aria-label="Notifications">
+                <Bell />
+                {unreadCount > 0 && (
+                    <Badge bg="danger" pill className={styles.notificationBadge}>
+                        {unreadCount > 99 ? '99+' : unreadCount}
+                    </Badge>
+                )}
+            </Dropdown.Toggle>
+
+            <Dropdown.Menu className={styles.notificationMenu}>
+                <div className="d-flex justify-content-between align-items-center px-3 py-2 border-bottom">
+                    <strong>Notifications</strong>
+                    <Button
+                        variant="link"
+                        size="sm"
+                        className="p-0"
+                        onClick={markAllAsRead}
+                        disabled={unreadCount === 0}
+                    >
+                        Mark all as read
+                    </Button>
+                </div>
+
+                {loading && notifications.length === 0 ? (
+                    <div className="text-center py-3">
+                        <Spinner animation="border" size="sm" />
+                    </div>
+                ) : notifications.length === 0 ? (
+                    <div className="text-center text-muted py-3">No notifications</div>
+                ) : (
+                    notifications.map(notification => (
+                        <Dropdown.Item
+                            key={notification._id}
+                            onClick={() => handleOpen(notification)}
+                            className={`${styles.notificationItem} ${notification.read ? '' : styles.notificationUnread}`}
+                        >
+                            <div className="d-flex justify-content-between align-items-start">
+                                <div className="me-2">
+                                    <div className="fw-semibold">{notification.title}</div>
+                                    <div className={styles.notificationMessage}>{notification.message}</div>
+                                    <small className="text-muted">
+                                        {new Date(notification.createdAt).toLocaleString()}
+                                    </small>
+                                </div>
+                                <Button
+                                    variant="link"
+                                    size="sm"
+                                    className="p-0 text-secondary"
+                                    onClick={(e) => handleDelete(e, notification)}
+                                    aria-label="Delete notification"
+                                >
+                                    <X size={18} />
+                                </Button>
+                            </div>
+                        </Dropdown.Item>
+                    ))
+                )}
+
+                <div className="text-center border-top py-2">
+                    <Button
+                        variant="link"
+                        size="sm"
+                        className="p-0"
+                        onClick={() => navigate('/profile?tab=notifications')}
+                    >
+                        Notification settings
+                    </Button>
+                </div>
+            </Dropdown.Menu>
+        </Dropdown>
+    );
+};
+
+export default NotificationBell;
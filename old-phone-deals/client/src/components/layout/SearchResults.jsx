@@ -1,12 +1,80 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { Row, Col, Form, Button, Card } from 'react-bootstrap';
 import { useNavigate, useLocation } from 'react-router-dom';
 import PhoneCard from './PhoneCard';
-import { ArrowLeft } from 'react-bootstrap-icons';
+import { ArrowLeft, BookmarkPlus } from 'react-bootstrap-icons';
 import { Link } from 'react-router-dom';
 import { Range } from 'react-range';
 import apiService from '../../service/ApiService';
 import SwalService from '../../service/SwalService';
+import { useAuth } from '../../context/AuthContext';
+import { CONDITION_LABELS, NETWORK_LOCK_LABELS, formatStorage } from '../../config/phoneAttributes';
+
+// results per page, more are loaded with the Load More button
+const PAGE_SIZE = 8;
+
+// sort orders of the search API, relevance is the default and is left out of the URL
+const SORT_OPTIONS = {
+    relevance: 'Best match',
+    newest: 'Newest',
+    price_asc: 'Price: low to high',
+    price_desc: 'Price: high to low',
+    rating: 'Highest rated',
+    reviews: 'Most reviewed'
+};
+
+// battery health bands offered as "& up", in percent
+const BATTERY_OPTIONS = [95, 90, 85, 80];
+// model years offered as "& newer", counting back from this year
+const MODEL_YEAR_OPTIONS = Array.from({ length: 8 }, (_, i) => new Date().getFullYear() - i);
+
+// attribute filters kept in the URL under their API parameter name, empty when not filtering
+const ATTRIBUTE_FILTERS = ['condition', 'minStorage', 'colour', 'networkLock', 'minBattery', 'minYear'];
+
+/**
+ * Read the search options of a search URL, the URL holds every option so a search survives
+ * a reload and can be shared as a link (saved searches link to it too)
+ * @param {string} search - location.search
+ * @returns {Object} - { q, brand, min, max, inStock, minRating, sort } and the ATTRIBUTE_FILTERS,
+ * missing bounds are undefined
+ */
+const readSearchOptions = (search) => {
+    const params = new URLSearchParams(search);
+    const readNumber = (key) => {
+        const value = parseFloat(params.get(key));
+        return Number.isNaN(value) ? undefined : value;
+    };
+    const sort = params.get('sort');
+    return {
+        q: params.get('q') || '',
+        brand: params.get('brand') || '',
+        min: readNumber('minPrice'),
+        max: readNumber('maxPrice'),
+        inStock: params.get('inStock') === 'true',
+        minRating: params.get('minRating') || '',
+        ...ATTRIBUTE_FILTERS.reduce((filters, key) => ({ ...filters, [key]: params.get(key) || '' }), {}),
+        sort: Object.hasOwn(SORT_OPTIONS, sort) ? sort : 'relevance'
+    };
+};
+
+/**
+ * Build the query string of a search URL, options at their default are left out
+ * @param {Object} options - search options as returned by readSearchOptions
+ * @returns {string}
+ */
+const buildSearchQuery = (options) => {
+    const params = new URLSearchParams({ q: options.q });
+    if (options.brand) params.append('brand', options.brand);
+    if (options.min !== undefined) params.append('minPrice', options.min);
+    if (options.max !== undefined) params.append('maxPrice', options.max);
+    if (options.inStock) params.append('inStock', 'true');
+    if (options.minRating) params.append('minRating', options.minRating);
+    ATTRIBUTE_FILTERS
+        .filter(key => options[key])
+        .forEach(key => params.append(key, options[key]));
+    if (options.sort !== 'relevance') params.append('sort', options.sort);
+    return params.toString();
+};
 
 /**
  * Component for displaying search results
@@ -15,12 +83,14 @@ import SwalService from '../../service/SwalService';
 const SearchResults = () => {
     const navigate = useNavigate();
     const location = useLocation();
+    const { user } = useAuth();
+    const searchOptions = useMemo(() => readSearchOptions(location.search), [location.search]);
     const [searchResults, setSearchResults] = useState([]);
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState(null);
-    const [brands, setBrands] = useState([]);
+    const [facets, setFacets] = useState(null);
+    // slider position, follows the mouse while dragging and goes to the URL on release
     const [filters, setFilters] = useState({
-        brand: '',
         minPrice: 0,
         maxPrice: 1000
     });
@@ -28,17 +98,12 @@ const SearchResults = () => {
         min: 0,
         max: 1000
     });
-    const [isPriceRangeSet, setIsPriceRangeSet] = useState(false);
     const [hasMore, setHasMore] = useState(false);
-    const [currentPage, setCurrentPage] = useState(1);
+    // the page belongs to the search it was loaded for, a new search starts at page 1
+    const [loadedPage, setLoadedPage] = useState({ search: location.search, page: 1 });
+    const currentPage = loadedPage.search === location.search ? loadedPage.page : 1;
     const [totalPages, setTotalPages] = useState(1);
-    const [searchOptions, setSearchOptions] = useState({
-        search: '',
-        brand: '',
-        price: { min: undefined, max: undefined },
-        page: 1,
-        limit: 8
-    });
+    const [correctedSearch, setCorrectedSearch] = useState(null);
 
     /**
      * Handle phone selection/click
@@ -48,45 +113,76 @@ const SearchResults = () => {
         navigate(`/phone/${phoneId}`);
     };
 
+    /**
+     * Change search options by rewriting the URL, the results follow the URL
+     * @param {Object} changes - search options to change
+     */
+    const updateSearch = (changes) => {
+        navigate(`${location.pathname}?${buildSearchQuery({ ...searchOptions, ...changes })}`, { replace: true });
+    };
+
     /**
      * Handle filter changes
      * @param {Event} e - input change event
      */
     const handleFilterChange = (e) => {
         const { name, value } = e.target;
-        setFilters(prev => ({
-            ...prev,
-            [name]: value
-        }));
-        
-        setCurrentPage(1);
-        setSearchOptions(prev => ({
-            ...prev,
-            brand: name === 'brand' ? value : prev.brand,
-            price: {
-                min: name === 'minPrice' ? parseFloat(value) : prev.price.min,
-                max: name === 'maxPrice' ? parseFloat(value) : prev.price.max
-            },
-            page: 1
-        }));
+        updateSearch({ [name]: value });
+    };
+
+    /**
+     * Apply the price bounds picked with the slider, the full range means no bounds
+     * @param {Array<number>} values - [min, max] of the slider
+     */
+    const handlePriceChange = ([min, max]) => {
+        updateSearch({
+            min: min > priceRange.min ? min : undefined,
+            max: max < priceRange.max ? max : undefined
+        });
     };
 
     /**
-     * Reset filters and update search results
+     * Reset filters and update search results, the search text and sort order stay
      */
     const resetFilters = () => {
-        setCurrentPage(1);
-        setFilters({
+        updateSearch({
             brand: '',
-            minPrice: priceRange.min,
-            maxPrice: priceRange.max
+            min: undefined,
+            max: undefined,
+            inStock: false,
+            minRating: '',
+            ...ATTRIBUTE_FILTERS.reduce((filters, key) => ({ ...filters, [key]: '' }), {})
         });
-        setSearchOptions(prev => ({
-            ...prev,
-            brand: '',
-            price: { min: undefined, max: undefined },
-            page: 1
-        }));
+    };
+
+    /**
+     * Save the current search text, brand and price bounds, the user is notified about new matching listings
+     */
+    const saveSearch = async () => {
+        if (!user) {
+            SwalService.warning('Please Sign-in to save searches');
+            return;
+        }
+
+        const criteria = {
+            query: searchOptions.q,
+            brand: searchOptions.brand
+        };
+        if (searchOptions.min !== undefined) {
+            criteria.minPrice = searchOptions.min;
+        }
+        if (searchOptions.max !== undefined) {
+            criteria.maxPrice = searchOptions.max;
+        }
+
+        try {
+            const response = await apiService.post(`/user/${user._id}/saved-searches`, criteria);
+            if (response.success) {
+                SwalService.success('You will be notified when new listings match this search. Manage your saved searches in your profile.', 'Search saved');
+            }
+        } catch (err) {
+            console.error('Error saving search:', err);
+        }
     };
 
     /**
@@ -94,59 +190,39 @@ const SearchResults = () => {
      */
     const loadMore = () => {
         if (loading || !hasMore) return;
-        setCurrentPage(prev => prev + 1);
-        setSearchOptions(prev => ({
-            ...prev,
-            page: prev.page + 1
-        }));
+        setLoadedPage({ search: location.search, page: currentPage + 1 });
     };
 
     /**
-     * Fetch search results and brands
+     * Fetch search results and their facet counts
      */
     useEffect(() => {
+        // a response for an older search or page is dropped
+        let ignore = false;
+
         const fetchData = async () => {
             setLoading(true);
             setError(null);
             
             try {
-                const searchParams = new URLSearchParams(location.search);
-                const search = searchParams.get('q') || '';
-                
-                if (!isPriceRangeSet) {
-                    const rangeResponse = await apiService.get('/phone/search', {
-                            search,
-                            brand: searchOptions.brand,
-                            page: 1,
-                            limit: 1000 
-                    });
-
-                    if (rangeResponse.success && rangeResponse.data.phones.length > 0) {
-                        const prices = rangeResponse.data.phones.map(phone => phone.price);
-                        const minPrice = Math.min(...prices);
-                        const maxPrice = Math.max(...prices);
-                        setPriceRange({
-                            min: minPrice,
-                            max: maxPrice
-                        });
-                        setFilters({
-                            brand: '',
-                            minPrice: minPrice,
-                            maxPrice: maxPrice
-                        });
-                        setIsPriceRangeSet(true);
-                    }
-                }
-
                 const response = await apiService.get('/phone/search', {
-                        search,
-                        brand: searchOptions.brand,
-                        minPrice: searchOptions.price.min,
-                        maxPrice: searchOptions.price.max,
+                        search: searchOptions.q,
+                        brand: searchOptions.brand || undefined,
+                        minPrice: searchOptions.min,
+                        maxPrice: searchOptions.max,
+                        inStock: searchOptions.inStock || undefined,
+                        minRating: searchOptions.minRating || undefined,
+                        ...ATTRIBUTE_FILTERS.reduce((filters, key) => ({
+                            ...filters,
+                            [key]: searchOptions[key] || undefined
+                        }), {}),
+                        sort: searchOptions.sort,
                         page: currentPage,
-                        limit: searchOptions.limit
+                        limit: PAGE_SIZE
                 });
 
+                if (ignore) return;
+
                 if (response.success) {
                     if (currentPage === 1) {
                         setSearchResults(response.data.phones);
@@ -154,20 +230,22 @@ const SearchResults = () => {
                         setSearchResults(prev => [...prev, ...response.data.phones]);
                     }
                     
-                    const uniqueBrands = [...new Set(response.data.phones.map(phone => phone.brand))].filter(Boolean);
-                    setBrands(uniqueBrands);
-                    
-                    if (filters.brand && !uniqueBrands.includes(filters.brand)) {
-                        setFilters(prev => ({
-                            ...prev,
-                            brand: ''
-                        }));
-                        setSearchOptions(prev => ({
-                            ...prev,
-                            brand: ''
-                        }));
+                    const { facets } = response.data;
+                    setFacets(facets);
+
+                    // the price facet leaves the price filter out, so its range is the slider's full range
+                    if (facets.priceRange) {
+                        const { min: minPrice, max: maxPrice } = facets.priceRange;
+                        setPriceRange({ min: minPrice, max: maxPrice });
+                        // keep the chosen bounds, within the prices found
+                        const clamp = (value, fallback) => (value === undefined ? fallback : Math.min(Math.max(value, minPrice), maxPrice));
+                        setFilters({
+                            minPrice: clamp(searchOptions.min, minPrice),
+                            maxPrice: clamp(searchOptions.max, maxPrice)
+                        });
                     }
-                    
+
+                    setCorrectedSearch(response.data.correctedSearch);
                     setTotalPages(response.data.pagination.totalPages);
                     setHasMore(currentPage < response.data.pagination.totalPages);
                 } else {
@@ -175,19 +253,22 @@ const SearchResults = () => {
                     await SwalService.error('Failed to fetch search results');
                 }
             } catch (err) {
+                if (ignore) return;
                 setError(err.message || 'An error occurred while searching');
                 await SwalService.error(err.message || 'An error occurred while searching');
             } finally {
-                setLoading(false);
+                if (!ignore) {
+                    setLoading(false);
+                }
             }
         };
 
         fetchData();
-    }, [currentPage, location.search, searchOptions, isPriceRangeSet]);
 
-    useEffect(() => {
-        setIsPriceRangeSet(false);
-    }, [location.search]);
+        return () => {
+            ignore = true;
+        };
+    }, [currentPage, searchOptions]);
 
     if (loading && searchResults.length === 0) {
         return (
@@ -225,24 +306,167 @@ const SearchResults = () => {
                 <Card.Body>
                     <Form>
                         <Row>
-                            <Col md={4}>
+                            <Col md={3}>
                                 <Form.Group className="mb-3">
                                     <Form.Label>Brand</Form.Label>
                                     <Form.Select
                                         name="brand"
-                                        value={filters.brand}
+                                        value={searchOptions.brand}
                                         onChange={handleFilterChange}
                                     >
                                         <option value="">All Brands</option>
-                                        {brands.map(brand => (
-                                            <option key={brand} value={brand}>
-                                                {brand}
+                                        {(facets?.brands || []).map(facet => (
+                                            <option key={facet.brand} value={facet.brand}>
+                                                {facet.brand} ({facet.count})
+                                            </option>
+                                        ))}
+                                    </Form.Select>
+                                </Form.Group>
+                            </Col>
+                            <Col md={3}>
+                                <Form.Group className="mb-3">
+                                    <Form.Label>Rating</Form.Label>
+                                    <Form.Select
+                                        name="minRating"
+                                        value={searchOptions.minRating}
+                                        onChange={handleFilterChange}
+                                    >
+                                        <option value="">Any rating</option>
+                                        {(facets?.ratings || []).map(facet => (
+                                            <option key={facet.minRating} value={facet.minRating} disabled={facet.count === 0}>
+                                                {facet.minRating}★ & up ({facet.count})
+                                            </option>
+                                        ))}
+                                    </Form.Select>
+                                </Form.Group>
+                            </Col>
+                            <Col md={3}>
+                                <Form.Group className="mb-3">
+                                    <Form.Label>Sort by</Form.Label>
+                                    <Form.Select
+                                        name="sort"
+                                        value={searchOptions.sort}
+                                        onChange={handleFilterChange}
+                                    >
+                                        {Object.entries(SORT_OPTIONS).map(([value, label]) => (
+                                            <option key={value} value={value}>{label}</option>
+                                        ))}
+                                    </Form.Select>
+                                </Form.Group>
+                            </Col>
+                            <Col md={3} className="d-flex align-items-center">
+                                <Form.Check
+                                    type="switch"
+                                    id="search-in-stock"
+                                    className="mb-3"
+                                    label={`In stock only (${facets ? facets.inStock : 0})`}
+                                    checked={searchOptions.inStock}
+                                    onChange={(e) => updateSearch({ inStock: e.target.checked })}
+                                />
+                            </Col>
+                        </Row>
+                        <Row>
+                            <Col md={2}>
+                                <Form.Group className="mb-3">
+                                    <Form.Label>Condition</Form.Label>
+                                    <Form.Select
+                                        name="condition"
+                                        value={searchOptions.condition}
+                                        onChange={handleFilterChange}
+                                    >
+                                        <option value="">Any condition</option>
+                                        {(facets?.conditions || []).map(facet => (
+                                            <option key={facet.condition} value={facet.condition} disabled={facet.count === 0}>
+                                                {CONDITION_LABELS[facet.condition]} ({facet.count})
+                                            </option>
+                                        ))}
+                                    </Form.Select>
+                                </Form.Group>
+                            </Col>
+                            <Col md={2}>
+                                <Form.Group className="mb-3">
+                                    <Form.Label>Storage</Form.Label>
+                                    <Form.Select
+                                        name="minStorage"
+                                        value={searchOptions.minStorage}
+                                        onChange={handleFilterChange}
+                                    >
+                                        <option value="">Any storage</option>
+                                        {(facets?.storage || []).map(facet => (
+                                            <option key={facet.minStorage} value={facet.minStorage} disabled={facet.count === 0}>
+                                                {formatStorage(facet.minStorage)} & up ({facet.count})
+                                            </option>
+                                        ))}
+                                    </Form.Select>
+                                </Form.Group>
+                            </Col>
+                            <Col md={2}>
+                                <Form.Group className="mb-3">
+                                    <Form.Label>Colour</Form.Label>
+                                    <Form.Select
+                                        name="colour"
+                                        value={searchOptions.colour.toLowerCase()}
+                                        onChange={handleFilterChange}
+                                    >
+                                        <option value="">Any colour</option>
+                                        {(facets?.colours || []).map(facet => (
+                                            <option key={facet.colour} value={facet.colour}>
+                                                {facet.colour} ({facet.count})
                                             </option>
                                         ))}
                                     </Form.Select>
                                 </Form.Group>
                             </Col>
-                            <Col md={8}>
+                            <Col md={2}>
+                                <Form.Group className="mb-3">
+                                    <Form.Label>Network</Form.Label>
+                                    <Form.Select
+                                        name="networkLock"
+                                        value={searchOptions.networkLock}
+                                        onChange={handleFilterChange}
+                                    >
+                                        <option value="">Any network</option>
+                                        {(facets?.networkLocks || []).map(facet => (
+                                            <option key={facet.networkLock} value={facet.networkLock} disabled={facet.count === 0}>
+                                                {NETWORK_LOCK_LABELS[facet.networkLock]} ({facet.count})
+                                            </option>
+                                        ))}
+                                    </Form.Select>
+                                </Form.Group>
+                            </Col>
+                            <Col md={2}>
+                                <Form.Group className="mb-3">
+                                    <Form.Label>Battery health</Form.Label>
+                                    <Form.Select
+                                        name="minBattery"
+                                        value={searchOptions.minBattery}
+                                        onChange={handleFilterChange}
+                                    >
+                                        <option value="">Any battery</option>
+                                        {BATTERY_OPTIONS.map(minBattery => (
+                                            <option key={minBattery} value={minBattery}>{minBattery}% & up</option>
+                                        ))}
+                                    </Form.Select>
+                                </Form.Group>
+                            </Col>
+                            <Col md={2}>
+                                <Form.Group className="mb-3">
+                                    <Form.Label>Model year</Form.Label>
+                                    <Form.Select
+                                        name="minYear"
+                                        value={searchOptions.minYear}
+                                        onChange={handleFilterChange}
+                                    >
+                                        <option value="">Any year</option>
+                                        {MODEL_YEAR_OPTIONS.map(minYear => (
+                                            <option key={minYear} value={minYear}>{minYear} & newer</option>
+                                        ))}
+                                    </Form.Select>
+                                </Form.Group>
+                            </Col>
+                        </Row>
+                        <Row>
+                            <Col md={12}>
                                 <Form.Group className="mb-3">
                                     <Form.Label>Price Range</Form.Label>
                                     <div className="d-flex flex-column">
@@ -256,23 +480,8 @@ const SearchResults = () => {
                                                 step={1}
                                                 min={priceRange.min === priceRange.max ? 0 : priceRange.min}
                                                 max={priceRange.min === priceRange.max ? priceRange.max : priceRange.max}
-                                                onChange={(values) => {
-                                                    const [min, max] = values;
-                                                    setFilters(prev => ({
-                                                        ...prev,
-                                                        minPrice: min,
-                                                        maxPrice: max
-                                                    }));
-                                                    setCurrentPage(1);
-                                                    setSearchOptions(prev => ({
-                                                        ...prev,
-                                                        price: {
-                                                            min: min,
-                                                            max: max
-                                                        },
-                                                        page: 1
-                                                    }));
-                                                }}
+                                                onChange={([min, max]) => setFilters({ minPrice: min, maxPrice: max })}
+                                                onFinalChange={handlePriceChange}
                                                 renderTrack={({ props, children }) => (
                                                     <div
                                                         {...props}
@@ -324,11 +533,38 @@ const SearchResults = () => {
                                                 )}
                                             />
                                         </div>
+                                        <div className="d-flex flex-wrap gap-2 mt-3">
+                                            {(facets?.priceBuckets || []).map(bucket => {
+                                                const max = bucket.max === null ? priceRange.max : bucket.max;
+                                                const active = searchOptions.min === bucket.min && searchOptions.max === max;
+                                                return (
+                                                    <Button
+                                                        key={bucket.min}
+                                                        size="sm"
+                                                        variant={active ? 'primary' : 'outline-secondary'}
+                                                        disabled={bucket.count === 0 && !active}
+                                                        onClick={() => updateSearch(active
+                                                            ? { min: undefined, max: undefined }
+                                                            : { min: bucket.min, max })}
+                                                    >
+                                                        {bucket.max === null ? `$${bucket.min}+` : `$${bucket.min} - $${bucket.max}`} ({bucket.count})
+                                                    </Button>
+                                                );
+                                            })}
+                                        </div>
                                     </div>
                                 </Form.Group>
                             </Col>
                         </Row>
                         <div className="d-flex justify-content-end">
+                            <Button
+                                variant="outline-primary"
+                                className="me-2"
+                                onClick={saveSearch}
+                            >
+                                <BookmarkPlus className="me-2" />
+                                Save search
+                            </Button>
                             <Button 
                                 variant="outline-secondary" 
                                 onClick={resetFilters}
@@ -339,6 +575,12 @@ const SearchResults = () => {
                     </Form>
                 </Card.Body>
             </Card>
+
+            {correctedSearch && (
+                <p className="text-muted">
+                    Including results for <strong>{correctedSearch}</strong>
+                </p>
+            )}
             
             <Row xs={1} sm={2} md={3} lg={4} className="g-4">
                 {searchResults.length > 0 ? (
@@ -374,7 +616,7 @@ const SearchResults = () => {
                     </Button>
                     <span className="ms-3 text-muted">
                         {totalPages > currentPage ? 
-                            `still have ${(totalPages - currentPage) * searchOptions.limit} phones left` : 
+                            `still have ${(totalPages - currentPage) * PAGE_SIZE} phones left` : 
                             'already show all results'}
                     </span>
                 </div>
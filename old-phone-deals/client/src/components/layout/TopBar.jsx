@@ -1,16 +1,142 @@
-import React, { useState } from 'react';
-import { Navbar, Form, FormControl, Button, InputGroup } from 'react-bootstrap';
+import React, { useState, useEffect } from 'react';
+import { Navbar, Form, FormControl, Button, InputGroup, ListGroup } from 'react-bootstrap';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
-import { Cart, Search, Heart } from 'react-bootstrap-icons';
+import { Cart, Search, Heart, ClockHistory, Tag } from 'react-bootstrap-icons';
 import styles from '../../styles/layout/TopBar.module.css';
+import apiService from '../../service/ApiService';
 import SwalService from '../../service/SwalService';
+import NotificationBell from './NotificationBell';
+
+// wait for a pause in typing before asking for suggestions
+const SUGGEST_DEBOUNCE_MS = 200;
+const SUGGEST_MIN_LENGTH = 2;
+
+/**
+ * Bold the part of a suggestion the typed text matches: the whole text, or else
+ * the start of the word its last word begins
+ * @param {string} text - Suggestion text
+ * @param {string} query - Typed text
+ * @returns {JSX.Element}
+ */
+const highlightMatch = (text, query) => {
+    const lowerText = text.toLowerCase();
+    const typed = query.trim().toLowerCase();
+    let start = lowerText.indexOf(typed);
+    let length = typed.length;
+
+    if (start === -1) {
+        const lastWord = typed.split(/\s+/).pop();
+        const isWordStart = (i) => i === 0 || !/[a-z0-9]/.test(lowerText[i - 1]);
+        start = lastWord ? lowerText.split('').findIndex((_, i) => isWordStart(i) && lowerText.startsWith(lastWord, i)) : -1;
+        if (start === -1) {
+            return <>{text}</>;
+        }
+        length = lastWord.length;
+    }
+
+    return (
+        <>
+            {text.slice(0, start)}
+            <strong>{text.slice(start, start + length)}</strong>
+            {text.slice(start + length)}
+        </>
+    );
+};
 
 const TopBar = () => {
     const { isAuthenticated, user, logout, isLoading } = useAuth();
     const [searchQuery, setSearchQuery] = useState('');
+    const [suggestions, setSuggestions] = useState([]);
+    const [showSuggestions, setShowSuggestions] = useState(false);
+    const [activeIndex, setActiveIndex] = useState(-1);
     const navigate = useNavigate();
 
+    // ask for suggestions once typing pauses, a newer request cancels the older one
+    useEffect(() => {
+        const query = searchQuery.trim();
+        if (query.length < SUGGEST_MIN_LENGTH) {
+            setSuggestions([]);
+            return undefined;
+        }
+
+        const controller = new AbortController();
+        const timer = setTimeout(async () => {
+            try {
+                const response = await apiService.get('/phone/suggest', { q: query }, { silent: true, signal: controller.signal });
+                if (response.success) {
+                    const { popular, brands, titles } = response.data;
+                    setSuggestions([
+                        ...popular.map(past => ({ type: 'query', key: `query-${past.query}`, label: past.query })),
+                        ...brands.map(brand => ({ type: 'brand', key: `brand-${brand}`, label: brand })),
+                        ...titles.map(phone => ({ type: 'phone', key: `phone-${phone._id}`, label: phone.title, id: phone._id }))
+                    ]);
+                    setActiveIndex(-1);
+                }
+            } catch (err) {
+                // suggestions are optional, the search itself still works
+            }
+        }, SUGGEST_DEBOUNCE_MS);
+
+        return () => {
+            clearTimeout(timer);
+            controller.abort();
+        };
+    }, [searchQuery]);
+
+    /**
+     * Run a search for the given text
+     * @param {string} query - search text
+     * @param {Object} extraParams - more search page parameters, e.g. a brand filter
+     */
+    const runSearch = (query, extraParams = {}) => {
+        const params = new URLSearchParams();
+        params.append('q', query);
+        Object.entries(extraParams).forEach(([key, value]) => params.append(key, value));
+        setShowSuggestions(false);
+        navigate(`/?${params.toString()}`);
+    };
+
+    /**
+     * Open a suggestion: a past query or brand runs a search, a title opens the phone
+     * @param {Object} suggestion - chosen suggestion
+     */
+    const selectSuggestion = (suggestion) => {
+        if (suggestion.type === 'phone') {
+            setShowSuggestions(false);
+            navigate(`/phone/${suggestion.id}`);
+            return;
+        }
+        setSearchQuery(suggestion.label);
+        if (suggestion.type === 'brand') {
+            runSearch(suggestion.label, { brand: suggestion.label });
+        } else {
+            runSearch(suggestion.label);
+        }
+    };
+
+    /**
+     * Move through the suggestions with the arrow keys, Enter opens one and Escape closes the list
+     * @param {KeyboardEvent} e - key down event of the search input
+     */
+    const handleSearchKeyDown = (e) => {
+        if (!showSuggestions || suggestions.length === 0) {
+            return;
+        }
+        if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            setActiveIndex(prev => (prev + 1) % suggestions.length);
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault();
+            setActiveIndex(prev => (prev <= 0 ? suggestions.length - 1 : prev - 1));
+        } else if (e.key === 'Enter' && activeIndex >= 0) {
+            e.preventDefault();
+            selectSuggestion(suggestions[activeIndex]);
+        } else if (e.key === 'Escape') {
+            setShowSuggestions(false);
+        }
+    };
+
     /**
      * Handle search form submission
      * @param {Event} e - form submission event
@@ -18,9 +144,7 @@ const TopBar = () => {
     const handleSearch = (e) => {
         e.preventDefault();
         if (searchQuery.trim()) {
-            const params = new URLSearchParams();
-            params.append('q', searchQuery.trim());
-            navigate(`/?${params.toString()}`);
+            runSearch(searchQuery.trim());
         }
     };
 
@@ -59,20 +183,57 @@ const TopBar = () => {
 
             {/* middle section */}
             <div className={styles.searchContainer}>
-                <Form className="w-100" onSubmit={handleSearch}>
+                <Form className={`w-100 ${styles.searchForm}`} onSubmit={handleSearch}>
                     <InputGroup>
                         <FormControl
                             type="search"
                             placeholder="Search phones..."
                             value={searchQuery}
-                            onChange={(e) => setSearchQuery(e.target.value)}
+                            onChange={(e) => {
+                                setSearchQuery(e.target.value);
+                                setShowSuggestions(true);
+                            }}
+                            onKeyDown={handleSearchKeyDown}
+                            onFocus={() => setShowSuggestions(true)}
+                            onBlur={() => setShowSuggestions(false)}
                             className={styles.searchInput}
                             aria-label="Search"
+                            role="combobox"
+                            aria-autocomplete="list"
+                            aria-expanded={showSuggestions && suggestions.length > 0}
+                            aria-controls="search-suggestions"
+                            aria-activedescendant={activeIndex >= 0 ? `search-suggestion-${activeIndex}` : undefined}
+                            autoComplete="off"
                         />
                         <Button variant="primary" type="submit">
                             <Search />
                         </Button>
                     </InputGroup>
+                    {showSuggestions && suggestions.length > 0 && (
+                        <ListGroup id="search-suggestions" role="listbox" className={styles.suggestionList}>
+                            {suggestions.map((suggestion, index) => (
+                                <ListGroup.Item
+                                    key={suggestion.key}
+                                    id={`search-suggestion-${index}`}
+                                    role="option"
+                                    aria-selected={index === activeIndex}
+                                    action
+                                    active={index === activeIndex}
+                                    className={styles.suggestionItem}
+                                    // keep the input focused so the click is not lost to its blur
+                                    onMouseDown={(e) => e.preventDefault()}
+                                    onMouseEnter={() => setActiveIndex(index)}
+                                    onClick={() => selectSuggestion(suggestion)}
+                                >
+                                    {suggestion.type === 'query' && <ClockHistory className="me-2 text-muted" />}
+                                    {suggestion.type === 'brand' && <Tag className="me-2 text-muted" />}
+                                    {suggestion.type === 'phone' && <Search className="me-2 text-muted" />}
+                                    {highlightMatch(suggestion.label, searchQuery)}
+                                    {suggestion.type === 'brand' && <small className="text-muted ms-2">brand</small>}
+                                </ListGroup.Item>
+                            ))}
+                        </ListGroup>
+                    )}
                 </Form>
             </div>
 
@@ -99,6 +260,10 @@ const TopBar = () => {
                     // if logged in
                     <div className="d-flex align-items-center">
                         <span className="me-2">Hello, {user?.firstname || 'User'}!</span>
+                        <NotificationBell />
+                        <Link to="/orders" className="me-2">
+                            <Button variant="outline-secondary">Orders</Button>
+                        </Link>
                         <Link to="/profile" className="me-2">
                             <Button variant="outline-secondary">Profile</Button>
                         </Link>
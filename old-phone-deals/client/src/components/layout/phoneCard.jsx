@@ -163,6 +163,11 @@ const PhoneCard = ({ phone, type, onPhoneSelect, showDetails = false }) => {
                   ${phone.price?.toFixed(2) || '0.00'}
                 </div>
                 {phone.averageRating && renderStars(phone.averageRating)}
+                {phone.availableStock !== undefined && (
+                  <small className={phone.availableStock > 0 ? 'text-muted' : 'text-danger'}>
+                    {phone.availableStock > 0 ? `${phone.availableStock} available` : 'Out of stock'}
+                  </small>
+                )}
               </div>
               <div className="d-flex justify-content-between mt-3">
                 <Button 
@@ -0,0 +1,195 @@
+import React, { useState } from 'react';
+import { Card, Button, Spinner, Alert, Badge, Form, Modal, Row, Col } from 'react-bootstrap';
+import PropTypes from 'prop-types';
+
+const EMPTY_ADDRESS = {
+  label: '',
+  recipient: '',
+  line1: '',
+  line2: '',
+  city: '',
+  state: '',
+  postcode: '',
+  country: '',
+  phone: ''
+};
+
+const REQUIRED_FIELDS = ['recipient', 'line1', 'city', 'state', 'postcode', 'country'];
+
+/**
+ * Address book component, the default address is preselected at checkout
+ * @param {Object} props - Component properties
+ * @param {Array} props.addresses - Saved addresses, default first
+ * @param {boolean} props.addressesLoading - Addresses loading state
+ * @param {Function} props.saveAddress - Function to add an address, or update it when an id is given
+ * @param {Function} props.deleteAddress - Function to delete an address
+ * @param {Function} props.setDefaultAddress - Function to make an address the default
+ * @param {boolean} props.loading - Global loading state
+ */
+const AddressBook = ({
+  addresses,
+  addressesLoading,
+  saveAddress,
+  deleteAddress,
+  setDefaultAddress,
+  loading
+}) => {
+  // edit dialog state, editingId is null when adding
+  const [showModal, setShowModal] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [addressData, setAddressData] = useState(EMPTY_ADDRESS);
+  const [makeDefault, setMakeDefault] = useState(false);
+
+  const openAddModal = () => {
+    setEditingId(null);
+    setAddressData(EMPTY_ADDRESS);
+    setMakeDefault(false);
+    setShowModal(true);
+  };
+
+  const openEditModal = (address) => {
+    setEditingId(address._id);
+    setAddressData(Object.keys(EMPTY_ADDRESS).reduce((data, field) => ({
+      ...data,
+      [field]: address[field] || ''
+    }), {}));
+    setShowModal(true);
+  };
+
+  const closeModal = () => {
+    setShowModal(false);
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setAddressData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSave = async () => {
+    const payload = editingId ? addressData : { ...addressData, isDefault: makeDefault };
+    const saved = await saveAddress(payload, editingId);
+    if (saved) {
+      closeModal();
+    }
+  };
+
+  const isComplete = REQUIRED_FIELDS.every(field => addressData[field].trim());
+
+  // render one text input of the dialog
+  const renderField = (name, label, placeholder = '') => (
+    <Form.Group className="mb-3">
+      <Form.Label>{label}</Form.Label>
+      <Form.Control
+        name={name}
+        value={addressData[name]}
+        onChange={handleChange}
+        placeholder={placeholder || (REQUIRED_FIELDS.includes(name) ? 'Required' : 'Optional')}
+      />
+    </Form.Group>
+  );
+
+  return (
+    <Card>
+      <Card.Header className="d-flex justify-content-between align-items-center">
+        <h5 className="mb-0">My addresses</h5>
+        <Button variant="primary" size="sm" onClick={openAddModal} disabled={loading}>
+          Add address
+        </Button>
+      </Card.Header>
+      <Card.Body>
+        {addressesLoading ? (
+          <div className="text-center py-5">
+            <Spinner animation="border" variant="primary" />
+            <p className="mt-2">Loading addresses...</p>
+          </div>
+        ) : addresses.length === 0 ? (
+          <Alert variant="info">
+            No saved addresses. Add one to check out.
+          </Alert>
+        ) : (
+          <Row xs={1} md={2} className="g-3">
+            {addresses.map(address => (
+              <Col key={address._id}>
+                <Card className="h-100">
+                  <Card.Body>
+                    <div className="d-flex justify-content-between mb-2">
+                      <strong>{address.label || address.recipient}</strong>
+                      {address.isDefault && <Badge bg="primary">Default</Badge>}
+                    </div>
+                    <div>{address.recipient}</div>
+                    <div>{address.line1}</div>
+                    {address.line2 && <div>{address.line2}</div>}
+                    <div>{address.city}, {address.state} {address.postcode}</div>
+                    <div>{address.country}</div>
+                    {address.phone && <small className="text-muted">{address.phone}</small>}
+                  </Card.Body>
+                  <Card.Footer className="d-flex gap-2">
+                    <Button variant="outline-primary" size="sm" onClick={() => openEditModal(address)} disabled={loading}>
+                      Edit
+                    </Button>
+                    {!address.isDefault && (
+                      <Button variant="outline-secondary" size="sm" onClick={() => setDefaultAddress(address._id)} disabled={loading}>
+                        Set as default
+                      </Button>
+                    )}
+                    <Button variant="outline-danger" size="sm" onClick={() => deleteAddress(address._id)} disabled={loading}>
+                      Delete
+                    </Button>
+                  </Card.Footer>
+                </Card>
+              </Col>
+            ))}
+          </Row>
+        )}
+      </Card.Body>
+
+      <Modal show={showModal} onHide={closeModal} centered>
+        <Modal.Header closeButton>
+          <Modal.Title>{editingId ? 'Edit address' : 'Add address'}</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {renderField('label', 'Label', 'e.g. Home or Work')}
+          {renderField('recipient', 'Recipient')}
+          {renderField('line1', 'Address line 1')}
+          {renderField('line2', 'Address line 2')}
+          <Row>
+            <Col>{renderField('city', 'City')}</Col>
+            <Col>{renderField('state', 'State')}</Col>
+          </Row>
+          <Row>
+            <Col>{renderField('postcode', 'Postcode')}</Col>
+            <Col>{renderField('country', 'Country')}</Col>
+          </Row>
+          {renderField('phone', 'Phone')}
+          {!editingId && addresses.length > 0 && (
+            <Form.Check
+              type="checkbox"
+              label="Use as default address"
+              checked={makeDefault}
+              onChange={(e) => setMakeDefault(e.target.checked)}
+            />
+          )}
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={closeModal}>
+            Close
+          </Button>
+          <Button variant="primary" onClick={handleSave} disabled={loading || !isComplete}>
+            Save
+          </Button>
+        </Modal.Footer>
+      </Modal>
+    </Card>
+  );
+};
+
+AddressBook.propTypes = {
+  addresses: PropTypes.array,
+  addressesLoading: PropTypes.bool.isRequired,
+  saveAddress: PropTypes.func.isRequired,
+  deleteAddress: PropTypes.func.isRequired,
+  setDefaultAddress: PropTypes.func.isRequired,
+  loading: PropTypes.bool.isRequired
+};
+
+export default AddressBook;
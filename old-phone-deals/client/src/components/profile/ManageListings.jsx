@@ -3,6 +3,16 @@ import { Table, Button, Card, Spinner, Alert, Badge, Modal, Form, Row, Col } fro
 import PropTypes from 'prop-types';
 import { PlusCircle, PencilSquare, Trash, ToggleOn, ToggleOff } from 'react-bootstrap-icons';
 import SwalService from '../../service/SwalService';
+import {
+  CONDITION_LABELS,
+  NETWORK_LOCK_LABELS,
+  STORAGE_OPTIONS_GB,
+  MIN_MODEL_YEAR,
+  MAX_COLOUR_LENGTH,
+  MAX_DESCRIPTION_LENGTH,
+  EMPTY_LISTING_ATTRIBUTES,
+  formatStorage
+} from '../../config/phoneAttributes';
 
 /**
  * Manage user product list component
@@ -14,7 +24,9 @@ import SwalService from '../../service/SwalService';
  * @param {Function} props.setListingData - Function to update product form data
  * @param {boolean} props.showAddListingModal - Whether to show the add product modal
  * @param {Function} props.setShowAddListingModal - Function to control the display/hide of the add product modal
- * @param {Function} props.addNewListing - Add new product function
+ * @param {string} props.editingListingId - Id of the product the modal edits, null when it adds a new one
+ * @param {Function} props.openEditListing - Function to open the modal filled in with a product
+ * @param {Function} props.addNewListing - Add new product function, saves the edited product in edit mode
  * @param {Function} props.togglePhoneStatus - Toggle product status function
  * @param {Function} props.deletePhoneListing - Delete product function
  * @param {Function} props.fetchUserListings - Function to fetch latest user listings
@@ -28,6 +40,8 @@ const ManageListings = ({
   setListingData,
   showAddListingModal,
   setShowAddListingModal,
+  editingListingId,
+  openEditListing,
   addNewListing,
   togglePhoneStatus,
   deletePhoneListing,
@@ -193,7 +207,7 @@ const ManageListings = ({
       restoreFocus={true}
     >
       <Modal.Header closeButton>
-        <Modal.Title id="add-product-modal-title">Add new product</Modal.Title>
+        <Modal.Title id="add-product-modal-title">{editingListingId ? 'Edit product' : 'Add new product'}</Modal.Title>
       </Modal.Header>
       <Modal.Body>
         <Form onSubmit={(e) => {
@@ -205,7 +219,11 @@ const ManageListings = ({
             brand: listingData.brand?.trim() || '',
             price: listingData.price ? parseFloat(listingData.price) : 0,
             stock: listingData.stock ? parseInt(listingData.stock) : 0,
-            image: listingData.image || null
+            image: listingData.image || null,
+            ...Object.keys(EMPTY_LISTING_ATTRIBUTES).reduce((attributes, key) => ({
+              ...attributes,
+              [key]: typeof listingData[key] === 'string' ? listingData[key].trim() : (listingData[key] ?? '')
+            }), {})
           };
           
           // check required fields
@@ -290,6 +308,7 @@ const ManageListings = ({
             </Form.Control.Feedback>
             <Form.Text className="text-muted">
               Supported formats: JPG, PNG, GIF. Max size: 10MB (large images will be compressed)
+              {editingListingId && '. Leave empty to keep the current image'}
             </Form.Text>
             {listingData.image && (
               <div className="mt-2">
@@ -346,6 +365,114 @@ const ManageListings = ({
               </Form.Group>
             </Col>
           </Row>
+
+          <Row>
+            <Col md={6}>
+              <Form.Group className="mb-3">
+                <Form.Label>Condition</Form.Label>
+                <Form.Select
+                  name="condition"
+                  value={listingData.condition || ''}
+                  onChange={handleChange}
+                >
+                  <option value="">Not specified</option>
+                  {Object.entries(CONDITION_LABELS).map(([condition, label]) => (
+                    <option key={condition} value={condition}>{label}</option>
+                  ))}
+                </Form.Select>
+              </Form.Group>
+            </Col>
+            <Col md={6}>
+              <Form.Group className="mb-3">
+                <Form.Label>Network lock</Form.Label>
+                <Form.Select
+                  name="networkLock"
+                  value={listingData.networkLock || ''}
+                  onChange={handleChange}
+                >
+                  <option value="">Not specified</option>
+                  {Object.entries(NETWORK_LOCK_LABELS).map(([networkLock, label]) => (
+                    <option key={networkLock} value={networkLock}>{label}</option>
+                  ))}
+                </Form.Select>
+              </Form.Group>
+            </Col>
+          </Row>
+
+          <Row>
+            <Col md={6}>
+              <Form.Group className="mb-3">
+                <Form.Label>Storage</Form.Label>
+                <Form.Select
+                  name="storageGb"
+                  value={listingData.storageGb || ''}
+                  onChange={handleChange}
+                >
+                  <option value="">Not specified</option>
+                  {STORAGE_OPTIONS_GB.map(storageGb => (
+                    <option key={storageGb} value={storageGb}>{formatStorage(storageGb)}</option>
+                  ))}
+                </Form.Select>
+              </Form.Group>
+            </Col>
+            <Col md={6}>
+              <Form.Group className="mb-3">
+                <Form.Label>Colour</Form.Label>
+                <Form.Control
+                  type="text"
+                  name="colour"
+                  value={listingData.colour || ''}
+                  onChange={handleChange}
+                  maxLength={MAX_COLOUR_LENGTH}
+                  placeholder="e.g. Space grey"
+                />
+              </Form.Group>
+            </Col>
+          </Row>
+
+          <Row>
+            <Col md={6}>
+              <Form.Group className="mb-3">
+                <Form.Label>Battery health (%)</Form.Label>
+                <Form.Control
+                  type="number"
+                  name="batteryHealth"
+                  value={listingData.batteryHealth ?? ''}
+                  onChange={handleChange}
+                  min="0"
+                  max="100"
+                  step="1"
+                />
+              </Form.Group>
+            </Col>
+            <Col md={6}>
+              <Form.Group className="mb-3">
+                <Form.Label>Model year</Form.Label>
+                <Form.Control
+                  type="number"
+                  name="modelYear"
+                  value={listingData.modelYear ?? ''}
+                  onChange={handleChange}
+                  min={MIN_MODEL_YEAR}
+                  max={new Date().getFullYear() + 1}
+                  step="1"
+                />
+              </Form.Group>
+            </Col>
+          </Row>
+
+          <Form.Group className="mb-3">
+            <Form.Label>Description</Form.Label>
+            <Form.Control
+              as="textarea"
+              rows={3}
+              name="description"
+              value={listingData.description || ''}
+              onChange={handleChange}
+              maxLength={MAX_DESCRIPTION_LENGTH}
+              placeholder="Scratches, accessories included, repairs..."
+            />
+          </Form.Group>
           
           <div className="d-flex justify-content-end gap-2 mt-4">
             <Button 
@@ -359,7 +486,7 @@ const ManageListings = ({
               type="submit"
               disabled={loading}
             >
-              {loading ? 'Adding...' : 'Add product'}
+              {loading ? 'Saving...' : editingListingId ? 'Save changes' : 'Add product'}
             </Button>
           </div>
         </Form>
@@ -428,6 +555,14 @@ const ManageListings = ({
                       </td>
                       <td>
                         <div className="d-flex gap-2">
+                          <Button
+                            variant="outline-primary"
+                            size="sm"
+                            onClick={() => openEditListing(item)}
+                            disabled={loading}
+                          >
+                            <PencilSquare className="me-1" /> Edit
+                          </Button>
                           <Button 
                             variant={!isItemDisabled(item) ? "warning" : "success"} 
                             size="sm"
@@ -472,12 +607,21 @@ ManageListings.propTypes = {
     brand: PropTypes.string.isRequired,
     image: PropTypes.oneOfType([PropTypes.string, PropTypes.object]).isRequired,
     price: PropTypes.oneOfType([PropTypes.number, PropTypes.string]).isRequired,
-    stock: PropTypes.oneOfType([PropTypes.number, PropTypes.string]).isRequired
+    stock: PropTypes.oneOfType([PropTypes.number, PropTypes.string]).isRequired,
+    description: PropTypes.string,
+    condition: PropTypes.string,
+    storageGb: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+    colour: PropTypes.string,
+    networkLock: PropTypes.string,
+    batteryHealth: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+    modelYear: PropTypes.oneOfType([PropTypes.number, PropTypes.string])
   }).isRequired,
   listingErrors: PropTypes.object.isRequired,
   setListingData: PropTypes.func.isRequired,
   showAddListingModal: PropTypes.bool.isRequired,
   setShowAddListingModal: PropTypes.func.isRequired,
+  editingListingId: PropTypes.string,
+  openEditListing: PropTypes.func.isRequired,
   addNewListing: PropTypes.func.isRequired,
   togglePhoneStatus: PropTypes.func.isRequired,
   deletePhoneListing: PropTypes.func.isRequired,
@@ -0,0 +1,224 @@
+import React, { useState } from 'react';
+import { Card, Table, Button, Spinner, Alert, Badge, Form, Modal } from 'react-bootstrap';
+import PropTypes from 'prop-types';
+import {
+  RETURN_TRANSITIONS,
+  RETURN_STATUS_LABELS,
+  RETURN_STATUS_VARIANTS,
+  RETURN_ACTION_LABELS,
+  RETURN_REASON_LABELS
+} from '../../config/orderStatus';
+
+/**
+ * Returns component, lists the return requests buyers opened for items the user sold
+ * @param {Object} props - Component properties
+ * @param {Array} props.returns - Return request list
+ * @param {boolean} props.returnsLoading - Returns loading state
+ * @param {string} props.statusFilter - Current status filter, empty for all
+ * @param {Function} props.onStatusFilterChange - Function to change the status filter
+ * @param {Function} props.updateReturnStatus - Function to move a return to a new status
+ * @param {boolean} props.loading - Global loading state
+ */
+const MyReturns = ({
+  returns,
+  returnsLoading,
+  statusFilter,
+  onStatusFilterChange,
+  updateReturnStatus,
+  loading
+}) => {
+  // confirm dialog state, rejecting needs a note and refunding is confirmed first
+  const [pendingAction, setPendingAction] = useState(null);
+  const [note, setNote] = useState('');
+
+  const openConfirmModal = (returnRequest, status) => {
+    setPendingAction({ returnRequest, status });
+    setNote('');
+  };
+
+  const closeConfirmModal = () => {
+    setPendingAction(null);
+  };
+
+  const handleConfirm = async () => {
+    const updated = await updateReturnStatus(pendingAction.returnRequest._id, pendingAction.status, note.trim() || undefined);
+    if (updated) {
+      closeConfirmModal();
+    }
+  };
+
+  const handleAction = (returnRequest, status) => {
+    if (status === 'rejected' || status === 'refunded') {
+      openConfirmModal(returnRequest, status);
+    } else {
+      updateReturnStatus(returnRequest._id, status);
+    }
+  };
+
+  // render the action buttons allowed from the current status
+  const renderActions = (returnRequest) => {
+    const nextStatuses = RETURN_TRANSITIONS[returnRequest.status] || [];
+
+    if (nextStatuses.length === 0) {
+      return <span className="text-muted">-</span>;
+    }
+
+    return (
+      <div className="d-flex gap-2">
+        {nextStatuses.map(status => (
+          <Button
+            key={status}
+            size="sm"
+            variant={status === 'rejected' ? 'outline-danger' : 'primary'}
+            onClick={() => handleAction(returnRequest, status)}
+            disabled={loading}
+          >
+            {RETURN_ACTION_LABELS[status]}
+          </Button>
+        ))}
+      </div>
+    );
+  };
+
+  const isRejecting = pendingAction?.status === 'rejected';
+
+  return (
+    <Card className="mb-4">
+      <Card.Header className="bg-white border-0 d-flex justify-content-between align-items-center">
+        <h4 className="mb-0">Returns</h4>
+        <Form.Select
+          size="sm"
+          style={{ width: 'auto' }}
+          value={statusFilter}
+          onChange={(e) => onStatusFilterChange(e.target.value)}
+        >
+          <option value="">All statuses</option>
+          {Object.keys(RETURN_STATUS_LABELS).map(status => (
+            <option key={status} value={status}>{RETURN_STATUS_LABELS[status]}</option>
+          ))}
+        </Form.Select>
+      </Card.Header>
+      <Card.Body>
+        {returnsLoading ? (
+          <div className="text-center py-5">
+            <Spinner animation="border" variant="primary" />
+            <p className="mt-2">Loading returns...</p>
+          </div>
+        ) : returns.length === 0 ? (
+          <Alert variant="info">
+            No returns. Buyers asking to return items you sold will appear here.
+          </Alert>
+        ) : (
+          <Table responsive hover className="align-middle">
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>Buyer</th>
+                <th>Item</th>
+                <th>Reason</th>
+                <th>Refund</th>
+                <th>Status</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {returns.map(returnRequest => {
+                const lastNote = [...(returnRequest.statusHistory || [])].reverse().find(entry => entry.note)?.note;
+                return (
+                  <tr key={returnRequest._id}>
+                    <td>{new Date(returnRequest.createdAt).toLocaleDateString()}</td>
+                    <td>
+                      {returnRequest.buyer ? (
+                        <>
+                          <div>{returnRequest.buyer.firstname} {returnRequest.buyer.lastname}</div>
+                          <small className="text-muted">{returnRequest.buyer.email}</small>
+                        </>
+                      ) : (
+                        <span className="text-muted">Unknown buyer</span>
+                      )}
+                    </td>
+                    <td>{returnRequest.phone?.title || 'Removed listing'} x {returnRequest.quantity}</td>
+                    <td>
+                      <div>{RETURN_REASON_LABELS[returnRequest.reason] || returnRequest.reason}</div>
+                      {returnRequest.details && <small className="text-muted d-block">{returnRequest.details}</small>}
+                      {returnRequest.photos?.length > 0 && (
+                        <div className="d-flex gap-1 mt-1">
+                          {returnRequest.photos.map(photo => (
+                            <a key={photo} href={`http://localhost:7777${photo}`} target="_blank" rel="noreferrer">
+                              <img
+                                src={`http://localhost:7777${photo}`}
+                                alt="Return"
+                                style={{ width: '40px', height: '40px', objectFit: 'cover' }}
+                              />
+                            </a>
+                          ))}
+                        </div>
+                      )}
+                    </td>
+                    <td>${returnRequest.refundAmount.toFixed(2)}</td>
+                    <td>
+                      <Badge bg={RETURN_STATUS_VARIANTS[returnRequest.status] || 'secondary'}>
+                        {RETURN_STATUS_LABELS[returnRequest.status] || returnRequest.status}
+                      </Badge>
+                      {lastNote && <small className="text-muted d-block">{lastNote}</small>}
+                    </td>
+                    <td>{renderActions(returnRequest)}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </Table>
+        )}
+      </Card.Body>
+
+      <Modal show={!!pendingAction} onHide={closeConfirmModal} centered>
+        <Modal.Header closeButton>
+          <Modal.Title>{isRejecting ? 'Reject return' : 'Refund return'}</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {isRejecting ? (
+            <Form.Group>
+              <Form.Label>Reason shown to the buyer</Form.Label>
+              <Form.Control
+                as="textarea"
+                rows={3}
+                maxLength={500}
+                value={note}
+                onChange={(e) => setNote(e.target.value)}
+                placeholder="Required"
+              />
+            </Form.Group>
+          ) : pendingAction && (
+            <p className="mb-0">
+              Refund ${pendingAction.returnRequest.refundAmount.toFixed(2)} to the buyer
+              and put {pendingAction.returnRequest.quantity} item(s) back in stock?
+            </p>
+          )}
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={closeConfirmModal}>
+            Close
+          </Button>
+          <Button
+            variant={isRejecting ? 'danger' : 'primary'}
+            onClick={handleConfirm}
+            disabled={loading || (isRejecting && !note.trim())}
+          >
+            {isRejecting ? 'Reject' : 'Refund'}
+          </Button>
+        </Modal.Footer>
+      </Modal>
+    </Card>
+  );
+};
+
+MyReturns.propTypes = {
+  returns: PropTypes.array,
+  returnsLoading: PropTypes.bool.isRequired,
+  statusFilter: PropTypes.string,
+  onStatusFilterChange: PropTypes.func.isRequired,
+  updateReturnStatus: PropTypes.func.isRequired,
+  loading: PropTypes.bool.isRequired
+};
+
+export default MyReturns;
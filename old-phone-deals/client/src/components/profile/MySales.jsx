@@ -0,0 +1,215 @@
+import React, { useState } from 'react';
+import { Card, Table, Button, Spinner, Alert, Badge, Form, Modal } from 'react-bootstrap';
+import PropTypes from 'prop-types';
+import {
+  FULFILMENT_TRANSITIONS,
+  FULFILMENT_STATUS_LABELS,
+  FULFILMENT_STATUS_VARIANTS
+} from '../../config/orderStatus';
+
+/**
+ * My sales component, lists the per-seller fulfilments of orders that contain the user's listings
+ * @param {Object} props - Component properties
+ * @param {Array} props.sales - Fulfilment list
+ * @param {boolean} props.salesLoading - Sales loading state
+ * @param {string} props.statusFilter - Current status filter, empty for all
+ * @param {Function} props.onStatusFilterChange - Function to change the status filter
+ * @param {Function} props.updateSaleStatus - Function to move a fulfilment to a new status
+ * @param {boolean} props.loading - Global loading state
+ */
+const MySales = ({
+  sales,
+  salesLoading,
+  statusFilter,
+  onStatusFilterChange,
+  updateSaleStatus,
+  loading
+}) => {
+  // ship dialog state, shipping needs a tracking number
+  const [shippingSale, setShippingSale] = useState(null);
+  const [trackingNumber, setTrackingNumber] = useState('');
+  const [carrier, setCarrier] = useState('');
+
+  const openShipModal = (sale) => {
+    setShippingSale(sale);
+    setTrackingNumber('');
+    setCarrier('');
+  };
+
+  const closeShipModal = () => {
+    setShippingSale(null);
+  };
+
+  const handleShip = async () => {
+    const updated = await updateSaleStatus(shippingSale._id, 'shipped', {
+      trackingNumber: trackingNumber.trim(),
+      carrier: carrier.trim() || undefined
+    });
+    if (updated) {
+      closeShipModal();
+    }
+  };
+
+  // render the action buttons allowed from the current status
+  const renderActions = (sale) => {
+    const nextStatuses = FULFILMENT_TRANSITIONS[sale.status] || [];
+
+    if (nextStatuses.length === 0) {
+      return <span className="text-muted">-</span>;
+    }
+
+    return (
+      <div className="d-flex gap-2">
+        {nextStatuses.includes('shipped') && (
+          <Button size="sm" variant="primary" onClick={() => openShipModal(sale)} disabled={loading}>
+            Ship
+          </Button>
+        )}
+        {nextStatuses.includes('delivered') && (
+          <Button size="sm" variant="success" onClick={() => updateSaleStatus(sale._id, 'delivered')} disabled={loading}>
+            Mark delivered
+          </Button>
+        )}
+        {nextStatuses.includes('cancelled') && (
+          <Button size="sm" variant="outline-danger" onClick={() => updateSaleStatus(sale._id, 'cancelled')} disabled={loading}>
+            Cancel
+          </Button>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <Card className="mb-4">
+      <Card.Header className="bg-white border-0 d-flex justify-content-between align-items-center">
+        <h4 className="mb-0">My sales</h4>
+        <Form.Select
+          size="sm"
+          style={{ width: 'auto' }}
+          value={statusFilter}
+          onChange={(e) => onStatusFilterChange(e.target.value)}
+        >
+          <option value="">All statuses</option>
+          {Object.keys(FULFILMENT_STATUS_LABELS).map(status => (
+            <option key={status} value={status}>{FULFILMENT_STATUS_LABELS[status]}</option>
+          ))}
+        </Form.Select>
+      </Card.Header>
+      <Card.Body>
+        {salesLoading ? (
+          <div className="text-center py-5">
+            <Spinner animation="border" variant="primary" />
+            <p className="mt-2">Loading sales...</p>
+          </div>
+        ) : sales.length === 0 ? (
+          <Alert variant="info">
+            No sales yet. Orders containing your listings will appear here.
+          </Alert>
+        ) : (
+          <Table responsive hover className="align-middle">
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>Buyer</th>
+                <th>Items</th>
+                <th>Subtotal</th>
+                <th>Status</th>
+                <th>Tracking</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {sales.map(sale => (
+                <tr key={sale._id}>
+                  <td>{new Date(sale.createdAt).toLocaleDateString()}</td>
+                  <td>
+                    {sale.buyer ? (
+                      <>
+                        <div>{sale.buyer.firstname} {sale.buyer.lastname}</div>
+                        <small className="text-muted">{sale.buyer.email}</small>
+                      </>
+                    ) : (
+                      <span className="text-muted">Unknown buyer</span>
+                    )}
+                  </td>
+                  <td>
+                    {sale.items.map((item, index) => (
+                      <div key={index}>
+                        {item.phone?.title || 'Removed listing'} x {item.quantity}
+                      </div>
+                    ))}
+                  </td>
+                  <td>
+                    ${sale.subtotal.toFixed(2)}
+                    {sale.shippingCost > 0 && (
+                      <div><small className="text-muted">+ ${sale.shippingCost.toFixed(2)} shipping</small></div>
+                    )}
+                  </td>
+                  <td>
+                    <Badge bg={FULFILMENT_STATUS_VARIANTS[sale.status] || 'secondary'}>
+                      {FULFILMENT_STATUS_LABELS[sale.status] || sale.status}
+                    </Badge>
+                  </td>
+                  <td>
+                    {sale.trackingNumber ? (
+                      <>
+                        <div>{sale.trackingNumber}</div>
+                        {sale.carrier && <small className="text-muted">{sale.carrier}</small>}
+                      </>
+                    ) : (
+                      <span className="text-muted">-</span>
+                    )}
+                  </td>
+                  <td>{renderActions(sale)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        )}
+      </Card.Body>
+
+      <Modal show={!!shippingSale} onHide={closeShipModal} centered>
+        <Modal.Header closeButton>
+          <Modal.Title>Ship sale</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          <Form.Group className="mb-3">
+            <Form.Label>Tracking number</Form.Label>
+            <Form.Control
+              value={trackingNumber}
+              onChange={(e) => setTrackingNumber(e.target.value)}
+              placeholder="Required"
+            />
+          </Form.Group>
+          <Form.Group>
+            <Form.Label>Carrier</Form.Label>
+            <Form.Control
+              value={carrier}
+              onChange={(e) => setCarrier(e.target.value)}
+              placeholder="Optional"
+            />
+          </Form.Group>
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={closeShipModal}>
+            Close
+          </Button>
+          <Button variant="primary" onClick={handleShip} disabled={loading || !trackingNumber.trim()}>
+            Mark shipped
+          </Button>
+        </Modal.Footer>
+      </Modal>
+    </Card>
+  );
+};
+
+MySales.propTypes = {
+  sales: PropTypes.array,
+  salesLoading: PropTypes.bool.isRequired,
+  statusFilter: PropTypes.string,
+  onStatusFilterChange: PropTypes.func.isRequired,
+  updateSaleStatus: PropTypes.func.isRequired,
+  loading: PropTypes.bool.isRequired
+};
+
+export default MySales;
@@ -0,0 +1,155 @@
+import React, { useState, useEffect } from 'react';
+import { Card, Table, Button, Spinner, Alert, Badge, Form } from 'react-bootstrap';
+import PropTypes from 'prop-types';
+import { NOTIFICATION_EVENT_LABELS, DIGEST_FREQUENCY_LABELS } from '../../config/notificationEvents';
+
+/**
+ * Notification preferences component, per event in-app and email switches plus the email digest frequency
+ * @param {Object} props - Component properties
+ * @param {Object} props.preferences - Saved preferences { events: { type: { inApp, email, digestible } }, digest }
+ * @param {boolean} props.preferencesLoading - Preferences loading state
+ * @param {Function} props.savePreferences - Function to save the changed preferences
+ * @param {boolean} props.loading - Global loading state
+ */
+const NotificationPreferences = ({
+  preferences,
+  preferencesLoading,
+  savePreferences,
+  loading
+}) => {
+  // edited copy, saved in one go
+  const [draft, setDraft] = useState(preferences);
+
+  useEffect(() => {
+    setDraft(preferences);
+  }, [preferences]);
+
+  const toggleChannel = (type, channel) => {
+    setDraft(prev => ({
+      ...prev,
+      events: {
+        ...prev.events,
+        [type]: { ...prev.events[type], [channel]: !prev.events[type][channel] }
+      }
+    }));
+  };
+
+  const handleSave = () => {
+    const events = Object.keys(draft.events).reduce((changed, type) => ({
+      ...changed,
+      [type]: { inApp: draft.events[type].inApp, email: draft.events[type].email }
+    }), {});
+    savePreferences({ events, digest: draft.digest });
+  };
+
+  const isDirty = JSON.stringify(draft) !== JSON.stringify(preferences);
+
+  if (preferencesLoading || !draft) {
+    return (
+      <Card className="mb-4">
+        <Card.Body>
+          <div className="text-center py-5">
+            <Spinner animation="border" variant="primary" />
+            <p className="mt-2">Loading notification settings...</p>
+          </div>
+        </Card.Body>
+      </Card>
+    );
+  }
+
+  return (
+    <Card className="mb-4">
+      <Card.Header className="bg-white border-0">
+        <h4 className="mb-0">Notifications</h4>
+      </Card.Header>
+      <Card.Body>
+        <Table responsive hover className="align-middle">
+          <thead>
+            <tr>
+              <th>Notify me when</th>
+              <th className="text-center">In-app</th>
+              <th className="text-center">Email</th>
+            </tr>
+          </thead>
+          <tbody>
+            {Object.keys(draft.events).map(type => {
+              const channels = draft.events[type];
+              return (
+                <tr key={type}>
+                  <td>
+                    {NOTIFICATION_EVENT_LABELS[type] || type}
+                    {channels.digestible && draft.digest !== 'off' && channels.email && (
+                      <Badge bg="info" className="ms-2">In digest</Badge>
+                    )}
+                    {!channels.inApp && !channels.email && (
+                      <Badge bg="secondary" className="ms-2">Off</Badge>
+                    )}
+                  </td>
+                  <td className="text-center">
+                    <Form.Check
+                      type="switch"
+                      id={`${type}-inApp`}
+                      className="d-inline-block"
+                      checked={channels.inApp}
+                      onChange={() => toggleChannel(type, 'inApp')}
+                      aria-label={`${NOTIFICATION_EVENT_LABELS[type] || type} in-app`}
+                    />
+                  </td>
+                  <td className="text-center">
+                    <Form.Check
+                      type="switch"
+                      id={`${type}-email`}
+                      className="d-inline-block"
+                      checked={channels.email}
+                      onChange={() => toggleChannel(type, 'email')}
+                      aria-label={`${NOTIFICATION_EVENT_LABELS[type] || type} email`}
+                    />
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </Table>
+
+        <Form.Group className="mb-3">
+          <Form.Label>Email digest</Form.Label>
+          <Form.Select
+            style={{ maxWidth: '320px' }}
+            value={draft.digest}
+            onChange={(e) => setDraft(prev => ({ ...prev, digest: e.target.value }))}
+          >
+            {Object.keys(DIGEST_FREQUENCY_LABELS).map(frequency => (
+              <option key={frequency} value={frequency}>{DIGEST_FREQUENCY_LABELS[frequency]}</option>
+            ))}
+          </Form.Select>
+          <Form.Text className="text-muted">
+            With a digest, emails about reviews, wishlist alerts and saved search matches are collected and sent together once a day or once a week.
+            Emails about orders and returns are always sent right away.
+          </Form.Text>
+        </Form.Group>
+
+        {Object.values(draft.events).every(channels => !channels.email) && (
+          <Alert variant="info">
+            You will not receive any notification emails. Account and order confirmation emails are still sent.
+          </Alert>
+        )}
+
+        <Button variant="primary" onClick={handleSave} disabled={loading || !isDirty}>
+          Save settings
+        </Button>
+      </Card.Body>
+    </Card>
+  );
+};
+
+NotificationPreferences.propTypes = {
+  preferences: PropTypes.shape({
+    events: PropTypes.object,
+    digest: PropTypes.string
+  }),
+  preferencesLoading: PropTypes.bool.isRequired,
+  savePreferences: PropTypes.func.isRequired,
+  loading: PropTypes.bool.isRequired
+};
+
+export default NotificationPreferences;
@@ -0,0 +1,108 @@
+import React from 'react';
+import { Card, Table, Button, Spinner, Alert, Badge } from 'react-bootstrap';
+import { useNavigate } from 'react-router-dom';
+import PropTypes from 'prop-types';
+
+/**
+ * Search page URL of a saved search
+ * @param {Object} search - Saved search
+ * @returns {string}
+ */
+const getSearchUrl = (search) => {
+  const params = new URLSearchParams({ q: search.query });
+  if (search.brand) params.append('brand', search.brand);
+  if (search.minPrice !== undefined && search.minPrice !== null) params.append('minPrice', search.minPrice);
+  if (search.maxPrice !== undefined && search.maxPrice !== null) params.append('maxPrice', search.maxPrice);
+  return `/?${params.toString()}`;
+};
+
+/**
+ * Saved searches component, new listings matching a saved search notify the user
+ * @param {Object} props - Component properties
+ * @param {Array} props.savedSearches - Saved searches, newest first
+ * @param {boolean} props.savedSearchesLoading - Saved searches loading state
+ * @param {Function} props.deleteSavedSearch - Function to delete a saved search
+ * @param {boolean} props.loading - Global loading state
+ */
+const SavedSearches = ({
+  savedSearches,
+  savedSearchesLoading,
+  deleteSavedSearch,
+  loading
+}) => {
+  const navigate = useNavigate();
+
+  return (
+    <Card className="mb-4">
+      <Card.Header className="bg-white border-0">
+        <h4 className="mb-0">Saved searches</h4>
+      </Card.Header>
+      <Card.Body>
+        {savedSearchesLoading ? (
+          <div className="text-center py-5">
+            <Spinner animation="border" variant="primary" />
+            <p className="mt-2">Loading saved searches...</p>
+          </div>
+        ) : savedSearches.length === 0 ? (
+          <Alert variant="info">
+            You have no saved searches. Search for a phone and click "Save search" to be notified about new matching listings.
+          </Alert>
+        ) : (
+          <Table responsive hover className="align-middle">
+            <thead>
+              <tr>
+                <th>Search</th>
+                <th>Saved</th>
+                <th>Matches</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {savedSearches.map(search => (
+                <tr key={search._id}>
+                  <td>{search.description}</td>
+                  <td>{new Date(search.createdAt).toLocaleDateString()}</td>
+                  <td>
+                    <Badge bg={search.matchCount > 0 ? 'success' : 'secondary'} pill>{search.matchCount || 0}</Badge>
+                    {search.lastMatchedAt && (
+                      <small className="text-muted ms-2">
+                        last {new Date(search.lastMatchedAt).toLocaleDateString()}
+                      </small>
+                    )}
+                  </td>
+                  <td className="text-end">
+                    <Button
+                      variant="outline-primary"
+                      size="sm"
+                      className="me-2"
+                      onClick={() => navigate(getSearchUrl(search))}
+                    >
+                      Run search
+                    </Button>
+                    <Button
+                      variant="outline-danger"
+                      size="sm"
+                      onClick={() => deleteSavedSearch(search._id)}
+                      disabled={loading}
+                    >
+                      Delete
+                    </Button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        )}
+      </Card.Body>
+    </Card>
+  );
+};
+
+SavedSearches.propTypes = {
+  savedSearches: PropTypes.array.isRequired,
+  savedSearchesLoading: PropTypes.bool.isRequired,
+  deleteSavedSearch: PropTypes.func.isRequired,
+  loading: PropTypes.bool.isRequired
+};
+
+export default SavedSearches;
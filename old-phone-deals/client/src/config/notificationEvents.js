@@ -0,0 +1,19 @@
+// notification events users can configure, mirrors NOTIFICATION_EVENTS in server/config/notificationEvents.js
+export const NOTIFICATION_EVENT_LABELS = {
+    ORDER_ON_LISTING: 'Someone orders one of my listings',
+    ORDER_SHIPPED: 'Items of my order ship',
+    NEW_REVIEW: 'Someone reviews one of my listings',
+    REVIEW_HIDDEN: 'A seller hides my review',
+    LISTING_DISABLED: 'An administrator disables one of my listings',
+    RETURN_REQUESTED: 'A buyer asks to return an item I sold',
+    RETURN_UPDATED: 'My return is approved, rejected, received or refunded',
+    PRICE_DROP: 'A phone on my wishlist gets cheaper',
+    BACK_IN_STOCK: 'A sold out phone on my wishlist is restocked',
+    SAVED_SEARCH_MATCH: 'A new listing matches one of my saved searches'
+};
+
+export const DIGEST_FREQUENCY_LABELS = {
+    off: 'Off, email each event right away',
+    daily: 'Daily digest',
+    weekly: 'Weekly digest'
+};
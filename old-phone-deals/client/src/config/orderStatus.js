@@ -0,0 +1,127 @@
+// order lifecycle, mirrors ORDER_TRANSITIONS in server/models/order.js
+export const ORDER_TRANSITIONS = {
+    placed: ['paid', 'cancelled'],
+    paid: ['shipped', 'cancelled', 'refunded'],
+    shipped: ['delivered', 'refunded'],
+    delivered: ['closed', 'refunded'],
+    closed: [],
+    cancelled: [],
+    refunded: [],
+    // orders created before the lifecycle existed
+    pending: ['paid', 'cancelled'],
+    completed: ['shipped', 'cancelled', 'refunded']
+};
+
+export const ORDER_STATUS_LABELS = {
+    placed: 'Placed',
+    paid: 'Paid',
+    shipped: 'Shipped',
+    delivered: 'Delivered',
+    closed: 'Closed',
+    cancelled: 'Cancelled',
+    refunded: 'Refunded',
+    pending: 'Placed',
+    completed: 'Paid'
+};
+
+// antd Tag colours per status
+export const ORDER_STATUS_COLORS = {
+    placed: 'default',
+    paid: 'blue',
+    shipped: 'geekblue',
+    delivered: 'green',
+    closed: 'purple',
+    cancelled: 'red',
+    refunded: 'orange',
+    pending: 'default',
+    completed: 'blue'
+};
+
+// per-seller fulfilment lifecycle, mirrors FULFILMENT_TRANSITIONS in server/models/fulfilment.js
+export const FULFILMENT_TRANSITIONS = {
+    pending: ['shipped', 'cancelled'],
+    shipped: ['delivered'],
+    delivered: [],
+    cancelled: []
+};
+
+export const FULFILMENT_STATUS_LABELS = {
+    pending: 'To ship',
+    shipped: 'Shipped',
+    delivered: 'Delivered',
+    cancelled: 'Cancelled'
+};
+
+// react-bootstrap Badge variants per fulfilment status
+export const FULFILMENT_STATUS_VARIANTS = {
+    pending: 'warning',
+    shipped: 'info',
+    delivered: 'success',
+    cancelled: 'secondary'
+};
+
+// react-bootstrap Badge variants per order status, used on the buyer pages
+export const ORDER_STATUS_VARIANTS = {
+    placed: 'secondary',
+    paid: 'primary',
+    shipped: 'info',
+    delivered: 'success',
+    closed: 'dark',
+    cancelled: 'danger',
+    refunded: 'warning',
+    pending: 'secondary',
+    completed: 'primary'
+};
+
+// return request lifecycle, mirrors RETURN_TRANSITIONS in server/models/returnRequest.js
+export const RETURN_TRANSITIONS = {
+    requested: ['awaiting_item', 'rejected'],
+    awaiting_item: ['received'],
+    received: ['refunded'],
+    rejected: [],
+    refunded: []
+};
+
+export const RETURN_STATUS_LABELS = {
+    requested: 'Requested',
+    awaiting_item: 'Awaiting item',
+    received: 'Item received',
+    refunded: 'Refunded',
+    rejected: 'Rejected'
+};
+
+// labels of the buttons that move a return to each status
+export const RETURN_ACTION_LABELS = {
+    awaiting_item: 'Approve',
+    rejected: 'Reject',
+    received: 'Mark received',
+    refunded: 'Refund'
+};
+
+// react-bootstrap Badge variants per return status
+export const RETURN_STATUS_VARIANTS = {
+    requested: 'warning',
+    awaiting_item: 'info',
+    received: 'primary',
+    refunded: 'success',
+    rejected: 'secondary'
+};
+
+// antd Tag colours per return status
+export const RETURN_STATUS_COLORS = {
+    requested: 'gold',
+    awaiting_item: 'blue',
+    received: 'geekblue',
+    refunded: 'green',
+    rejected: 'default'
+};
+
+// reasons a buyer can give, mirrors RETURN_REASONS in server/models/returnRequest.js
+export const RETURN_REASON_LABELS = {
+    defective: 'Defective or not working',
+    not_as_described: 'Not as described',
+    wrong_item: 'Wrong item sent',
+    damaged_in_transit: 'Damaged in transit',
+    changed_mind: 'Changed my mind',
+    other: 'Other'
+};
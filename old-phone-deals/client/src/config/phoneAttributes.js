@@ -0,0 +1,39 @@
+// structured listing attributes, mirrors server/config/phoneAttributes.js
+export const CONDITION_LABELS = {
+    A: 'Grade A - like new',
+    B: 'Grade B - light wear',
+    C: 'Grade C - visible wear',
+    for_parts: 'For parts'
+};
+
+export const NETWORK_LOCK_LABELS = {
+    unlocked: 'Unlocked',
+    locked: 'Network locked'
+};
+
+export const STORAGE_OPTIONS_GB = [8, 16, 32, 64, 128, 256, 512, 1024];
+
+export const MIN_MODEL_YEAR = 2000;
+
+export const MAX_COLOUR_LENGTH = 30;
+export const MAX_DESCRIPTION_LENGTH = 2000;
+
+// optional listing fields, empty until the seller fills them in
+export const EMPTY_LISTING_ATTRIBUTES = {
+    description: '',
+    condition: '',
+    storageGb: '',
+    colour: '',
+    networkLock: '',
+    batteryHealth: '',
+    modelYear: ''
+};
+
+/**
+ * Display text of a storage capacity, 1024 GB and up in TB
+ * @param {number} storageGb - Storage in GB
+ * @returns {string}
+ */
+export const formatStorage = (storageGb) => (
+    storageGb >= 1024 && storageGb % 1024 === 0 ? `${storageGb / 1024} TB` : `${storageGb} GB`
+);
@@ -19,6 +19,9 @@ export const ROUTE_PATHS = {
 
     HOME: '/',
     PROFILE: '/profile', 
+    ORDERS: '/orders',
+    ORDER_DETAIL: '/orders/:orderId',
+    SHARED_WISHLIST: '/wishlists/shared/:slug',
 
     NOT_FOUND: '*'
 };
@@ -79,10 +79,11 @@ export const AuthProvider = ({ children }) => {
 
     /**
      * Determine if the user is an admin
-     * @returns {boolean} true if the user has admin or superAdmin role
+     * @returns {boolean} true if the user has admin, superAdmin or a custom admin role
      */
     const isAdmin = useCallback(() => {
-        return user && (user.role === 'admin' || user.role === 'superAdmin');
+        // every role other than 'user' is an admin role, the server checks the actual permissions
+        return !!user && !!user.role && user.role !== 'user';
     }, [user]);
 
     /**
@@ -7,6 +7,9 @@ import UserManagement from '../../components/admin/UserManagement';
 import PhoneManagement from "../../components/admin/PhoneManagement";
 import ReviewManagement from "../../components/admin/ReviewManagement";
 import SalesManagement from "../../components/admin/SalesManagement";
+import AuditLogManagement from "../../components/admin/AuditLogManagement";
+import PromotionManagement from "../../components/admin/PromotionManagement";
+import ReturnManagement from "../../components/admin/ReturnManagement";
 import {List, CurrencyDollar} from 'react-bootstrap-icons';
 import webSocketService from '../../service/WebSocketService';
 
@@ -48,8 +51,8 @@ const AdminHome = () => {
         // Clean up any existing WebSocket connections
         webSocketService.disconnect();
         
-        // Initialize new connection
-        webSocketService.connect();
+        // Initialize new connection, authenticated with the admin session
+        webSocketService.connect('admin');
         const unsubscribe = webSocketService.subscribe(handleWebSocketMessage);
 
         return () => {
@@ -152,6 +155,60 @@ const AdminHome = () => {
         </>
     );
 
+    // render returns section
+    const renderReturns = () => (
+        <>
+            <div className="d-flex justify-content-between align-items-center mb-4 pb-3 border-bottom">
+                <h1 className="h3">Returns</h1>
+                <Button
+                    variant="light"
+                    className="d-md-none"
+                    onClick={toggleSidebar}
+                    aria-label="Toggle sidebar"
+                >
+                    <List size={24}/>
+                </Button>
+            </div>
+            <ReturnManagement/>
+        </>
+    );
+
+    // render promotions section
+    const renderPromotions = () => (
+        <>
+            <div className="d-flex justify-content-between align-items-center mb-4 pb-3 border-bottom">
+                <h1 className="h3">Promotions</h1>
+                <Button
+                    variant="light"
+                    className="d-md-none"
+                    onClick={toggleSidebar}
+                    aria-label="Toggle sidebar"
+                >
+                    <List size={24}/>
+                </Button>
+            </div>
+            <PromotionManagement/>
+        </>
+    );
+
+    // render audit log section
+    const renderAuditLog = () => (
+        <>
+            <div className="d-flex justify-content-between align-items-center mb-4 pb-3 border-bottom">
+                <h1 className="h3">Audit Log</h1>
+                <Button
+                    variant="light"
+                    className="d-md-none"
+                    onClick={toggleSidebar}
+                    aria-label="Toggle sidebar"
+                >
+                    <List size={24}/>
+                </Button>
+            </div>
+            <AuditLogManagement/>
+        </>
+    );
+
     // render content based on active section
     const renderContent = () => {
         switch (activeSection) {
@@ -163,6 +220,12 @@ const AdminHome = () => {
                 return renderReviews();
             case 'sales':
                 return renderSales();
+            case 'returns':
+                return renderReturns();
+            case 'promotions':
+                return renderPromotions();
+            case 'audit':
+                return renderAuditLog();
             default:
                 return renderUsers();
         }
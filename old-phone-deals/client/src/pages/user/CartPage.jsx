@@ -1,8 +1,8 @@
-import React, { useState, useEffect } from 'react';
-import { Container, Row, Col, Card, Button, Form, Spinner, Alert, Navbar } from 'react-bootstrap';
+import React, { useState, useEffect, useRef } from 'react';
+import { Container, Row, Col, Card, Button, Form, Spinner, Alert, Navbar, Modal } from 'react-bootstrap';
 import { Trash, Plus, Dash, ArrowLeft, BoxArrowRight, HouseDoor } from 'react-bootstrap-icons';
 import { useAuth } from '../../context/AuthContext';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, Link } from 'react-router-dom';
 import apiService from '../../service/ApiService';
 import SwalService from '../../service/SwalService';
 
@@ -14,17 +14,47 @@ const CartPage = () => {
     const { user, logout } = useAuth();
     const navigate = useNavigate();
     const [cart, setCart] = useState(null);
+    // active stock holds of this cart, only filled in reservation mode
+    const [reservations, setReservations] = useState([]);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
     const [isCheckingOut, setIsCheckingOut] = useState(false);
+    const [showPaymentModal, setShowPaymentModal] = useState(false);
+    const [card, setCard] = useState({ name: '', number: '' });
+    // coupon typed by the user and the discount preview of the applied code
+    const [couponInput, setCouponInput] = useState('');
+    const [coupon, setCoupon] = useState(null);
+    const [applyingCoupon, setApplyingCoupon] = useState(false);
+    // address book, the chosen delivery address and the server's price for it
+    const [addresses, setAddresses] = useState([]);
+    const [shippingAddressId, setShippingAddressId] = useState('');
+    const [quote, setQuote] = useState(null);
+    // one key per checkout attempt, so a retried or repeated submit is not charged twice
+    const checkoutKeyRef = useRef(null);
 
     // Fetch cart data when user is available
     useEffect(() => {
         if (user) {
             fetchCart();
+            fetchAddresses();
         }
     }, [user]);
 
+    /**
+     * Fetch the user's address book and preselect the default address
+     */
+    const fetchAddresses = async () => {
+        try {
+            const response = await apiService.get('/user/profile/addresses');
+            const saved = response.data || [];
+            setAddresses(saved);
+            const preferred = saved.find(address => address.isDefault) || saved[0];
+            setShippingAddressId(preferred ? preferred._id : '');
+        } catch (err) {
+            console.error('Error fetching addresses:', err);
+        }
+    };
+
     /**
      * Fetch user's cart data from the API
      */
@@ -33,6 +63,7 @@ const CartPage = () => {
             setLoading(true);
             const response = await apiService.get(`/user/${user._id}/cart`);
             setCart(response.data.cart);
+            setReservations(response.data.reservations || []);
             setError(null);
         } catch (err) {
             console.error('Error details:', {
@@ -56,6 +87,134 @@ const CartPage = () => {
         }
     };
 
+    // The discount depends on the cart contents, check the applied code again when they change
+    // without a coupon the cart is priced again right away, otherwise once the coupon has been refreshed
+    useEffect(() => {
+        if (coupon && cart) {
+            refreshCoupon(coupon.code);
+        } else {
+            loadQuote();
+        }
+    }, [cart]);
+
+    useEffect(() => {
+        loadQuote();
+    }, [coupon, shippingAddressId]);
+
+    /**
+     * Ask the server for shipping, tax and the grand total of the cart at the chosen address
+     */
+    const loadQuote = async () => {
+        if (!user || !cart || cart.items.length === 0 || !shippingAddressId) {
+            setQuote(null);
+            return;
+        }
+        try {
+            const response = await apiService.post(`/user/${user._id}/cart/quote`, {
+                shippingAddressId,
+                couponCode: coupon?.code
+            });
+            setQuote(response.data);
+        } catch (err) {
+            setQuote(null);
+            console.error('Error pricing cart:', err);
+        }
+    };
+
+    /**
+     * Choose the delivery address, a different request needs a new idempotency key
+     * @param {string} addressId - address book entry
+     */
+    const updateShippingAddress = (addressId) => {
+        checkoutKeyRef.current = null;
+        setShippingAddressId(addressId);
+    };
+
+    /**
+     * Preview a coupon code on the current cart
+     * @param {string} code - coupon code
+     * @returns {Promise<Object>} discount preview from the server
+     */
+    const previewCoupon = async (code) => {
+        const response = await apiService.post(`/user/${user._id}/cart/coupon`, { code });
+        return response.data;
+    };
+
+    /**
+     * Apply the coupon code typed by the user
+     */
+    const applyCoupon = async () => {
+        if (!couponInput.trim()) {
+            return;
+        }
+        try {
+            setApplyingCoupon(true);
+            const preview = await previewCoupon(couponInput.trim());
+            updateCoupon(preview);
+            setCouponInput('');
+            SwalService.success(`Coupon ${preview.code} applied, you save $${preview.discountTotal.toFixed(2)}`);
+        } catch (err) {
+            SwalService.error(err.response?.data?.message || 'Failed to apply coupon. Please try again later.');
+            console.error('Error applying coupon:', err);
+        } finally {
+            setApplyingCoupon(false);
+        }
+    };
+
+    /**
+     * Recalculate the applied coupon, it is dropped if the cart no longer qualifies
+     * @param {string} code - applied coupon code
+     */
+    const refreshCoupon = async (code) => {
+        try {
+            updateCoupon(await previewCoupon(code));
+        } catch (err) {
+            updateCoupon(null);
+            SwalService.warning(err.response?.data?.message || `Coupon ${code} was removed`, 'Coupon Removed');
+        }
+    };
+
+    /**
+     * Set or clear the applied coupon, a different request needs a new idempotency key
+     * @param {Object|null} nextCoupon - discount preview or null
+     */
+    const updateCoupon = (nextCoupon) => {
+        checkoutKeyRef.current = null;
+        setCoupon(nextCoupon);
+    };
+
+    /**
+     * Get the coupon discount on one cart line
+     * @param {string} phoneId - ID of the phone
+     * @returns {number} discount on the line, 0 if the coupon does not cover it
+     */
+    const getLineDiscount = (phoneId) => {
+        const line = coupon?.items.find(item => item.phone === phoneId);
+        return line ? line.discount : 0;
+    };
+
+    /**
+     * Reload the cart's stock holds after the quantities changed
+     */
+    const loadReservations = async () => {
+        try {
+            const response = await apiService.get(`/user/${user._id}/cart`);
+            setReservations(response.data.reservations || []);
+        } catch (err) {
+            console.error('Error fetching reservations:', err);
+        }
+    };
+
+    /**
+     * Get the time until which this cart holds a phone
+     * @param {string} phoneId - ID of the phone
+     * @returns {Date|null} expiry of the hold, null if the phone is not held
+     */
+    const getReservedUntil = (phoneId) => {
+        const hold = reservations.find(reservation => reservation.phone === phoneId);
+        return hold ? new Date(hold.expiresAt) : null;
+    };
+
     /**
      * Update item quantity in the cart
      * @param {string} phoneId - ID of the phone to update
@@ -76,6 +235,7 @@ const CartPage = () => {
                 if (result.isConfirmed) {
                     const response = await apiService.delete(`/user/${user._id}/cart/${phoneId}`);
                     setCart(response.data.cart);
+                    loadReservations();
                     SwalService.success('Item removed from cart');
                 }
                 return;
@@ -86,8 +246,9 @@ const CartPage = () => {
                 quantity: newQuantity
             });
             setCart(response.data.cart);
+            loadReservations();
         } catch (err) {
-            SwalService.error('Failed to update item quantity. Please try again later.');
+            SwalService.error(err.response?.data?.message || 'Failed to update item quantity. Please try again later.');
             console.error('Error updating quantity:', err);
         }
     };
@@ -110,6 +271,7 @@ const CartPage = () => {
             if (result.isConfirmed) {
                 const response = await apiService.delete(`/user/${user._id}/cart/${phoneId}`);
                 setCart(response.data.cart);
+                loadReservations();
                 SwalService.success('Item removed from cart');
             }
         } catch (err) {
@@ -119,10 +281,10 @@ const CartPage = () => {
     };
 
     /**
-     * Calculate total price of all items in cart
-     * @returns {number} Total price
+     * Calculate price of all items in cart before discounts
+     * @returns {number} Subtotal
      */
-    const calculateTotal = () => {
+    const calculateSubtotal = () => {
         if (!cart || !cart.items) return 0;
         return cart.items.reduce((total, item) => {
             return total + (item.phone.price * item.quantity);
@@ -130,42 +292,87 @@ const CartPage = () => {
     };
 
     /**
-     * Handle checkout process
+     * Calculate the amount to pay, the server's quote includes shipping and tax
+     * @returns {number} Total price
+     */
+    const calculateTotal = () => quote
+        ? quote.totalAmount
+        : Math.max(0, calculateSubtotal() - (coupon?.discountTotal || 0));
+
+    /**
+     * Open the payment step of the checkout
+     */
+    const handleCheckout = () => {
+        updateCard({ name: '', number: '' });
+        setShowPaymentModal(true);
+    };
+
+    /**
+     * Update the card details, a different request needs a new idempotency key
+     * @param {Object} nextCard - new card details
+     */
+    const updateCard = (nextCard) => {
+        checkoutKeyRef.current = null;
+        setCard(nextCard);
+    };
+
+    /**
+     * Check the card number looks like one before sending it
+     * @returns {boolean} true if the number has 12 to 19 digits
      */
-    const handleCheckout = async () => {
+    const isCardNumberValid = () => /^\d{12,19}$/.test(card.number.replace(/\s+/g, ''));
+
+    /**
+     * Handle checkout process, the order is paid once the payment provider confirms it
+     */
+    const confirmCheckout = async () => {
         try {
             setIsCheckingOut(true);
-            
-            // Confirm transaction
-            const confirmResult = await SwalService.confirm({
-                title: 'Confirm Transaction',
-                text: 'Are you sure you want to complete this transaction? This will update the stock and clear your cart.',
-                icon: 'warning',
-                confirmButtonText: 'Yes, confirm',
-                cancelButtonText: 'Cancel'
+            if (!checkoutKeyRef.current) {
+                checkoutKeyRef.current = crypto.randomUUID();
+            }
+
+            // Call checkout API
+            const response = await apiService.post(`/user/${user._id}/cart/checkout`, {
+                items: cart.items.map(item => ({
+                    phoneId: item.phone._id,
+                    quantity: item.quantity
+                })),
+                payment: {
+                    method: 'credit_card',
+                    card: {
+                        name: card.name.trim(),
+                        number: card.number.replace(/\s+/g, '')
+                    }
+                },
+                couponCode: coupon?.code,
+                shippingAddressId
+            }, {
+                headers: { 'Idempotency-Key': checkoutKeyRef.current }
             });
+            
+            if (response.success) {
+                checkoutKeyRef.current = null;
+                setShowPaymentModal(false);
+                const { orderId, paymentStatus } = response.data;
 
-            if (confirmResult.isConfirmed) {
-                // Call checkout API
-                const response = await apiService.post(`/user/${user._id}/cart/checkout`, {
-                    items: cart.items.map(item => ({
-                        phoneId: item.phone._id,
-                        quantity: item.quantity
-                    }))
-                });
-                
-                if (response.success) {
+                if (paymentStatus === 'pending') {
+                    await SwalService.info('Your order is placed. We will mark it paid as soon as your bank confirms the payment.', 'Payment Processing');
+                } else if (paymentStatus === 'failed') {
+                    await SwalService.error('The payment could not be completed, so the order was cancelled.', 'Payment Failed');
+                } else {
                     // Show success message with auto close
                     await SwalService.success('Transaction Successful!');
-                    
-                    // Clear the cart in the UI
-                    setCart({ ...cart, items: [] });
-                    
-                    // Redirect to home page
-                    navigate('/', { replace: true });
-                } else {
-                    throw new Error(response.message || 'Transaction failed');
                 }
+                
+                // Clear the cart and the redeemed coupon in the UI
+                setCoupon(null);
+                setCart({ ...cart, items: [] });
+                
+                // Show the new order
+                navigate(`/orders/${orderId}`, { replace: true });
+            } else {
+                throw new Error(response.message || 'Transaction failed');
             }
         } catch (err) {
             console.error('Checkout error:', err);
@@ -284,6 +491,11 @@ const CartPage = () => {
                                     <Col md={4}>
                                         <h5 className="mb-0">{item.phone.title}</h5>
                                         <p className="text-muted mb-0">Brand: {item.phone.brand}</p>
+                                        {getReservedUntil(item.phone._id) && (
+                                            <small className="text-success">
+                                                Reserved for you until {getReservedUntil(item.phone._id).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                                            </small>
+                                        )}
                                     </Col>
                                     <Col md={2}>
                                         <div className="d-flex align-items-center">
@@ -328,6 +540,11 @@ const CartPage = () => {
                                     <Col md={2}>
                                         <h5 className="mb-0">${(item.phone.price * item.quantity).toFixed(2)}</h5>
                                         <small className="text-muted">Price: ${item.phone.price.toFixed(2)}</small>
+                                        {getLineDiscount(item.phone._id) > 0 && (
+                                            <div>
+                                                <small className="text-success">-${getLineDiscount(item.phone._id).toFixed(2)} ({coupon.code})</small>
+                                            </div>
+                                        )}
                                     </Col>
                                     <Col md={2} className="text-end">
                                         <Button
@@ -351,6 +568,89 @@ const CartPage = () => {
                                 <span>Total Items:</span>
                                 <span>{cart.items.reduce((total, item) => total + item.quantity, 0)}</span>
                             </div>
+                            {coupon ? (
+                                <>
+                                    <div className="d-flex justify-content-between mb-2">
+                                        <span>Subtotal:</span>
+                                        <span>${calculateSubtotal().toFixed(2)}</span>
+                                    </div>
+                                    <div className="d-flex justify-content-between align-items-center mb-2 text-success">
+                                        <span>
+                                            Coupon {coupon.code}
+                                            <Button
+                                                variant="link"
+                                                size="sm"
+                                                className="p-0 ms-2 align-baseline"
+                                                onClick={() => updateCoupon(null)}
+                                                disabled={isCheckingOut}
+                                            >
+                                                Remove
+                                            </Button>
+                                        </span>
+                                        <span>-${coupon.discountTotal.toFixed(2)}</span>
+                                    </div>
+                                </>
+                            ) : (
+                                <Form
+                                    className="d-flex gap-2 mb-2"
+                                    onSubmit={(e) => {
+                                        e.preventDefault();
+                                        applyCoupon();
+                                    }}
+                                >
+                                    <Form.Control
+                                        size="sm"
+                                        placeholder="Coupon code"
+                                        value={couponInput}
+                                        onChange={(e) => setCouponInput(e.target.value)}
+                                        disabled={applyingCoupon}
+                                    />
+                                    <Button
+                                        type="submit"
+                                        variant="outline-primary"
+                                        size="sm"
+                                        disabled={applyingCoupon || !couponInput.trim()}
+                                    >
+                                        {applyingCoupon ? 'Applying...' : 'Apply'}
+                                    </Button>
+                                </Form>
+                            )}
+                            <Form.Group className="mb-2">
+                                <Form.Label className="mb-1">Ship to</Form.Label>
+                                {addresses.length > 0 ? (
+                                    <Form.Select
+                                        size="sm"
+                                        value={shippingAddressId}
+                                        onChange={(e) => updateShippingAddress(e.target.value)}
+                                        disabled={isCheckingOut}
+                                    >
+                                        {addresses.map(address => (
+                                            <option key={address._id} value={address._id}>
+                                                {address.label ? `${address.label} - ` : ''}{address.line1}, {address.city}
+                                            </option>
+                                        ))}
+                                    </Form.Select>
+                                ) : (
+                                    <Alert variant="warning" className="py-2 mb-0">
+                                        Add a shipping address to check out.
+                                    </Alert>
+                                )}
+                                <Link to="/profile?tab=addresses" className="small">Manage addresses</Link>
+                            </Form.Group>
+                            {quote && (
+                                <>
+                                    <div className="d-flex justify-content-between mb-2">
+                                        <span>Shipping:</span>
+                                        <span>{quote.shippingTotal > 0 ? `$${quote.shippingTotal.toFixed(2)}` : 'Free'}</span>
+                                    </div>
+                                    {quote.taxRate > 0 && (
+                                        <div className="d-flex justify-content-between mb-2">
+                                            <span>{quote.taxLabel} ({quote.taxRate}%):</span>
+                                            <span>${quote.taxTotal.toFixed(2)}</span>
+                                        </div>
+                                    )}
+                                </>
+                            )}
                             <div className="d-flex justify-content-between mb-3">
                                 <span>Total Price:</span>
                                 <span className="h5 mb-0">${calculateTotal().toFixed(2)}</span>
@@ -359,7 +659,7 @@ const CartPage = () => {
                                 variant="primary" 
                                 className="w-100"
                                 onClick={handleCheckout}
-                                disabled={isCheckingOut}
+                                disabled={isCheckingOut || !shippingAddressId}
                             >
                                 {isCheckingOut ? (
                                     <>
@@ -381,6 +681,49 @@ const CartPage = () => {
                     </Card>
                 </Col>
             </Row>
+
+            {/* Payment Modal */}
+            <Modal show={showPaymentModal} onHide={() => !isCheckingOut && setShowPaymentModal(false)} centered>
+                <Modal.Header closeButton={!isCheckingOut}>
+                    <Modal.Title>Payment</Modal.Title>
+                </Modal.Header>
+                <Modal.Body>
+                    <p className="mb-3">
+                        Amount to pay: <strong>${calculateTotal().toFixed(2)}</strong>
+                    </p>
+                    <Form.Group className="mb-3">
+                        <Form.Label>Name on card</Form.Label>
+                        <Form.Control
+                            value={card.name}
+                            onChange={(e) => updateCard({ ...card, name: e.target.value })}
+                            disabled={isCheckingOut}
+                        />
+                    </Form.Group>
+                    <Form.Group>
+                        <Form.Label>Card number</Form.Label>
+                        <Form.Control
+                            value={card.number}
+                            onChange={(e) => updateCard({ ...card, number: e.target.value })}
+                            placeholder="4242 4242 4242 4242"
+                            inputMode="numeric"
+                            autoComplete="cc-number"
+                            isInvalid={card.number !== '' && !isCardNumberValid()}
+                            disabled={isCheckingOut}
+                        />
+                        <Form.Control.Feedback type="invalid">
+                            Enter a card number of 12 to 19 digits
+                        </Form.Control.Feedback>
+                    </Form.Group>
+                </Modal.Body>
+                <Modal.Footer>
+                    <Button variant="secondary" onClick={() => setShowPaymentModal(false)} disabled={isCheckingOut}>
+                        Cancel
+                    </Button>
+                    <Button variant="primary" onClick={confirmCheckout} disabled={isCheckingOut || !isCardNumberValid()}>
+                        {isCheckingOut ? 'Processing...' : `Pay $${calculateTotal().toFixed(2)}`}
+                    </Button>
+                </Modal.Footer>
+            </Modal>
         </Container>
     );
 };
@@ -0,0 +1,417 @@
+import React, { useState } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { Container, Row, Col, Card, Button, Spinner, Alert, Badge, Navbar, Table, ListGroup, Modal, Form } from 'react-bootstrap';
+import { ArrowLeft, ArrowRepeat, FileEarmarkPdf, ArrowReturnLeft } from 'react-bootstrap-icons';
+import useOrderDetailViewModel from '../../viewModels/OrderDetailViewModel';
+import {
+    ORDER_STATUS_LABELS,
+    ORDER_STATUS_VARIANTS,
+    RETURN_STATUS_LABELS,
+    RETURN_STATUS_VARIANTS,
+    RETURN_REASON_LABELS
+} from '../../config/orderStatus';
+
+// limits on return photos, the server accepts at most 5
+const MAX_RETURN_PHOTOS = 5;
+const MAX_PHOTO_SIZE = 2 * 1024 * 1024;
+
+const EMPTY_RETURN = { quantity: 1, reason: '', details: '', files: [] };
+
+/**
+ * Order Detail Page Component
+ * Shows the line items, price paid and status history of one order, with a re-order button
+ * and a return button per line once the order has shipped
+ */
+const OrderDetailPage = () => {
+    const { orderId } = useParams();
+    const navigate = useNavigate();
+    const {
+        order,
+        loading,
+        error,
+        reordering,
+        downloadingInvoice,
+        returns,
+        submittingReturn,
+        isAvailable,
+        reorder,
+        downloadInvoice,
+        getReturnableQuantity,
+        requestReturn
+    } = useOrderDetailViewModel(orderId);
+
+    // return dialog state, returningItem is the order line being returned
+    const [returningItem, setReturningItem] = useState(null);
+    const [returnData, setReturnData] = useState(EMPTY_RETURN);
+    const [photoError, setPhotoError] = useState('');
+
+    const openReturnModal = (item) => {
+        setReturningItem(item);
+        setReturnData(EMPTY_RETURN);
+        setPhotoError('');
+    };
+
+    const closeReturnModal = () => {
+        setReturningItem(null);
+    };
+
+    const handlePhotosChange = (e) => {
+        const files = Array.from(e.target.files);
+        if (files.length > MAX_RETURN_PHOTOS) {
+            setPhotoError(`You can attach at most ${MAX_RETURN_PHOTOS} photos`);
+        } else if (files.some(file => !file.type.startsWith('image/') || file.size > MAX_PHOTO_SIZE)) {
+            setPhotoError('Photos must be images smaller than 2MB');
+        } else {
+            setPhotoError('');
+            setReturnData(prev => ({ ...prev, files }));
+            return;
+        }
+        e.target.value = '';
+        setReturnData(prev => ({ ...prev, files: [] }));
+    };
+
+    const handleSubmitReturn = async () => {
+        const submitted = await requestReturn(returningItem, {
+            ...returnData,
+            details: returnData.details.trim()
+        });
+        if (submitted) {
+            closeReturnModal();
+        }
+    };
+
+    /**
+     * Render a status as a badge
+     * @param {string} status - order status
+     */
+    const renderStatus = (status) => (
+        <Badge bg={ORDER_STATUS_VARIANTS[status] || 'secondary'}>
+            {ORDER_STATUS_LABELS[status] || status}
+        </Badge>
+    );
+
+    if (loading) {
+        return (
+            <Container className="py-5 text-center">
+                <Spinner animation="border" role="status" variant="primary">
+                    <span className="visually-hidden">Loading...</span>
+                </Spinner>
+            </Container>
+        );
+    }
+
+    if (error || !order) {
+        return (
+            <Container className="py-4">
+                <Button variant="outline-primary" className="mb-3" onClick={() => navigate('/orders')}>
+                    <ArrowLeft className="me-2" />
+                    Back to orders
+                </Button>
+                <Alert variant="danger">{error || 'Order not found'}</Alert>
+            </Container>
+        );
+    }
+
+    // older orders have no history, fall back to the creation date
+    const history = order.statusHistory?.length
+        ? order.statusHistory
+        : [{ status: order.status, changedAt: order.createdAt }];
+
+    return (
+        <Container className="py-4">
+            <Navbar className="mb-4 d-flex justify-content-between">
+                <Button 
+                    variant="outline-primary" 
+                    onClick={() => navigate('/orders')}
+                >
+                    <ArrowLeft className="me-2" />
+                    Back to orders
+                </Button>
+                <div className="d-flex gap-2">
+                    <Button
+                        variant="outline-secondary"
+                        onClick={downloadInvoice}
+                        disabled={downloadingInvoice}
+                    >
+                        <FileEarmarkPdf className="me-2" />
+                        {downloadingInvoice ? 'Preparing...' : 'Invoice'}
+                    </Button>
+                    <Button
+                        variant="primary"
+                        onClick={reorder}
+                        disabled={reordering}
+                    >
+                        <ArrowRepeat className="me-2" />
+                        {reordering ? 'Adding to cart...' : 'Re-order'}
+                    </Button>
+                </div>
+            </Navbar>
+
+            <div className="d-flex justify-content-between align-items-center mb-4">
+                <div>
+                    <h2 className="mb-1">Order #{order._id.slice(-8).toUpperCase()}</h2>
+                    <small className="text-muted">
+                        Placed on {new Date(order.createdAt).toLocaleString()}
+                        {order.invoiceNumber && ` · Invoice ${order.invoiceNumber}`}
+                    </small>
+                </div>
+                <h4 className="mb-0">{renderStatus(order.status)}</h4>
+            </div>
+
+            <Row>
+                <Col lg={8} className="mb-4">
+                    <Card>
+                        <Card.Header>Items</Card.Header>
+                        <Card.Body>
+                            <Table responsive className="align-middle mb-0">
+                                <thead>
+                                    <tr>
+                                        <th>Phone</th>
+                                        <th>Price paid</th>
+                                        <th>Quantity</th>
+                                        <th>Discount</th>
+                                        <th className="text-end">Subtotal</th>
+                                        <th></th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {order.items.map((item, index) => (
+                                        <tr key={index}>
+                                            <td>
+                                                <div className="d-flex align-items-center">
+                                                    {item.phone?.image && (
+                                                        <img
+                                                            src={`http://localhost:7777${item.phone.image}`}
+                                                            alt={item.phone.title}
+                                                            style={{ width: '50px', height: '50px', objectFit: 'contain' }}
+                                                            className="me-2"
+                                                        />
+                                                    )}
+                                                    <div>
+                                                        {item.phone ? (
+                                                            <span
+                                                                role="button"
+                                                                className="text-primary"
+                                                                onClick={() => navigate(`/phone/${item.phone._id}`)}
+                                                            >
+                                                                {item.phone.title}
+                                                            </span>
+                                                        ) : (
+                                                            <span className="text-muted">Removed listing</span>
+                                                        )}
+                                                        {item.phone && !isAvailable(item.phone) && (
+                                                            <div><small className="text-danger">No longer available</small></div>
+                                                        )}
+                                                    </div>
+                                                </div>
+                                            </td>
+                                            <td>${item.price.toFixed(2)}</td>
+                                            <td>{item.quantity}</td>
+                                            <td className={item.discount ? 'text-success' : 'text-muted'}>
+                                                {item.discount ? `-$${item.discount.toFixed(2)}` : '—'}
+                                            </td>
+                                            <td className="text-end">${(item.price * item.quantity - (item.discount || 0)).toFixed(2)}</td>
+                                            <td className="text-end">
+                                                {getReturnableQuantity(item) > 0 && (
+                                                    <Button size="sm" variant="outline-secondary" onClick={() => openReturnModal(item)}>
+                                                        <ArrowReturnLeft className="me-1" />
+                                                        Return
+                                                    </Button>
+                                                )}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                                <tfoot>
+                                    {order.subtotal !== undefined && (
+                                        <tr>
+                                            <td colSpan={4} className="text-end">Items</td>
+                                            <td className="text-end">${order.subtotal.toFixed(2)}</td>
+                                            <td></td>
+                                        </tr>
+                                    )}
+                                    {order.promotion && (
+                                        <tr>
+                                            <td colSpan={4} className="text-end text-success">Coupon {order.promotion.code}</td>
+                                            <td className="text-end text-success">-${order.discountTotal.toFixed(2)}</td>
+                                            <td></td>
+                                        </tr>
+                                    )}
+                                    {order.shippingTotal > 0 && (
+                                        <tr>
+                                            <td colSpan={4} className="text-end">Shipping</td>
+                                            <td className="text-end">${order.shippingTotal.toFixed(2)}</td>
+                                            <td></td>
+                                        </tr>
+                                    )}
+                                    {order.taxTotal > 0 && (
+                                        <tr>
+                                            <td colSpan={4} className="text-end">Tax</td>
+                                            <td className="text-end">${order.taxTotal.toFixed(2)}</td>
+                                            <td></td>
+                                        </tr>
+                                    )}
+                                    <tr>
+                                        <th colSpan={4} className="text-end">Total paid</th>
+                                        <th className="text-end">${order.totalAmount.toFixed(2)}</th>
+                                        <th></th>
+                                    </tr>
+                                    {order.refundedTotal > 0 && (
+                                        <tr>
+                                            <td colSpan={4} className="text-end text-warning">Refunded</td>
+                                            <td className="text-end text-warning">-${order.refundedTotal.toFixed(2)}</td>
+                                            <td></td>
+                                        </tr>
+                                    )}
+                                </tfoot>
+                            </Table>
+                        </Card.Body>
+                    </Card>
+
+                    {returns.length > 0 && (
+                        <Card className="mt-4">
+                            <Card.Header>Returns</Card.Header>
+                            <ListGroup variant="flush">
+                                {returns.map(returnRequest => {
+                                    const lastNote = [...returnRequest.statusHistory].reverse().find(entry => entry.note)?.note;
+                                    return (
+                                        <ListGroup.Item key={returnRequest._id}>
+                                            <div className="d-flex justify-content-between align-items-center">
+                                                <div>
+                                                    <strong>{returnRequest.phone?.title || 'Removed listing'} x {returnRequest.quantity}</strong>
+                                                    <small className="text-muted ms-2">
+                                                        {RETURN_REASON_LABELS[returnRequest.reason] || returnRequest.reason}
+                                                        {' · '}
+                                                        {new Date(returnRequest.createdAt).toLocaleDateString()}
+                                                    </small>
+                                                </div>
+                                                <Badge bg={RETURN_STATUS_VARIANTS[returnRequest.status] || 'secondary'}>
+                                                    {RETURN_STATUS_LABELS[returnRequest.status] || returnRequest.status}
+                                                </Badge>
+                                            </div>
+                                            <small className="d-block mt-1">
+                                                {returnRequest.status === 'refunded'
+                                                    ? `Refunded $${returnRequest.refundAmount.toFixed(2)}`
+                                                    : `Refund of $${returnRequest.refundAmount.toFixed(2)} once the seller receives the item`}
+                                            </small>
+                                            {returnRequest.status === 'awaiting_item' && (
+                                                <small className="d-block text-primary">Approved, please send the item back to the seller</small>
+                                            )}
+                                            {lastNote && <small className="d-block text-muted">{lastNote}</small>}
+                                        </ListGroup.Item>
+                                    );
+                                })}
+                            </ListGroup>
+                        </Card>
+                    )}
+                </Col>
+
+                <Col lg={4}>
+                    {order.shippingAddress && (
+                        <Card className="mb-4">
+                            <Card.Header>Delivery address</Card.Header>
+                            <Card.Body>
+                                <div>{order.shippingAddress.recipient}</div>
+                                <div>{order.shippingAddress.line1}</div>
+                                {order.shippingAddress.line2 && <div>{order.shippingAddress.line2}</div>}
+                                <div>
+                                    {order.shippingAddress.city}, {order.shippingAddress.state} {order.shippingAddress.postcode}
+                                </div>
+                                <div>{order.shippingAddress.country}</div>
+                            </Card.Body>
+                        </Card>
+                    )}
+
+                    {order.trackingNumber && (
+                        <Card className="mb-4">
+                            <Card.Header>Shipping</Card.Header>
+                            <Card.Body>
+                                <div>Tracking number: <strong>{order.trackingNumber}</strong></div>
+                                {order.carrier && <div>Carrier: {order.carrier}</div>}
+                            </Card.Body>
+                        </Card>
+                    )}
+
+                    <Card>
+                        <Card.Header>Status history</Card.Header>
+                        <ListGroup variant="flush">
+                            {[...history].reverse().map((entry, index) => (
+                                <ListGroup.Item key={index}>
+                                    <div className="d-flex justify-content-between align-items-center">
+                                        {renderStatus(entry.status)}
+                                        <small className="text-muted">{new Date(entry.changedAt).toLocaleString()}</small>
+                                    </div>
+                                    {entry.note && <small className="d-block mt-1">{entry.note}</small>}
+                                </ListGroup.Item>
+                            ))}
+                        </ListGroup>
+                    </Card>
+                </Col>
+            </Row>
+
+            <Modal show={!!returningItem} onHide={closeReturnModal} centered>
+                <Modal.Header closeButton>
+                    <Modal.Title>Return {returningItem?.phone?.title}</Modal.Title>
+                </Modal.Header>
+                <Modal.Body>
+                    <Form.Group className="mb-3">
+                        <Form.Label>Quantity</Form.Label>
+                        <Form.Select
+                            value={returnData.quantity}
+                            onChange={(e) => setReturnData(prev => ({ ...prev, quantity: Number(e.target.value) }))}
+                        >
+                            {returningItem && Array.from({ length: getReturnableQuantity(returningItem) }, (_, index) => (
+                                <option key={index + 1} value={index + 1}>{index + 1}</option>
+                            ))}
+                        </Form.Select>
+                    </Form.Group>
+                    <Form.Group className="mb-3">
+                        <Form.Label>Reason</Form.Label>
+                        <Form.Select
+                            value={returnData.reason}
+                            onChange={(e) => setReturnData(prev => ({ ...prev, reason: e.target.value }))}
+                        >
+                            <option value="">Choose a reason</option>
+                            {Object.keys(RETURN_REASON_LABELS).map(reason => (
+                                <option key={reason} value={reason}>{RETURN_REASON_LABELS[reason]}</option>
+                            ))}
+                        </Form.Select>
+                    </Form.Group>
+                    <Form.Group className="mb-3">
+                        <Form.Label>Details</Form.Label>
+                        <Form.Control
+                            as="textarea"
+                            rows={3}
+                            maxLength={1000}
+                            value={returnData.details}
+                            onChange={(e) => setReturnData(prev => ({ ...prev, details: e.target.value }))}
+                            placeholder={returnData.reason === 'other' ? 'Required' : 'Optional'}
+                        />
+                    </Form.Group>
+                    <Form.Group>
+                        <Form.Label>Photos</Form.Label>
+                        <Form.Control type="file" accept="image/*" multiple onChange={handlePhotosChange} />
+                        <Form.Text muted>
+                            Up to {MAX_RETURN_PHOTOS} photos showing the problem.
+                        </Form.Text>
+                        {photoError && <div className="text-danger small">{photoError}</div>}
+                    </Form.Group>
+                </Modal.Body>
+                <Modal.Footer>
+                    <Button variant="secondary" onClick={closeReturnModal}>
+                        Close
+                    </Button>
+                    <Button
+                        variant="primary"
+                        onClick={handleSubmitReturn}
+                        disabled={submittingReturn || !returnData.reason || (returnData.reason === 'other' && !returnData.details.trim())}
+                    >
+                        {submittingReturn ? 'Sending...' : 'Request return'}
+                    </Button>
+                </Modal.Footer>
+            </Modal>
+        </Container>
+    );
+};
+
+export default OrderDetailPage;
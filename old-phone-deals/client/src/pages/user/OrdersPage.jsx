@@ -0,0 +1,147 @@
+import React from 'react';
+import { Container, Card, Button, Spinner, Alert, Badge, Form, Navbar, Table, Pagination } from 'react-bootstrap';
+import { ArrowLeft } from 'react-bootstrap-icons';
+import { useNavigate } from 'react-router-dom';
+import useOrderHistoryViewModel from '../../viewModels/OrderHistoryViewModel';
+import { ORDER_STATUS_LABELS, ORDER_STATUS_VARIANTS } from '../../config/orderStatus';
+
+// statuses offered in the filter, legacy statuses are matched by the server
+const FILTER_STATUSES = ['placed', 'paid', 'shipped', 'delivered', 'closed', 'cancelled', 'refunded'];
+
+/**
+ * Orders Page Component
+ * Lists the user's past orders with a status filter and pagination
+ */
+const OrdersPage = () => {
+    const navigate = useNavigate();
+    const {
+        orders,
+        loading,
+        error,
+        statusFilter,
+        pagination,
+        handleStatusFilterChange,
+        handlePageChange
+    } = useOrderHistoryViewModel();
+
+    /**
+     * Render the pagination control
+     */
+    const renderPagination = () => {
+        if (pagination.pages <= 1) return null;
+
+        return (
+            <Pagination className="justify-content-center mt-3">
+                <Pagination.Prev
+                    disabled={pagination.page <= 1}
+                    onClick={() => handlePageChange(pagination.page - 1)}
+                />
+                {Array.from({ length: pagination.pages }, (_, index) => index + 1).map(page => (
+                    <Pagination.Item
+                        key={page}
+                        active={page === pagination.page}
+                        onClick={() => handlePageChange(page)}
+                    >
+                        {page}
+                    </Pagination.Item>
+                ))}
+                <Pagination.Next
+                    disabled={pagination.page >= pagination.pages}
+                    onClick={() => handlePageChange(pagination.page + 1)}
+                />
+            </Pagination>
+        );
+    };
+
+    return (
+        <Container className="py-4">
+            <Navbar className="mb-4 d-flex justify-content-between">
+                <Button 
+                    variant="outline-primary" 
+                    onClick={() => navigate(-1)}
+                >
+                    <ArrowLeft className="me-2" />
+                    Back
+                </Button>
+            </Navbar>
+
+            <h1 className="mb-4 text-center">My Orders</h1>
+
+            <Card>
+                <Card.Header className="d-flex justify-content-between align-items-center">
+                    <span>{pagination.total} order(s)</span>
+                    <Form.Select
+                        size="sm"
+                        style={{ width: 'auto' }}
+                        value={statusFilter}
+                        onChange={(e) => handleStatusFilterChange(e.target.value)}
+                    >
+                        <option value="">All statuses</option>
+                        {FILTER_STATUSES.map(status => (
+                            <option key={status} value={status}>{ORDER_STATUS_LABELS[status]}</option>
+                        ))}
+                    </Form.Select>
+                </Card.Header>
+                <Card.Body>
+                    {loading ? (
+                        <div className="text-center py-5">
+                            <Spinner animation="border" role="status" variant="primary">
+                                <span className="visually-hidden">Loading...</span>
+                            </Spinner>
+                        </div>
+                    ) : error ? (
+                        <Alert variant="danger">{error}</Alert>
+                    ) : orders.length === 0 ? (
+                        <Alert variant="info">
+                            {statusFilter ? 'No orders with this status.' : 'You have not placed any orders yet.'}
+                        </Alert>
+                    ) : (
+                        <Table responsive hover className="align-middle mb-0">
+                            <thead>
+                                <tr>
+                                    <th>Date</th>
+                                    <th>Items</th>
+                                    <th>Total</th>
+                                    <th>Status</th>
+                                    <th></th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {orders.map(order => (
+                                    <tr key={order._id}>
+                                        <td>{new Date(order.createdAt).toLocaleDateString()}</td>
+                                        <td>
+                                            {order.items.map((item, index) => (
+                                                <div key={index}>
+                                                    {item.phone?.title || 'Removed listing'} x {item.quantity}
+                                                </div>
+                                            ))}
+                                        </td>
+                                        <td>${order.totalAmount.toFixed(2)}</td>
+                                        <td>
+                                            <Badge bg={ORDER_STATUS_VARIANTS[order.status] || 'secondary'}>
+                                                {ORDER_STATUS_LABELS[order.status] || order.status}
+                                            </Badge>
+                                        </td>
+                                        <td className="text-end">
+                                            <Button
+                                                variant="outline-primary"
+                                                size="sm"
+                                                onClick={() => navigate(`/orders/${order._id}`)}
+                                            >
+                                                View
+                                            </Button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </Table>
+                    )}
+                    {!loading && !error && renderPagination()}
+                </Card.Body>
+            </Card>
+        </Container>
+    );
+};
+
+export default OrdersPage;
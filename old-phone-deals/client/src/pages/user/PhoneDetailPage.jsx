@@ -1,11 +1,12 @@
 import React from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { Container, Row, Col, Button, Card, Form, Spinner, Alert, Badge } from 'react-bootstrap';
+import { Container, Row, Col, Button, Card, Form, Spinner, Alert, Badge, Table } from 'react-bootstrap';
 import { ArrowLeft, Heart, Cart, StarFill } from 'react-bootstrap-icons';
 import usePhoneDetailViewModel from '../../viewModels/PhoneDetailViewModel';
 import ReviewItem from '../../components/layout/ReviewItem';
 import QuantityModal from '../../components/layout/QuantityModal';
 import { useAuth } from '../../context/AuthContext';
+import { CONDITION_LABELS, NETWORK_LOCK_LABELS, formatStorage } from '../../config/phoneAttributes';
 
 /**
  * page component for displaying phone details
@@ -76,6 +77,9 @@ const PhoneDetailPage = () => {
     // determine if current user is the seller of this phone
     const isSeller = user && phone.seller && user._id === phone.seller._id;
 
+    // stock left after units held in other shoppers' carts
+    const availableStock = phone.availableStock ?? phone.stock;
+
     // determine how many reviews to show and if there are more
     const reviews = phone.reviews || [];
     
@@ -92,6 +96,16 @@ const PhoneDetailPage = () => {
     const displayedReviews = visibleReviewsForUser.slice(0, visibleReviews);
     const hasMoreReviews = visibleReviews < visibleReviewsForUser.length;
 
+    // attributes the seller filled in, older listings may have none
+    const specifications = [
+        ['Condition', phone.condition && CONDITION_LABELS[phone.condition]],
+        ['Storage', phone.storageGb && formatStorage(phone.storageGb)],
+        ['Colour', phone.colour],
+        ['Network', phone.networkLock && NETWORK_LOCK_LABELS[phone.networkLock]],
+        ['Battery health', phone.batteryHealth !== undefined && phone.batteryHealth !== null && `${phone.batteryHealth}%`],
+        ['Model year', phone.modelYear]
+    ].filter(([, value]) => value);
+
     return (
         <Container className="py-4">
             {/* Back button */}
@@ -123,9 +137,17 @@ const PhoneDetailPage = () => {
                     <h1 className="h2 mb-3">{phone.title}</h1>
                     <div className="mb-3">
                         <Badge bg="secondary" className="me-2">{phone.brand}</Badge>
-                        <Badge bg={phone.stock > 0 ? 'success' : 'danger'}>
-                            {phone.stock > 0 ? `${phone.stock} in stock` : 'Out of stock'}
+                        {phone.condition && (
+                            <Badge bg="info" className="me-2">{CONDITION_LABELS[phone.condition]}</Badge>
+                        )}
+                        <Badge bg={availableStock > 0 ? 'success' : 'danger'}>
+                            {availableStock > 0 ? `${availableStock} available` : 'Out of stock'}
                         </Badge>
+                        {availableStock < phone.stock && (
+                            <small className="text-muted ms-2">
+                                {phone.stock - availableStock} reserved in other carts
+                            </small>
+                        )}
                     </div>
 
                     <p className="text-muted mb-4">
@@ -139,7 +161,7 @@ const PhoneDetailPage = () => {
                             variant="primary"
                             size="lg"
                             onClick={handleAddToCart}
-                            disabled={phone.stock <= 0}
+                            disabled={availableStock <= 0}
                         >
                             <Cart className="me-2" /> Add to Cart
                         </Button>
@@ -163,6 +185,33 @@ const PhoneDetailPage = () => {
                 </Col>
             </Row>
 
+            {/* Specifications and description section */}
+            {(specifications.length > 0 || phone.description) && (
+                <Row className="mb-5">
+                    {specifications.length > 0 && (
+                        <Col md={5} className="mb-4 mb-md-0">
+                            <h3 className="mb-3">Specifications</h3>
+                            <Table size="sm" className="mb-0">
+                                <tbody>
+                                    {specifications.map(([label, value]) => (
+                                        <tr key={label}>
+                                            <th className="text-muted fw-normal">{label}</th>
+                                            <td>{value}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </Table>
+                        </Col>
+                    )}
+                    {phone.description && (
+                        <Col md={specifications.length > 0 ? 7 : 12}>
+                            <h3 className="mb-3">Description</h3>
+                            <p style={{ whiteSpace: 'pre-line' }}>{phone.description}</p>
+                        </Col>
+                    )}
+                </Row>
+            )}
+
             {/* Reviews section */}
             <h3 className="mb-4">Customer Reviews</h3>
 
@@ -251,7 +300,7 @@ const PhoneDetailPage = () => {
                 onHide={() => setShowQuantityModal(false)}
                 quantity={quantity}
                 setQuantity={setQuantity}
-                maxStock={phone.stock}
+                maxStock={availableStock}
                 onConfirm={confirmAddToCart}
             />
         </Container>
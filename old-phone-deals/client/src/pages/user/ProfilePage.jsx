@@ -5,6 +5,11 @@ import EditProfile from '../../components/profile/EditProfile';
 import ChangePassword from '../../components/profile/ChangePassword';
 import ManageListings from '../../components/profile/ManageListings';
 import ViewComments from '../../components/profile/ViewComments';
+import MySales from '../../components/profile/MySales';
+import MyReturns from '../../components/profile/MyReturns';
+import AddressBook from '../../components/profile/AddressBook';
+import SavedSearches from '../../components/profile/SavedSearches';
+import NotificationPreferences from '../../components/profile/NotificationPreferences';
 import useProfileViewModel from '../../viewModels/ProfileViewModel';
 import { BoxArrowRight, HouseDoor } from 'react-bootstrap-icons';
 import { useNavigate } from 'react-router-dom';
@@ -86,6 +91,8 @@ const ProfilePage = () => {
       setListingErrors,
       showAddListingModal,
       setShowAddListingModal,
+      editingListingId,
+      openEditListing,
       addNewListing,
       togglePhoneStatus,
       deletePhoneListing,
@@ -96,6 +103,37 @@ const ProfilePage = () => {
       commentsLoading,
       toggleCommentVisibility,
       
+      // My Sales
+      sales,
+      salesLoading,
+      salesStatusFilter,
+      handleSalesStatusFilter,
+      updateSaleStatus,
+
+      // Returns of my sales
+      returns,
+      returnsLoading,
+      returnsStatusFilter,
+      handleReturnsStatusFilter,
+      updateReturnStatus,
+
+      // Addresses
+      addresses,
+      addressesLoading,
+      saveAddress,
+      deleteAddress,
+      setDefaultAddress,
+
+      // Saved searches
+      savedSearches,
+      savedSearchesLoading,
+      deleteSavedSearch,
+
+      // Notification preferences
+      notificationPreferences,
+      preferencesLoading,
+      saveNotificationPreferences,
+      
       // Navigation
       navigateToHome,
       handleLogout
@@ -215,6 +253,8 @@ const ProfilePage = () => {
                     setListingData={setListingData}
                     showAddListingModal={showAddListingModal}
                     setShowAddListingModal={setShowAddListingModal}
+                    editingListingId={editingListingId}
+                    openEditListing={openEditListing}
                     addNewListing={addNewListing}
                     togglePhoneStatus={togglePhoneStatus}
                     deletePhoneListing={deletePhoneListing}
@@ -234,6 +274,67 @@ const ProfilePage = () => {
                   />
                 </ErrorBoundary>
               </Tab>
+              
+              <Tab eventKey="mySales" title="My sales">
+                <ErrorBoundary>
+                  <MySales 
+                    sales={sales}
+                    salesLoading={salesLoading}
+                    statusFilter={salesStatusFilter}
+                    onStatusFilterChange={handleSalesStatusFilter}
+                    updateSaleStatus={updateSaleStatus}
+                    loading={loading}
+                  />
+                </ErrorBoundary>
+              </Tab>
+
+              <Tab eventKey="returns" title="Returns">
+                <ErrorBoundary>
+                  <MyReturns
+                    returns={returns}
+                    returnsLoading={returnsLoading}
+                    statusFilter={returnsStatusFilter}
+                    onStatusFilterChange={handleReturnsStatusFilter}
+                    updateReturnStatus={updateReturnStatus}
+                    loading={loading}
+                  />
+                </ErrorBoundary>
+              </Tab>
+
+              <Tab eventKey="addresses" title="Addresses">
+                <ErrorBoundary>
+                  <AddressBook
+                    addresses={addresses}
+                    addressesLoading={addressesLoading}
+                    saveAddress={saveAddress}
+                    deleteAddress={deleteAddress}
+                    setDefaultAddress={setDefaultAddress}
+                    loading={loading}
+                  />
+                </ErrorBoundary>
+              </Tab>
+
+              <Tab eventKey="savedSearches" title="Saved searches">
+                <ErrorBoundary>
+                  <SavedSearches
+                    savedSearches={savedSearches}
+                    savedSearchesLoading={savedSearchesLoading}
+                    deleteSavedSearch={deleteSavedSearch}
+                    loading={loading}
+                  />
+                </ErrorBoundary>
+              </Tab>
+
+              <Tab eventKey="notifications" title="Notifications">
+                <ErrorBoundary>
+                  <NotificationPreferences
+                    preferences={notificationPreferences}
+                    preferencesLoading={preferencesLoading}
+                    savePreferences={saveNotificationPreferences}
+                    loading={loading}
+                  />
+                </ErrorBoundary>
+              </Tab>
             </Tabs>
           </Col>
         </Row>
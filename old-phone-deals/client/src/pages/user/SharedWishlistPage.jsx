@@ -0,0 +1,227 @@
+import React, { useState, useEffect } from 'react';
+import { Container, Row, Col, Card, Button, Spinner, Alert, Modal, Form, Navbar } from 'react-bootstrap';
+import { ArrowLeft, Cart, HouseDoor } from 'react-bootstrap-icons';
+import { useAuth } from '../../context/AuthContext';
+import { useNavigate, useParams } from 'react-router-dom';
+import apiService from '../../service/ApiService';
+import SwalService from '../../service/SwalService';
+
+// phone a visitor wanted to add to the cart before logging in
+const PENDING_ITEM_KEY = 'sharedWishlistPendingItem';
+
+/**
+ * Shared Wishlist Page Component
+ * Read-only view of a wishlist its owner published, open to anyone with the link.
+ * Visitors can add its phones to their own cart once logged in.
+ */
+const SharedWishlistPage = () => {
+    const { slug } = useParams();
+    const { user } = useAuth();
+    const navigate = useNavigate();
+    const [wishlist, setWishlist] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [showQuantityModal, setShowQuantityModal] = useState(false);
+    const [selectedPhone, setSelectedPhone] = useState(null);
+    const [quantity, setQuantity] = useState(1);
+
+    useEffect(() => {
+        fetchSharedWishlist();
+    }, [slug]);
+
+    // after logging in, continue adding the phone the visitor picked
+    useEffect(() => {
+        const pendingPhoneId = sessionStorage.getItem(PENDING_ITEM_KEY);
+        if (!user || !wishlist || !pendingPhoneId) return;
+
+        sessionStorage.removeItem(PENDING_ITEM_KEY);
+        const pending = wishlist.items.find(item => item.phone._id === pendingPhoneId);
+        if (pending && pending.phone.stock > 0) {
+            handleAddToCart(pending.phone);
+        }
+    }, [user, wishlist]);
+
+    /**
+     * Fetch the shared wishlist from the API
+     */
+    const fetchSharedWishlist = async () => {
+        try {
+            setLoading(true);
+            const response = await apiService.get(`/shared-wishlists/${slug}`);
+            if (response.success) {
+                setWishlist(response.data.wishlist);
+                setError(null);
+            } else {
+                setError(response.message || 'Failed to fetch this wishlist');
+            }
+        } catch (err) {
+            console.error('Error fetching shared wishlist:', err);
+            if (err.response?.status === 404) {
+                setError('This wishlist does not exist or is no longer shared');
+            } else {
+                setError('Failed to fetch this wishlist. Please try again later');
+            }
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    /**
+     * Show quantity selection modal, or send the visitor to log in first
+     * @param {Object} phone - Phone object to add to cart
+     */
+    const handleAddToCart = (phone) => {
+        if (!user) {
+            SwalService.info('Please log in to add items to your cart');
+            sessionStorage.setItem(PENDING_ITEM_KEY, phone._id);
+            sessionStorage.setItem('redirectAfterLogin', window.location.pathname);
+            navigate('/auth');
+            return;
+        }
+        setSelectedPhone(phone);
+        setQuantity(1);
+        setShowQuantityModal(true);
+    };
+
+    /**
+     * Confirm adding item to cart with selected quantity
+     */
+    const confirmAddToCart = async () => {
+        if (!selectedPhone) return;
+
+        try {
+            const response = await apiService.put(`/user/${user._id}/cart/${selectedPhone._id}`, {
+                quantity: quantity
+            });
+
+            if (response.success) {
+                setShowQuantityModal(false);
+                SwalService.success('Item added to cart successfully');
+            } else {
+                SwalService.error(response.message || 'Failed to add item to cart. Please try again later');
+            }
+        } catch (err) {
+            console.error('Error adding to cart:', err);
+        }
+    };
+
+    // Loading state
+    if (loading) {
+        return (
+            <Container className="py-5 text-center">
+                <Spinner animation="border" role="status" variant="primary">
+                    <span className="visually-hidden">Loading...</span>
+                </Spinner>
+            </Container>
+        );
+    }
+
+    return (
+        <Container className="py-4">
+            <Navbar className="mb-4 d-flex justify-content-between">
+                <Button
+                    variant="outline-primary"
+                    onClick={() => navigate(-1)}
+                >
+                    <ArrowLeft className="me-2" />
+                    Back
+                </Button>
+                <Button
+                    variant="outline-primary"
+                    onClick={() => navigate('/')}
+                >
+                    <HouseDoor className="me-2" />
+                    Home
+                </Button>
+            </Navbar>
+
+            {error ? (
+                <Alert variant="danger">{error}</Alert>
+            ) : (
+                <>
+                    <h1 className="mb-1 text-center">{wishlist.name}</h1>
+                    {wishlist.owner && (
+                        <p className="text-center text-muted mb-4">Shared by {wishlist.owner}</p>
+                    )}
+
+                    {wishlist.items.length === 0 ? (
+                        <Alert variant="info">This wishlist is empty.</Alert>
+                    ) : (
+                        <Row>
+                            {wishlist.items.map((item) => (
+                                <Col key={item.phone._id} md={4} className="mb-4">
+                                    <Card className="h-100">
+                                        <Card.Img
+                                            variant="top"
+                                            src={`http://localhost:7777${item.phone.image}`}
+                                            alt={item.phone.title}
+                                            style={{ height: '200px', objectFit: 'contain', cursor: 'pointer' }}
+                                            onClick={() => navigate(`/phone/${item.phone._id}`)}
+                                        />
+                                        <Card.Body>
+                                            <Card.Title>{item.phone.title}</Card.Title>
+                                            <Card.Text>
+                                                <p className="text-muted mb-2">Brand: {item.phone.brand}</p>
+                                                <p className="h5 text-primary mb-3">${item.phone.price.toFixed(2)}</p>
+                                                <p className="mb-0">
+                                                    <small className={item.phone.stock > 0 ? 'text-success' : 'text-danger'}>
+                                                        {item.phone.stock > 0 ? `Stock: ${item.phone.stock}` : 'Out of stock'}
+                                                    </small>
+                                                </p>
+                                            </Card.Text>
+                                        </Card.Body>
+                                        <Card.Footer className="bg-white border-top-0">
+                                            <Button
+                                                variant="primary"
+                                                size="sm"
+                                                onClick={() => handleAddToCart(item.phone)}
+                                                disabled={item.phone.stock <= 0}
+                                            >
+                                                <Cart className="me-1" /> Add to Cart
+                                            </Button>
+                                        </Card.Footer>
+                                    </Card>
+                                </Col>
+                            ))}
+                        </Row>
+                    )}
+                </>
+            )}
+
+            {/* Quantity Selection Modal */}
+            <Modal show={showQuantityModal} onHide={() => setShowQuantityModal(false)}>
+                <Modal.Header closeButton>
+                    <Modal.Title>Select Quantity</Modal.Title>
+                </Modal.Header>
+                <Modal.Body>
+                    {selectedPhone && (
+                        <>
+                            <p>Selected item: {selectedPhone.title}</p>
+                            <p>Available stock: {selectedPhone.stock}</p>
+                            <Form.Group>
+                                <Form.Label>Quantity:</Form.Label>
+                                <Form.Control
+                                    type="number"
+                                    min="1"
+                                    max={selectedPhone.stock}
+                                    value={quantity}
+                                    onChange={(e) => setQuantity(Math.min(Math.max(1, parseInt(e.target.value) || 1), selectedPhone.stock))}
+                                />
+                            </Form.Group>
+                        </>
+                    )}
+                </Modal.Body>
+                <Modal.Footer>
+                    <Button variant="secondary" onClick={() => setShowQuantityModal(false)}>
+                        Cancel
+                    </Button>
+                    <Button variant="primary" onClick={confirmAddToCart}>
+                        Add to Cart
+                    </Button>
+                </Modal.Footer>
+            </Modal>
+        </Container>
+    );
+};
+
+export default SharedWishlistPage;
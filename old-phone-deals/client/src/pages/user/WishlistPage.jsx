@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from 'react';
-import { Container, Row, Col, Card, Button, Spinner, Alert, Modal, Form, Navbar } from 'react-bootstrap';
-import { ArrowLeft, Heart, Cart, Trash, BoxArrowRight, HouseDoor } from 'react-bootstrap-icons';
+import { Container, Row, Col, Card, Button, Spinner, Alert, Modal, Form, Navbar, Badge, Nav, Dropdown, InputGroup } from 'react-bootstrap';
+import { ArrowLeft, Heart, Cart, Trash, BoxArrowRight, HouseDoor, Plus, Pencil, Star, Share } from 'react-bootstrap-icons';
 import { useAuth } from '../../context/AuthContext';
 import { useNavigate } from 'react-router-dom';
 import apiService from '../../service/ApiService';
@@ -8,17 +8,36 @@ import SwalService from '../../service/SwalService';
 
 /**
  * Wishlist Page Component
- * Displays user's wishlist items with options to add to cart or remove
+ * Displays the user's named wishlists with options to add items to cart, remove them or move them to another list,
+ * and to share a list through a public link
  */
 const WishlistPage = () => {
     const { user, logout } = useAuth();
     const navigate = useNavigate();
-    const [wishlist, setWishlist] = useState(null);
+    const [wishlists, setWishlists] = useState([]);
+    const [activeListId, setActiveListId] = useState(null);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
     const [showQuantityModal, setShowQuantityModal] = useState(false);
     const [selectedPhone, setSelectedPhone] = useState(null);
     const [quantity, setQuantity] = useState(1);
+    // create / rename list modal, listId is null when creating
+    const [listModal, setListModal] = useState({ show: false, listId: null, name: '' });
+
+    const activeList = wishlists.find(list => list._id === activeListId) || wishlists[0] || null;
+
+    /**
+     * Store the lists returned by the API, keeping the selected list when it still exists
+     * @param {Array} lists - All wishlists of the user
+     * @param {string} selectId - Optional list to select
+     */
+    const applyWishlists = (lists, selectId = null) => {
+        setWishlists(lists);
+        setActiveListId(prev => {
+            const wanted = selectId || prev;
+            return lists.some(list => list._id === wanted) ? wanted : lists[0]?._id || null;
+        });
+    };
 
     // Fetch wishlist data when user is available
     useEffect(() => {
@@ -28,14 +47,14 @@ const WishlistPage = () => {
     }, [user]);
 
     /**
-     * Fetch user's wishlist data from the API
+     * Fetch user's wishlists from the API
      */
     const fetchWishlist = async () => {
         try {
             setLoading(true);
             const response = await apiService.get(`/user/${user._id}/wishlist`);
             if (response.success) {
-                setWishlist(response.data.wishlist);
+                applyWishlists(response.data.wishlists);
                 setError(null);
             } else {
                 setError(response.message || 'Failed to fetch wishlist data');
@@ -72,9 +91,9 @@ const WishlistPage = () => {
             });
 
             if (result.isConfirmed) {
-                const response = await apiService.delete(`/user/${user._id}/wishlist/${phoneId}`);
+                const response = await apiService.delete(`/user/${user._id}/wishlist/${phoneId}?listId=${activeList._id}`);
                 if (response.success) {
-                    setWishlist(response.data.wishlist);
+                    applyWishlists(response.data.wishlists);
                     SwalService.success('Item removed from wishlist');
                 } else {
                     SwalService.error(response.message || 'Failed to remove item. Please try again later');
@@ -86,6 +105,120 @@ const WishlistPage = () => {
         }
     };
 
+    /**
+     * Move an item of the selected list to another list
+     * @param {string} phoneId - ID of the phone to move
+     * @param {Object} targetList - List to move it to
+     */
+    const moveItem = async (phoneId, targetList) => {
+        try {
+            const response = await apiService.put(
+                `/user/${user._id}/wishlist/lists/${activeList._id}/items/${phoneId}/move`,
+                { targetListId: targetList._id }
+            );
+            if (response.success) {
+                applyWishlists(response.data.wishlists);
+                SwalService.success(`Item moved to "${targetList.name}"`);
+            }
+        } catch (err) {
+            console.error('Error moving item:', err);
+        }
+    };
+
+    /**
+     * Create a list, or rename the list open in the modal
+     */
+    const saveList = async () => {
+        const name = listModal.name.trim();
+        if (!name) return;
+
+        try {
+            const response = listModal.listId
+                ? await apiService.put(`/user/${user._id}/wishlist/lists/${listModal.listId}`, { name })
+                : await apiService.post(`/user/${user._id}/wishlist/lists`, { name });
+            if (response.success) {
+                // select a newly created list
+                const created = !listModal.listId && response.data.wishlists.find(list => list.name === name);
+                applyWishlists(response.data.wishlists, created ? created._id : null);
+                setListModal({ show: false, listId: null, name: '' });
+            }
+        } catch (err) {
+            console.error('Error saving wishlist:', err);
+        }
+    };
+
+    /**
+     * Make the selected list the one phones are added to
+     */
+    const makeDefault = async () => {
+        try {
+            const response = await apiService.put(`/user/${user._id}/wishlist/lists/${activeList._id}`, { isDefault: true });
+            if (response.success) {
+                applyWishlists(response.data.wishlists);
+            }
+        } catch (err) {
+            console.error('Error changing the default wishlist:', err);
+        }
+    };
+
+    /**
+     * Delete the selected list after confirmation
+     */
+    const deleteList = async () => {
+        const result = await SwalService.confirm({
+            title: 'Delete List',
+            text: `Delete "${activeList.name}" and the ${activeList.items.length} item(s) on it?`,
+            icon: 'warning',
+            confirmButtonText: 'Yes, delete it',
+            cancelButtonText: 'Cancel'
+        });
+        if (!result.isConfirmed) return;
+
+        try {
+            const response = await apiService.delete(`/user/${user._id}/wishlist/lists/${activeList._id}`);
+            if (response.success) {
+                applyWishlists(response.data.wishlists);
+            }
+        } catch (err) {
+            console.error('Error deleting wishlist:', err);
+        }
+    };
+
+    /**
+     * Publish the selected list at its share link or make it private again
+     * @param {boolean} isPublic - Whether the list is shared
+     */
+    const toggleSharing = async (isPublic) => {
+        try {
+            const response = await apiService.put(`/user/${user._id}/wishlist/lists/${activeList._id}/share`, { isPublic });
+            if (response.success) {
+                applyWishlists(response.data.wishlists);
+            }
+        } catch (err) {
+            console.error('Error sharing wishlist:', err);
+        }
+    };
+
+    /**
+     * Public link of a shared list
+     * @param {Object} list - Shared wishlist
+     * @returns {string}
+     */
+    const getShareUrl = (list) => `${window.location.origin}/wishlists/shared/${list.shareSlug}`;
+
+    /**
+     * Copy the share link of the selected list
+     */
+    const copyShareUrl = async () => {
+        try {
+            await navigator.clipboard.writeText(getShareUrl(activeList));
+            SwalService.success('Link copied to clipboard');
+        } catch (err) {
+            console.error('Error copying link:', err);
+            SwalService.error('Could not copy the link, please copy it manually');
+        }
+    };
+
     /**
      * Show quantity selection modal for adding item to cart
      * @param {Object} phone - Phone object to add to cart
@@ -119,6 +252,18 @@ const WishlistPage = () => {
         }
     };
     
+    /**
+     * How much cheaper a wishlist item is than when it was saved
+     * @param {Object} item - Wishlist item with its populated phone and saved price
+     * @returns {number} - The price drop, 0 when the price did not drop or no price was saved
+     */
+    const getPriceDrop = (item) => {
+        if (item.savedPrice === undefined || item.savedPrice === null) {
+            return 0;
+        }
+        return Math.max(0, item.savedPrice - item.phone.price);
+    };
+
     /**
      * Go back to previous page
      */
@@ -164,33 +309,6 @@ const WishlistPage = () => {
         );
     }
 
-    // Empty wishlist state
-    if (!wishlist || !wishlist.items || wishlist.items.length === 0) {
-        return (
-            <Container className="py-5">
-                <Navbar className="mb-4 d-flex justify-content-between">
-                    <Button 
-                        variant="outline-primary" 
-                        onClick={goBack}
-                    >
-                        <ArrowLeft className="me-2" />
-                        Back
-                    </Button>
-                    <Button 
-                        variant="outline-danger" 
-                        onClick={handleLogout}
-                    >
-                        <BoxArrowRight className="me-2" />
-                        Signout
-                    </Button>
-                </Navbar>
-                <Alert variant="info">
-                    Your wishlist is empty. Start adding some phones!
-                </Alert>
-            </Container>
-        );
-    }
-
     return (
         <Container className="py-4">
             <Navbar className="mb-4 d-flex justify-content-between">
@@ -210,10 +328,84 @@ const WishlistPage = () => {
                 </Button>
             </Navbar>
             
-            <h1 className="mb-4 text-center">My Wishlist</h1>
+            <h1 className="mb-4 text-center">My Wishlists</h1>
+
+            <div className="d-flex flex-wrap justify-content-between align-items-center mb-3">
+                <Nav
+                    variant="tabs"
+                    activeKey={activeList?._id}
+                    onSelect={(key) => setActiveListId(key)}
+                >
+                    {wishlists.map(list => (
+                        <Nav.Item key={list._id}>
+                            <Nav.Link eventKey={list._id}>
+                                {list.name}
+                                <Badge bg="secondary" pill className="ms-2">{list.items.length}</Badge>
+                                {list.isDefault && <Star className="ms-1 text-warning" title="Default list" />}
+                                {list.isPublic && <Share className="ms-1 text-primary" title="Shared" />}
+                            </Nav.Link>
+                        </Nav.Item>
+                    ))}
+                </Nav>
+                <Button
+                    variant="outline-primary"
+                    size="sm"
+                    onClick={() => setListModal({ show: true, listId: null, name: '' })}
+                >
+                    <Plus className="me-1" /> New list
+                </Button>
+            </div>
+
+            {activeList && (
+                <Card className="mb-4">
+                    <Card.Body className="d-flex flex-wrap align-items-center gap-2">
+                        <Button
+                            variant="outline-secondary"
+                            size="sm"
+                            onClick={() => setListModal({ show: true, listId: activeList._id, name: activeList.name })}
+                        >
+                            <Pencil className="me-1" /> Rename
+                        </Button>
+                        {activeList.isDefault ? (
+                            <small className="text-muted">New items are added to this list</small>
+                        ) : (
+                            <>
+                                <Button variant="outline-secondary" size="sm" onClick={makeDefault}>
+                                    <Star className="me-1" /> Make default
+                                </Button>
+                                <Button variant="outline-danger" size="sm" onClick={deleteList}>
+                                    <Trash className="me-1" /> Delete list
+                                </Button>
+                            </>
+                        )}
+                        <Form.Check
+                            type="switch"
+                            id="wishlist-public"
+                            className="ms-md-auto"
+                            label="Share with a public link"
+                            checked={activeList.isPublic}
+                            onChange={(e) => toggleSharing(e.target.checked)}
+                        />
+                        {activeList.isPublic && activeList.shareSlug && (
+                            <InputGroup size="sm" className="w-100">
+                                <Form.Control readOnly value={getShareUrl(activeList)} aria-label="Share link" />
+                                <Button variant="outline-primary" onClick={copyShareUrl}>
+                                    Copy link
+                                </Button>
+                            </InputGroup>
+                        )}
+                    </Card.Body>
+                </Card>
+            )}
+
+            {activeList && activeList.items.length === 0 && (
+                <Alert variant="info">
+                    This list is empty. Start adding some phones!
+                </Alert>
+            )}
             
             <Row>
-                {wishlist.items.map((item) => (
+                {activeList && activeList.items.filter(item => item.phone).map((item) => (
                     <Col key={item.phone._id} md={4} className="mb-4">
                         <Card className="h-100">
                             <Card.Img
@@ -226,7 +418,15 @@ const WishlistPage = () => {
                                 <Card.Title>{item.phone.title}</Card.Title>
                                 <Card.Text>
                                     <p className="text-muted mb-2">Brand: {item.phone.brand}</p>
-                                    <p className="h5 text-primary mb-3">${item.phone.price.toFixed(2)}</p>
+                                    <p className="h5 text-primary mb-2">${item.phone.price.toFixed(2)}</p>
+                                    {getPriceDrop(item) > 0 && (
+                                        <Badge bg="success" className="mb-2 text-wrap">
+                                            Price dropped by ${getPriceDrop(item).toFixed(2)} since you saved it
+                                        </Badge>
+                                    )}
+                                    {item.savedStock === 0 && item.phone.stock > 0 && (
+                                        <Badge bg="info" className="mb-2 ms-1">Back in stock</Badge>
+                                    )}
                                     <p className="mb-0">
                                         <small className={item.phone.stock > 0 ? 'text-success' : 'text-danger'}>
                                             {item.phone.stock > 0 ? `Stock: ${item.phone.stock}` : 'Out of stock'}
@@ -244,6 +444,20 @@ const WishlistPage = () => {
                                     >
                                         <Cart className="me-1" /> Add to Cart
                                     </Button>
+                                    {wishlists.length > 1 && (
+                                        <Dropdown>
+                                            <Dropdown.Toggle variant="outline-secondary" size="sm">
+                                                Move to
+                                            </Dropdown.Toggle>
+                                            <Dropdown.Menu>
+                                                {wishlists.filter(list => list._id !== activeList._id).map(list => (
+                                                    <Dropdown.Item key={list._id} onClick={() => moveItem(item.phone._id, list)}>
+                                                        {list.name}
+                                                    </Dropdown.Item>
+                                                ))}
+                                            </Dropdown.Menu>
+                                        </Dropdown>
+                                    )}
                                     <Button
                                         variant="outline-danger"
                                         size="sm"
@@ -290,6 +504,36 @@ const WishlistPage = () => {
                     </Button>
                 </Modal.Footer>
             </Modal>
+
+            {/* Create / Rename List Modal */}
+            <Modal show={listModal.show} onHide={() => setListModal({ show: false, listId: null, name: '' })}>
+                <Modal.Header closeButton>
+                    <Modal.Title>{listModal.listId ? 'Rename List' : 'New List'}</Modal.Title>
+                </Modal.Header>
+                <Modal.Body>
+                    <Form onSubmit={(e) => { e.preventDefault(); saveList(); }}>
+                        <Form.Group>
+                            <Form.Label>Name:</Form.Label>
+                            <Form.Control
+                                type="text"
+                                maxLength={50}
+                                placeholder="e.g. Gift ideas"
+                                value={listModal.name}
+                                onChange={(e) => setListModal(prev => ({ ...prev, name: e.target.value }))}
+                                autoFocus
+                            />
+                        </Form.Group>
+                    </Form>
+                </Modal.Body>
+                <Modal.Footer>
+                    <Button variant="secondary" onClick={() => setListModal({ show: false, listId: null, name: '' })}>
+                        Cancel
+                    </Button>
+                    <Button variant="primary" onClick={saveList} disabled={!listModal.name.trim()}>
+                        {listModal.listId ? 'Rename' : 'Create'}
+                    </Button>
+                </Modal.Footer>
+            </Modal>
         </Container>
     );
 };
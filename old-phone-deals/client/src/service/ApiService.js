@@ -47,12 +47,21 @@ api.interceptors.response.use(
             }, 100);
         }
         
-        // for other errors, show the error message
-        handleApiError(error);
+        // for other errors, show the error message unless the request asked to stay silent
+        if (!error.config?.silent) {
+            handleApiError(error);
+        }
         return Promise.reject(error);
     }
 );
 
+// content types of the files downloadFile can save
+const DOWNLOAD_TYPES = {
+    csv: 'text/csv;charset=utf-8',
+    json: 'application/json',
+    pdf: 'application/pdf'
+};
+
 // error handling function
 const handleApiError = (error) => {
     // Skip if it's a 401 error
@@ -74,19 +83,19 @@ const handleApiError = (error) => {
 
 // api service methods
 const apiService = {
-    // get request
-    async get(endpoint, params = {}) {
+    // get request, config.silent skips the error alert and config.signal cancels the request
+    async get(endpoint, params = {}, config = {}) {
         try {
-            return await api.get(endpoint, {params});
+            return await api.get(endpoint, {params, ...config});
         } catch (error) {
             throw error;
         }
     },
 
-    // post request
-    async post(endpoint, data = {}) {
+    // post request, config carries extra headers such as Idempotency-Key
+    async post(endpoint, data = {}, config = {}) {
         try {
-            return await api.post(endpoint, data);
+            return await api.post(endpoint, data, config);
         } catch (error) {
             throw error;
         }
@@ -123,6 +132,15 @@ const apiService = {
         }
     },
 
+    // patch request
+    async patch(endpoint, data = {}) {
+        try {
+            return await api.patch(endpoint, data);
+        } catch (error) {
+            throw error;
+        }
+    },
+
     // delete request
     async delete(endpoint) {
         try {
@@ -145,26 +163,27 @@ const apiService = {
         }
     },
     
-    // download file (for exports)
+    // download file (for exports and invoices), admin endpoints unless options.admin is false
     async downloadFile(endpoint, params = {}, options = {}) {
         try {
             // extract options with defaults
             const {
                 filename = `export-${new Date().toISOString().split('T')[0]}`,
                 format = 'csv',
-                showErrors = true
+                showErrors = true,
+                admin = true
             } = options;
             
             // prepare request config
             const config = {
                 method: 'GET',
-                url: `http://localhost:7777/api/admin/${endpoint}`,
+                url: `http://localhost:7777/api/${admin ? 'admin/' : ''}${endpoint}`,
                 params,
                 responseType: 'blob',
                 withCredentials: true,
                 timeout: 30000, // longer timeout for downloads
                 headers: {
-                    'Accept': format === 'csv' ? 'text/csv' : 'application/json'
+                    'Accept': (DOWNLOAD_TYPES[format] || DOWNLOAD_TYPES.json).split(';')[0]
                 }
             };
             
@@ -186,7 +205,7 @@ const apiService = {
             
             // create blob URL
             const blob = new Blob([response.data], {
-                type: format === 'csv' ? 'text/csv;charset=utf-8' : 'application/json'
+                type: DOWNLOAD_TYPES[format] || DOWNLOAD_TYPES.json
             });
             const url = window.URL.createObjectURL(blob);
             
@@ -2,19 +2,25 @@ class WebSocketService {
     constructor() {
         this.ws = null;
         this.subscribers = new Set();
+        this.topics = new Set();
+        this.scope = 'user';
         this.reconnectAttempts = 0;
         this.maxReconnectAttempts = 5;
         this.reconnectDelay = 3000; // 3 seconds
     }
 
-    connect() {
+    // scope 'admin' authenticates with the admin session cookie, 'user' with the user session cookie
+    connect(scope = this.scope) {
+        this.scope = scope;
         const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-        const wsUrl = `${protocol}//localhost:7777/ws`;
+        const wsUrl = `${protocol}//localhost:7777/ws?scope=${scope}`;
         
         this.ws = new WebSocket(wsUrl);
 
         this.ws.onopen = () => {
             this.reconnectAttempts = 0;
+            // restore topic subscriptions after a reconnect
+            this.topics.forEach(topic => this.send({ type: 'SUBSCRIBE', topic }));
         };
 
         this.ws.onmessage = (event) => {
@@ -49,6 +55,22 @@ class WebSocketService {
         return () => this.subscribers.delete(callback);
     }
 
+    send(message) {
+        if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+            this.ws.send(JSON.stringify(message));
+        }
+    }
+
+    subscribeTopic(topic) {
+        this.topics.add(topic);
+        this.send({ type: 'SUBSCRIBE', topic });
+    }
+
+    unsubscribeTopic(topic) {
+        this.topics.delete(topic);
+        this.send({ type: 'UNSUBSCRIBE', topic });
+    }
+
     notifySubscribers(message) {
         this.subscribers.forEach(callback => {
             try {
@@ -61,6 +83,8 @@ class WebSocketService {
 
     disconnect() {
         if (this.ws) {
+            // intentional close, do not reconnect
+            this.ws.onclose = null;
             this.ws.close();
             this.ws = null;
         }
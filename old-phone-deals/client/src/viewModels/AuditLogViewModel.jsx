@@ -0,0 +1,147 @@
+// implements the business logic and state management for the AuditLogManagement component
+import { useState, useEffect, useCallback } from 'react';
+import apiService from '../service/ApiService';
+import SwalService from '../service/SwalService';
+import useBaseManagementViewModel from './BaseManagementViewModel';
+import dayjs from 'dayjs';
+
+const useAuditLogViewModel = () => {
+    // use common states and methods from base view model
+    const base = useBaseManagementViewModel();
+
+    // audit-specific states
+    const [filters, setFilters] = useState({});
+    const [filterOptions, setFilterOptions] = useState({ actions: [], resources: [], admins: [] });
+
+    // rename base items to logs
+    const logs = base.items;
+    const setLogs = base.setItems;
+
+    // build query parameters from the active filters, skipping empty values
+    const buildFilterParams = useCallback(() => {
+        const params = {};
+        Object.entries(filters).forEach(([key, value]) => {
+            if (value) {
+                params[key] = value;
+            }
+        });
+        return params;
+    }, [filters]);
+
+    // fetch audit logs with pagination and filters
+    const fetchLogs = useCallback(async () => {
+        try {
+            base.setLoading(true);
+
+            const queryParams = {
+                page: base.pagination.pageIndex + 1, // convert to 1-based for backend
+                limit: base.pagination.pageSize,
+                ...buildFilterParams()
+            };
+
+            const response = await apiService.get('/admin/audit-logs', queryParams);
+
+            if (response.success) {
+                setLogs(response.data.logs);
+                base.setTotalCount(response.data.pagination.totalItems);
+                base.setTotalPages(response.data.pagination.totalPages);
+            } else {
+                await SwalService.error(response.message || 'Failed to fetch audit logs');
+            }
+        } catch (error) {
+            // error already handled by apiService
+            console.error('Error fetching audit logs:', error);
+        } finally {
+            base.setLoading(false);
+        }
+    }, [base.pagination.pageIndex, base.pagination.pageSize, buildFilterParams, base.setLoading, base.setTotalCount, base.setTotalPages, setLogs]);
+
+    // fetch the admins, actions and resources available as filters
+    const fetchFilterOptions = useCallback(async () => {
+        try {
+            const response = await apiService.get('/admin/audit-logs/filters');
+            if (response.success) {
+                setFilterOptions(response.data);
+            }
+        } catch (error) {
+            console.error('Error fetching audit log filters:', error);
+        }
+    }, []);
+
+    // load logs when component mounts and dependencies change
+    useEffect(() => {
+        fetchLogs();
+    }, [fetchLogs]);
+
+    // load filter options once
+    useEffect(() => {
+        fetchFilterOptions();
+    }, [fetchFilterOptions]);
+
+    // apply new filters and go back to the first page
+    const applyFilters = useCallback((newFilters) => {
+        setFilters(newFilters);
+        base.setPagination(prev => ({...prev, pageIndex: 0}));
+    }, [base.setPagination]);
+
+    // clear every filter
+    const clearFilters = useCallback(() => {
+        setFilters({});
+        base.setPagination(prev => ({...prev, pageIndex: 0}));
+    }, [base.setPagination]);
+
+    // handle date time formatting
+    const formatDateTime = useCallback((dateString) => {
+        return dayjs(dateString).format('YYYY-MM-DD HH:mm:ss');
+    }, []);
+
+    // format a changed value for display
+    const formatChangeValue = useCallback((value) => {
+        if (value === null || value === undefined) {
+            return '—';
+        }
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }, []);
+
+    // export logs matching the current filters as CSV
+    const exportLogs = useCallback(async () => {
+        try {
+            base.setLoading(true);
+            await apiService.downloadFile(
+                'audit-logs/export',
+                { format: 'csv', ...buildFilterParams() },
+                {
+                    filename: `audit_log_${dayjs().format('YYYY-MM-DD')}`,
+                    format: 'csv',
+                    showErrors: true
+                }
+            );
+            await SwalService.success('Export completed successfully');
+        } catch (error) {
+            console.error('Export error:', error);
+        } finally {
+            base.setLoading(false);
+        }
+    }, [buildFilterParams, base.setLoading]);
+
+    return {
+        // states inherited from base model
+        logs,
+        totalCount: base.totalCount,
+        loading: base.loading,
+        pagination: base.pagination,
+        filters,
+        filterOptions,
+
+        // specialized methods
+        fetchLogs,
+        applyFilters,
+        clearFilters,
+        formatDateTime,
+        formatChangeValue,
+        exportLogs,
+        setPagination: base.setPagination
+    };
+};
+
+export default useAuditLogViewModel;
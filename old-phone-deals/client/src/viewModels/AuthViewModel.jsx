@@ -247,7 +247,7 @@ const useAuthViewModel = () => {
             // Redirect based on login path and user role
             if (isAdminLogin) {
                 // Check if user has admin privileges
-                if (user && (user.role === 'admin' || user.role === 'superAdmin')) {
+                if (user && user.role && user.role !== 'user') {
                     await SwalService.success('Admin login successful!');
                     navigate('/admin/home', { replace: true });
                 } else {
@@ -0,0 +1,117 @@
+// implements the business logic and state management for the NotificationBell component
+import { useState, useEffect, useCallback } from 'react';
+import apiService from '../service/ApiService';
+import webSocketService from '../service/WebSocketService';
+import { useAuth } from '../context/AuthContext';
+
+const useNotificationViewModel = () => {
+    const { isAuthenticated, user } = useAuth();
+    const [notifications, setNotifications] = useState([]);
+    const [unreadCount, setUnreadCount] = useState(0);
+    const [loading, setLoading] = useState(false);
+
+    const userId = user?._id;
+    const baseEndpoint = `/user/${userId}/notifications`;
+
+    // fetch the latest notifications and the unread count
+    const fetchNotifications = useCallback(async () => {
+        if (!isAuthenticated || !userId) {
+            return;
+        }
+        try {
+            setLoading(true);
+            const response = await apiService.get(baseEndpoint, { limit: 10 });
+            if (response.success) {
+                setNotifications(response.data.notifications);
+                setUnreadCount(response.data.unreadCount);
+            }
+        } catch (error) {
+            console.error('Error fetching notifications:', error);
+        } finally {
+            setLoading(false);
+        }
+    }, [isAuthenticated, userId, baseEndpoint]);
+
+    // load notifications on login
+    useEffect(() => {
+        fetchNotifications();
+    }, [fetchNotifications]);
+
+    // receive new notifications live over the user websocket
+    useEffect(() => {
+        if (!isAuthenticated || !userId) {
+            return;
+        }
+
+        webSocketService.disconnect();
+        webSocketService.connect('user');
+
+        const unsubscribe = webSocketService.subscribe((wsMessage) => {
+            if (wsMessage.type === 'NOTIFICATION') {
+                setNotifications(prev => [wsMessage.data, ...prev.filter(n => n._id !== wsMessage.data._id)]);
+                setUnreadCount(prev => prev + 1);
+            }
+        });
+
+        return () => {
+            unsubscribe();
+            webSocketService.disconnect();
+        };
+    }, [isAuthenticated, userId]);
+
+    // mark one notification as read
+    const markAsRead = useCallback(async (notification) => {
+        if (notification.read) {
+            return;
+        }
+        try {
+            const response = await apiService.put(`${baseEndpoint}/${notification._id}/read`);
+            if (response.success) {
+                setNotifications(prev => prev.map(n => n._id === notification._id ? response.data.notification : n));
+                setUnreadCount(prev => Math.max(prev - 1, 0));
+            }
+        } catch (error) {
+            console.error('Error marking notification as read:', error);
+        }
+    }, [baseEndpoint]);
+
+    // mark every notification as read
+    const markAllAsRead = useCallback(async () => {
+        try {
+            const response = await apiService.put(`${baseEndpoint}/read-all`);
+            if (response.success) {
+                setNotifications(prev => prev.map(n => ({ ...n, read: true })));
+                setUnreadCount(0);
+            }
+        } catch (error) {
+            console.error('Error marking all notifications as read:', error);
+        }
+    }, [baseEndpoint]);
+
+    // delete one notification
+    const deleteNotification = useCallback(async (notification) => {
+        try {
+            const response = await apiService.delete(`${baseEndpoint}/${notification._id}`);
+            if (response.success) {
+                setNotifications(prev => prev.filter(n => n._id !== notification._id));
+                if (!notification.read) {
+                    setUnreadCount(prev => Math.max(prev - 1, 0));
+                }
+            }
+        } catch (error) {
+            console.error('Error deleting notification:', error);
+        }
+    }, [baseEndpoint]);
+
+    return {
+        notifications,
+        unreadCount,
+        loading,
+        fetchNotifications,
+        markAsRead,
+        markAllAsRead,
+        deleteNotification
+    };
+};
+
+export default useNotificationViewModel;
@@ -0,0 +1,227 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import apiService from '../service/ApiService';
+import SwalService from '../service/SwalService';
+
+// orders whose items have left the seller, mirrors RETURNABLE_ORDER_STATUSES in server/service/order/returnService.js
+const RETURNABLE_ORDER_STATUSES = ['shipped', 'delivered', 'closed'];
+
+/**
+ * read a file as a base64 data URL
+ * @param {File} file - file picked by the user
+ * @returns {Promise<string>} data URL
+ */
+const readAsDataUrl = (file) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+});
+
+/**
+ * view model for the buyer order detail page
+ * @param {string} orderId - the id of the order to show
+ * @returns {Object} state and methods for the order detail page
+ */
+const useOrderDetailViewModel = (orderId) => {
+    const { user } = useAuth();
+    const navigate = useNavigate();
+    const [order, setOrder] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [reordering, setReordering] = useState(false);
+    const [downloadingInvoice, setDownloadingInvoice] = useState(false);
+    const [returns, setReturns] = useState([]);
+    const [submittingReturn, setSubmittingReturn] = useState(false);
+
+    // fetch the order and its returns when the user or orderId changes
+    useEffect(() => {
+        if (user && orderId) {
+            fetchOrder();
+            fetchReturns();
+        }
+    }, [user, orderId]);
+
+    /**
+     * fetch the order from the API
+     */
+    const fetchOrder = async () => {
+        try {
+            setLoading(true);
+            const response = await apiService.get(`/users/${user._id}/orders/${orderId}`);
+            if (response.success) {
+                setOrder(response.data);
+                setError(null);
+            } else {
+                setError(response.message || 'Failed to fetch order');
+            }
+        } catch (err) {
+            console.error('Error fetching order:', err);
+            if (err.response?.status === 404) {
+                setError('Order not found');
+            } else {
+                setError('Failed to fetch order. Please try again later');
+            }
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    /**
+     * fetch the returns opened for the order
+     */
+    const fetchReturns = async () => {
+        try {
+            const response = await apiService.get(`/users/${user._id}/orders/${orderId}/returns`);
+            if (response.success) {
+                setReturns(response.data);
+            }
+        } catch (err) {
+            // the order itself still shows without its returns
+            console.error('Error fetching returns:', err);
+        }
+    };
+
+    /**
+     * how many units of an order line can still be returned
+     * @param {Object} item - order item
+     * @returns {number} 0 when the order cannot be returned or the line was returned already
+     */
+    const getReturnableQuantity = (item) => {
+        if (!order || !item.phone || !RETURNABLE_ORDER_STATUSES.includes(order.status)) {
+            return 0;
+        }
+        const returned = returns
+            .filter(returnRequest => returnRequest.status !== 'rejected' && returnRequest.phone?._id === item.phone._id)
+            .reduce((sum, returnRequest) => sum + returnRequest.quantity, 0);
+        return Math.max(item.quantity - returned, 0);
+    };
+
+    /**
+     * request the return of an order line
+     * @param {Object} item - order item
+     * @param {Object} details - { quantity, reason, details, files }
+     * @returns {Promise<boolean>} true if the return was opened
+     */
+    const requestReturn = async (item, { quantity, reason, details, files = [] }) => {
+        try {
+            setSubmittingReturn(true);
+            const photos = await Promise.all(files.map(readAsDataUrl));
+            const response = await apiService.post(`/users/${user._id}/orders/${order._id}/returns`, {
+                phoneId: item.phone._id,
+                quantity,
+                reason,
+                details: details || undefined,
+                photos
+            });
+            if (response.success) {
+                await SwalService.success('The seller will review your return', 'Return requested');
+                await fetchReturns();
+                return true;
+            }
+            return false;
+        } catch (err) {
+            // error already handled by apiService
+            console.error('Error requesting return:', err);
+            return false;
+        } finally {
+            setSubmittingReturn(false);
+        }
+    };
+
+    /**
+     * check whether an ordered phone can still be bought
+     * @param {Object} phone - populated phone of an order item
+     * @returns {boolean} true if the listing exists, is enabled and in stock
+     */
+    const isAvailable = (phone) => {
+        return !!phone && phone.disabled === undefined && phone.stock > 0;
+    };
+
+    /**
+     * add the order's items back to the cart, capped by the current stock
+     */
+    const reorder = async () => {
+        if (!order) return;
+
+        const available = order.items.filter(item => isAvailable(item.phone));
+        if (available.length === 0) {
+            SwalService.warning('None of the items in this order are available any more');
+            return;
+        }
+
+        try {
+            setReordering(true);
+
+            // add on top of what is already in the cart instead of replacing it
+            const cartResponse = await apiService.get(`/user/${user._id}/cart`);
+            const cartItems = cartResponse.data.cart.items;
+
+            let cappedCount = 0;
+            for (const item of available) {
+                const inCart = cartItems.find(cartItem => cartItem.phone?._id === item.phone._id);
+                const wanted = (inCart ? inCart.quantity : 0) + item.quantity;
+                const quantity = Math.min(wanted, item.phone.stock);
+                if (quantity < wanted) {
+                    cappedCount++;
+                }
+                await apiService.put(`/user/${user._id}/cart/${item.phone._id}`, { quantity });
+            }
+
+            const skippedCount = order.items.length - available.length;
+            if (skippedCount > 0 || cappedCount > 0) {
+                await SwalService.info(
+                    `${skippedCount} item(s) are no longer available and ${cappedCount} item(s) were limited by stock.`,
+                    'Added to cart'
+                );
+            } else {
+                await SwalService.success('Items added to cart');
+            }
+            navigate('/cart');
+        } catch (err) {
+            console.error('Error re-ordering:', err);
+            SwalService.error(err.response?.data?.message || 'Failed to add items to cart. Please try again later');
+        } finally {
+            setReordering(false);
+        }
+    };
+
+    /**
+     * download the order's PDF invoice
+     */
+    const downloadInvoice = async () => {
+        if (!order) return;
+
+        try {
+            setDownloadingInvoice(true);
+            await apiService.downloadFile(`users/${user._id}/orders/${order._id}/invoice`, {}, {
+                filename: order.invoiceNumber || `invoice-${order._id}`,
+                format: 'pdf',
+                admin: false
+            });
+        } catch (err) {
+            // error already handled by apiService
+            console.error('Error downloading invoice:', err);
+        } finally {
+            setDownloadingInvoice(false);
+        }
+    };
+
+    return {
+        order,
+        loading,
+        error,
+        reordering,
+        downloadingInvoice,
+        returns,
+        submittingReturn,
+        isAvailable,
+        reorder,
+        downloadInvoice,
+        getReturnableQuantity,
+        requestReturn
+    };
+};
+
+export default useOrderDetailViewModel;
@@ -0,0 +1,86 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../context/AuthContext';
+import apiService from '../service/ApiService';
+
+const PAGE_SIZE = 10;
+
+/**
+ * view model for the buyer order history page
+ * @returns {Object} state and methods for the order history page
+ */
+const useOrderHistoryViewModel = () => {
+    const { user } = useAuth();
+    const [orders, setOrders] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [statusFilter, setStatusFilter] = useState('');
+    const [pagination, setPagination] = useState({ total: 0, page: 1, pages: 0 });
+
+    /**
+     * fetch one page of the user's orders
+     * @param {number} page - page number (1-based)
+     * @param {string} status - status filter, empty for all
+     */
+    const fetchOrders = useCallback(async (page = 1, status = '') => {
+        if (!user || !user._id) return;
+
+        try {
+            setLoading(true);
+            const params = { page, limit: PAGE_SIZE };
+            if (status) {
+                params.status = status;
+            }
+            const response = await apiService.get(`/users/${user._id}/orders`, params);
+
+            if (response.success) {
+                setOrders(response.data.orders);
+                setPagination(response.data.pagination);
+                setError(null);
+            } else {
+                setError(response.message || 'Failed to fetch orders');
+            }
+        } catch (err) {
+            console.error('Error fetching orders:', err);
+            if (err.response?.status === 403) {
+                setError('You do not have permission to view these orders');
+            } else {
+                setError('Failed to fetch orders. Please try again later');
+            }
+        } finally {
+            setLoading(false);
+        }
+    }, [user]);
+
+    // reload when the user or the filter changes
+    useEffect(() => {
+        fetchOrders(1, statusFilter);
+    }, [fetchOrders, statusFilter]);
+
+    /**
+     * change the status filter, going back to the first page
+     * @param {string} status - status to filter on, empty for all
+     */
+    const handleStatusFilterChange = (status) => {
+        setStatusFilter(status);
+    };
+
+    /**
+     * go to another page of orders
+     * @param {number} page - page number (1-based)
+     */
+    const handlePageChange = (page) => {
+        fetchOrders(page, statusFilter);
+    };
+
+    return {
+        orders,
+        loading,
+        error,
+        statusFilter,
+        pagination,
+        handleStatusFilterChange,
+        handlePageChange
+    };
+};
+
+export default useOrderHistoryViewModel;
@@ -53,7 +53,7 @@ const usePhoneManagementViewModel = () => {
                 page: base.pagination.pageIndex + 1, // convert to 1-based for backend
                 limit: base.pagination.pageSize,
                 search: base.debouncedSearchTerm,
-                sortBy: 'createdAt',
+                sortBy: base.debouncedSearchTerm ? 'relevance' : 'createdAt', // best matches first while searching
                 sortOrder: 'desc'
             };
 
@@ -5,6 +5,7 @@ import { useAuth } from '../context/AuthContext';
 import Swal from 'sweetalert2';
 import axios from 'axios';
 import imageCompression from 'browser-image-compression';
+import { EMPTY_LISTING_ATTRIBUTES } from '../config/phoneAttributes';
 
 /**
  * ViewModel for the Profile page, handles all business logic
@@ -47,8 +48,11 @@ const useProfileViewModel = () => {
     brand: '',
     image: null,
     price: 0,
-    stock: 0
+    stock: 0,
+    ...EMPTY_LISTING_ATTRIBUTES
   });
+  // id of the listing the modal edits, null when it adds a new one
+  const [editingListingId, setEditingListingId] = useState(null);
   const [listingErrors, setListingErrors] = useState({});
   const [imagePreview, setImagePreview] = useState(null);
   
@@ -56,6 +60,28 @@ const useProfileViewModel = () => {
   const [comments, setComments] = useState([]);
   const [commentsLoading, setCommentsLoading] = useState(false);
   
+  // my sales related state
+  const [sales, setSales] = useState([]);
+  const [salesLoading, setSalesLoading] = useState(false);
+  const [salesStatusFilter, setSalesStatusFilter] = useState('');
+
+  // returns of my sales related state
+  const [returns, setReturns] = useState([]);
+  const [returnsLoading, setReturnsLoading] = useState(false);
+  const [returnsStatusFilter, setReturnsStatusFilter] = useState('');
+
+  // address book related state
+  const [addresses, setAddresses] = useState([]);
+  const [addressesLoading, setAddressesLoading] = useState(false);
+
+  // notification preferences related state
+  const [notificationPreferences, setNotificationPreferences] = useState(null);
+  const [preferencesLoading, setPreferencesLoading] = useState(false);
+
+  // saved searches related state
+  const [savedSearches, setSavedSearches] = useState([]);
+  const [savedSearchesLoading, setSavedSearchesLoading] = useState(false);
+  
   // initialize user profile
   useEffect(() => {
     if (user) {
@@ -73,7 +99,7 @@ const useProfileViewModel = () => {
     // get the current URL query parameters or hash to determine the current tab
     const urlParams = new URLSearchParams(window.location.search);
     const tabParam = urlParams.get('tab');
-    const validTabs = ['editProfile', 'changePassword', 'manageListings', 'viewComments'];
+    const validTabs = ['editProfile', 'changePassword', 'manageListings', 'viewComments', 'mySales', 'returns', 'addresses', 'savedSearches', 'notifications'];
     
     // get the last visited tab from sessionStorage
     const storedTab = sessionStorage.getItem('profileActiveTab');
@@ -108,6 +134,16 @@ const useProfileViewModel = () => {
       fetchUserListings();
     } else if (selectedTab === 'viewComments') {
       fetchUserComments();
+    } else if (selectedTab === 'mySales') {
+      fetchMySales();
+    } else if (selectedTab === 'returns') {
+      fetchMyReturns();
+    } else if (selectedTab === 'addresses') {
+      fetchAddresses();
+    } else if (selectedTab === 'savedSearches') {
+      fetchSavedSearches();
+    } else if (selectedTab === 'notifications') {
+      fetchNotificationPreferences();
     }
   }, []); // only execute once when the component is mounted
   
@@ -128,6 +164,16 @@ const useProfileViewModel = () => {
       fetchUserListings();
     } else if (tabKey === 'viewComments' && comments.length === 0) {
       fetchUserComments();
+    } else if (tabKey === 'mySales') {
+      fetchMySales();
+    } else if (tabKey === 'returns') {
+      fetchMyReturns();
+    } else if (tabKey === 'addresses' && addresses.length === 0) {
+      fetchAddresses();
+    } else if (tabKey === 'savedSearches') {
+      fetchSavedSearches();
+    } else if (tabKey === 'notifications' && !notificationPreferences) {
+      fetchNotificationPreferences();
     }
   };
   
@@ -439,7 +485,8 @@ const useProfileViewModel = () => {
       brand: '',
       image: null,
       price: '',
-      stock: ''
+      stock: '',
+      ...EMPTY_LISTING_ATTRIBUTES
     });
     setListingErrors({});
     if (imagePreview) {
@@ -449,12 +496,33 @@ const useProfileViewModel = () => {
   };
 
   // when the add listing modal is opened, reset the form
-  const handleOpenAddModal = () => {
+  const handleOpenAddModal = (show = true) => {
+    if (show) {
+      resetListingForm();
+      setEditingListingId(null);
+    }
+    setShowAddListingModal(show);
+  };
+
+  // open the listing modal filled in with an existing listing, a new image is optional
+  const handleOpenEditModal = (listing) => {
     resetListingForm();
+    setListingData({
+      title: listing.title || '',
+      brand: listing.brand || '',
+      image: null,
+      price: listing.price ?? '',
+      stock: listing.stock ?? '',
+      ...Object.keys(EMPTY_LISTING_ATTRIBUTES).reduce((attributes, key) => ({
+        ...attributes,
+        [key]: listing[key] ?? ''
+      }), {})
+    });
+    setEditingListingId(listing._id);
     setShowAddListingModal(true);
   };
   
-  // add new listing
+  // add new listing, or save the listing being edited
   const addNewListing = async (e, formData = null) => {
     e.preventDefault();
     
@@ -568,22 +636,29 @@ const useProfileViewModel = () => {
         }
       }
       
-      // Prepare data for submission
+      // Prepare data for submission, an empty attribute is left unset
       const phoneData = {
         title,
         brand,
         price,
         stock,
-        image: imagePath
+        image: imagePath,
+        ...Object.keys(EMPTY_LISTING_ATTRIBUTES).reduce((attributes, key) => ({
+          ...attributes,
+          [key]: dataToSubmit[key] ?? ''
+        }), {})
       };
 
-      const response = await apiService.post('/user/profile/listings', phoneData);
+      // an edited listing keeps its image unless a new one was uploaded
+      const response = editingListingId
+        ? await apiService.put(`/user/profile/listings/${editingListingId}`, phoneData)
+        : await apiService.post('/user/profile/listings', phoneData);
       
       if (response.success) {
         Swal.fire({
           icon: 'success',
           title: 'Success',
-          text: 'Listing has been added successfully',
+          text: editingListingId ? 'Listing has been updated successfully' : 'Listing has been added successfully',
           timer: 1500,
           showConfirmButton: false
         });
@@ -608,6 +683,331 @@ const useProfileViewModel = () => {
     }
   };
   
+  // fetch the fulfilments the user has to ship as a seller
+  const fetchMySales = useCallback(async (status = salesStatusFilter) => {
+    if (!user || !user._id) return;
+
+    try {
+      setSalesLoading(true);
+      const params = { limit: 50 };
+      if (status) {
+        params.status = status;
+      }
+      const response = await apiService.get('/user/profile/sales', params);
+
+      if (response && response.success) {
+        setSales(response.data.fulfilments || []);
+      } else {
+        console.error('Failed to fetch sales', response);
+        setSales([]);
+      }
+    } catch (error) {
+      console.error('Failed to fetch sales', error);
+      setSales([]);
+    } finally {
+      setSalesLoading(false);
+    }
+  }, [user, salesStatusFilter]);
+
+  // filter my sales by status
+  const handleSalesStatusFilter = (status) => {
+    setSalesStatusFilter(status);
+    fetchMySales(status);
+  };
+
+  // move one of my sales to a new status (shipping requires a tracking number)
+  const updateSaleStatus = async (fulfilmentId, status, details = {}) => {
+    try {
+      setLoading(true);
+      const response = await apiService.put(`/user/profile/sales/${fulfilmentId}/status`, {
+        status,
+        ...details
+      });
+
+      if (response.success) {
+        // the response is not populated, so only merge the lifecycle fields
+        const { statusHistory, trackingNumber, carrier } = response.data;
+        setSales(prev => prev.map(sale =>
+          sale._id === fulfilmentId
+            ? { ...sale, status: response.data.status, statusHistory, trackingNumber, carrier }
+            : sale
+        ));
+
+        Swal.fire({
+          icon: 'success',
+          title: 'Success',
+          text: `Sale marked as ${status}`,
+          timer: 1500,
+          showConfirmButton: false
+        });
+        return true;
+      }
+
+      return false;
+    } catch (error) {
+      console.error('Error updating sale status:', error);
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // fetch the returns buyers opened for items the user sold
+  const fetchMyReturns = useCallback(async (status = returnsStatusFilter) => {
+    if (!user || !user._id) return;
+
+    try {
+      setReturnsLoading(true);
+      const params = { limit: 50 };
+      if (status) {
+        params.status = status;
+      }
+      const response = await apiService.get('/user/profile/returns', params);
+
+      if (response && response.success) {
+        setReturns(response.data.returns || []);
+      } else {
+        console.error('Failed to fetch returns', response);
+        setReturns([]);
+      }
+    } catch (error) {
+      console.error('Failed to fetch returns', error);
+      setReturns([]);
+    } finally {
+      setReturnsLoading(false);
+    }
+  }, [user, returnsStatusFilter]);
+
+  // filter the returns by status
+  const handleReturnsStatusFilter = (status) => {
+    setReturnsStatusFilter(status);
+    fetchMyReturns(status);
+  };
+
+  // move a return of one of my sales to a new status (rejecting requires a note, refunding restocks the phone)
+  const updateReturnStatus = async (returnId, status, note) => {
+    try {
+      setLoading(true);
+      const response = await apiService.put(`/user/profile/returns/${returnId}/status`, { status, note });
+
+      if (response.success) {
+        // the response is not populated, so only merge the lifecycle fields
+        const { statusHistory, refundAmount, refundedAt } = response.data;
+        setReturns(prev => prev.map(item =>
+          item._id === returnId
+            ? { ...item, status: response.data.status, statusHistory, refundAmount, refundedAt }
+            : item
+        ));
+
+        Swal.fire({
+          icon: 'success',
+          title: 'Success',
+          text: status === 'refunded' ? `Refunded $${refundAmount.toFixed(2)} to the buyer` : 'Return updated',
+          timer: 1500,
+          showConfirmButton: false
+        });
+        return true;
+      }
+
+      return false;
+    } catch (error) {
+      console.error('Error updating return status:', error);
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // fetch the user's address book
+  const fetchAddresses = useCallback(async () => {
+    if (!user || !user._id) return;
+
+    try {
+      setAddressesLoading(true);
+      const response = await apiService.get('/user/profile/addresses');
+
+      if (response && response.success) {
+        setAddresses(response.data || []);
+      } else {
+        console.error('Failed to fetch addresses', response);
+        setAddresses([]);
+      }
+    } catch (error) {
+      console.error('Failed to fetch addresses', error);
+      setAddresses([]);
+    } finally {
+      setAddressesLoading(false);
+    }
+  }, [user]);
+
+  // add an address, or update it when an id is given; every call returns the whole address book
+  const saveAddress = async (addressData, addressId = null) => {
+    try {
+      setLoading(true);
+      const response = addressId
+        ? await apiService.put(`/user/profile/addresses/${addressId}`, addressData)
+        : await apiService.post('/user/profile/addresses', addressData);
+
+      if (response.success) {
+        setAddresses(response.data);
+        Swal.fire({
+          icon: 'success',
+          title: 'Success',
+          text: addressId ? 'Address updated' : 'Address added',
+          timer: 1500,
+          showConfirmButton: false
+        });
+        return true;
+      }
+
+      return false;
+    } catch (error) {
+      console.error('Error saving address:', error);
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // delete an address after confirmation
+  const deleteAddress = async (addressId) => {
+    const result = await Swal.fire({
+      title: 'Delete this address?',
+      icon: 'warning',
+      showCancelButton: true,
+      confirmButtonColor: '#d33',
+      cancelButtonColor: '#3085d6',
+      confirmButtonText: 'Delete',
+      cancelButtonText: 'Cancel'
+    });
+    if (!result.isConfirmed) return;
+
+    try {
+      setLoading(true);
+      const response = await apiService.delete(`/user/profile/addresses/${addressId}`);
+      if (response.success) {
+        setAddresses(response.data);
+      }
+    } catch (error) {
+      console.error('Error deleting address:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // make an address the one preselected at checkout
+  const setDefaultAddress = async (addressId) => {
+    try {
+      setLoading(true);
+      const response = await apiService.put(`/user/profile/addresses/${addressId}/default`);
+      if (response.success) {
+        setAddresses(response.data);
+      }
+    } catch (error) {
+      console.error('Error setting default address:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // fetch the user's saved searches
+  const fetchSavedSearches = useCallback(async () => {
+    if (!user || !user._id) return;
+
+    try {
+      setSavedSearchesLoading(true);
+      const response = await apiService.get(`/user/${user._id}/saved-searches`);
+
+      if (response && response.success) {
+        setSavedSearches(response.data.savedSearches || []);
+      } else {
+        console.error('Failed to fetch saved searches', response);
+        setSavedSearches([]);
+      }
+    } catch (error) {
+      console.error('Failed to fetch saved searches', error);
+      setSavedSearches([]);
+    } finally {
+      setSavedSearchesLoading(false);
+    }
+  }, [user]);
+
+  // delete a saved search after confirmation
+  const deleteSavedSearch = async (searchId) => {
+    const result = await Swal.fire({
+      title: 'Delete this saved search?',
+      text: 'You will no longer be notified about new listings matching it.',
+      icon: 'warning',
+      showCancelButton: true,
+      confirmButtonColor: '#d33',
+      cancelButtonColor: '#3085d6',
+      confirmButtonText: 'Delete',
+      cancelButtonText: 'Cancel'
+    });
+    if (!result.isConfirmed) return;
+
+    try {
+      setLoading(true);
+      const response = await apiService.delete(`/user/${user._id}/saved-searches/${searchId}`);
+      if (response.success) {
+        setSavedSearches(response.data.savedSearches);
+      }
+    } catch (error) {
+      console.error('Error deleting saved search:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // fetch the user's notification preferences, events the user never changed come with their defaults
+  const fetchNotificationPreferences = useCallback(async () => {
+    if (!user || !user._id) return;
+
+    try {
+      setPreferencesLoading(true);
+      const response = await apiService.get(`/user/${user._id}/notifications/preferences`);
+
+      if (response && response.success) {
+        setNotificationPreferences(response.data);
+      } else {
+        console.error('Failed to fetch notification preferences', response);
+      }
+    } catch (error) {
+      console.error('Failed to fetch notification preferences', error);
+    } finally {
+      setPreferencesLoading(false);
+    }
+  }, [user]);
+
+  // save the per event channels and the digest frequency
+  const saveNotificationPreferences = async (preferences) => {
+    if (!user || !user._id) return false;
+
+    try {
+      setLoading(true);
+      const response = await apiService.put(`/user/${user._id}/notifications/preferences`, preferences);
+
+      if (response.success) {
+        setNotificationPreferences(response.data);
+        Swal.fire({
+          icon: 'success',
+          title: 'Success',
+          text: 'Notification settings saved',
+          timer: 1500,
+          showConfirmButton: false
+        });
+        return true;
+      }
+
+      return false;
+    } catch (error) {
+      console.error('Error saving notification preferences:', error);
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
   // toggle phone status (enable/disable)
   const togglePhoneStatus = async (phoneId) => {
     try {
@@ -877,6 +1277,8 @@ const useProfileViewModel = () => {
     setListingErrors,
     showAddListingModal,
     setShowAddListingModal: handleOpenAddModal,
+    editingListingId,
+    openEditListing: handleOpenEditModal,
     addNewListing,
     togglePhoneStatus,
     deletePhoneListing,
@@ -889,6 +1291,37 @@ const useProfileViewModel = () => {
     commentsLoading,
     toggleCommentVisibility,
     
+    // My Sales
+    sales,
+    salesLoading,
+    salesStatusFilter,
+    handleSalesStatusFilter,
+    updateSaleStatus,
+
+    // Returns of my sales
+    returns,
+    returnsLoading,
+    returnsStatusFilter,
+    handleReturnsStatusFilter,
+    updateReturnStatus,
+
+    // Addresses
+    addresses,
+    addressesLoading,
+    saveAddress,
+    deleteAddress,
+    setDefaultAddress,
+
+    // Saved searches
+    savedSearches,
+    savedSearchesLoading,
+    deleteSavedSearch,
+
+    // Notification preferences
+    notificationPreferences,
+    preferencesLoading,
+    saveNotificationPreferences,
+    
     // Navigation
     navigateToHome,
     handleLogout
@@ -0,0 +1,213 @@
+// implements the business logic and state management for the PromotionManagement component
+import { useState, useEffect, useCallback } from 'react';
+import apiService from '../service/ApiService';
+import SwalService from '../service/SwalService';
+import useBaseManagementViewModel from './BaseManagementViewModel';
+import dayjs from 'dayjs';
+
+const usePromotionManagementViewModel = () => {
+    // use common states and methods from base view model
+    const base = useBaseManagementViewModel();
+
+    // promotion-specific states
+    const [availableBrands, setAvailableBrands] = useState([]);
+    const [saving, setSaving] = useState(false);
+
+    // rename base items to promotions
+    const promotions = base.items;
+    const setPromotions = base.setItems;
+
+    // fetch promotions with pagination and code search
+    const fetchPromotions = useCallback(async () => {
+        try {
+            base.setLoading(true);
+
+            const queryParams = {
+                page: base.pagination.pageIndex + 1, // convert to 1-based for backend
+                limit: base.pagination.pageSize
+            };
+            if (base.debouncedSearchTerm) {
+                queryParams.search = base.debouncedSearchTerm;
+            }
+
+            const response = await apiService.get('/admin/promotions', queryParams);
+
+            if (response.success) {
+                setPromotions(response.data.promotions);
+                base.setTotalCount(response.data.pagination.total);
+                base.setTotalPages(response.data.pagination.totalPages);
+            } else {
+                await SwalService.error(response.message || 'Failed to fetch promotions');
+            }
+        } catch (error) {
+            // error already handled by apiService
+            console.error('Error fetching promotions:', error);
+        } finally {
+            base.setLoading(false);
+        }
+    }, [base.pagination.pageIndex, base.pagination.pageSize, base.debouncedSearchTerm, base.setLoading, base.setTotalCount, base.setTotalPages, setPromotions]);
+
+    // fetch the brands a promotion can be limited to
+    const fetchBrands = useCallback(async () => {
+        try {
+            const response = await apiService.get('/admin/phones/brands');
+            if (response.success && response.data.brands) {
+                setAvailableBrands(response.data.brands);
+            }
+        } catch (error) {
+            // error already handled by apiService
+        }
+    }, []);
+
+    // load promotions when component mounts and dependencies change
+    useEffect(() => {
+        void fetchPromotions();
+    }, [fetchPromotions]);
+
+    useEffect(() => {
+        void fetchBrands();
+    }, [fetchBrands]);
+
+    // open the form for a new promotion
+    const handleCreatePromotion = useCallback(() => {
+        base.setSelectedItem(null);
+        base.setShowEditForm(true);
+    }, [base.setSelectedItem, base.setShowEditForm]);
+
+    // open the form for an existing promotion
+    const handleEditPromotion = useCallback((promotion) => {
+        base.setSelectedItem(promotion);
+        base.setShowEditForm(true);
+    }, [base.setSelectedItem, base.setShowEditForm]);
+
+    // save the form, creating or updating depending on the selected promotion
+    const handleSavePromotion = useCallback(async (values) => {
+        const { dateRange, ...fields } = values;
+        const payload = {
+            ...fields,
+            brand: fields.brand || '',
+            sellerEmail: fields.sellerEmail || '',
+            startsAt: dateRange[0].startOf('day').toISOString(),
+            endsAt: dateRange[1].endOf('day').toISOString()
+        };
+
+        try {
+            setSaving(true);
+            const response = base.selectedItem
+                ? await apiService.put(`/admin/promotions/${base.selectedItem._id}`, payload)
+                : await apiService.post('/admin/promotions', payload);
+
+            if (response.success) {
+                await SwalService.success(base.selectedItem ? 'Promotion updated successfully' : 'Promotion created successfully');
+                base.handleCancelEdit();
+                await fetchPromotions();
+                return true;
+            }
+            await SwalService.error(response.message || 'Failed to save promotion');
+        } catch (error) {
+            await SwalService.error(error.response?.data?.message || 'Failed to save promotion');
+        } finally {
+            setSaving(false);
+        }
+        return false;
+    }, [base.selectedItem, base.handleCancelEdit, fetchPromotions]);
+
+    // switch a promotion on or off without opening the form
+    const handleToggleActive = useCallback(async (promotion) => {
+        try {
+            base.setLoading(true);
+            const response = await apiService.put(`/admin/promotions/${promotion._id}`, { active: !promotion.active });
+            if (response.success) {
+                await fetchPromotions();
+            } else {
+                await SwalService.error(response.message || 'Failed to update promotion');
+            }
+        } catch (error) {
+            await SwalService.error(error.response?.data?.message || 'Failed to update promotion');
+        } finally {
+            base.setLoading(false);
+        }
+    }, [fetchPromotions, base.setLoading]);
+
+    // delete a promotion after confirmation
+    const handleDeletePromotion = useCallback(async (promotion) => {
+        try {
+            const result = await SwalService.confirm({
+                title: 'Confirm Delete',
+                text: `Delete promotion ${promotion.code}? Orders already placed keep their discount.`,
+                icon: 'warning',
+                confirmButtonText: 'Yes, delete',
+                cancelButtonText: 'Cancel'
+            });
+
+            if (result.isConfirmed) {
+                base.setLoading(true);
+                const response = await apiService.delete(`/admin/promotions/${promotion._id}`);
+
+                if (response.success) {
+                    await SwalService.success('Promotion deleted successfully');
+                    await fetchPromotions();
+                } else {
+                    await SwalService.error(response.message || 'Failed to delete promotion');
+                }
+            }
+        } catch (error) {
+            // error already handled by apiService
+        } finally {
+            base.setLoading(false);
+        }
+    }, [fetchPromotions, base.setLoading]);
+
+    // describe whether a promotion can be redeemed right now
+    const getPromotionState = useCallback((promotion) => {
+        const now = dayjs();
+        if (!promotion.active) {
+            return { label: 'Inactive', color: 'default' };
+        }
+        if (now.isBefore(dayjs(promotion.startsAt))) {
+            return { label: 'Scheduled', color: 'blue' };
+        }
+        if (now.isAfter(dayjs(promotion.endsAt))) {
+            return { label: 'Expired', color: 'red' };
+        }
+        return { label: 'Live', color: 'green' };
+    }, []);
+
+    // describe the discount of a promotion
+    const formatDiscount = useCallback((promotion) => {
+        return promotion.type === 'percentage'
+            ? `${promotion.value}% off`
+            : `$${promotion.value.toFixed(2)} off`;
+    }, []);
+
+    return {
+        // states inherited from base model
+        promotions,
+        totalCount: base.totalCount,
+        loading: base.loading,
+        pagination: base.pagination,
+        searchTerm: base.searchTerm,
+        showEditForm: base.showEditForm,
+        selectedPromotion: base.selectedItem,
+
+        // promotion-specific states
+        availableBrands,
+        saving,
+
+        // methods
+        fetchPromotions,
+        handleSearchChange: base.handleSearchChange,
+        handleCancelEdit: base.handleCancelEdit,
+        handleCreatePromotion,
+        handleEditPromotion,
+        handleSavePromotion,
+        handleToggleActive,
+        handleDeletePromotion,
+        getPromotionState,
+        formatDiscount,
+        setSearchTerm: base.setSearchTerm,
+        setPagination: base.setPagination
+    };
+};
+
+export default usePromotionManagementViewModel;
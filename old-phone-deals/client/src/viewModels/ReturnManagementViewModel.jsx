@@ -0,0 +1,141 @@
+// implements the business logic and state management for the ReturnManagement component
+import { useState, useEffect, useCallback } from 'react';
+import apiService from '../service/ApiService';
+import SwalService from '../service/SwalService';
+import useBaseManagementViewModel from './BaseManagementViewModel';
+
+const useReturnManagementViewModel = () => {
+    // use common states and methods from base view model
+    const base = useBaseManagementViewModel();
+
+    // return-specific states
+    const [statusFilter, setStatusFilter] = useState('');
+    // return being rejected, rejecting needs a note for the buyer
+    const [rejectingReturn, setRejectingReturn] = useState(null);
+    const [updating, setUpdating] = useState(false);
+
+    // rename base items to returns
+    const returns = base.items;
+    const setReturns = base.setItems;
+
+    // fetch returns with pagination and status filter
+    const fetchReturns = useCallback(async () => {
+        try {
+            base.setLoading(true);
+
+            const queryParams = {
+                page: base.pagination.pageIndex + 1, // convert to 1-based for backend
+                limit: base.pagination.pageSize
+            };
+            if (statusFilter) {
+                queryParams.status = statusFilter;
+            }
+
+            const response = await apiService.get('/admin/returns', queryParams);
+
+            if (response.success) {
+                setReturns(response.data.returns);
+                base.setTotalCount(response.data.pagination.total);
+                base.setTotalPages(response.data.pagination.totalPages);
+            } else {
+                await SwalService.error(response.message || 'Failed to fetch returns');
+            }
+        } catch (error) {
+            // error already handled by apiService
+            console.error('Error fetching returns:', error);
+        } finally {
+            base.setLoading(false);
+        }
+    }, [base.pagination.pageIndex, base.pagination.pageSize, statusFilter, base.setLoading, base.setTotalCount, base.setTotalPages, setReturns]);
+
+    // load returns when component mounts and dependencies change
+    useEffect(() => {
+        void fetchReturns();
+    }, [fetchReturns]);
+
+    // change the status filter, back to the first page
+    const handleStatusFilterChange = useCallback((status) => {
+        setStatusFilter(status || '');
+        base.setPagination(prev => ({ ...prev, pageIndex: 0 }));
+    }, [base.setPagination]);
+
+    // send a status change to the server
+    const updateStatus = useCallback(async (returnRequest, status, note) => {
+        try {
+            setUpdating(true);
+            const response = await apiService.put(`/admin/returns/${returnRequest._id}/status`, { status, note });
+            if (response.success) {
+                await SwalService.success(status === 'refunded'
+                    ? `Refunded $${response.data.refundAmount.toFixed(2)}`
+                    : 'Return updated successfully');
+                await fetchReturns();
+                return true;
+            }
+            await SwalService.error(response.message || 'Failed to update return');
+        } catch (error) {
+            // error already handled by apiService
+            console.error('Error updating return:', error);
+        } finally {
+            setUpdating(false);
+        }
+        return false;
+    }, [fetchReturns]);
+
+    // move a return along, refunding asks for confirmation and rejecting asks for a note first
+    const handleStatusChange = useCallback(async (returnRequest, status) => {
+        if (status === 'rejected') {
+            setRejectingReturn(returnRequest);
+            return;
+        }
+
+        if (status === 'refunded') {
+            const result = await SwalService.confirm({
+                title: 'Confirm Refund',
+                text: `Refund $${returnRequest.refundAmount.toFixed(2)} to the buyer and put ${returnRequest.quantity} item(s) back in stock?`,
+                icon: 'warning',
+                confirmButtonText: 'Yes, refund',
+                cancelButtonText: 'Cancel'
+            });
+            if (!result.isConfirmed) {
+                return;
+            }
+        }
+
+        await updateStatus(returnRequest, status);
+    }, [updateStatus]);
+
+    // reject the return chosen in handleStatusChange
+    const handleReject = useCallback(async (note) => {
+        const rejected = await updateStatus(rejectingReturn, 'rejected', note);
+        if (rejected) {
+            setRejectingReturn(null);
+        }
+    }, [rejectingReturn, updateStatus]);
+
+    const handleCancelReject = useCallback(() => {
+        setRejectingReturn(null);
+    }, []);
+
+    return {
+        // states inherited from base model
+        returns,
+        totalCount: base.totalCount,
+        loading: base.loading,
+        pagination: base.pagination,
+
+        // return-specific states
+        statusFilter,
+        rejectingReturn,
+        updating,
+
+        // methods
+        fetchReturns,
+        handleStatusFilterChange,
+        handleStatusChange,
+        handleReject,
+        handleCancelReject,
+        setPagination: base.setPagination
+    };
+};
+
+export default useReturnManagementViewModel;
@@ -104,6 +104,47 @@ const useSalesManagementViewModel = () => {
         }).join('\n\n');
     }, []);
     
+    // move an order to the next lifecycle status, the server rejects illegal transitions
+    const updateOrderStatus = useCallback(async (orderId, status, details = {}) => {
+        try {
+            const response = await apiService.patch(`/admin/orders/${orderId}/status`, {
+                status,
+                ...details
+            });
+
+            if (response.success) {
+                // the response is not populated, so only merge the lifecycle fields
+                const { statusHistory, trackingNumber, carrier } = response.data;
+                setOrders(prev => prev.map(order =>
+                    order._id === orderId
+                        ? { ...order, status: response.data.status, statusHistory, trackingNumber, carrier }
+                        : order
+                ));
+                await SwalService.success(`Order marked as ${status}`);
+                return true;
+            }
+            await SwalService.error(response.message || 'Failed to update order status');
+            return false;
+        } catch (error) {
+            // error already handled by apiService
+            console.error('Error updating order status:', error);
+            return false;
+        }
+    }, [setOrders]);
+
+    // download the PDF invoice of an order
+    const downloadInvoice = useCallback(async (order) => {
+        try {
+            await apiService.downloadFile(`orders/${order._id}/invoice`, {}, {
+                filename: order.invoiceNumber || `invoice-${order._id}`,
+                format: 'pdf'
+            });
+        } catch (error) {
+            // error already handled by apiService
+            console.error('Error downloading invoice:', error);
+        }
+    }, []);
+
     // handle export format change
     const handleExportFormatChange = useCallback((format) => {
         setExportFormat(format);
@@ -179,6 +220,8 @@ const useSalesManagementViewModel = () => {
         clearDateRange,
         handleExportFormatChange,
         exportData,
+        updateOrderStatus,
+        downloadInvoice,
         setExportFormat,
         setPagination: base.setPagination
     };
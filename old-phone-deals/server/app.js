@@ -5,8 +5,7 @@ var cookieParser = require('cookie-parser');
 var logger = require('morgan');
 const swaggerConfig = require('./config/swagger');
 const errorHandler = require('./middlewares/errorHandler');
-const session = require('express-session');
-const MongoStore = require('connect-mongo');
+const { adminSession, userSession } = require('./config/session');
 require('dotenv').config();
 var dbInitRouter = require('./routes/dbInit');
 var adminUserRouter = require('./routes/admin/adminRoutes');
@@ -15,63 +14,35 @@ const profileRouter = require('./routes/user/profileRouter');
 const phoneRoutes = require('./routes/phoneRoutes');
 const cartRouter = require('./routes/cart/cartRoute');
 const wishlistRouter = require('./routes/cart/wishlistRoute');
+const sharedWishlistRouter = require('./routes/cart/sharedWishlistRoute');
 const orderRouter = require('./routes/order/orderRoute');
+const notificationRouter = require('./routes/user/notificationRouter');
+const savedSearchRouter = require('./routes/user/savedSearchRouter');
+const paymentRouter = require('./routes/payment/paymentRoute');
 var app = express();
 
 app.use(logger('dev'));
 
 const corsOptions = {
     origin: 'http://localhost:5173',
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization'],
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key'],
+    exposedHeaders: ['Idempotent-Replayed'],
     credentials: true, 
     optionsSuccessStatus: 200
 };
 app.use(cors(corsOptions));
 
-// MongoDB session store setup
-const mongoStore = MongoStore.create({
-    mongoUrl: process.env.MONGODB_URI || 'mongodb://localhost:27017/old-phone-deals',
-    ttl: 24 * 60 * 60 // 1 day
-});
-
-// common session options
-const sessionConfig = {
-    secret: process.env.SESSION_SECRET || 'old-phone-deals-default-secret-key',
-    resave: false,
-    saveUninitialized: false,
-    store: mongoStore
-};
-
 // admin session middleware (only applied to admin routes)
-app.use('/api/admin', session({
-    ...sessionConfig,
-    name: 'admin_sid',
-    cookie: {
-        secure: process.env.NODE_ENV === 'production',
-        maxAge: 24 * 60 * 60 * 1000, // 1 day
-        path: '/',
-        httpOnly: true,
-        sameSite: 'lax'
-    }
-}));
+app.use('/api/admin', adminSession);
 
 // user session middleware (applied to all non-admin routes)
-app.use(session({
-    ...sessionConfig,
-    name: 'user_sid',
-    cookie: {
-        secure: process.env.NODE_ENV === 'production',
-        maxAge: 24 * 60 * 60 * 1000, // 1 day
-        path: '/',
-        httpOnly: true,
-        sameSite: 'lax' 
-    }
-}));
+app.use(userSession);
 
 app.use(cookieParser());
 // Increase request body size limit to support larger image uploads
-app.use(express.json({ limit: '10mb' }));
+// keep the raw body so payment webhooks can verify their signature
+app.use(express.json({ limit: '10mb', verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use(express.urlencoded({ extended: false, limit: '10mb' }));
 app.use(express.static(path.join(__dirname, 'public')));
 
@@ -83,6 +54,10 @@ app.use('/api/phone', phoneRoutes);
 
 app.use('/api/user/:userId/cart', cartRouter);
 app.use('/api/user/:userId/wishlist', wishlistRouter);
+app.use('/api/shared-wishlists', sharedWishlistRouter);
+app.use('/api/user/:userId/notifications', notificationRouter);
+app.use('/api/user/:userId/saved-searches', savedSearchRouter);
+app.use('/api/payments', paymentRouter);
 app.use('/api', orderRouter);
 
 
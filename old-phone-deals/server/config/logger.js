@@ -92,6 +92,7 @@ const auditFormat = winston.format.combine(
             targetId,
             method,
             status,
+            changes,
             message
         }, null, 2);
     })
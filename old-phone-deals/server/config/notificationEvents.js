@@ -0,0 +1,31 @@
+/**
+ * notification events users can configure, keyed by Notification type, with the channels used until the user changes them
+ * digestible events are batched into the email digest when the user picked one,
+ * the others are about orders, returns and listings and are always emailed right away
+ */
+const NOTIFICATION_EVENTS = {
+    ORDER_ON_LISTING: { inApp: true, email: true, digestible: false },
+    ORDER_SHIPPED: { inApp: true, email: true, digestible: false },
+    NEW_REVIEW: { inApp: true, email: true, digestible: true },
+    REVIEW_HIDDEN: { inApp: true, email: false, digestible: true },
+    LISTING_DISABLED: { inApp: true, email: false, digestible: false },
+    RETURN_REQUESTED: { inApp: true, email: false, digestible: false },
+    RETURN_UPDATED: { inApp: true, email: false, digestible: false },
+    PRICE_DROP: { inApp: true, email: true, digestible: true },
+    BACK_IN_STOCK: { inApp: true, email: true, digestible: true },
+    SAVED_SEARCH_MATCH: { inApp: true, email: true, digestible: true }
+};
+
+const DIGEST_FREQUENCIES = ['off', 'daily', 'weekly'];
+
+// time between two digests of the same user
+const DIGEST_PERIOD_MS = {
+    daily: 24 * 60 * 60 * 1000,
+    weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+module.exports = {
+    NOTIFICATION_EVENTS,
+    DIGEST_FREQUENCIES,
+    DIGEST_PERIOD_MS
+};
@@ -0,0 +1,44 @@
+/**
+ * named permissions used by the admin routes
+ * each route declares the permission it needs and the permission middleware
+ * resolves the permissions granted to the current user's role
+ */
+const PERMISSIONS = {
+    USERS_READ: 'users:read',
+    USERS_UPDATE: 'users:update',
+    USERS_DELETE: 'users:delete',
+    PHONES_READ: 'phones:read',
+    PHONES_UPDATE: 'phones:update',
+    PHONES_DISABLE: 'phones:disable',
+    PHONES_DELETE: 'phones:delete',
+    REVIEWS_READ: 'reviews:read',
+    REVIEWS_MODERATE: 'reviews:moderate',
+    ORDERS_READ: 'orders:read',
+    ORDERS_UPDATE: 'orders:update',
+    ORDERS_EXPORT: 'orders:export',
+    PROMOTIONS_READ: 'promotions:read',
+    PROMOTIONS_MANAGE: 'promotions:manage',
+    RETURNS_READ: 'returns:read',
+    RETURNS_MANAGE: 'returns:manage',
+    AUDIT_READ: 'audit:read',
+    ROLES_MANAGE: 'roles:manage'
+};
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+// built-in roles, these cannot be created, edited or deleted through the role endpoints
+const BUILT_IN_ROLES = ['user', 'admin', 'superAdmin'];
+
+// permissions granted to the built-in roles
+const ROLE_PERMISSIONS = {
+    user: [],
+    admin: ALL_PERMISSIONS.filter(permission => permission !== PERMISSIONS.ROLES_MANAGE),
+    superAdmin: ALL_PERMISSIONS
+};
+
+module.exports = {
+    PERMISSIONS,
+    ALL_PERMISSIONS,
+    BUILT_IN_ROLES,
+    ROLE_PERMISSIONS
+};
@@ -0,0 +1,26 @@
+/**
+ * structured attributes of a used phone listing, shared by the Phone model, the listing validator and the search
+ * every attribute is optional, listings created before they existed have none of them
+ */
+// A is close to new, C has visible wear, for_parts does not fully work
+const CONDITION_GRADES = ['A', 'B', 'C', 'for_parts'];
+
+const NETWORK_LOCKS = ['unlocked', 'locked'];
+
+// storage capacities sellers pick from, in GB
+const STORAGE_OPTIONS_GB = [8, 16, 32, 64, 128, 256, 512, 1024];
+
+// first model year accepted, the listing form offers the years from here to the current one
+const MIN_MODEL_YEAR = 2000;
+
+const MAX_COLOUR_LENGTH = 30;
+const MAX_DESCRIPTION_LENGTH = 2000;
+
+module.exports = {
+    CONDITION_GRADES,
+    NETWORK_LOCKS,
+    STORAGE_OPTIONS_GB,
+    MIN_MODEL_YEAR,
+    MAX_COLOUR_LENGTH,
+    MAX_DESCRIPTION_LENGTH
+};
@@ -0,0 +1,48 @@
+const session = require('express-session');
+const MongoStore = require('connect-mongo');
+require('dotenv').config();
+
+// MongoDB session store setup
+const mongoStore = MongoStore.create({
+    mongoUrl: process.env.MONGODB_URI || 'mongodb://localhost:27017/old-phone-deals',
+    ttl: 24 * 60 * 60 // 1 day
+});
+
+// common session options
+const sessionConfig = {
+    secret: process.env.SESSION_SECRET || 'old-phone-deals-default-secret-key',
+    resave: false,
+    saveUninitialized: false,
+    store: mongoStore
+};
+
+// admin session middleware (only applied to admin routes and admin websocket connections)
+const adminSession = session({
+    ...sessionConfig,
+    name: 'admin_sid',
+    cookie: {
+        secure: process.env.NODE_ENV === 'production',
+        maxAge: 24 * 60 * 60 * 1000, // 1 day
+        path: '/',
+        httpOnly: true,
+        sameSite: 'lax'
+    }
+});
+
+// user session middleware (applied to all non-admin routes and user websocket connections)
+const userSession = session({
+    ...sessionConfig,
+    name: 'user_sid',
+    cookie: {
+        secure: process.env.NODE_ENV === 'production',
+        maxAge: 24 * 60 * 60 * 1000, // 1 day
+        path: '/',
+        httpOnly: true,
+        sameSite: 'lax'
+    }
+});
+
+module.exports = {
+    adminSession,
+    userSession
+};
@@ -0,0 +1,80 @@
+const logger = require('../../config/logger');
+const responseHelper = require('../../utils/responseHelper');
+const auditLogService = require('../../service/admin/auditLogService');
+
+/**
+ * get audit logs with pagination, filtered by admin, action, resource and date range
+ */
+const getAuditLogs = async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 10;
+        const skip = (page - 1) * limit;
+
+        const filters = auditLogService.buildFilters(req.query);
+        const result = await auditLogService.getAuditLogs({ filters, skip, limit });
+
+        return res.status(200).json(responseHelper.success({
+            logs: result.logs,
+            pagination: {
+                currentPage: page,
+                pageSize: limit,
+                totalItems: result.total,
+                totalPages: Math.ceil(result.total / limit),
+                hasNextPage: page < Math.ceil(result.total / limit),
+                hasPrevPage: page > 1
+            }
+        }, 'Audit logs fetched successfully'));
+    } catch (error) {
+        logger.error(`Error fetching audit logs: ${error.message}`);
+        // invalid filter parameters carry a 400
+        const statusCode = error.statusCode || 500;
+        return res.status(statusCode).json(responseHelper.error(error.message, statusCode));
+    }
+};
+
+/**
+ * get the admins, actions and resources that can be used as audit log filters
+ */
+const getFilterOptions = async (req, res) => {
+    try {
+        const result = await auditLogService.getFilterOptions();
+        return res.status(200).json(responseHelper.success(result, 'Audit log filters fetched successfully'));
+    } catch (error) {
+        logger.error(`Error fetching audit log filters: ${error.message}`);
+        return res.status(500).json(responseHelper.error(error.message));
+    }
+};
+
+/**
+ * export audit logs matching the current filters as csv or json
+ */
+const exportAuditLogs = async (req, res) => {
+    try {
+        const format = req.query.format || 'csv'; // csv or json
+        const filters = auditLogService.buildFilters(req.query);
+
+        const result = await auditLogService.exportAuditLogs({ filters, format });
+
+        if (format === 'csv') {
+            res.setHeader('Content-Type', 'text/csv;charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename=audit_log_${new Date().toISOString().split('T')[0]}.csv`);
+            res.send('\uFEFF' + result); // BOM for UTF-8
+        } else {
+            res.setHeader('Content-Type', 'application/json');
+            res.setHeader('Content-Disposition', `attachment; filename=audit_log_${new Date().toISOString().split('T')[0]}.json`);
+            res.json(result);
+        }
+    } catch (error) {
+        logger.error(`Error exporting audit logs: ${error.message}`);
+        // invalid filter parameters carry a 400
+        const statusCode = error.statusCode || 500;
+        return res.status(statusCode).json(responseHelper.error(error.message, statusCode));
+    }
+};
+
+module.exports = {
+    getAuditLogs,
+    getFilterOptions,
+    exportAuditLogs
+};
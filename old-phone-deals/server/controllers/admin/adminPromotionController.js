@@ -0,0 +1,96 @@
+const promotionService = require('../../service/promotion/promotionService');
+const responseHelper = require('../../utils/responseHelper');
+const logger = require('../../config/logger');
+
+/**
+ * get promotions with pagination and an optional code search
+ */
+const getPromotions = async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 10;
+        const { promotions, total } = await promotionService.getPromotions({
+            page,
+            limit,
+            search: req.query.search
+        });
+
+        return res.status(200).json(
+            responseHelper.success({
+                promotions,
+                pagination: {
+                    total,
+                    page,
+                    limit,
+                    totalPages: Math.ceil(total / limit)
+                }
+            }, 'Promotions retrieved successfully')
+        );
+    } catch (error) {
+        logger.error('get promotions failed in admin promotion controller with error: ', error);
+        return res.status(500).json(
+            responseHelper.error('Failed to get promotions', 500, error)
+        );
+    }
+};
+
+/**
+ * create a promotion
+ */
+const createPromotion = async (req, res) => {
+    try {
+        const promotion = await promotionService.createPromotion(req.body, req.session.user._id);
+        return res.status(201).json(
+            responseHelper.success(promotion, 'Promotion created successfully', 201)
+        );
+    } catch (error) {
+        logger.error(`create promotion failed in admin promotion controller with error: ${error.message}`);
+        const statusCode = error.statusCode || 500;
+        return res.status(statusCode).json(
+            responseHelper.error(statusCode === 500 ? 'Failed to create promotion' : error.message, statusCode)
+        );
+    }
+};
+
+/**
+ * update a promotion
+ */
+const updatePromotion = async (req, res) => {
+    try {
+        const promotion = await promotionService.updatePromotion(req.params.id, req.body, req.session.user._id);
+        return res.status(200).json(
+            responseHelper.success(promotion, 'Promotion updated successfully')
+        );
+    } catch (error) {
+        logger.error(`update promotion failed in admin promotion controller with error: ${error.message}`);
+        const statusCode = error.statusCode || 500;
+        return res.status(statusCode).json(
+            responseHelper.error(statusCode === 500 ? 'Failed to update promotion' : error.message, statusCode)
+        );
+    }
+};
+
+/**
+ * delete a promotion
+ */
+const deletePromotion = async (req, res) => {
+    try {
+        const promotion = await promotionService.deletePromotion(req.params.id);
+        return res.status(200).json(
+            responseHelper.success(promotion, 'Promotion deleted successfully')
+        );
+    } catch (error) {
+        logger.error(`delete promotion failed in admin promotion controller with error: ${error.message}`);
+        const statusCode = error.statusCode || 500;
+        return res.status(statusCode).json(
+            responseHelper.error(statusCode === 500 ? 'Failed to delete promotion' : error.message, statusCode)
+        );
+    }
+};
+
+module.exports = {
+    getPromotions,
+    createPromotion,
+    updatePromotion,
+    deletePromotion
+};
@@ -0,0 +1,62 @@
+const returnService = require('../../service/order/returnService');
+const responseHelper = require('../../utils/responseHelper');
+const logger = require('../../config/logger');
+
+/**
+ * get return requests with pagination and an optional status filter
+ */
+const getReturns = async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 10;
+        const { returns, total } = await returnService.getAllReturns({
+            page,
+            limit,
+            status: req.query.status
+        });
+
+        return res.status(200).json(
+            responseHelper.success({
+                returns,
+                pagination: {
+                    total,
+                    page,
+                    limit,
+                    totalPages: Math.ceil(total / limit)
+                }
+            }, 'Returns retrieved successfully')
+        );
+    } catch (error) {
+        logger.error('get returns failed in admin return controller with error: ', error);
+        return res.status(500).json(
+            responseHelper.error('Failed to get returns', 500, error)
+        );
+    }
+};
+
+/**
+ * approve, reject, receive or refund a return request
+ */
+const updateReturnStatus = async (req, res) => {
+    try {
+        const { status, note } = req.body;
+        const returnRequest = await returnService.updateReturnStatus(req.params.id, status, {
+            changedBy: req.session.user._id,
+            note
+        });
+        return res.status(200).json(
+            responseHelper.success(returnRequest, 'Return updated successfully')
+        );
+    } catch (error) {
+        logger.error(`update return status failed in admin return controller with error: ${error.message}`);
+        const statusCode = error.statusCode || 500;
+        return res.status(statusCode).json(
+            responseHelper.error(statusCode === 500 ? 'Failed to update return' : error.message, statusCode)
+        );
+    }
+};
+
+module.exports = {
+    getReturns,
+    updateReturnStatus
+};
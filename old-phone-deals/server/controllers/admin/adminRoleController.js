@@ -0,0 +1,117 @@
+const roleService = require('../../service/admin/roleService');
+const responseHelper = require('../../utils/responseHelper');
+const logger = require('../../config/logger');
+
+/**
+ * get built-in roles, custom roles and the list of available permissions
+ */
+const getRoles = async (req, res) => {
+    try {
+        const result = await roleService.getRoles();
+        return res.status(200).json(
+            responseHelper.success(result, 'Roles retrieved successfully')
+        );
+    } catch (error) {
+        logger.error('get roles failed in admin role controller with error: ', error);
+        return res.status(500).json(
+            responseHelper.error('Failed to get roles', 500, error)
+        );
+    }
+};
+
+/**
+ * create a custom role
+ */
+const createRole = async (req, res) => {
+    try {
+        const { name, description, permissions } = req.body;
+        const role = await roleService.createRole(
+            { name, description, permissions },
+            req.session.user._id
+        );
+        return res.status(201).json(
+            responseHelper.success(role, 'Role created successfully', 201)
+        );
+    } catch (error) {
+        logger.error(`create role failed in admin role controller with error: ${error.message}`);
+        const statusCode = error.statusCode || 500;
+        return res.status(statusCode).json(
+            responseHelper.error(statusCode === 500 ? 'Failed to create role' : error.message, statusCode)
+        );
+    }
+};
+
+/**
+ * update a custom role's description or permissions
+ */
+const updateRole = async (req, res) => {
+    try {
+        const { description, permissions } = req.body;
+        const role = await roleService.updateRole(
+            req.params.id,
+            { description, permissions },
+            req.session.user._id
+        );
+        return res.status(200).json(
+            responseHelper.success(role, 'Role updated successfully')
+        );
+    } catch (error) {
+        logger.error(`update role failed in admin role controller with error: ${error.message}`);
+        const statusCode = error.statusCode || 500;
+        return res.status(statusCode).json(
+            responseHelper.error(statusCode === 500 ? 'Failed to update role' : error.message, statusCode)
+        );
+    }
+};
+
+/**
+ * delete a custom role
+ */
+const deleteRole = async (req, res) => {
+    try {
+        const role = await roleService.deleteRole(req.params.id);
+        return res.status(200).json(
+            responseHelper.success(role, 'Role deleted successfully')
+        );
+    } catch (error) {
+        logger.error(`delete role failed in admin role controller with error: ${error.message}`);
+        const statusCode = error.statusCode || 500;
+        return res.status(statusCode).json(
+            responseHelper.error(statusCode === 500 ? 'Failed to delete role' : error.message, statusCode)
+        );
+    }
+};
+
+/**
+ * assign a role to a user
+ */
+const assignRole = async (req, res) => {
+    try {
+        const { role } = req.body;
+
+        if (!role) {
+            return res.status(400).json(
+                responseHelper.error('Role is required', 400)
+            );
+        }
+
+        const user = await roleService.assignRole(req.params.id, role);
+        return res.status(200).json(
+            responseHelper.success(user, 'Role assigned successfully')
+        );
+    } catch (error) {
+        logger.error(`assign role failed in admin role controller with error: ${error.message}`);
+        const statusCode = error.statusCode || 500;
+        return res.status(statusCode).json(
+            responseHelper.error(statusCode === 500 ? 'Failed to assign role' : error.message, statusCode)
+        );
+    }
+};
+
+module.exports = {
+    getRoles,
+    createRole,
+    updateRole,
+    deleteRole,
+    assignRole
+};
@@ -1,6 +1,7 @@
 const logger = require('../../../server/config/logger');
 const responseHelper = require('../../utils/responseHelper');
 const orderService = require('../../service/order/orderService');
+const invoiceService = require('../../service/order/invoiceService');
 
 
 const getAllOrders = async (req, res) => {
@@ -78,7 +79,24 @@ const exportOrders = async (req, res) => {
     }
 };
 
+const getOrderInvoice = async (req, res) => {
+    try {
+        const { filename, pdf } = await invoiceService.getInvoice(req.params.id);
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+        res.send(pdf);
+    } catch (error) {
+        logger.error(`Error rendering invoice: ${error.message}`);
+        const statusCode = error.statusCode || 500;
+        return res.status(statusCode).json(
+            responseHelper.error(statusCode === 500 ? 'Failed to render invoice' : error.message, statusCode)
+        );
+    }
+};
+
 module.exports = {
     getAllOrders,
-    exportOrders
+    exportOrders,
+    getOrderInvoice
 };
\ No newline at end of file
@@ -93,8 +93,14 @@ const updateUser = async (req, res) => {
             );
         }
 
+        // role changes go through the role assignment endpoint, which requires roles:manage
+        const { role, ...updateData } = req.body;
+        if (role !== undefined) {
+            logger.warn(`ignoring role change for user ${userId} in admin user controller, use the role assignment endpoint`);
+        }
+
         // call service layer method to update user
-        const updatedUser = await userService.updateUserById(userId, req.body);
+        const updatedUser = await userService.updateUserById(userId, updateData);
 
         logger.info(`user with ID: ${userId} updated successfully in admin user controller`);
         return res.status(200).json(
@@ -1,7 +1,10 @@
 const cartService = require('../../service/cart/cartService');
+const reservationService = require('../../service/cart/reservationService');
+const promotionService = require('../../service/promotion/promotionService');
 const { success } = require('../../utils/responseHelper');
 const logger = require('../../config/logger');
 const mongoose = require('mongoose');
+const { PAYMENT_METHODS } = require('../../models/order');
 
 /**
  * @description Retrieves the shopping cart for a specific user (owner or admin access).
@@ -23,10 +26,12 @@ exports.getCart = async (req, res, next) => {
 
         // Call the service, passing the target user's ID
         const cart = await cartService.getCartByUserId(targetUserId);
+        // active holds in reservation mode, empty otherwise
+        const reservations = await reservationService.getUserHolds(targetUserId);
         logger.info(`Controller: Successfully retrieved cart for user ${targetUserId}`);
 
         // Return success response
-        return res.status(200).json(success({ cart }, 'Cart retrieved successfully.'));
+        return res.status(200).json(success({ cart, reservations }, 'Cart retrieved successfully.'));
 
     } catch (err) {
         // Pass error to the errorHandler
@@ -139,14 +144,14 @@ exports.removeCartItem = async (req, res, next) => {
  * @description Process checkout for a user's cart
  * @route       POST /api/users/:userId/cart/checkout
  * @access      Private (Requires Authentication & Authorization)
- * @param {object} req - Express request object. Expects `req.params.userId`, `req.body.items`, `req.session.user`.
+ * @param {object} req - Express request object. Expects `req.params.userId`, `req.body.items`, `req.body.payment`, optional `req.body.couponCode` and `req.body.shippingAddressId`, `req.session.user`.
  * @param {object} res - Express response object.
  * @param {function} next - Express next middleware function.
  */
 exports.checkout = async (req, res, next) => {
     try {
         const targetUserId = req.params.userId;
-        const { items } = req.body;
+        const { items, payment, couponCode, shippingAddressId } = req.body;
         const loggedInUser = req.session.user;
 
         // Input validation
@@ -174,15 +179,106 @@ exports.checkout = async (req, res, next) => {
             }
         }
 
+        if (!payment || !PAYMENT_METHODS.includes(payment.method)) {
+            const err = new Error(`Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`);
+            err.statusCode = 400;
+            return next(err);
+        }
+        if (!payment.card || typeof payment.card.number !== 'string') {
+            const err = new Error('Card details are required');
+            err.statusCode = 400;
+            return next(err);
+        }
+        if (couponCode !== undefined && couponCode !== null && typeof couponCode !== 'string') {
+            const err = new Error('Coupon code must be a string');
+            err.statusCode = 400;
+            return next(err);
+        }
+        if (shippingAddressId && !mongoose.Types.ObjectId.isValid(shippingAddressId)) {
+            const err = new Error(`Invalid shippingAddressId format: ${shippingAddressId}`);
+            err.statusCode = 400;
+            return next(err);
+        }
+
         logger.info(`Controller: User ${loggedInUser?._id} processing checkout for user ${targetUserId}`);
 
-        const result = await cartService.checkout(targetUserId, items);
+        const result = await cartService.checkout(targetUserId, items, payment, {
+            couponCode: couponCode || null,
+            shippingAddressId: shippingAddressId || null
+        });
         logger.info(`Controller: Checkout completed successfully for user ${targetUserId}`);
 
-        return res.status(200).json(success(result, 'Checkout completed successfully'));
+        return res.status(200).json(success(result, result.message));
 
     } catch (err) {
         logger.error(`Controller: Error in checkout for target user ${req.params?.userId}, requester ${req.session?.user?._id}: ${err.message}`);
         next(err);
     }
-};
\ No newline at end of file
+};
+
+/**
+ * @description Preview the discount a coupon code gives on a user's cart.
+ * @route       POST /api/users/:userId/cart/coupon
+ * @access      Private (Requires Authentication & Authorization)
+ * @param {object} req - Express request object. Expects `req.params.userId`, `req.body.code`.
+ * @param {object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ */
+exports.previewCoupon = async (req, res, next) => {
+    try {
+        const targetUserId = req.params.userId;
+        const { code } = req.body;
+
+        if (typeof code !== 'string' || !code.trim()) {
+            const err = new Error('Coupon code is required');
+            err.statusCode = 400;
+            return next(err);
+        }
+
+        const preview = await promotionService.previewForCart(targetUserId, code);
+        logger.info(`Controller: Coupon ${preview.code} previewed for user ${targetUserId}`);
+
+        return res.status(200).json(success(preview, 'Coupon applied.'));
+
+    } catch (err) {
+        logger.warn(`Controller: Coupon preview failed for user ${req.params?.userId}: ${err.message}`);
+        next(err);
+    }
+};
+
+/**
+ * @description Price a user's cart with shipping and tax for the chosen address, nothing is stored.
+ * @route       POST /api/users/:userId/cart/quote
+ * @access      Private (Requires Authentication & Authorization)
+ * @param {object} req - Express request object. Expects `req.params.userId`, optional `req.body.shippingAddressId` and `req.body.couponCode`.
+ * @param {object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ */
+exports.getQuote = async (req, res, next) => {
+    try {
+        const targetUserId = req.params.userId;
+        const { shippingAddressId, couponCode } = req.body;
+
+        if (shippingAddressId && !mongoose.Types.ObjectId.isValid(shippingAddressId)) {
+            const err = new Error(`Invalid shippingAddressId format: ${shippingAddressId}`);
+            err.statusCode = 400;
+            return next(err);
+        }
+        if (couponCode !== undefined && couponCode !== null && typeof couponCode !== 'string') {
+            const err = new Error('Coupon code must be a string');
+            err.statusCode = 400;
+            return next(err);
+        }
+
+        const quote = await cartService.quoteCart(targetUserId, {
+            couponCode: couponCode || null,
+            shippingAddressId: shippingAddressId || null
+        });
+
+        return res.status(200).json(success(quote, 'Cart priced.'));
+
+    } catch (err) {
+        logger.warn(`Controller: Cart quote failed for user ${req.params?.userId}: ${err.message}`);
+        next(err);
+    }
+};
@@ -4,29 +4,151 @@ const logger = require('../../config/logger');
 const mongoose = require('mongoose');
 
 /**
- * @description Get user's wishlist
+ * @description Get all wishlists of the user, the default list first
  * @route       GET /api/users/:userId/wishlist
  * @access      Private (Requires Authentication & Authorization)
  */
-exports.getWishlist = async (req, res, next) => {
+exports.getWishlists = async (req, res, next) => {
     try {
         const targetUserId = req.params.userId;
         const loggedInUser = req.session.user;
 
-        logger.info(`Controller: User ${loggedInUser?._id} requesting wishlist for user ${targetUserId}`);
+        logger.info(`Controller: User ${loggedInUser?._id} requesting wishlists for user ${targetUserId}`);
 
-        const wishlist = await wishlistService.getWishlist(targetUserId);
-        logger.info(`Controller: Successfully retrieved wishlist for user ${targetUserId}`);
+        const wishlists = await wishlistService.getWishlists(targetUserId);
+        logger.info(`Controller: Successfully retrieved wishlists for user ${targetUserId}`);
 
-        return res.status(200).json(success({ wishlist }, 'Wishlist retrieved successfully'));
+        return res.status(200).json(success({ wishlists }, 'Wishlists retrieved successfully'));
     } catch (err) {
-        logger.error(`Controller: Error in getWishlist for target user ${req.params?.userId}, requester ${req.session?.user?._id}: ${err.message}`);
+        logger.error(`Controller: Error in getWishlists for target user ${req.params?.userId}, requester ${req.session?.user?._id}: ${err.message}`);
         next(err);
     }
 };
 
 /**
- * @description Add item to wishlist
+ * @description Create a named wishlist
+ * @route       POST /api/users/:userId/wishlist/lists
+ * @access      Private (Requires Authentication & Authorization)
+ */
+exports.createWishlist = async (req, res, next) => {
+    try {
+        const targetUserId = req.params.userId;
+
+        const wishlists = await wishlistService.createWishlist(targetUserId, req.body.name);
+        logger.info(`Controller: Created wishlist "${req.body.name}" for user ${targetUserId}`);
+
+        return res.status(201).json(success({ wishlists }, 'Wishlist created successfully', 201));
+    } catch (err) {
+        logger.error(`Controller: Error in createWishlist for target user ${req.params?.userId}: ${err.message}`);
+        next(err);
+    }
+};
+
+/**
+ * @description Rename a wishlist or make it the default list
+ * @route       PUT /api/users/:userId/wishlist/lists/:listId
+ * @access      Private (Requires Authentication & Authorization)
+ */
+exports.updateWishlist = async (req, res, next) => {
+    try {
+        const { userId, listId } = req.params;
+
+        const wishlists = await wishlistService.updateWishlist(userId, listId, req.body);
+        logger.info(`Controller: Updated wishlist ${listId} for user ${userId}`);
+
+        return res.status(200).json(success({ wishlists }, 'Wishlist updated successfully'));
+    } catch (err) {
+        logger.error(`Controller: Error in updateWishlist for target user ${req.params?.userId}, list ${req.params?.listId}: ${err.message}`);
+        next(err);
+    }
+};
+
+/**
+ * @description Delete a wishlist that is not the default list
+ * @route       DELETE /api/users/:userId/wishlist/lists/:listId
+ * @access      Private (Requires Authentication & Authorization)
+ */
+exports.deleteWishlist = async (req, res, next) => {
+    try {
+        const { userId, listId } = req.params;
+
+        const wishlists = await wishlistService.deleteWishlist(userId, listId);
+        logger.info(`Controller: Deleted wishlist ${listId} for user ${userId}`);
+
+        return res.status(200).json(success({ wishlists }, 'Wishlist deleted successfully'));
+    } catch (err) {
+        logger.error(`Controller: Error in deleteWishlist for target user ${req.params?.userId}, list ${req.params?.listId}: ${err.message}`);
+        next(err);
+    }
+};
+
+/**
+ * @description Publish a wishlist at its share link or make it private again
+ * @route       PUT /api/users/:userId/wishlist/lists/:listId/share
+ * @access      Private (Requires Authentication & Authorization)
+ */
+exports.shareWishlist = async (req, res, next) => {
+    try {
+        const { userId, listId } = req.params;
+        const { isPublic } = req.body;
+
+        const wishlists = await wishlistService.setSharing(userId, listId, isPublic);
+        logger.info(`Controller: Wishlist ${listId} of user ${userId} shared: ${isPublic}`);
+
+        return res.status(200).json(success(
+            { wishlists },
+            isPublic ? 'Wishlist is now public' : 'Wishlist is now private'
+        ));
+    } catch (err) {
+        logger.error(`Controller: Error in shareWishlist for target user ${req.params?.userId}, list ${req.params?.listId}: ${err.message}`);
+        next(err);
+    }
+};
+
+/**
+ * @description Move a phone to another of the user's wishlists
+ * @route       PUT /api/users/:userId/wishlist/lists/:listId/items/:phoneId/move
+ * @access      Private (Requires Authentication & Authorization)
+ */
+exports.moveItem = async (req, res, next) => {
+    try {
+        const { userId, listId, phoneId } = req.params;
+        const { targetListId } = req.body;
+
+        // Input validation
+        if (!mongoose.Types.ObjectId.isValid(phoneId)) {
+            const err = new Error(`Invalid phoneId format: ${phoneId}`);
+            err.statusCode = 400;
+            return next(err);
+        }
+
+        const wishlists = await wishlistService.moveItem(userId, phoneId, listId, targetListId);
+        logger.info(`Controller: Moved phone ${phoneId} from wishlist ${listId} to ${targetListId} for user ${userId}`);
+
+        return res.status(200).json(success({ wishlists }, 'Item moved successfully'));
+    } catch (err) {
+        logger.error(`Controller: Error in moveItem for target user ${req.params?.userId}, phone ${req.params?.phoneId}: ${err.message}`);
+        next(err);
+    }
+};
+
+/**
+ * @description Get a published wishlist by its share link
+ * @route       GET /api/shared-wishlists/:slug
+ * @access      Public
+ */
+exports.getSharedWishlist = async (req, res, next) => {
+    try {
+        const wishlist = await wishlistService.getSharedWishlist(req.params.slug);
+        return res.status(200).json(success({ wishlist }, 'Shared wishlist retrieved successfully'));
+    } catch (err) {
+        logger.error(`Controller: Error in getSharedWishlist: ${err.message}`);
+        next(err);
+    }
+};
+
+/**
+ * @description Add item to wishlist, to the list given as listId in the body or the default list
  * @route       POST /api/users/:userId/wishlist/:phoneId
  * @access      Private (Requires Authentication & Authorization)
  */
@@ -45,10 +167,10 @@ exports.addToWishlist = async (req, res, next) => {
 
         logger.info(`Controller: User ${loggedInUser?._id} adding phone ${phoneId} to wishlist for user ${targetUserId}`);
 
-        const wishlist = await wishlistService.addToWishlist(targetUserId, phoneId);
+        const wishlists = await wishlistService.addToWishlist(targetUserId, phoneId, req.body?.listId);
         logger.info(`Controller: Successfully added phone ${phoneId} to wishlist for user ${targetUserId}`);
 
-        return res.status(200).json(success({ wishlist }, 'Item added to wishlist successfully'));
+        return res.status(200).json(success({ wishlists }, 'Item added to wishlist successfully'));
     } catch (err) {
         logger.error(`Controller: Error in addToWishlist for target user ${req.params?.userId}, phone ${req.params?.phoneId}, requester ${req.session?.user?._id}: ${err.message}`);
         next(err);
@@ -56,7 +178,7 @@ exports.addToWishlist = async (req, res, next) => {
 };
 
 /**
- * @description Remove item from wishlist
+ * @description Remove item from the wishlist given as ?listId, or from every wishlist of the user
  * @route       DELETE /api/users/:userId/wishlist/:phoneId
  * @access      Private (Requires Authentication & Authorization)
  */
@@ -75,10 +197,10 @@ exports.removeFromWishlist = async (req, res, next) => {
 
         logger.info(`Controller: User ${loggedInUser?._id} removing phone ${phoneId} from wishlist for user ${targetUserId}`);
 
-        const wishlist = await wishlistService.removeFromWishlist(targetUserId, phoneId);
+        const wishlists = await wishlistService.removeFromWishlist(targetUserId, phoneId, req.query.listId);
         logger.info(`Controller: Successfully removed phone ${phoneId} from wishlist for user ${targetUserId}`);
 
-        return res.status(200).json(success({ wishlist }, 'Item removed from wishlist successfully'));
+        return res.status(200).json(success({ wishlists }, 'Item removed from wishlist successfully'));
     } catch (err) {
         logger.error(`Controller: Error in removeFromWishlist for target user ${req.params?.userId}, phone ${req.params?.phoneId}, requester ${req.session?.user?._id}: ${err.message}`);
         next(err);
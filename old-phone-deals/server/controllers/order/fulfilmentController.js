@@ -0,0 +1,63 @@
+const fulfilmentService = require('../../service/order/fulfilmentService');
+const logger = require('../../config/logger');
+const mongoose = require('mongoose');
+const { success, error } = require('../../utils/responseHelper');
+
+/**
+ * Get the logged-in seller's fulfilments
+ * @route   GET /api/user/profile/sales
+ * @access  Private (Requires authentication)
+ */
+exports.getMySales = async (req, res, next) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 10;
+        const status = req.query.status;
+
+        const result = await fulfilmentService.getSellerFulfilments(req.session.user._id, { page, limit, status });
+
+        return res.status(200).json(success({
+            fulfilments: result.fulfilments,
+            pagination: {
+                total: result.total,
+                page,
+                pages: Math.ceil(result.total / limit)
+            }
+        }));
+    } catch (err) {
+        logger.error('Error in getMySales:', err);
+        next(err);
+    }
+};
+
+/**
+ * Update the status of one of the logged-in seller's fulfilments
+ * @route   PUT /api/user/profile/sales/:fulfilmentId/status
+ * @access  Private (Requires authentication, only the fulfilment's seller)
+ */
+exports.updateSaleStatus = async (req, res, next) => {
+    try {
+        const { fulfilmentId } = req.params;
+        const { status, trackingNumber, carrier, note } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(fulfilmentId)) {
+            return res.status(400).json(error(`Invalid fulfilmentId format: ${fulfilmentId}`, 400));
+        }
+
+        const fulfilment = await fulfilmentService.updateFulfilmentStatus(
+            req.session.user._id,
+            fulfilmentId,
+            status,
+            { trackingNumber, carrier, note }
+        );
+
+        return res.status(200).json(success(fulfilment, 'Sale status updated'));
+    } catch (err) {
+        if (err.statusCode) {
+            logger.warn(`Rejected sale status update for ${req.params.fulfilmentId}: ${err.message}`);
+            return res.status(err.statusCode).json(error(err.message, err.statusCode));
+        }
+        logger.error('Error in updateSaleStatus:', err);
+        next(err);
+    }
+};
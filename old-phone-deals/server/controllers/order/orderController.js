@@ -1,5 +1,8 @@
 const Order = require('../../models/order');
+const orderService = require('../../service/order/orderService');
 const logger = require('../../config/logger');
+const mongoose = require('mongoose');
+const invoiceService = require('../../service/order/invoiceService');
 const { success, error } = require('../../utils/responseHelper');
 
 /**
@@ -74,20 +77,31 @@ exports.getOrderById = async (req, res, next) => {
 /**
  * Get orders for a specific user
  * @route   GET /api/users/:userId/orders
- * @access  Private (User or Admin)
+ * @desc    Supports pagination and an optional status filter
+ * @access  Private (Owner or Admin)
  */
 exports.getUserOrders = async (req, res, next) => {
     try {
         const page = parseInt(req.query.page) || 1;
         const limit = parseInt(req.query.limit) || 10;
+        const status = req.query.status;
 
-        const orders = await Order.find({ user: req.params.userId })
-            .populate('items.phone', 'title brand price')
+        const query = { user: req.params.userId };
+        if (status) {
+            const condition = orderService.statusCondition(status);
+            if (!condition) {
+                return res.status(400).json(error(`Invalid status: ${status}`, 400));
+            }
+            query.status = condition;
+        }
+
+        const orders = await Order.find(query)
+            .populate('items.phone', 'title brand price image')
             .sort({ createdAt: -1 })
             .skip((page - 1) * limit)
             .limit(limit);
 
-        const total = await Order.countDocuments({ user: req.params.userId });
+        const total = await Order.countDocuments(query);
 
         return res.status(200).json(success({
             orders,
@@ -104,30 +118,77 @@ exports.getUserOrders = async (req, res, next) => {
 };
 
 /**
- * Update order status
- * @route   PATCH /api/admin/orders/:orderId/status
- * @access  Private (Admin only)
+ * Get one of a user's orders
+ * @route   GET /api/users/:userId/orders/:orderId
+ * @access  Private (Owner or Admin)
  */
-exports.updateOrderStatus = async (req, res, next) => {
+exports.getUserOrderById = async (req, res, next) => {
     try {
-        const { status } = req.body;
-        
-        if (!['pending', 'completed', 'cancelled'].includes(status)) {
-            return res.status(400).json(error('Invalid status'));
+        const { userId, orderId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(orderId)) {
+            return res.status(400).json(error(`Invalid orderId format: ${orderId}`, 400));
         }
 
-        const order = await Order.findByIdAndUpdate(
-            req.params.orderId,
-            { status },
-            { new: true }
-        );
+        // scoping by user keeps other users' orders invisible instead of forbidden
+        const order = await Order.findOne({ _id: orderId, user: userId })
+            .populate('items.phone', 'title brand price image stock disabled');
 
         if (!order) {
-            return res.status(404).json(error('Order not found'));
+            return res.status(404).json(error('Order not found', 404));
         }
 
         return res.status(200).json(success(order));
     } catch (err) {
+        logger.error('Error in getUserOrderById:', err);
+        next(err);
+    }
+};
+
+/**
+ * Download the invoice of one of a user's orders
+ * @route   GET /api/users/:userId/orders/:orderId/invoice
+ * @access  Private (Owner or Admin)
+ */
+exports.getUserOrderInvoice = async (req, res, next) => {
+    try {
+        const { filename, pdf } = await invoiceService.getBuyerInvoice(req.params.userId, req.params.orderId);
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+        return res.send(pdf);
+    } catch (err) {
+        if (err.statusCode) {
+            return res.status(err.statusCode).json(error(err.message, err.statusCode));
+        }
+        logger.error('Error in getUserOrderInvoice:', err);
+        next(err);
+    }
+};
+
+/**
+ * Update order status
+ * @route   PATCH /api/admin/orders/:orderId/status
+ * @desc    Only transitions allowed by the order lifecycle are accepted, shipping requires a tracking number
+ * @access  Private (Admin only)
+ */
+exports.updateOrderStatus = async (req, res, next) => {
+    try {
+        const { status, trackingNumber, carrier, note } = req.body;
+
+        const order = await orderService.updateOrderStatus(req.params.orderId, status, {
+            changedBy: req.session.user._id,
+            trackingNumber,
+            carrier,
+            note
+        });
+
+        return res.status(200).json(success(order));
+    } catch (err) {
+        if (err.statusCode) {
+            logger.warn(`Rejected status update for order ${req.params.orderId}: ${err.message}`);
+            return res.status(err.statusCode).json(error(err.message, err.statusCode));
+        }
         logger.error('Error in updateOrderStatus:', err);
         next(err);
     }
@@ -0,0 +1,102 @@
+const returnService = require('../../service/order/returnService');
+const logger = require('../../config/logger');
+const { success, error } = require('../../utils/responseHelper');
+
+/**
+ * Open a return for an item of one of the user's orders
+ * @route   POST /api/users/:userId/orders/:orderId/returns
+ * @access  Private (Owner or Admin)
+ */
+exports.createReturn = async (req, res, next) => {
+    try {
+        const { phoneId, quantity, reason, details, photos } = req.body;
+
+        const returnRequest = await returnService.createReturn(req.params.userId, req.params.orderId, {
+            phoneId,
+            quantity,
+            reason,
+            details,
+            photos
+        });
+
+        return res.status(201).json(success(returnRequest, 'Return requested', 201));
+    } catch (err) {
+        if (err.statusCode) {
+            logger.warn(`Rejected return for order ${req.params.orderId}: ${err.message}`);
+            return res.status(err.statusCode).json(error(err.message, err.statusCode));
+        }
+        logger.error('Error in createReturn:', err);
+        next(err);
+    }
+};
+
+/**
+ * Get the returns the user opened for one of their orders
+ * @route   GET /api/users/:userId/orders/:orderId/returns
+ * @access  Private (Owner or Admin)
+ */
+exports.getOrderReturns = async (req, res, next) => {
+    try {
+        const returns = await returnService.getOrderReturns(req.params.userId, req.params.orderId);
+        return res.status(200).json(success(returns));
+    } catch (err) {
+        if (err.statusCode) {
+            return res.status(err.statusCode).json(error(err.message, err.statusCode));
+        }
+        logger.error('Error in getOrderReturns:', err);
+        next(err);
+    }
+};
+
+/**
+ * Get the returns of items the logged-in user sold
+ * @route   GET /api/user/profile/returns
+ * @access  Private (Requires authentication)
+ */
+exports.getMyReturns = async (req, res, next) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 10;
+        const status = req.query.status;
+
+        const result = await returnService.getSellerReturns(req.session.user._id, { page, limit, status });
+
+        return res.status(200).json(success({
+            returns: result.returns,
+            pagination: {
+                total: result.total,
+                page,
+                pages: Math.ceil(result.total / limit)
+            }
+        }));
+    } catch (err) {
+        logger.error('Error in getMyReturns:', err);
+        next(err);
+    }
+};
+
+/**
+ * Approve, reject, receive or refund a return of an item the logged-in user sold
+ * @route   PUT /api/user/profile/returns/:returnId/status
+ * @access  Private (Requires authentication, only the item's seller)
+ */
+exports.updateMyReturnStatus = async (req, res, next) => {
+    try {
+        const { status, note } = req.body;
+
+        const returnRequest = await returnService.updateReturnStatus(req.params.returnId, status, {
+            changedBy: req.session.user._id,
+            sellerId: req.session.user._id,
+            note
+        });
+
+        return res.status(200).json(success(returnRequest, 'Return updated'));
+    } catch (err) {
+        if (err.statusCode) {
+            logger.warn(`Rejected return status update for ${req.params.returnId}: ${err.message}`);
+            return res.status(err.statusCode).json(error(err.message, err.statusCode));
+        }
+        logger.error('Error in updateMyReturnStatus:', err);
+        next(err);
+    }
+};
@@ -0,0 +1,28 @@
+const paymentService = require('../../service/payment/paymentService');
+const orderService = require('../../service/order/orderService');
+const logger = require('../../config/logger');
+const { success, error } = require('../../utils/responseHelper');
+
+/**
+ * Receive a payment provider webhook
+ * @route   POST /api/payments/webhook/:provider
+ * @desc    Verifies the signature, applies the event once and moves the order along
+ * @access  Public (authenticated by the provider's signature)
+ */
+exports.handleWebhook = async (req, res, next) => {
+    try {
+        const { payment, duplicate } = await paymentService.handleWebhook(req.params.provider, req.rawBody, req.headers);
+
+        // also run for redeliveries, in case the order update failed the first time round
+        await orderService.applyPaymentResult(payment);
+
+        return res.status(200).json(success({ received: true, duplicate }));
+    } catch (err) {
+        if (err.statusCode) {
+            logger.warn(`Rejected ${req.params.provider} webhook: ${err.message}`);
+            return res.status(err.statusCode).json(error(err.message, err.statusCode));
+        }
+        logger.error('Error in handleWebhook:', err);
+        next(err);
+    }
+};
@@ -1,7 +1,11 @@
 const logger = require('../../../server/config/logger');
 const phoneService = require('../../service/phone/phoneService');
+const phoneSearchService = require('../../service/phone/phoneSearchService');
 const responseHelper = require('../../../server/utils/responseHelper');
 
+// largest search page a client can ask for
+const MAX_SEARCH_LIMIT = 100;
+
 /**
  * get phones that are about to sell out (lowest stock but still available)
  */
@@ -49,7 +53,11 @@ const getBestSellerPhones = async (req, res) => {
 
 const searchPhones = async (req, res) => {
     try {
-        const { search, brand, minPrice, maxPrice, page, limit } = req.query;
+        const {
+            search, brand, minPrice, maxPrice, inStock, minRating,
+            condition, minStorage, colour, networkLock, minBattery, minYear,
+            sort, page, limit
+        } = req.query;
 
         // prepare price filter if price range is provided
         const priceFilter = {};
@@ -61,11 +69,27 @@ const searchPhones = async (req, res) => {
         }
 
         const searchOptions = {
-            search,
-            brand,
+            // a repeated or bracketed parameter arrives as an array or object, e.g. ?brand[$ne]=x
+            // would become a query operator, so only plain strings are used
+            search: typeof search === 'string' ? search : '',
+            brand: typeof brand === 'string' ? brand : '',
             price: priceFilter,
-            page: parseInt(page) || 1,
-            limit: parseInt(limit) || 10
+            inStock: inStock === 'true',
+            minRating: parseFloat(minRating) || undefined,
+            condition,
+            minStorage: parseInt(minStorage) || undefined,
+            // a repeated ?colour= arrives as an array
+            colour: typeof colour === 'string' ? colour.trim() : undefined,
+            networkLock,
+            minBattery: parseInt(minBattery) || undefined,
+            minYear: parseInt(minYear) || undefined,
+            sort: typeof sort === 'string' ? sort : undefined,
+            // a page below 1 or a limit outside 1..MAX_SEARCH_LIMIT would reach $skip and $limit
+            page: Math.max(parseInt(page) || 1, 1),
+            limit: Math.min(Math.max(parseInt(limit) || 10, 1), MAX_SEARCH_LIMIT),
+            viewerId: req.session?.user?._id,
+            // distinct searchers decide which past searches are suggested to others
+            searcher: req.session?.user?._id?.toString() || req.ip
         };
 
         const result = await phoneService.searchPhones(searchOptions);
@@ -81,6 +105,26 @@ const searchPhones = async (req, res) => {
     }
 };
 
+/**
+ * suggestions while typing a search: title completions, matching brands and popular past queries
+ */
+const suggestSearch = async (req, res) => {
+    try {
+        // a repeated ?q= arrives as an array
+        const query = typeof req.query.q === 'string' ? req.query.q : '';
+        const suggestions = await phoneSearchService.getSuggestions(query);
+
+        return res.status(200).json(
+            responseHelper.success(suggestions, 'Suggestions retrieved successfully')
+        );
+    } catch (error) {
+        logger.error('Error in suggestSearch:', error);
+        return res.status(500).json(
+            responseHelper.error('Error fetching search suggestions', 500, error.message)
+        );
+    }
+};
+
 const getPhoneById = async (req, res) => {
     try {
         const phoneId = req.params.id;
@@ -90,7 +134,7 @@ const getPhoneById = async (req, res) => {
             );
         }
 
-        const phone = await phoneService.getPhoneById(phoneId);
+        const phone = await phoneService.getPhoneById(phoneId, req.session?.user?._id);
         if (!phone) {
             return res.status(404).json(
                 responseHelper.error('Phone not found', 404)
@@ -136,6 +180,7 @@ module.exports = {
     getSoldOutSoonPhones,
     getBestSellerPhones,
     searchPhones,
+    suggestSearch,
     getPhoneById,
     addReview,
 };
\ No newline at end of file
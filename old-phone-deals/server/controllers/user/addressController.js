@@ -0,0 +1,89 @@
+const addressService = require('../../service/user/addressService');
+const logger = require('../../config/logger');
+const { success, error } = require('../../utils/responseHelper');
+
+/**
+ * reply with a service error that carries a status code, or pass anything else on
+ * @param {Error} err - error thrown by the address service
+ * @param {Object} res - express response
+ * @param {Function} next - express next
+ * @param {String} action - what was attempted, for the log
+ */
+const handleError = (err, res, next, action) => {
+    if (err.statusCode) {
+        logger.warn(`Rejected ${action}: ${err.message}`);
+        return res.status(err.statusCode).json(error(err.message, err.statusCode));
+    }
+    logger.error(`Error in ${action}:`, err);
+    return next(err);
+};
+
+/**
+ * Get the logged-in user's address book
+ * @route   GET /api/user/profile/addresses
+ * @access  Private (Requires authentication)
+ */
+exports.getAddresses = async (req, res, next) => {
+    try {
+        const addresses = await addressService.getAddresses(req.session.user._id);
+        return res.status(200).json(success(addresses));
+    } catch (err) {
+        return handleError(err, res, next, 'getAddresses');
+    }
+};
+
+/**
+ * Add an address to the logged-in user's address book
+ * @route   POST /api/user/profile/addresses
+ * @access  Private (Requires authentication)
+ */
+exports.addAddress = async (req, res, next) => {
+    try {
+        const addresses = await addressService.addAddress(req.session.user._id, req.body);
+        return res.status(201).json(success(addresses, 'Address added', 201));
+    } catch (err) {
+        return handleError(err, res, next, 'addAddress');
+    }
+};
+
+/**
+ * Update one of the logged-in user's addresses
+ * @route   PUT /api/user/profile/addresses/:addressId
+ * @access  Private (Requires authentication)
+ */
+exports.updateAddress = async (req, res, next) => {
+    try {
+        const addresses = await addressService.updateAddress(req.session.user._id, req.params.addressId, req.body);
+        return res.status(200).json(success(addresses, 'Address updated'));
+    } catch (err) {
+        return handleError(err, res, next, 'updateAddress');
+    }
+};
+
+/**
+ * Delete one of the logged-in user's addresses
+ * @route   DELETE /api/user/profile/addresses/:addressId
+ * @access  Private (Requires authentication)
+ */
+exports.deleteAddress = async (req, res, next) => {
+    try {
+        const addresses = await addressService.deleteAddress(req.session.user._id, req.params.addressId);
+        return res.status(200).json(success(addresses, 'Address deleted'));
+    } catch (err) {
+        return handleError(err, res, next, 'deleteAddress');
+    }
+};
+
+/**
+ * Make one of the logged-in user's addresses the default
+ * @route   PUT /api/user/profile/addresses/:addressId/default
+ * @access  Private (Requires authentication)
+ */
+exports.setDefaultAddress = async (req, res, next) => {
+    try {
+        const addresses = await addressService.setDefaultAddress(req.session.user._id, req.params.addressId);
+        return res.status(200).json(success(addresses, 'Default address updated'));
+    } catch (err) {
+        return handleError(err, res, next, 'setDefaultAddress');
+    }
+};
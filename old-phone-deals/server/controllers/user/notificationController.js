@@ -0,0 +1,139 @@
+const notificationService = require('../../service/user/notificationService');
+const notificationPreferenceService = require('../../service/user/notificationPreferenceService');
+const { success } = require('../../utils/responseHelper');
+const logger = require('../../config/logger');
+const mongoose = require('mongoose');
+
+/**
+ * Build a 400 error for a malformed notification id
+ * @param {string} notificationId - The id from the route
+ * @returns {Error}
+ */
+const invalidIdError = (notificationId) => {
+    const err = new Error(`Invalid notificationId format: ${notificationId}`);
+    err.statusCode = 400;
+    return err;
+};
+
+/**
+ * @description Get user's notifications
+ * @route       GET /api/user/:userId/notifications
+ * @access      Private (Requires Authentication & Authorization)
+ */
+exports.getNotifications = async (req, res, next) => {
+    try {
+        const targetUserId = req.params.userId;
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 10;
+        const unreadOnly = req.query.unreadOnly === 'true';
+
+        const result = await notificationService.getNotifications(targetUserId, { page, limit, unreadOnly });
+
+        return res.status(200).json(success({
+            notifications: result.notifications,
+            unreadCount: result.unreadCount,
+            pagination: {
+                currentPage: page,
+                pageSize: limit,
+                totalItems: result.total,
+                totalPages: Math.ceil(result.total / limit),
+                hasNextPage: page < Math.ceil(result.total / limit),
+                hasPrevPage: page > 1
+            }
+        }, 'Notifications retrieved successfully'));
+    } catch (err) {
+        logger.error(`Controller: Error in getNotifications for user ${req.params?.userId}: ${err.message}`);
+        next(err);
+    }
+};
+
+/**
+ * @description Mark a notification as read
+ * @route       PUT /api/user/:userId/notifications/:notificationId/read
+ * @access      Private (Requires Authentication & Authorization)
+ */
+exports.markAsRead = async (req, res, next) => {
+    try {
+        const targetUserId = req.params.userId;
+        const { notificationId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(notificationId)) {
+            return next(invalidIdError(notificationId));
+        }
+
+        const notification = await notificationService.markAsRead(targetUserId, notificationId);
+        return res.status(200).json(success({ notification }, 'Notification marked as read'));
+    } catch (err) {
+        logger.error(`Controller: Error in markAsRead for user ${req.params?.userId}, notification ${req.params?.notificationId}: ${err.message}`);
+        next(err);
+    }
+};
+
+/**
+ * @description Mark all notifications as read
+ * @route       PUT /api/user/:userId/notifications/read-all
+ * @access      Private (Requires Authentication & Authorization)
+ */
+exports.markAllAsRead = async (req, res, next) => {
+    try {
+        const targetUserId = req.params.userId;
+        const updated = await notificationService.markAllAsRead(targetUserId);
+        return res.status(200).json(success({ updated }, 'All notifications marked as read'));
+    } catch (err) {
+        logger.error(`Controller: Error in markAllAsRead for user ${req.params?.userId}: ${err.message}`);
+        next(err);
+    }
+};
+
+/**
+ * @description Delete a notification
+ * @route       DELETE /api/user/:userId/notifications/:notificationId
+ * @access      Private (Requires Authentication & Authorization)
+ */
+exports.deleteNotification = async (req, res, next) => {
+    try {
+        const targetUserId = req.params.userId;
+        const { notificationId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(notificationId)) {
+            return next(invalidIdError(notificationId));
+        }
+
+        const notification = await notificationService.deleteNotification(targetUserId, notificationId);
+        return res.status(200).json(success({ notification }, 'Notification deleted successfully'));
+    } catch (err) {
+        logger.error(`Controller: Error in deleteNotification for user ${req.params?.userId}, notification ${req.params?.notificationId}: ${err.message}`);
+        next(err);
+    }
+};
+
+/**
+ * @description Get user's notification preferences
+ * @route       GET /api/user/:userId/notifications/preferences
+ * @access      Private (Requires Authentication & Authorization)
+ */
+exports.getPreferences = async (req, res, next) => {
+    try {
+        const preferences = await notificationPreferenceService.getPreferences(req.params.userId);
+        return res.status(200).json(success(preferences, 'Notification preferences retrieved successfully'));
+    } catch (err) {
+        logger.error(`Controller: Error in getPreferences for user ${req.params?.userId}: ${err.message}`);
+        next(err);
+    }
+};
+
+/**
+ * @description Update user's notification preferences
+ * @route       PUT /api/user/:userId/notifications/preferences
+ * @access      Private (Requires Authentication & Authorization)
+ */
+exports.updatePreferences = async (req, res, next) => {
+    try {
+        const { events, digest } = req.body;
+        const preferences = await notificationPreferenceService.updatePreferences(req.params.userId, { events, digest });
+        return res.status(200).json(success(preferences, 'Notification preferences updated successfully'));
+    } catch (err) {
+        logger.error(`Controller: Error in updatePreferences for user ${req.params?.userId}: ${err.message}`);
+        next(err);
+    }
+};
@@ -1,4 +1,5 @@
 const profileService = require('../../service/user/profileService');
+const savedSearchService = require('../../service/user/savedSearchService');
 const { success: SUCCESS, error: ERROR } = require('../../utils/responseHelper');
 const logger = require('../../config/logger');
 const Phone = require('../../models/phone');
@@ -358,6 +359,10 @@ exports.togglePhoneStatus = async (req, res) => {
         { _id: phoneId },
         { $unset: { disabled: "" } }
       );
+
+      // the listing is back on sale, buyers whose saved searches match it are notified
+      phone.disabled = undefined;
+      await savedSearchService.notifyMatches(phone);
       
       logger.info(`Phone listing enabled: ${phoneId} by user: ${userId}`);
       return res.status(200).json(SUCCESS(200, 'Phone listing enabled successfully'));
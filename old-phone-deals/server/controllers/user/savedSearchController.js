@@ -0,0 +1,49 @@
+const savedSearchService = require('../../service/user/savedSearchService');
+const { success } = require('../../utils/responseHelper');
+const logger = require('../../config/logger');
+
+/**
+ * @description Get the user's saved searches
+ * @route       GET /api/user/:userId/saved-searches
+ * @access      Private (Requires Authentication & Authorization)
+ */
+exports.getSavedSearches = async (req, res, next) => {
+    try {
+        const savedSearches = await savedSearchService.getSavedSearches(req.params.userId);
+        return res.status(200).json(success({ savedSearches }, 'Saved searches retrieved successfully'));
+    } catch (err) {
+        logger.error(`Controller: Error in getSavedSearches for user ${req.params?.userId}: ${err.message}`);
+        next(err);
+    }
+};
+
+/**
+ * @description Save a search (text, brand, price bounds) to be notified about new matching listings
+ * @route       POST /api/user/:userId/saved-searches
+ * @access      Private (Requires Authentication & Authorization)
+ */
+exports.createSavedSearch = async (req, res, next) => {
+    try {
+        const savedSearches = await savedSearchService.createSavedSearch(req.params.userId, req.body);
+        return res.status(201).json(success({ savedSearches }, 'Search saved successfully', 201));
+    } catch (err) {
+        logger.error(`Controller: Error in createSavedSearch for user ${req.params?.userId}: ${err.message}`);
+        next(err);
+    }
+};
+
+/**
+ * @description Delete a saved search
+ * @route       DELETE /api/user/:userId/saved-searches/:searchId
+ * @access      Private (Requires Authentication & Authorization)
+ */
+exports.deleteSavedSearch = async (req, res, next) => {
+    try {
+        const { userId, searchId } = req.params;
+        const savedSearches = await savedSearchService.deleteSavedSearch(userId, searchId);
+        return res.status(200).json(success({ savedSearches }, 'Saved search deleted successfully'));
+    } catch (err) {
+        logger.error(`Controller: Error in deleteSavedSearch for user ${req.params?.userId}, search ${req.params?.searchId}: ${err.message}`);
+        next(err);
+    }
+};
@@ -4,6 +4,7 @@ const User = require('../../models/user');
 const logger = require('../../config/logger');
 const responseHelper = require('../../utils/responseHelper');
 const userService = require('../../service/user/userService')
+const roleService = require('../../service/admin/roleService');
 
 exports.signup = async (req, res) => {
     logger.info('Received user registration request');
@@ -134,9 +135,10 @@ exports.login = async (req, res) => {
 
         // Call service function to handle login
         const user = await userService.login({email, password});
+        const hasAdminRole = await roleService.isAdminRole(user.role);
 
         // If this is the user login endpoint but user has admin role, reject the login
-        if (!isAdminLogin && (user.role === 'admin' || user.role === 'superAdmin')) {
+        if (!isAdminLogin && hasAdminRole) {
             logger.warn(`Login failed: Admin user attempted to login through user path: ${email}`);
                 return res.status(403).json(
                 responseHelper.error('admin users must login through the admin login page', 403)
@@ -144,7 +146,7 @@ exports.login = async (req, res) => {
         }
 
         // Check if user has appropriate role for admin login
-        if (isAdminLogin && user.role !== 'admin' && user.role !== 'superAdmin') {
+        if (isAdminLogin && !hasAdminRole) {
             logger.warn(`Login failed: Non-admin user attempted to login through admin path: ${email}`);
             return res.status(403).json(
                 responseHelper.error('you do not have admin privileges', 403)
@@ -248,7 +250,7 @@ exports.checkSession = async (req, res) => {
     
     if (req.session && req.session.user) {
         // For admin paths, check admin privileges
-        if (isAdminPath && req.session.user.role !== 'admin' && req.session.user.role !== 'superAdmin') {
+        if (isAdminPath && !(await roleService.isAdminRole(req.session.user.role))) {
             logger.info('session check: user is authenticated but lacks admin privileges');
             return res.status(200).json(
                 responseHelper.success({
@@ -356,7 +358,7 @@ exports.resetPassword = async (req, res) => {
 };
 
 /**
- * admin login route that only allows admin and superAdmin roles
+ * admin login route that only allows admin, superAdmin and custom admin roles
  * @param {import('express').Request} req - express request object
  * @param {import('express').Response} res - express response object
  * @returns {Promise<void>} - sends JSON response
@@ -371,7 +373,7 @@ exports.adminLogin = async (req, res) => {
         const user = await userService.login({email, password});
 
         // Check if user has admin role
-        if (user.role !== 'admin' && user.role !== 'superAdmin') {
+        if (!(await roleService.isAdminRole(user.role))) {
             logger.warn(`Admin login failed: Non-admin user attempted to login: ${email}`);
             return res.status(403).json(
                 responseHelper.error('you do not have admin privileges', 403)
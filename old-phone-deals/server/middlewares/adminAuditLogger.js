@@ -1,45 +1,50 @@
 const logger = require('../config/logger');
+const auditLogService = require('../service/admin/auditLogService');
+
+// methods that may change the target resource, only these get before/after snapshots
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
 
 const adminAuditLogger = (action, targetResource) => {
-    return (req, res, next) => {
-        const originalSend = res.send;
-        const originalJson = res.json;
+    return async (req, res, next) => {
+        const target = auditLogService.resolveTarget(targetResource, req);
+        const trackChanges = !!target && MUTATING_METHODS.includes(req.method);
 
-        let logged = false;
+        // snapshot the resource before the controller touches it
+        const before = trackChanges ? await auditLogService.loadSnapshot(target) : null;
 
-        const interceptResponse = (body) => {
-            if (!logged) {
+        res.on('finish', async () => {
+            try {
                 const adminUser = req.session?.user || req.session?.admin;
 
-                logger.audit(`Admin operation: ${action}`, {
+                let changes = [];
+                if (trackChanges && res.statusCode < 400) {
+                    const after = await auditLogService.loadSnapshot(target);
+                    changes = auditLogService.diffSnapshots(before, after);
+                }
+
+                const entry = {
                     action,
-                    adminId: adminUser?._id || adminUser?.id || 'unknown',
-                    adminEmail: adminUser?.email || 'unknown',
-                    adminName: adminUser?.firstname + ' ' + adminUser?.lastname || 'unknown',
+                    adminId: adminUser?._id || adminUser?.id || null,
+                    adminEmail: adminUser?.email || req.body?.email || 'unknown',
+                    adminName: adminUser ? `${adminUser.firstname} ${adminUser.lastname}` : 'unknown',
                     adminRole: adminUser?.role || 'unknown',
                     targetResource,
-                    targetId: req.params?.id || req.body?.id || null,
+                    targetId: target?.targetId || req.params?.id || req.body?.id || null,
                     method: req.method,
                     path: req.originalUrl,
-                    status: res.statusCode
-                });
-                logged = true;
+                    status: res.statusCode,
+                    changes
+                };
+
+                logger.audit(`Admin operation: ${action}`, entry);
+                await auditLogService.recordAuditLog(entry);
+            } catch (error) {
+                logger.error(`admin audit logging failed for ${action}: ${error.message}`);
             }
-            return body;
-        };
-
-        res.send = function(body) {
-            interceptResponse(body);
-            originalSend.call(this, body);
-        };
-
-        res.json = function(body) {
-            interceptResponse(body);
-            originalJson.call(this, body);
-        };
+        });
 
         next();
     };
 };
 
-module.exports = adminAuditLogger;
\ No newline at end of file
+module.exports = adminAuditLogger;
@@ -1,5 +1,6 @@
 const logger = require('../config/logger');
 const responseHelper = require('../utils/responseHelper');
+const roleService = require('../service/admin/roleService');
 
 /**
  * middleware to check if user is authenticated
@@ -36,7 +37,7 @@ const isAuthenticated = (req, res, next) => {
  * @param {import('express').Response} res - express response object
  * @param {import('express').NextFunction} next - express next function
  */
-const isAdmin = (req, res, next) => {
+const isAdmin = async (req, res, next) => {
     // skip authentication for check-session and login routes
     if (req.path === '/check-session' || req.path === '/login') {
         return next();
@@ -61,8 +62,16 @@ const isAdmin = (req, res, next) => {
         });
     }
     
-    // check if user has admin role
-    if (req.session.user.role !== 'admin' && req.session.user.role !== 'superAdmin') {
+    // check if user has admin, superAdmin or a custom admin role
+    let hasAdminRole;
+    try {
+        hasAdminRole = await roleService.isAdminRole(req.session.user.role);
+    } catch (error) {
+        logger.error('failed to resolve admin role', error);
+        return next(error);
+    }
+
+    if (!hasAdminRole) {
         const userDetails = {
             path: req.originalUrl,
             userId: req.session.user._id,
@@ -86,6 +95,53 @@ const isAdmin = (req, res, next) => {
     next();
 };
 
+/**
+ * create a middleware that checks if the logged-in user's role grants a permission
+ * assumes isAdmin has already run and req.session.user exists
+ * @param {string} permission - permission name from config/permissions.js
+ * @returns {import('express').RequestHandler} - express middleware
+ */
+const hasPermission = (permission) => {
+    return async (req, res, next) => {
+        const user = req.session && req.session.user;
+
+        try {
+            const permissions = await roleService.getPermissionsForRole(user?.role);
+
+            if (permissions.includes(permission)) {
+                return next();
+            }
+        } catch (error) {
+            logger.error('failed to resolve role permissions', error);
+            return next(error);
+        }
+
+        const deniedDetails = {
+            path: req.originalUrl,
+            method: req.method,
+            userId: user?._id,
+            role: user?.role,
+            permission
+        };
+        logger.warn('permission denied', deniedDetails);
+        logger.audit(`Admin permission denied: ${permission}`, {
+            action: 'PERMISSION_DENIED',
+            adminId: user?._id || 'unknown',
+            adminEmail: user?.email || 'unknown',
+            adminRole: user?.role || 'unknown',
+            targetResource: permission.split(':')[0],
+            targetId: req.params?.id || null,
+            method: req.method,
+            path: req.originalUrl,
+            status: 403
+        });
+
+        return res.status(403).json(
+            responseHelper.error(`permission denied: ${permission} required`, 403)
+        );
+    };
+};
+
 /**
  * Middleware to check if the logged-in user is the owner of the resource
  * (identified by :userId in route params) or is an admin/superAdmin.
@@ -129,5 +185,6 @@ const isOwnerOrAdmin = (req, res, next) => {
 module.exports = {
     isAuthenticated,
     isAdmin,
+    hasPermission,
     isOwnerOrAdmin
 }; 
\ No newline at end of file
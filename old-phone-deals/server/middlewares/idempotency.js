@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/idempotencyKey');
+const logger = require('../config/logger');
+const responseHelper = require('../utils/responseHelper');
+
+const HEADER = 'Idempotency-Key';
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Middleware factory making a POST endpoint idempotent per user.
+ * When the request carries an Idempotency-Key header the first response is stored and
+ * replayed for later requests with the same key, so a retried or double-submitted request
+ * runs the handler only once. Requests without the header are passed through unchanged.
+ * Must run after isAuthenticated.
+ * @param {string} scope - operation name, keys are unique per user and scope
+ * @returns {import('express').RequestHandler}
+ */
+const idempotency = (scope) => {
+    return async (req, res, next) => {
+        const key = req.get(HEADER);
+        if (!key) {
+            return next();
+        }
+
+        if (key.length > MAX_KEY_LENGTH) {
+            return res.status(400).json(
+                responseHelper.error(`${HEADER} must be at most ${MAX_KEY_LENGTH} characters`, 400)
+            );
+        }
+
+        const userId = req.session.user._id;
+        const requestHash = crypto.createHash('sha256')
+            .update(`${req.originalUrl}\n${JSON.stringify(req.body || {})}`)
+            .digest('hex');
+
+        let record;
+        try {
+            record = await IdempotencyKey.create({ key, user: userId, scope, requestHash });
+        } catch (err) {
+            if (err.code !== 11000) {
+                return next(err);
+            }
+
+            const existing = await IdempotencyKey.findOne({ key, user: userId, scope });
+            if (!existing) {
+                // expired between the insert and the lookup, let the client retry
+                return res.status(409).json(responseHelper.error('Request is being processed, please retry', 409));
+            }
+            if (existing.requestHash !== requestHash) {
+                logger.warn(`Idempotency key ${key} reused by user ${userId} with a different request`);
+                return res.status(422).json(
+                    responseHelper.error(`${HEADER} was already used for a different request`, 422)
+                );
+            }
+            if (existing.status === 'processing') {
+                return res.status(409).json(
+                    responseHelper.error('A request with this Idempotency-Key is still being processed', 409)
+                );
+            }
+
+            logger.info(`Replaying ${scope} response for idempotency key ${key} of user ${userId}`);
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(existing.statusCode).json(existing.response);
+        }
+
+        // store the response before it is sent, so a replay right after the first request sees it
+        const originalJson = res.json.bind(res);
+        res.json = (body) => {
+            res.json = originalJson;
+            // server errors are not stored so the client can retry with the same key
+            const settle = res.statusCode >= 500
+                ? IdempotencyKey.deleteOne({ _id: record._id })
+                : IdempotencyKey.updateOne(
+                    { _id: record._id },
+                    { status: 'completed', statusCode: res.statusCode, response: body }
+                );
+
+            settle
+                .catch(err => logger.error(`Failed to store response for idempotency key ${key}:`, err))
+                .finally(() => originalJson(body));
+            return res;
+        };
+
+        next();
+    };
+};
+
+module.exports = idempotency;
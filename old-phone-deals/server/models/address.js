@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Fields of a postal address, shared by the user's address book and the address copied onto an order.
+ */
+const ADDRESS_FIELDS = {
+    recipient: {
+        type: String,
+        required: [true, 'Recipient is required.'],
+        trim: true
+    },
+    line1: {
+        type: String,
+        required: [true, 'Address line 1 is required.'],
+        trim: true
+    },
+    line2: {
+        type: String,
+        trim: true
+    },
+    city: {
+        type: String,
+        required: [true, 'City is required.'],
+        trim: true
+    },
+    state: {
+        type: String,
+        required: [true, 'State is required.'],
+        trim: true
+    },
+    postcode: {
+        type: String,
+        required: [true, 'Postcode is required.'],
+        trim: true
+    },
+    country: {
+        type: String,
+        required: [true, 'Country is required.'],
+        trim: true
+    },
+    phone: {
+        type: String,
+        trim: true
+    }
+};
+
+/**
+ * @typedef {object} Address
+ * @property {string} label - Name the user gives the address, e.g. "Home".
+ * @property {string} recipient - Person the parcel is addressed to.
+ * @property {string} line1 - Street address.
+ * @property {string} line2 - Apartment, suite, etc.
+ * @property {string} city - City or suburb.
+ * @property {string} state - State or region, used for seller region shipping rates.
+ * @property {string} postcode - Postcode.
+ * @property {string} country - Country.
+ * @property {string} phone - Contact phone number for the carrier.
+ * @property {boolean} isDefault - Whether this is the user's default address.
+ */
+
+/**
+ * Mongoose schema for an entry of a user's address book.
+ * @type {mongoose.Schema<Address>}
+ */
+const AddressSchema = new Schema({
+    label: {
+        type: String,
+        trim: true
+    },
+    ...ADDRESS_FIELDS,
+    isDefault: {
+        type: Boolean,
+        default: false
+    }
+}, {
+    timestamps: true
+});
+
+/**
+ * Mongoose schema for the delivery address copied onto an order, so later edits to the address book do not change it.
+ * @type {mongoose.Schema}
+ */
+const ShippingAddressSchema = new Schema(ADDRESS_FIELDS, { _id: false });
+
+module.exports = {
+    AddressSchema,
+    ShippingAddressSchema
+};
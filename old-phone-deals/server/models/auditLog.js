@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * @typedef {object} AuditChange
+ * @property {string} field - Name of the changed field.
+ * @property {any} before - Value before the admin operation.
+ * @property {any} after - Value after the admin operation.
+ */
+
+/**
+ * Mongoose schema for a single field change recorded on an audit entry.
+ * @type {mongoose.Schema<AuditChange>}
+ */
+const AuditChangeSchema = new Schema({
+    field: {
+        type: String,
+        required: true
+    },
+    before: {
+        type: Schema.Types.Mixed
+    },
+    after: {
+        type: Schema.Types.Mixed
+    }
+}, { _id: false });
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditLog:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: auto generated id
+ *         action:
+ *           type: string
+ *           description: admin action name, e.g. UPDATE_USER
+ *         adminId:
+ *           type: string
+ *           description: id of the admin who performed the action
+ *         adminEmail:
+ *           type: string
+ *         adminName:
+ *           type: string
+ *         adminRole:
+ *           type: string
+ *         targetResource:
+ *           type: string
+ *           description: resource type (user, phone, review, order, role)
+ *         targetId:
+ *           type: string
+ *           description: id of the affected resource
+ *         method:
+ *           type: string
+ *         path:
+ *           type: string
+ *         status:
+ *           type: number
+ *           description: HTTP status code of the response
+ *         changes:
+ *           type: array
+ *           description: field level before/after diff for update operations
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+const AuditLogSchema = new Schema({
+    action: {
+        type: String,
+        required: true,
+        index: true
+    },
+    adminId: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        index: true
+    },
+    adminEmail: {
+        type: String
+    },
+    adminName: {
+        type: String
+    },
+    adminRole: {
+        type: String
+    },
+    targetResource: {
+        type: String,
+        index: true
+    },
+    targetId: {
+        type: String
+    },
+    method: {
+        type: String
+    },
+    path: {
+        type: String
+    },
+    status: {
+        type: Number
+    },
+    changes: [AuditChangeSchema]
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+AuditLogSchema.index({ createdAt: -1 });
+
+/**
+ * Mongoose model for the AuditLog collection.
+ * @type {mongoose.Model}
+ */
+const AuditLog = mongoose.model('AuditLog', AuditLogSchema);
+
+module.exports = AuditLog;
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * @typedef {object} Counter
+ * @property {string} _id - Name of the sequence, e.g. "invoice".
+ * @property {number} seq - Last number handed out.
+ */
+
+/**
+ * Mongoose schema for a named sequence, used for gapless numbers such as invoice numbers.
+ * @type {mongoose.Schema<Counter>}
+ */
+const CounterSchema = new Schema({
+    _id: {
+        type: String,
+        required: [true, 'Counter name is required.']
+    },
+    seq: {
+        type: Number,
+        default: 0
+    }
+}, {
+    versionKey: false
+});
+
+/**
+ * Mongoose model for the Counter collection.
+ * @type {mongoose.Model<Counter>}
+ */
+const Counter = mongoose.model('Counter', CounterSchema);
+
+module.exports = Counter;
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const { NOTIFICATION_TYPES } = require('./notification');
+
+/**
+ * @typedef {object} DigestEntry
+ * @property {mongoose.Schema.Types.ObjectId} recipient - Reference to the User whose next digest lists the event.
+ * @property {string} type - Event type, one of NOTIFICATION_TYPES.
+ * @property {string} title - Short title, as in the notification.
+ * @property {string} message - Event description, as in the notification.
+ * @property {string} link - Client route of the event.
+ * @property {Date} createdAt - When the event happened.
+ */
+
+/**
+ * Mongoose schema for an event waiting for the recipient's email digest, deleted once the digest is queued.
+ * @type {mongoose.Schema<DigestEntry>}
+ */
+const DigestEntrySchema = new Schema({
+    recipient: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Recipient is required for a digest entry.'],
+        index: true
+    },
+    type: {
+        type: String,
+        enum: {
+            values: NOTIFICATION_TYPES,
+            message: 'Notification type `{VALUE}` is not supported.'
+        },
+        required: [true, 'Notification type is required.']
+    },
+    title: {
+        type: String,
+        required: [true, 'Digest entry title is required.'],
+        trim: true
+    },
+    message: {
+        type: String,
+        trim: true
+    },
+    link: {
+        type: String
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+/**
+ * Mongoose model for the DigestEntry collection.
+ * @type {mongoose.Model<DigestEntry>}
+ */
+const DigestEntry = mongoose.model('DigestEntry', DigestEntrySchema);
+
+module.exports = DigestEntry;
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Outbox states.
+ * pending - waiting for its first or next attempt.
+ * sending - claimed by a worker, retried after nextAttemptAt if the worker died mid-send.
+ * sent - accepted by the mail server.
+ * failed - gave up after maxAttempts.
+ */
+const EMAIL_OUTBOX_STATUSES = ['pending', 'sending', 'sent', 'failed'];
+
+/**
+ * @typedef {object} EmailOutbox
+ * @property {string} to - Recipient address.
+ * @property {string} template - Name of the template the email was rendered from.
+ * @property {string} subject - Rendered subject.
+ * @property {string} html - Rendered HTML body.
+ * @property {string} text - Rendered plain text body.
+ * @property {Array<object>} attachments - Files sent with the email (filename, content, contentType).
+ * @property {string} status - One of EMAIL_OUTBOX_STATUSES.
+ * @property {number} attempts - Delivery attempts made so far.
+ * @property {number} maxAttempts - Attempts before the email is marked failed.
+ * @property {Date} nextAttemptAt - Earliest time the worker picks the email up.
+ * @property {string} lastError - Error of the last failed attempt.
+ * @property {string} messageId - Message ID returned by the mail server.
+ * @property {Date} sentAt - When the mail server accepted the email.
+ * @property {Date} expiresAt - Set once the email is sent or failed, the entry is deleted at this time.
+ * @property {Date} createdAt - Timestamp of creation.
+ * @property {Date} updatedAt - Timestamp of last update.
+ */
+
+/**
+ * Mongoose schema for an outgoing email, stored already rendered so retries send exactly the same message.
+ * @type {mongoose.Schema<EmailOutbox>}
+ */
+const EmailOutboxSchema = new Schema({
+    to: {
+        type: String,
+        required: [true, 'Recipient is required for an email.'],
+        trim: true
+    },
+    template: {
+        type: String,
+        required: [true, 'Template is required for an email.']
+    },
+    subject: {
+        type: String,
+        required: [true, 'Subject is required for an email.']
+    },
+    html: {
+        type: String
+    },
+    text: {
+        type: String
+    },
+    attachments: [{
+        _id: false,
+        filename: String,
+        content: Buffer,
+        contentType: String
+    }],
+    status: {
+        type: String,
+        enum: {
+            values: EMAIL_OUTBOX_STATUSES,
+            message: 'Email status `{VALUE}` is not supported.'
+        },
+        default: 'pending'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    maxAttempts: {
+        type: Number,
+        default: 5,
+        min: [1, 'An email needs at least one attempt.']
+    },
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastError: {
+        type: String
+    },
+    messageId: {
+        type: String
+    },
+    sentAt: {
+        type: Date
+    },
+    // rendered bodies hold reset links, verification tokens and invoices, so settled emails are not kept
+    expiresAt: {
+        type: Date,
+        expires: 0
+    }
+}, {
+    timestamps: true
+});
+
+// the worker polls for due emails
+EmailOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+
+/**
+ * Mongoose model for the EmailOutbox collection.
+ * @type {mongoose.Model<EmailOutbox>}
+ */
+const EmailOutbox = mongoose.model('EmailOutbox', EmailOutboxSchema);
+
+module.exports = EmailOutbox;
+module.exports.EMAIL_OUTBOX_STATUSES = EMAIL_OUTBOX_STATUSES;
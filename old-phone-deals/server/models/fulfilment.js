@@ -0,0 +1,159 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Fulfilment lifecycle states, a seller ships and delivers their part of an order.
+ * pending -> shipped -> delivered, or pending -> cancelled.
+ */
+const FULFILMENT_STATUSES = ['pending', 'shipped', 'delivered', 'cancelled'];
+
+/**
+ * Allowed transitions for each fulfilment state, terminal states map to an empty list.
+ * @type {Object<string, Array<string>>}
+ */
+const FULFILMENT_TRANSITIONS = {
+    pending: ['shipped', 'cancelled'],
+    shipped: ['delivered'],
+    delivered: [],
+    cancelled: []
+};
+
+/**
+ * @typedef {object} FulfilmentItem
+ * @property {mongoose.Schema.Types.ObjectId} phone - Reference to the Phone document.
+ * @property {number} quantity - Quantity sold.
+ * @property {number} price - Price of the phone at the time of order.
+ * @property {number} discount - Promotion discount taken off this line.
+ */
+
+/**
+ * Mongoose schema for an item within a fulfilment.
+ * @type {mongoose.Schema<FulfilmentItem>}
+ */
+const FulfilmentItemSchema = new Schema({
+    phone: {
+        type: Schema.Types.ObjectId,
+        ref: 'Phone',
+        required: [true, 'Phone ID is required for a fulfilment item.']
+    },
+    quantity: {
+        type: Number,
+        required: [true, 'Quantity is required for a fulfilment item.'],
+        min: [1, 'Quantity must be at least 1.']
+    },
+    price: {
+        type: Number,
+        required: [true, 'Price is required for a fulfilment item.'],
+        min: [0, 'Price cannot be negative.']
+    },
+    discount: {
+        type: Number,
+        default: 0
+    }
+}, { _id: false });
+
+/**
+ * Mongoose schema for one entry of the fulfilment status history.
+ * @type {mongoose.Schema}
+ */
+const FulfilmentStatusChangeSchema = new Schema({
+    status: {
+        type: String,
+        enum: FULFILMENT_STATUSES,
+        required: [true, 'Status is required for a status history entry.']
+    },
+    from: {
+        type: String
+    },
+    changedAt: {
+        type: Date,
+        default: Date.now
+    },
+    changedBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    note: {
+        type: String,
+        trim: true
+    }
+}, { _id: false });
+
+/**
+ * @typedef {object} Fulfilment
+ * @property {mongoose.Schema.Types.ObjectId} order - Reference to the parent Order.
+ * @property {mongoose.Schema.Types.ObjectId} seller - Reference to the User selling these items.
+ * @property {mongoose.Schema.Types.ObjectId} buyer - Reference to the User who placed the order.
+ * @property {Array<FulfilmentItem>} items - The seller's items of the parent order.
+ * @property {number} subtotal - Sum of price x quantity of the items, less their discounts.
+ * @property {number} shippingCost - Shipping charged to the buyer for this seller's parcel.
+ * @property {string} status - Status of the fulfilment, one of FULFILMENT_STATUSES.
+ * @property {Array<object>} statusHistory - Timestamped transitions, oldest first.
+ * @property {string} trackingNumber - Shipment tracking number, recorded when shipped.
+ * @property {string} carrier - Shipping carrier, recorded when shipped.
+ */
+
+/**
+ * Mongoose schema for a per-seller fulfilment of a parent order.
+ * Checkout creates one fulfilment for every seller whose phones are in the order.
+ * @type {mongoose.Schema<Fulfilment>}
+ */
+const FulfilmentSchema = new Schema({
+    order: {
+        type: Schema.Types.ObjectId,
+        ref: 'Order',
+        required: [true, 'Order ID is required for a fulfilment.'],
+        index: true
+    },
+    seller: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Seller ID is required for a fulfilment.']
+    },
+    buyer: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Buyer ID is required for a fulfilment.']
+    },
+    items: [FulfilmentItemSchema],
+    subtotal: {
+        type: Number,
+        required: [true, 'Subtotal is required.'],
+        min: [0, 'Subtotal cannot be negative.'],
+        set: v => Number(v.toFixed(2))
+    },
+    shippingCost: {
+        type: Number,
+        default: 0,
+        min: [0, 'Shipping cost cannot be negative.'],
+        set: v => Number(v.toFixed(2))
+    },
+    status: {
+        type: String,
+        enum: FULFILMENT_STATUSES,
+        default: 'pending'
+    },
+    statusHistory: [FulfilmentStatusChangeSchema],
+    trackingNumber: {
+        type: String,
+        trim: true
+    },
+    carrier: {
+        type: String,
+        trim: true
+    }
+}, {
+    timestamps: true
+});
+
+FulfilmentSchema.index({ seller: 1, createdAt: -1 });
+
+/**
+ * Mongoose model for the Fulfilment collection.
+ * @type {mongoose.Model<Fulfilment>}
+ */
+const Fulfilment = mongoose.model('Fulfilment', FulfilmentSchema);
+
+module.exports = Fulfilment;
+module.exports.FULFILMENT_STATUSES = FULFILMENT_STATUSES;
+module.exports.FULFILMENT_TRANSITIONS = FULFILMENT_TRANSITIONS;
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// how long a stored response can be replayed
+const IDEMPOTENCY_KEY_TTL_SECONDS = 24 * 60 * 60;
+
+/**
+ * @typedef {object} IdempotencyKey
+ * @property {string} key - Value of the client's Idempotency-Key header.
+ * @property {mongoose.Schema.Types.ObjectId} user - Reference to the User who sent the request.
+ * @property {string} scope - Operation the key belongs to, e.g. "checkout".
+ * @property {string} requestHash - SHA-256 of the request body, a reused key must send the same body.
+ * @property {string} status - "processing" while the first request runs, then "completed".
+ * @property {number} statusCode - HTTP status of the stored response.
+ * @property {object} response - JSON body of the stored response.
+ */
+
+/**
+ * Mongoose schema for an idempotency key and the response it produced.
+ * Keys expire after IDEMPOTENCY_KEY_TTL_SECONDS.
+ * @type {mongoose.Schema<IdempotencyKey>}
+ */
+const IdempotencyKeySchema = new Schema({
+    key: {
+        type: String,
+        required: [true, 'Key is required.']
+    },
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID is required for an idempotency key.']
+    },
+    scope: {
+        type: String,
+        required: [true, 'Scope is required for an idempotency key.']
+    },
+    requestHash: {
+        type: String,
+        required: [true, 'Request hash is required for an idempotency key.']
+    },
+    status: {
+        type: String,
+        enum: ['processing', 'completed'],
+        default: 'processing'
+    },
+    statusCode: {
+        type: Number
+    },
+    response: {
+        type: Schema.Types.Mixed
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+        expires: IDEMPOTENCY_KEY_TTL_SECONDS
+    }
+});
+
+IdempotencyKeySchema.index({ user: 1, scope: 1, key: 1 }, { unique: true });
+
+/**
+ * Mongoose model for the IdempotencyKey collection.
+ * @type {mongoose.Model<IdempotencyKey>}
+ */
+const IdempotencyKey = mongoose.model('IdempotencyKey', IdempotencyKeySchema);
+
+module.exports = IdempotencyKey;
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Notification event types.
+ * ORDER_ON_LISTING - someone ordered one of the recipient's listings.
+ * ORDER_SHIPPED - items of the recipient's order shipped.
+ * NEW_REVIEW - someone reviewed one of the recipient's phones.
+ * REVIEW_HIDDEN - a seller hid the recipient's review.
+ * LISTING_DISABLED - an admin disabled one of the recipient's listings.
+ * RETURN_REQUESTED - a buyer asked to return an item the recipient sold.
+ * RETURN_UPDATED - the recipient's return was approved, rejected, received or refunded.
+ * PRICE_DROP - a phone on the recipient's wishlist got cheaper than when it was saved.
+ * BACK_IN_STOCK - a sold out phone on the recipient's wishlist was restocked.
+ * SAVED_SEARCH_MATCH - a new or re-enabled listing matches one of the recipient's saved searches.
+ */
+const NOTIFICATION_TYPES = ['ORDER_ON_LISTING', 'ORDER_SHIPPED', 'NEW_REVIEW', 'REVIEW_HIDDEN', 'LISTING_DISABLED', 'RETURN_REQUESTED', 'RETURN_UPDATED', 'PRICE_DROP', 'BACK_IN_STOCK', 'SAVED_SEARCH_MATCH'];
+
+/**
+ * @typedef {object} Notification
+ * @property {mongoose.Schema.Types.ObjectId} recipient - Reference to the User receiving the notification.
+ * @property {string} type - Event type, one of NOTIFICATION_TYPES.
+ * @property {string} title - Short title shown in the notification list.
+ * @property {string} message - Notification body.
+ * @property {string} link - Client route opened when the notification is clicked.
+ * @property {object} data - Event specific ids (phoneId, orderId, ...).
+ * @property {boolean} read - Whether the recipient has read the notification.
+ * @property {Date} readAt - When the notification was marked read.
+ * @property {Date} createdAt - Timestamp of creation.
+ * @property {Date} updatedAt - Timestamp of last update.
+ */
+
+/**
+ * Mongoose schema for an in-app notification.
+ * @type {mongoose.Schema<Notification>}
+ */
+const NotificationSchema = new Schema({
+    recipient: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Recipient is required for a notification.']
+    },
+    type: {
+        type: String,
+        enum: {
+            values: NOTIFICATION_TYPES,
+            message: 'Notification type `{VALUE}` is not supported.'
+        },
+        required: [true, 'Notification type is required.']
+    },
+    title: {
+        type: String,
+        required: [true, 'Notification title is required.'],
+        trim: true
+    },
+    message: {
+        type: String,
+        trim: true
+    },
+    link: {
+        type: String
+    },
+    data: {
+        type: Schema.Types.Mixed,
+        default: {}
+    },
+    read: {
+        type: Boolean,
+        default: false
+    },
+    readAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+NotificationSchema.index({ recipient: 1, createdAt: -1 });
+NotificationSchema.index({ recipient: 1, read: 1 });
+
+/**
+ * Mongoose model for the Notification collection.
+ * @type {mongoose.Model<Notification>}
+ */
+const Notification = mongoose.model('Notification', NotificationSchema);
+
+module.exports = Notification;
+module.exports.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
@@ -1,11 +1,13 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
+const { ShippingAddressSchema } = require('./address');
 
 /**
  * @typedef {object} OrderItem
  * @property {mongoose.Schema.Types.ObjectId} phone - Reference to the Phone document.
  * @property {number} quantity - Quantity of the phone in the order.
  * @property {number} price - Price of the phone at the time of order.
+ * @property {number} discount - Promotion discount taken off this line.
  */
 
 /**
@@ -29,6 +31,139 @@ const OrderItemSchema = new Schema({
         required: [true, 'Price is required for an order item.'],
         min: [0, 'Price cannot be negative.'],
         set: v => Number(v.toFixed(2))
+    },
+    discount: {
+        type: Number,
+        default: 0,
+        min: [0, 'Discount cannot be negative.'],
+        set: v => Number(v.toFixed(2))
+    }
+}, { _id: false });
+
+/**
+ * @typedef {object} AppliedPromotion
+ * @property {mongoose.Schema.Types.ObjectId} promotion - Reference to the Promotion document.
+ * @property {string} code - Coupon code entered at checkout.
+ * @property {string} type - Promotion type at the time of order (percentage or fixed).
+ * @property {number} value - Promotion value at the time of order.
+ */
+
+/**
+ * Mongoose schema for the promotion applied to an order, copied so later edits do not change past orders.
+ * @type {mongoose.Schema<AppliedPromotion>}
+ */
+const AppliedPromotionSchema = new Schema({
+    promotion: {
+        type: Schema.Types.ObjectId,
+        ref: 'Promotion'
+    },
+    code: {
+        type: String,
+        required: [true, 'Promotion code is required for an applied promotion.']
+    },
+    type: {
+        type: String
+    },
+    value: {
+        type: Number
+    }
+}, { _id: false });
+
+/**
+ * Order lifecycle states.
+ * placed -> paid -> shipped -> delivered -> closed, with cancelled and refunded branches.
+ */
+const ORDER_STATUSES = ['placed', 'paid', 'shipped', 'delivered', 'closed', 'cancelled', 'refunded'];
+
+/**
+ * Allowed transitions for each order state, terminal states map to an empty list.
+ * @type {Object<string, Array<string>>}
+ */
+const ORDER_TRANSITIONS = {
+    placed: ['paid', 'cancelled'],
+    paid: ['shipped', 'cancelled', 'refunded'],
+    shipped: ['delivered', 'refunded'],
+    delivered: ['closed', 'refunded'],
+    closed: [],
+    cancelled: [],
+    refunded: []
+};
+
+/**
+ * @typedef {object} OrderStatusChange
+ * @property {string} status - State the order moved to.
+ * @property {string} from - State the order moved from (empty for the initial entry).
+ * @property {Date} changedAt - When the transition happened.
+ * @property {mongoose.Schema.Types.ObjectId} changedBy - Reference to the User who made the change.
+ * @property {string} note - Optional note recorded with the transition.
+ */
+
+/**
+ * Mongoose schema for one entry of the order status history.
+ * @type {mongoose.Schema<OrderStatusChange>}
+ */
+const OrderStatusChangeSchema = new Schema({
+    status: {
+        type: String,
+        enum: ORDER_STATUSES,
+        required: [true, 'Status is required for a status history entry.']
+    },
+    from: {
+        type: String
+    },
+    changedAt: {
+        type: Date,
+        default: Date.now
+    },
+    changedBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    note: {
+        type: String,
+        trim: true
+    }
+}, { _id: false });
+
+/**
+ * Payment methods accepted at checkout.
+ */
+const PAYMENT_METHODS = ['credit_card', 'paypal', 'bank_transfer'];
+
+/**
+ * @typedef {object} StockRestoration
+ * @property {mongoose.Schema.Types.ObjectId} phone - Reference to the Phone whose stock was restored.
+ * @property {number} quantity - Quantity given back to the phone's stock.
+ * @property {string} reason - Status that triggered the restoration (cancelled or refunded).
+ * @property {Date} restoredAt - When the stock was restored.
+ * @property {mongoose.Schema.Types.ObjectId} restoredBy - Reference to the User who triggered it.
+ */
+
+/**
+ * Mongoose schema for one stock restoration recorded on an order.
+ * @type {mongoose.Schema<StockRestoration>}
+ */
+const StockRestorationSchema = new Schema({
+    phone: {
+        type: Schema.Types.ObjectId,
+        ref: 'Phone',
+        required: [true, 'Phone ID is required for a stock restoration.']
+    },
+    quantity: {
+        type: Number,
+        required: [true, 'Quantity is required for a stock restoration.'],
+        min: [1, 'Quantity must be at least 1.']
+    },
+    reason: {
+        type: String
+    },
+    restoredAt: {
+        type: Date,
+        default: Date.now
+    },
+    restoredBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
     }
 }, { _id: false });
 
@@ -36,10 +171,25 @@ const OrderItemSchema = new Schema({
  * @typedef {object} Order
  * @property {mongoose.Schema.Types.ObjectId} user - Reference to the User document (buyer).
  * @property {Array<OrderItem>} items - Array of items in the order.
- * @property {number} totalAmount - Total amount of the order.
- * @property {string} status - Status of the order.
- * @property {string} paymentMethod - Method of payment.
+ * @property {number} subtotal - Sum of price x quantity of the items, before discounts.
+ * @property {AppliedPromotion} promotion - Promotion redeemed with the order, if any.
+ * @property {number} discountTotal - Sum of the line discounts.
+ * @property {number} shippingTotal - Shipping charged for all of the order's parcels.
+ * @property {number} taxTotal - Tax charged on the order.
+ * @property {number} taxRate - Tax percentage applied at checkout, used to refund the tax of returned items.
+ * @property {number} totalAmount - Grand total charged: subtotal - discountTotal + shippingTotal + taxTotal.
+ * @property {object} shippingAddress - Delivery address, copied from the buyer's address book at checkout.
+ * @property {string} status - Status of the order, one of ORDER_STATUSES.
+ * @property {Array<OrderStatusChange>} statusHistory - Timestamped transitions, oldest first.
+ * @property {string} trackingNumber - Shipment tracking number, recorded when the order is shipped.
+ * @property {string} carrier - Shipping carrier, recorded when the order is shipped.
+ * @property {boolean} stockRestored - Whether the ordered quantities have been returned to stock.
+ * @property {Array<StockRestoration>} stockRestorations - Stock given back when the order was cancelled or refunded, or an item was returned.
+ * @property {number} refundedTotal - Amount refunded to the buyer for returned items.
+ * @property {string} paymentMethod - Method of payment, one of PAYMENT_METHODS, charged through the Payment.
  * @property {string} note - Optional note for the order.
+ * @property {string} invoiceNumber - Sequential invoice number, e.g. "INV-000042", taken at checkout.
+ * @property {number} returnVersion - Bumped by every return opened for the order, so concurrent returns conflict and retry.
  */
 
 /**
@@ -54,24 +204,83 @@ const OrderSchema = new Schema({
         required: [true, 'User ID is required for the order.']
     },
     items: [OrderItemSchema],
+    subtotal: {
+        type: Number,
+        min: [0, 'Subtotal cannot be negative.'],
+        set: v => Number(v.toFixed(2))
+    },
+    promotion: AppliedPromotionSchema,
+    discountTotal: {
+        type: Number,
+        default: 0,
+        min: [0, 'Discount cannot be negative.'],
+        set: v => Number(v.toFixed(2))
+    },
+    shippingTotal: {
+        type: Number,
+        default: 0,
+        min: [0, 'Shipping cannot be negative.'],
+        set: v => Number(v.toFixed(2))
+    },
+    taxTotal: {
+        type: Number,
+        default: 0,
+        min: [0, 'Tax cannot be negative.'],
+        set: v => Number(v.toFixed(2))
+    },
+    taxRate: {
+        type: Number,
+        min: [0, 'Tax rate cannot be negative.']
+    },
     totalAmount: {
         type: Number,
         required: [true, 'Total amount is required.'],
         min: [0, 'Total amount cannot be negative.']
     },
+    shippingAddress: ShippingAddressSchema,
     status: {
         type: String,
-        enum: ['pending', 'completed', 'cancelled'],
-        default: 'pending'
+        enum: ORDER_STATUSES,
+        default: 'placed'
+    },
+    statusHistory: [OrderStatusChangeSchema],
+    trackingNumber: {
+        type: String,
+        trim: true
+    },
+    carrier: {
+        type: String,
+        trim: true
+    },
+    stockRestored: {
+        type: Boolean,
+        default: false
+    },
+    stockRestorations: [StockRestorationSchema],
+    refundedTotal: {
+        type: Number,
+        default: 0,
+        min: [0, 'Refunded total cannot be negative.'],
+        set: v => Number(v.toFixed(2))
     },
     paymentMethod: {
         type: String,
-        enum: ['credit_card', 'paypal', 'bank_transfer'],
+        enum: PAYMENT_METHODS,
         default: 'credit_card'
     },
     note: {
         type: String,
         trim: true
+    },
+    invoiceNumber: {
+        type: String,
+        unique: true,
+        sparse: true
+    },
+    returnVersion: {
+        type: Number,
+        default: 0,
+        select: false
     }
 }, {
     timestamps: true
@@ -84,4 +293,7 @@ const OrderSchema = new Schema({
  */
 const Order = mongoose.model('Order', OrderSchema);
 
-module.exports = Order; 
\ No newline at end of file
+module.exports = Order;
+module.exports.ORDER_STATUSES = ORDER_STATUSES;
+module.exports.PAYMENT_METHODS = PAYMENT_METHODS;
+module.exports.ORDER_TRANSITIONS = ORDER_TRANSITIONS;
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Payment states, mirrors what the provider reports for the order's payment intent.
+ * authorized -> captured -> refunded, pending -> captured | failed, authorized | pending -> voided.
+ * A captured payment becomes partially_refunded when returned items are refunded, and refunded once nothing is left.
+ */
+const PAYMENT_STATUSES = ['pending', 'authorized', 'captured', 'partially_refunded', 'failed', 'refunded', 'voided'];
+
+/**
+ * @typedef {object} Payment
+ * @property {mongoose.Schema.Types.ObjectId} order - Reference to the Order being paid.
+ * @property {mongoose.Schema.Types.ObjectId} user - Reference to the paying User.
+ * @property {string} provider - Name of the payment provider, e.g. "mock".
+ * @property {string} providerRef - The provider's id for the payment intent.
+ * @property {number} amount - Amount authorized.
+ * @property {string} currency - ISO currency code.
+ * @property {string} method - Payment method, one of Order.paymentMethod values.
+ * @property {string} last4 - Last four digits of the card, the full number is never stored.
+ * @property {string} status - Status of the payment, one of PAYMENT_STATUSES.
+ * @property {string} failureReason - Reason reported by the provider for a decline.
+ * @property {Date} capturedAt - When the provider confirmed the capture.
+ * @property {number} refundedAmount - Amount given back to the buyer so far.
+ * @property {Date} refundedAt - When the payment was last refunded, or voided.
+ */
+
+/**
+ * Mongoose schema for the payment of an order, one payment per order.
+ * @type {mongoose.Schema<Payment>}
+ */
+const PaymentSchema = new Schema({
+    order: {
+        type: Schema.Types.ObjectId,
+        ref: 'Order',
+        required: [true, 'Order ID is required for a payment.'],
+        unique: true
+    },
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID is required for a payment.']
+    },
+    provider: {
+        type: String,
+        required: [true, 'Provider is required for a payment.']
+    },
+    providerRef: {
+        type: String,
+        required: [true, 'Provider reference is required for a payment.']
+    },
+    amount: {
+        type: Number,
+        required: [true, 'Amount is required for a payment.'],
+        min: [0, 'Amount cannot be negative.']
+    },
+    currency: {
+        type: String,
+        default: 'USD'
+    },
+    method: {
+        type: String
+    },
+    last4: {
+        type: String
+    },
+    status: {
+        type: String,
+        enum: PAYMENT_STATUSES,
+        required: [true, 'Status is required for a payment.']
+    },
+    failureReason: {
+        type: String
+    },
+    capturedAt: {
+        type: Date
+    },
+    refundedAmount: {
+        type: Number,
+        default: 0,
+        min: [0, 'Refunded amount cannot be negative.']
+    },
+    refundedAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+PaymentSchema.index({ provider: 1, providerRef: 1 }, { unique: true });
+
+/**
+ * Mongoose model for the Payment collection.
+ * @type {mongoose.Model<Payment>}
+ */
+const Payment = mongoose.model('Payment', PaymentSchema);
+
+module.exports = Payment;
+module.exports.PAYMENT_STATUSES = PAYMENT_STATUSES;
@@ -1,5 +1,12 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
+const {
+    CONDITION_GRADES,
+    NETWORK_LOCKS,
+    MIN_MODEL_YEAR,
+    MAX_COLOUR_LENGTH,
+    MAX_DESCRIPTION_LENGTH
+} = require('../config/phoneAttributes');
 
 /**
  * @swagger
@@ -70,6 +77,29 @@ const ReviewSchema = new Schema({
  *         price:
  *           type: number
  *           description: phone price
+ *         description:
+ *           type: string
+ *           description: seller description of the phone
+ *         condition:
+ *           type: string
+ *           enum: [A, B, C, for_parts]
+ *           description: condition grade
+ *         storageGb:
+ *           type: number
+ *           description: storage capacity in GB
+ *         colour:
+ *           type: string
+ *           description: phone colour
+ *         networkLock:
+ *           type: string
+ *           enum: [unlocked, locked]
+ *           description: network lock status
+ *         batteryHealth:
+ *           type: number
+ *           description: battery health in percent of its original capacity
+ *         modelYear:
+ *           type: number
+ *           description: year the model was released
  *         reviews:
  *           type: array
  *           description: phone reviews
@@ -108,11 +138,54 @@ const PhoneSchema = new Schema({
     disabled: {
         type: String
     },
+    // bumped by every cart reservation of the phone, so concurrent reservations conflict and retry
+    reservationVersion: {
+        type: Number,
+        default: 0,
+        select: false
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: MAX_DESCRIPTION_LENGTH
+    },
+    // structured attributes of the used phone, unset on listings that predate them
+    condition: {
+        type: String,
+        enum: CONDITION_GRADES
+    },
+    storageGb: {
+        type: Number,
+        min: 1
+    },
+    colour: {
+        type: String,
+        trim: true,
+        maxlength: MAX_COLOUR_LENGTH
+    },
+    networkLock: {
+        type: String,
+        enum: NETWORK_LOCKS
+    },
+    batteryHealth: {
+        type: Number,
+        min: 0,
+        max: 100
+    },
+    modelYear: {
+        type: Number,
+        min: MIN_MODEL_YEAR
+    },
     reviews: [ReviewSchema]
 }, {
     timestamps: true
 });
 
+// full-text search over listings, a title match counts for more than a brand match
+PhoneSchema.index(
+    { title: 'text', brand: 'text' },
+    { name: 'phone_text_search', weights: { title: 10, brand: 4 } }
+);
 
 const Phone = mongoose.model('Phone', PhoneSchema);
 
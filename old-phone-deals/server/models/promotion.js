@@ -0,0 +1,164 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Kinds of discount a promotion can give.
+ * percentage takes `value` percent off the eligible lines, fixed takes `value` dollars off them.
+ */
+const PROMOTION_TYPES = ['percentage', 'fixed'];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Promotion:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: auto generated id
+ *         code:
+ *           type: string
+ *           description: coupon code entered at checkout, stored upper case
+ *         description:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [percentage, fixed]
+ *         value:
+ *           type: number
+ *           description: percent off (1-100) or dollar amount off
+ *         brand:
+ *           type: string
+ *           description: only phones of this brand are discounted
+ *         seller:
+ *           type: string
+ *           description: only phones of this seller are discounted
+ *         minSpend:
+ *           type: number
+ *           description: minimum spend on eligible phones
+ *         usageLimitPerUser:
+ *           type: number
+ *           description: orders per user that may use the code, 0 for unlimited
+ *         startsAt:
+ *           type: string
+ *           format: date-time
+ *         endsAt:
+ *           type: string
+ *           format: date-time
+ *         active:
+ *           type: boolean
+ *         timesUsed:
+ *           type: number
+ *           description: number of orders placed with the code
+ */
+
+/**
+ * @typedef {object} Promotion
+ * @property {string} code - Coupon code entered at checkout, unique and upper case.
+ * @property {string} description - Admin facing description.
+ * @property {string} type - One of PROMOTION_TYPES.
+ * @property {number} value - Percent off (1-100) or amount off.
+ * @property {string} brand - Optional brand the promotion is limited to.
+ * @property {mongoose.Schema.Types.ObjectId} seller - Optional seller the promotion is limited to.
+ * @property {number} minSpend - Minimum spend on the eligible phones.
+ * @property {number} usageLimitPerUser - Orders per user that may use the code, 0 for unlimited.
+ * @property {Date} startsAt - Start of the validity window.
+ * @property {Date} endsAt - End of the validity window.
+ * @property {boolean} active - Whether the code can be redeemed at all.
+ * @property {number} timesUsed - Number of orders placed with the code.
+ */
+
+/**
+ * Mongoose schema for a promotion redeemed with a coupon code at checkout.
+ * @type {mongoose.Schema<Promotion>}
+ */
+const PromotionSchema = new Schema({
+    code: {
+        type: String,
+        required: [true, 'Promotion code is required.'],
+        unique: true,
+        trim: true,
+        uppercase: true,
+        match: [/^[A-Z0-9_-]{3,32}$/, 'Promotion code must be 3-32 letters, digits, dashes or underscores.']
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    type: {
+        type: String,
+        enum: PROMOTION_TYPES,
+        required: [true, 'Promotion type is required.']
+    },
+    value: {
+        type: Number,
+        required: [true, 'Promotion value is required.'],
+        min: [0.01, 'Promotion value must be positive.'],
+        validate: {
+            validator: function (v) {
+                return this.type !== 'percentage' || v <= 100;
+            },
+            message: 'A percentage promotion cannot exceed 100%.'
+        }
+    },
+    brand: {
+        type: String,
+        trim: true
+    },
+    seller: {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    minSpend: {
+        type: Number,
+        default: 0,
+        min: [0, 'Minimum spend cannot be negative.']
+    },
+    usageLimitPerUser: {
+        type: Number,
+        default: 0,
+        min: [0, 'Usage limit cannot be negative.']
+    },
+    startsAt: {
+        type: Date,
+        required: [true, 'Start date is required.']
+    },
+    endsAt: {
+        type: Date,
+        required: [true, 'End date is required.'],
+        validate: {
+            validator: function (v) {
+                return !this.startsAt || v > this.startsAt;
+            },
+            message: 'End date must be after the start date.'
+        }
+    },
+    active: {
+        type: Boolean,
+        default: true
+    },
+    timesUsed: {
+        type: Number,
+        default: 0
+    },
+    createdBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    updatedBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+/**
+ * Mongoose model for the Promotion collection.
+ * @type {mongoose.Model<Promotion>}
+ */
+const Promotion = mongoose.model('Promotion', PromotionSchema);
+
+module.exports = Promotion;
+module.exports.PROMOTION_TYPES = PROMOTION_TYPES;
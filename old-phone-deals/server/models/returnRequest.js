@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Return request lifecycle states.
+ * requested -> awaiting_item (approved) -> received -> refunded, or requested -> rejected.
+ */
+const RETURN_STATUSES = ['requested', 'rejected', 'awaiting_item', 'received', 'refunded'];
+
+/**
+ * Allowed transitions for each return state, terminal states map to an empty list.
+ * @type {Object<string, Array<string>>}
+ */
+const RETURN_TRANSITIONS = {
+    requested: ['awaiting_item', 'rejected'],
+    awaiting_item: ['received'],
+    received: ['refunded'],
+    rejected: [],
+    refunded: []
+};
+
+/**
+ * Reasons a buyer can give for a return.
+ */
+const RETURN_REASONS = ['defective', 'not_as_described', 'wrong_item', 'damaged_in_transit', 'changed_mind', 'other'];
+
+/**
+ * Mongoose schema for one entry of the return status history.
+ * @type {mongoose.Schema}
+ */
+const ReturnStatusChangeSchema = new Schema({
+    status: {
+        type: String,
+        enum: RETURN_STATUSES,
+        required: [true, 'Status is required for a status history entry.']
+    },
+    from: {
+        type: String
+    },
+    changedAt: {
+        type: Date,
+        default: Date.now
+    },
+    changedBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    note: {
+        type: String,
+        trim: true
+    }
+}, { _id: false });
+
+/**
+ * @typedef {object} ReturnRequest
+ * @property {mongoose.Schema.Types.ObjectId} order - Reference to the Order the item was bought in.
+ * @property {mongoose.Schema.Types.ObjectId} phone - Reference to the Phone of the returned order line.
+ * @property {mongoose.Schema.Types.ObjectId} buyer - Reference to the User returning the item.
+ * @property {mongoose.Schema.Types.ObjectId} seller - Reference to the User who sold the item.
+ * @property {number} quantity - How many of the order line's units are returned.
+ * @property {string} reason - Why the item is returned, one of RETURN_REASONS.
+ * @property {string} details - The buyer's description of the problem.
+ * @property {Array<string>} photos - Paths of the photos the buyer uploaded.
+ * @property {number} refundAmount - Amount refunded once the item is received: the units' discounted price plus their tax.
+ * @property {string} status - Status of the return, one of RETURN_STATUSES.
+ * @property {Array<object>} statusHistory - Timestamped transitions, oldest first.
+ * @property {Date} refundedAt - When the refund was issued.
+ */
+
+/**
+ * Mongoose schema for a buyer's request to return part of an order line.
+ * @type {mongoose.Schema<ReturnRequest>}
+ */
+const ReturnRequestSchema = new Schema({
+    order: {
+        type: Schema.Types.ObjectId,
+        ref: 'Order',
+        required: [true, 'Order ID is required for a return.'],
+        index: true
+    },
+    phone: {
+        type: Schema.Types.ObjectId,
+        ref: 'Phone',
+        required: [true, 'Phone ID is required for a return.']
+    },
+    buyer: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Buyer ID is required for a return.']
+    },
+    seller: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Seller ID is required for a return.']
+    },
+    quantity: {
+        type: Number,
+        required: [true, 'Quantity is required for a return.'],
+        min: [1, 'Quantity must be at least 1.']
+    },
+    reason: {
+        type: String,
+        enum: RETURN_REASONS,
+        required: [true, 'Reason is required for a return.']
+    },
+    details: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Details cannot be longer than 1000 characters.']
+    },
+    photos: [{
+        type: String
+    }],
+    refundAmount: {
+        type: Number,
+        required: [true, 'Refund amount is required for a return.'],
+        min: [0, 'Refund amount cannot be negative.'],
+        set: v => Number(v.toFixed(2))
+    },
+    status: {
+        type: String,
+        enum: RETURN_STATUSES,
+        default: 'requested'
+    },
+    statusHistory: [ReturnStatusChangeSchema],
+    refundedAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+ReturnRequestSchema.index({ seller: 1, createdAt: -1 });
+ReturnRequestSchema.index({ status: 1, createdAt: -1 });
+
+/**
+ * Mongoose model for the ReturnRequest collection.
+ * @type {mongoose.Model<ReturnRequest>}
+ */
+const ReturnRequest = mongoose.model('ReturnRequest', ReturnRequestSchema);
+
+module.exports = ReturnRequest;
+module.exports.RETURN_STATUSES = RETURN_STATUSES;
+module.exports.RETURN_TRANSITIONS = RETURN_TRANSITIONS;
+module.exports.RETURN_REASONS = RETURN_REASONS;
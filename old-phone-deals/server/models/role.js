@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const { ALL_PERMISSIONS } = require('../config/permissions');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Role:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: auto generated id
+ *         name:
+ *           type: string
+ *           description: unique role name assigned to users
+ *         description:
+ *           type: string
+ *           description: role description
+ *         permissions:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: permissions granted to the role
+ *         createdBy:
+ *           type: string
+ *           description: id of the superAdmin who created the role
+ */
+// custom admin role schema, built-in roles are defined in config/permissions.js
+const RoleSchema = new Schema({
+    name: {
+        type: String,
+        required: [true, 'Role name is required.'],
+        unique: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    permissions: [{
+        type: String,
+        enum: ALL_PERMISSIONS
+    }],
+    createdBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    updatedBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+const Role = mongoose.model('Role', RoleSchema);
+
+module.exports = Role;
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * @typedef {object} SavedSearch
+ * @property {mongoose.Schema.Types.ObjectId} user - Reference to the User who saved the search.
+ * @property {string} query - Search text, matched against the title and brand of a listing.
+ * @property {string} brand - Optional exact brand filter.
+ * @property {number} minPrice - Optional lower price bound.
+ * @property {number} maxPrice - Optional upper price bound.
+ * @property {Date} lastMatchedAt - When a listing last matched the search.
+ * @property {number} matchCount - Number of listings that matched since the search was saved.
+ * @property {Date} createdAt - Timestamp of creation.
+ * @property {Date} updatedAt - Timestamp of last update.
+ */
+
+/**
+ * Mongoose schema for a saved search, the user is notified when a new or re-enabled listing matches it.
+ * @type {mongoose.Schema<SavedSearch>}
+ */
+const SavedSearchSchema = new Schema({
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User is required for a saved search.'],
+        index: true
+    },
+    query: {
+        type: String,
+        required: [true, 'Search text is required.'],
+        trim: true,
+        maxlength: [100, 'Search text cannot exceed 100 characters.']
+    },
+    brand: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    minPrice: {
+        type: Number,
+        min: 0
+    },
+    maxPrice: {
+        type: Number,
+        min: 0
+    },
+    lastMatchedAt: {
+        type: Date
+    },
+    matchCount: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+// the alert lookup narrows candidates by brand before matching the text
+SavedSearchSchema.index({ brand: 1 });
+
+/**
+ * Mongoose model for the SavedSearch collection.
+ * @type {mongoose.Model<SavedSearch>}
+ */
+const SavedSearch = mongoose.model('SavedSearch', SavedSearchSchema);
+
+module.exports = SavedSearch;
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// a search text nobody searched for this long is forgotten
+const QUERY_LOG_TTL_SECONDS = 90 * 24 * 60 * 60;
+
+/**
+ * @typedef {object} SearchQuery
+ * @property {string} query - Normalised search text: lower case, single spaces.
+ * @property {number} count - Number of times the text was searched.
+ * @property {number} resultCount - Number of listings the last search found.
+ * @property {Date} lastSearchedAt - When the text was last searched, the entry expires QUERY_LOG_TTL_SECONDS later.
+ * @property {Array<string>} searchers - SHA-256 hashes of the first distinct users or addresses that searched the text.
+ * @property {Date} createdAt - Timestamp of creation.
+ * @property {Date} updatedAt - Timestamp of last update.
+ */
+
+/**
+ * Mongoose schema for the search query log, one document per distinct search text.
+ * Popular queries that found listings are offered as search suggestions.
+ * @type {mongoose.Schema<SearchQuery>}
+ */
+const SearchQuerySchema = new Schema({
+    query: {
+        type: String,
+        required: [true, 'Search text is required.'],
+        maxlength: [100, 'Search text cannot exceed 100 characters.']
+    },
+    count: {
+        type: Number,
+        default: 0
+    },
+    resultCount: {
+        type: Number,
+        default: 0
+    },
+    lastSearchedAt: {
+        type: Date,
+        default: Date.now,
+        expires: QUERY_LOG_TTL_SECONDS
+    },
+    searchers: {
+        type: [String],
+        default: [],
+        select: false
+    }
+}, {
+    timestamps: true
+});
+
+// suggestions look up queries by prefix, an anchored regex on this index
+SearchQuerySchema.index({ query: 1 }, { unique: true });
+
+const SearchQuery = mongoose.model('SearchQuery', SearchQuerySchema);
+
+module.exports = SearchQuery;
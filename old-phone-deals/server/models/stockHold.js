@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * @typedef {object} StockHold
+ * @property {mongoose.Schema.Types.ObjectId} phone - Reference to the held Phone.
+ * @property {mongoose.Schema.Types.ObjectId} user - Reference to the User whose cart holds the units.
+ * @property {number} quantity - Units held, equal to the cart quantity.
+ * @property {Date} expiresAt - When the hold lapses, the sweeper deletes it after this.
+ */
+
+/**
+ * Mongoose schema for units of a phone reserved by a cart, only used in reservation mode.
+ * Holds do not change Phone.stock, they are subtracted from it when showing available stock.
+ * @type {mongoose.Schema<StockHold>}
+ */
+const StockHoldSchema = new Schema({
+    phone: {
+        type: Schema.Types.ObjectId,
+        ref: 'Phone',
+        required: [true, 'Phone ID is required for a stock hold.']
+    },
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID is required for a stock hold.']
+    },
+    quantity: {
+        type: Number,
+        required: [true, 'Quantity is required for a stock hold.'],
+        min: [1, 'Quantity must be at least 1.']
+    },
+    expiresAt: {
+        type: Date,
+        required: [true, 'Expiry is required for a stock hold.'],
+        index: true
+    }
+}, {
+    timestamps: true
+});
+
+StockHoldSchema.index({ phone: 1, user: 1 }, { unique: true });
+
+/**
+ * Mongoose model for the StockHold collection.
+ * @type {mongoose.Model<StockHold>}
+ */
+const StockHold = mongoose.model('StockHold', StockHoldSchema);
+
+module.exports = StockHold;
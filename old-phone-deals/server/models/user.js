@@ -1,5 +1,21 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
+const { AddressSchema } = require('./address');
+const { DIGEST_FREQUENCIES } = require('../config/notificationEvents');
+
+/**
+ * Channels one notification event is delivered on, both off means the user is not notified.
+ */
+const NotificationChannelSchema = new Schema({
+    inApp: {
+        type: Boolean,
+        default: true
+    },
+    email: {
+        type: Boolean,
+        default: false
+    }
+}, { _id: false });
 
 /**
  * @swagger
@@ -26,6 +42,17 @@ const Schema = mongoose.Schema;
  *         status:
  *           type: string
  *           description: user status
+ *         role:
+ *           type: string
+ *           description: user role (user, admin, superAdmin or a custom role name)
+ *         addresses:
+ *           type: array
+ *           description: address book, one entry may be marked isDefault
+ *           items:
+ *             type: object
+ *         notificationPreferences:
+ *           type: object
+ *           description: channels per notification event (events missing here use the defaults) and the email digest frequency
  */
 const UserSchema = new Schema({
     firstname: {
@@ -50,15 +77,33 @@ const UserSchema = new Schema({
         enum: ['active', 'inactive', 'pending'],
         default: 'pending'
     },
+    // built-in roles are 'user', 'admin' and 'superAdmin', any other value names a custom Role
     role: {
         type: String,
-        enum: ['admin', 'user', 'superAdmin'],
+        trim: true,
         default: 'user'
     },
     lastLoginTime: {
         type: Date
     },
-    
+    addresses: [AddressSchema],
+    notificationPreferences: {
+        // notification type -> channels, only the events the user changed are stored
+        events: {
+            type: Map,
+            of: NotificationChannelSchema,
+            default: {}
+        },
+        digest: {
+            type: String,
+            enum: DIGEST_FREQUENCIES,
+            default: 'off'
+        },
+        lastDigestAt: {
+            type: Date
+        }
+    }
+
 }, {
     timestamps: true
 });
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * @typedef {object} WebhookEvent
+ * @property {string} provider - Name of the payment provider that sent the event.
+ * @property {string} eventId - The provider's id for the event.
+ * @property {string} type - Event type, e.g. "payment.captured".
+ * @property {string} providerRef - The provider's id for the payment intent the event is about.
+ */
+
+/**
+ * Mongoose schema for a processed provider webhook.
+ * The unique index on provider and eventId makes redelivered events a no-op.
+ * @type {mongoose.Schema<WebhookEvent>}
+ */
+const WebhookEventSchema = new Schema({
+    provider: {
+        type: String,
+        required: [true, 'Provider is required for a webhook event.']
+    },
+    eventId: {
+        type: String,
+        required: [true, 'Event ID is required for a webhook event.']
+    },
+    type: {
+        type: String,
+        required: [true, 'Type is required for a webhook event.']
+    },
+    providerRef: {
+        type: String
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+WebhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+
+/**
+ * Mongoose model for the WebhookEvent collection.
+ * @type {mongoose.Model<WebhookEvent>}
+ */
+const WebhookEvent = mongoose.model('WebhookEvent', WebhookEventSchema);
+
+module.exports = WebhookEvent;
@@ -4,11 +4,15 @@ const Schema = mongoose.Schema;
 /**
  * @typedef {object} WishlistItem
  * @property {mongoose.Schema.Types.ObjectId} phone - Reference to the Phone document.
+ * @property {number} savedPrice - Price of the phone when it was added to the wishlist.
+ * @property {number} savedStock - Stock of the phone when it was added to the wishlist.
+ * @property {Date} addedAt - When the phone was added to the wishlist.
  */
 
 /**
  * Mongoose schema for an item within a wishlist.
- * Represents a specific phone.
+ * Represents a specific phone and a snapshot of its price and stock when it was saved,
+ * used for price-drop and back-in-stock alerts.
  * Does not generate its own _id.
  * @type {mongoose.Schema<WishlistItem>}
  */
@@ -21,12 +25,37 @@ const WishlistItemSchema = new Schema({
         type: Schema.Types.ObjectId,
         ref: 'Phone', 
         required: [true, 'Phone ID is required for a wishlist item.'] 
+    },
+    /**
+     * Price of the phone when it was saved, items saved before snapshots existed have none.
+     */
+    savedPrice: {
+        type: Number,
+        min: 0
+    },
+    /**
+     * Stock of the phone when it was saved.
+     */
+    savedStock: {
+        type: Number,
+        min: 0
+    },
+    /**
+     * When the phone was saved.
+     */
+    addedAt: {
+        type: Date,
+        default: Date.now
     }
 }, { _id: false });
 
 /**
  * @typedef {object} Wishlist
  * @property {mongoose.Schema.Types.ObjectId} user - Reference to the User document.
+ * @property {string} name - Name of the list, e.g. "Gift ideas".
+ * @property {boolean} isDefault - Whether phones are added to this list when no list is chosen.
+ * @property {boolean} isPublic - Whether the list can be viewed by anyone through its share link.
+ * @property {string} shareSlug - Unguessable slug of the public share link.
  * @property {Array<WishlistItem>} items - Array of items in the wishlist.
  * @property {Date} createdAt - Timestamp of wishlist creation.
  * @property {Date} updatedAt - Timestamp of last wishlist update.
@@ -35,6 +64,7 @@ const WishlistItemSchema = new Schema({
 /**
  * Mongoose schema for a wishlist.
  * Each wishlist belongs to a specific user and contains a list of wishlist items.
+ * A user can keep several named wishlists, one of them is the default list.
  * Includes timestamps for creation and updates.
  * @type {mongoose.Schema<Wishlist>}
  */
@@ -42,13 +72,44 @@ const WishlistSchema = new Schema({
     /**
      * Reference to the User model.
      * This field stores the ObjectId of the user who owns the wishlist.
-     * Each user should have only one wishlist.
      */
     user: {
         type: Schema.Types.ObjectId,
         ref: 'User', 
         required: [true, 'User ID is required for the wishlist.'], 
-        unique: true 
+        index: true
+    },
+    /**
+     * Name of the list, wishlists created before named lists existed get the default name.
+     */
+    name: {
+        type: String,
+        required: [true, 'Wishlist name is required.'],
+        trim: true,
+        maxlength: [50, 'Wishlist name cannot exceed 50 characters.'],
+        default: 'My wishlist'
+    },
+    /**
+     * The list phones are added to when no list is chosen.
+     */
+    isDefault: {
+        type: Boolean,
+        default: false
+    },
+    /**
+     * Whether the list is published at its share link.
+     */
+    isPublic: {
+        type: Boolean,
+        default: false
+    },
+    /**
+     * Random slug of the share link, removed when the list is unpublished so old links stop working.
+     */
+    shareSlug: {
+        type: String,
+        unique: true,
+        sparse: true
     },
     /**
      * An array containing the items in the wishlist.
@@ -59,6 +120,12 @@ const WishlistSchema = new Schema({
     timestamps: true // Add timestamps
 });
 
+// a user has exactly one default list, concurrent requests creating or switching it conflict here
+WishlistSchema.index(
+    { user: 1, isDefault: 1 },
+    { unique: true, partialFilterExpression: { isDefault: true }, name: 'one_default_wishlist_per_user' }
+);
+
 /**
  * Mongoose model for the Wishlist collection.
  * Provides an interface to interact with the wishlists in the database.
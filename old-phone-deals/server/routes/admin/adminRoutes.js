@@ -3,13 +3,18 @@ const router = express.Router();
 const adminUserController = require('../../controllers/admin/adminUserController');
 const adminPhoneController = require('../../controllers/admin/adminPhoneController');
 const userAuthControllers = require('../../controllers/user/userAuthControllers');
-const { isAdmin } = require('../../middlewares/authMiddleware');
+const { isAdmin, hasPermission } = require('../../middlewares/authMiddleware');
+const { PERMISSIONS } = require('../../config/permissions');
 const expressjoi = require('@escook/express-joi');
 const { loginSchema } = require('../../validator/userLoginValidator');
 const multer = require('multer');
 const upload = multer({ storage: multer.memoryStorage() });
 const adminAuditLogger = require('../../middlewares/adminAuditLogger');
 const adminSalesController = require('../../controllers/admin/adminSalesController');
+const adminRoleController = require('../../controllers/admin/adminRoleController');
+const adminAuditController = require('../../controllers/admin/adminAuditController');
+const adminPromotionController = require('../../controllers/admin/adminPromotionController');
+const adminReturnController = require('../../controllers/admin/adminReturnController');
 
 // admin login route (no auth required)
 router.post('/login', adminAuditLogger('ADMIN_LOGIN', 'admin'), expressjoi(loginSchema), userAuthControllers.adminLogin);
@@ -32,21 +37,284 @@ router.use(isAdmin);
  *       500:
  *         description: Internal server error
  */
-router.get('/users', adminAuditLogger('GET_ALL_USERS', 'user'), adminUserController.getUsers);
-router.delete('/user/:id', adminAuditLogger('DELETE_USER', 'user'), adminUserController.deleteUser);
-router.put('/user/:id', adminAuditLogger('UPDATE_USER', 'user'), adminUserController.updateUser);
-router.get('/phones', adminAuditLogger('GET_ALL_PHONES', 'phone'), adminPhoneController.getPhones);
-router.get('/phones/brands', adminAuditLogger('GET_AVAILABLE_BRANDS', 'phone'), adminPhoneController.getAvailableBrands)
-router.get('/phones/:id', adminAuditLogger('GET_PHONE_DETAILS_BY_ID', 'phone'), adminPhoneController.getPhoneDetailsById)
-router.delete('/phones/:id', adminAuditLogger('DELETE_PHONE', 'phone'), adminPhoneController.deletePhoneById)
-router.put('/phones/:id', adminAuditLogger('DISABLE_PHONE', 'phone'), adminPhoneController.disablePhoneById)
-router.get('/users/:id/reviews', adminAuditLogger('GET_REVIEWS_BY_USER_ID', 'review'), adminUserController.getReviewsByUserId);
-router.get('/users/:id/phones', adminAuditLogger('GET_PHONE_BY_SELLER_ID', 'phone'), adminUserController.getPhoneBySellerId);
-router.put('/phones/update/:id', adminAuditLogger('UPDATE_PHONE_BY_ID', 'phone'), adminPhoneController.updatePhoneById);
-router.post('/phones/upload-image', upload.single('image'), adminAuditLogger('UPLOAD_PHONE_IMAGE', 'phone'), adminPhoneController.uploadImage);
-router.get('/reviews', adminAuditLogger('GET_ALL_REVIEWS', 'review'), adminPhoneController.getAllReviews);
-router.get('/reviews/search', adminAuditLogger('SEARCH_REVIEWS', 'review'), adminPhoneController.searchReviews);
-router.put('/reviews/hide-show', adminAuditLogger('HIDE_OR_SHOW_REVIEW', 'review'), adminPhoneController.hideOrShowReview);
-router.get('/orders', adminAuditLogger('GET_ALL_ORDERS', 'order'), adminSalesController.getAllOrders);
-router.get('/orders/export', adminAuditLogger('EXPORT_SALES', 'order'), adminSalesController.exportOrders);
+router.get('/users', hasPermission(PERMISSIONS.USERS_READ), adminAuditLogger('GET_ALL_USERS', 'user'), adminUserController.getUsers);
+router.delete('/user/:id', hasPermission(PERMISSIONS.USERS_DELETE), adminAuditLogger('DELETE_USER', 'user'), adminUserController.deleteUser);
+router.put('/user/:id', hasPermission(PERMISSIONS.USERS_UPDATE), adminAuditLogger('UPDATE_USER', 'user'), adminUserController.updateUser);
+router.get('/phones', hasPermission(PERMISSIONS.PHONES_READ), adminAuditLogger('GET_ALL_PHONES', 'phone'), adminPhoneController.getPhones);
+router.get('/phones/brands', hasPermission(PERMISSIONS.PHONES_READ), adminAuditLogger('GET_AVAILABLE_BRANDS', 'phone'), adminPhoneController.getAvailableBrands)
+router.get('/phones/:id', hasPermission(PERMISSIONS.PHONES_READ), adminAuditLogger('GET_PHONE_DETAILS_BY_ID', 'phone'), adminPhoneController.getPhoneDetailsById)
+router.delete('/phones/:id', hasPermission(PERMISSIONS.PHONES_DELETE), adminAuditLogger('DELETE_PHONE', 'phone'), adminPhoneController.deletePhoneById)
+router.put('/phones/:id', hasPermission(PERMISSIONS.PHONES_DISABLE), adminAuditLogger('DISABLE_PHONE', 'phone'), adminPhoneController.disablePhoneById)
+router.get('/users/:id/reviews', hasPermission(PERMISSIONS.REVIEWS_READ), adminAuditLogger('GET_REVIEWS_BY_USER_ID', 'review'), adminUserController.getReviewsByUserId);
+router.get('/users/:id/phones', hasPermission(PERMISSIONS.PHONES_READ), adminAuditLogger('GET_PHONE_BY_SELLER_ID', 'phone'), adminUserController.getPhoneBySellerId);
+router.put('/phones/update/:id', hasPermission(PERMISSIONS.PHONES_UPDATE), adminAuditLogger('UPDATE_PHONE_BY_ID', 'phone'), adminPhoneController.updatePhoneById);
+router.post('/phones/upload-image', hasPermission(PERMISSIONS.PHONES_UPDATE), upload.single('image'), adminAuditLogger('UPLOAD_PHONE_IMAGE', 'phone'), adminPhoneController.uploadImage);
+router.get('/reviews', hasPermission(PERMISSIONS.REVIEWS_READ), adminAuditLogger('GET_ALL_REVIEWS', 'review'), adminPhoneController.getAllReviews);
+router.get('/reviews/search', hasPermission(PERMISSIONS.REVIEWS_READ), adminAuditLogger('SEARCH_REVIEWS', 'review'), adminPhoneController.searchReviews);
+router.put('/reviews/hide-show', hasPermission(PERMISSIONS.REVIEWS_MODERATE), adminAuditLogger('HIDE_OR_SHOW_REVIEW', 'review'), adminPhoneController.hideOrShowReview);
+router.get('/orders', hasPermission(PERMISSIONS.ORDERS_READ), adminAuditLogger('GET_ALL_ORDERS', 'order'), adminSalesController.getAllOrders);
+router.get('/orders/export', hasPermission(PERMISSIONS.ORDERS_EXPORT), adminAuditLogger('EXPORT_SALES', 'order'), adminSalesController.exportOrders);
+router.get('/orders/:id/invoice', hasPermission(PERMISSIONS.ORDERS_READ), adminAuditLogger('DOWNLOAD_INVOICE', 'order'), adminSalesController.getOrderInvoice);
+
+/**
+ * @swagger
+ * /api/admin/roles:
+ *   get:
+ *     summary: Get built-in and custom roles (only superAdmin)
+ *     description: Return built-in roles, custom roles and every permission name that can be granted
+ *     responses:
+ *       200:
+ *         description: Roles retrieved successfully
+ *       403:
+ *         description: roles:manage permission required
+ *   post:
+ *     summary: Create a custom role (only superAdmin)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: Role created successfully
+ *       400:
+ *         description: Invalid role name or unknown permission
+ *       409:
+ *         description: Role name is reserved or already exists
+ */
+router.get('/roles', hasPermission(PERMISSIONS.ROLES_MANAGE), adminAuditLogger('GET_ROLES', 'role'), adminRoleController.getRoles);
+router.post('/roles', hasPermission(PERMISSIONS.ROLES_MANAGE), adminAuditLogger('CREATE_ROLE', 'role'), adminRoleController.createRole);
+
+/**
+ * @swagger
+ * /api/admin/roles/{id}:
+ *   put:
+ *     summary: Update a custom role's description or permissions (only superAdmin)
+ *     responses:
+ *       200:
+ *         description: Role updated successfully
+ *       404:
+ *         description: Role not found
+ *   delete:
+ *     summary: Delete a custom role that is not assigned to any user (only superAdmin)
+ *     responses:
+ *       200:
+ *         description: Role deleted successfully
+ *       409:
+ *         description: Role is still assigned to users
+ */
+router.put('/roles/:id', hasPermission(PERMISSIONS.ROLES_MANAGE), adminAuditLogger('UPDATE_ROLE', 'role'), adminRoleController.updateRole);
+router.delete('/roles/:id', hasPermission(PERMISSIONS.ROLES_MANAGE), adminAuditLogger('DELETE_ROLE', 'role'), adminRoleController.deleteRole);
+
+/**
+ * @swagger
+ * /api/admin/user/{id}/role:
+ *   put:
+ *     summary: Assign a built-in or custom role to a user (only superAdmin)
+ *     responses:
+ *       200:
+ *         description: Role assigned successfully
+ *       400:
+ *         description: Role does not exist
+ *       404:
+ *         description: User not found
+ */
+router.put('/user/:id/role', hasPermission(PERMISSIONS.ROLES_MANAGE), adminAuditLogger('ASSIGN_ROLE', 'user'), adminRoleController.assignRole);
+
+/**
+ * @swagger
+ * /api/admin/promotions:
+ *   get:
+ *     summary: Get promotions (promotions:read permission)
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: code prefix
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Promotions retrieved successfully
+ *   post:
+ *     summary: Create a promotion (promotions:manage permission)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/Promotion'
+ *               - type: object
+ *                 properties:
+ *                   sellerEmail:
+ *                     type: string
+ *                     description: limit the promotion to this seller's phones
+ *     responses:
+ *       201:
+ *         description: Promotion created successfully
+ *       400:
+ *         description: Invalid promotion fields or unknown seller
+ *       409:
+ *         description: Code already exists
+ * /api/admin/promotions/{id}:
+ *   put:
+ *     summary: Update a promotion (promotions:manage permission)
+ *     responses:
+ *       200:
+ *         description: Promotion updated successfully
+ *       404:
+ *         description: Promotion not found
+ *   delete:
+ *     summary: Delete a promotion (promotions:manage permission)
+ *     responses:
+ *       200:
+ *         description: Promotion deleted successfully
+ *       404:
+ *         description: Promotion not found
+ */
+router.get('/promotions', hasPermission(PERMISSIONS.PROMOTIONS_READ), adminPromotionController.getPromotions);
+router.post('/promotions', hasPermission(PERMISSIONS.PROMOTIONS_MANAGE), adminAuditLogger('CREATE_PROMOTION', 'promotion'), adminPromotionController.createPromotion);
+router.put('/promotions/:id', hasPermission(PERMISSIONS.PROMOTIONS_MANAGE), adminAuditLogger('UPDATE_PROMOTION', 'promotion'), adminPromotionController.updatePromotion);
+router.delete('/promotions/:id', hasPermission(PERMISSIONS.PROMOTIONS_MANAGE), adminAuditLogger('DELETE_PROMOTION', 'promotion'), adminPromotionController.deletePromotion);
+
+/**
+ * @swagger
+ * /api/admin/returns:
+ *   get:
+ *     summary: Get return requests (returns:read permission)
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [requested, rejected, awaiting_item, received, refunded]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Returns retrieved successfully
+ * /api/admin/returns/{id}/status:
+ *   put:
+ *     summary: Approve, reject, receive or refund a return (returns:manage permission)
+ *     description: Moving a return to refunded restocks the phone and refunds the buyer's payment.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [awaiting_item, rejected, received, refunded]
+ *               note:
+ *                 type: string
+ *                 description: required to reject
+ *     responses:
+ *       200:
+ *         description: Return updated successfully
+ *       400:
+ *         description: Illegal status transition or missing rejection note
+ *       404:
+ *         description: Return not found
+ */
+router.get('/returns', hasPermission(PERMISSIONS.RETURNS_READ), adminReturnController.getReturns);
+router.put('/returns/:id/status', hasPermission(PERMISSIONS.RETURNS_MANAGE), adminAuditLogger('UPDATE_RETURN_STATUS', 'return'), adminReturnController.updateReturnStatus);
+
+/**
+ * @swagger
+ * /api/admin/audit-logs:
+ *   get:
+ *     summary: Get persisted admin audit logs (audit:read permission)
+ *     parameters:
+ *       - in: query
+ *         name: admin
+ *         schema:
+ *           type: string
+ *         description: admin email or name, partial match
+ *       - in: query
+ *         name: adminId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: targetResource
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Audit logs fetched successfully
+ *       403:
+ *         description: audit:read permission required
+ * /api/admin/audit-logs/filters:
+ *   get:
+ *     summary: Get the admins, actions and resources present in the audit log
+ *     responses:
+ *       200:
+ *         description: Audit log filters fetched successfully
+ * /api/admin/audit-logs/export:
+ *   get:
+ *     summary: Export audit logs matching the filters as csv or json
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json]
+ *     responses:
+ *       200:
+ *         description: Exported audit log file
+ */
+router.get('/audit-logs', hasPermission(PERMISSIONS.AUDIT_READ), adminAuditController.getAuditLogs);
+router.get('/audit-logs/filters', hasPermission(PERMISSIONS.AUDIT_READ), adminAuditController.getFilterOptions);
+router.get('/audit-logs/export', hasPermission(PERMISSIONS.AUDIT_READ), adminAuditLogger('EXPORT_AUDIT_LOGS', 'audit'), adminAuditController.exportAuditLogs);
 module.exports = router;
\ No newline at end of file
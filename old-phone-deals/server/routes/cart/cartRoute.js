@@ -1,6 +1,7 @@
 const express = require('express');
 const cartController = require('../../controllers/cart/cartController');
 const { isAuthenticated, isOwnerOrAdmin } = require('../../middlewares/authMiddleware');
+const idempotency = require('../../middlewares/idempotency');
 
 // Create a router instance. `mergeParams: true` allows access to parent route parameters (e.g., :userId).
 const router = express.Router({ mergeParams: true });
@@ -41,9 +42,35 @@ router.delete('/:phoneId', isAuthenticated, isOwnerOrAdmin, cartController.remov
  * @desc    Process checkout for the user's cart
  * @access  Private (Requires authentication and ownership/admin rights)
  * @body    {Array<{phoneId: string, quantity: number}>} items - Array of items to checkout
+ * @body    {{method: string, card: {number: string, name: string}}} payment - Payment details
+ * @body    {string} [couponCode] - Promotion code to redeem with the order
+ * @body    {string} [shippingAddressId] - Address book entry to ship to, the default address if omitted
+ * @header  {string} [Idempotency-Key] - Replays the stored result instead of checking out twice
  * @middleware isAuthenticated - Ensures the user is logged in.
  * @middleware isOwnerOrAdmin - Ensures the logged-in user is the owner of the cart or an admin.
+ * @middleware idempotency - Stores and replays the response per Idempotency-Key.
  */
-router.post('/checkout', isAuthenticated, isOwnerOrAdmin, cartController.checkout);
+router.post('/checkout', isAuthenticated, isOwnerOrAdmin, idempotency('checkout'), cartController.checkout);
+
+/**
+ * @route   POST /api/users/:userId/cart/coupon
+ * @desc    Preview the discount a coupon code gives on the current cart, nothing is stored
+ * @access  Private (Requires authentication and ownership/admin rights)
+ * @body    {string} code - Coupon code
+ * @middleware isAuthenticated - Ensures the user is logged in.
+ * @middleware isOwnerOrAdmin - Ensures the logged-in user is the owner of the cart or an admin.
+ */
+router.post('/coupon', isAuthenticated, isOwnerOrAdmin, cartController.previewCoupon);
+
+/**
+ * @route   POST /api/users/:userId/cart/quote
+ * @desc    Price the current cart with shipping and tax for an address, nothing is stored
+ * @access  Private (Requires authentication and ownership/admin rights)
+ * @body    {string} [shippingAddressId] - Address book entry, the default address if omitted
+ * @body    {string} [couponCode] - Coupon code to include in the price
+ * @middleware isAuthenticated - Ensures the user is logged in.
+ * @middleware isOwnerOrAdmin - Ensures the logged-in user is the owner of the cart or an admin.
+ */
+router.post('/quote', isAuthenticated, isOwnerOrAdmin, cartController.getQuote);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,13 @@
+const express = require('express');
+const wishlistController = require('../../controllers/cart/wishlistController');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/shared-wishlists/:slug
+ * @desc    View a wishlist its owner published, read-only
+ * @access  Public
+ */
+router.get('/:slug', wishlistController.getSharedWishlist);
+
+module.exports = router;
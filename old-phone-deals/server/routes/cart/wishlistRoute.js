@@ -1,26 +1,75 @@
 const express = require('express');
 const wishlistController = require('../../controllers/cart/wishlistController');
 const { isAuthenticated, isOwnerOrAdmin } = require('../../middlewares/authMiddleware');
+const expressjoi = require('@escook/express-joi');
+const {
+    createWishlistSchema,
+    updateWishlistSchema,
+    shareWishlistSchema,
+    moveItemSchema,
+    addItemSchema
+} = require('../../validator/wishlistValidator');
 
 const router = express.Router({ mergeParams: true });
 
 /**
  * @route   GET /api/users/:userId/wishlist
- * @desc    Get the wishlist for a specific user
+ * @desc    Get all wishlists of a specific user, the default list first
  * @access  Private (Requires authentication and ownership/admin rights)
  */
-router.get('/', isAuthenticated, isOwnerOrAdmin, wishlistController.getWishlist);
+router.get('/', isAuthenticated, isOwnerOrAdmin, wishlistController.getWishlists);
+
+/**
+ * @route   POST /api/users/:userId/wishlist/lists
+ * @desc    Create a named wishlist
+ * @access  Private (Requires authentication and ownership/admin rights)
+ * @body    {string} name - Name of the list
+ */
+router.post('/lists', isAuthenticated, isOwnerOrAdmin, expressjoi(createWishlistSchema), wishlistController.createWishlist);
+
+/**
+ * @route   PUT /api/users/:userId/wishlist/lists/:listId
+ * @desc    Rename a wishlist or make it the default list
+ * @access  Private (Requires authentication and ownership/admin rights)
+ * @body    {string} [name] - New name
+ * @body    {boolean} [isDefault] - true to make the list the default one
+ */
+router.put('/lists/:listId', isAuthenticated, isOwnerOrAdmin, expressjoi(updateWishlistSchema), wishlistController.updateWishlist);
+
+/**
+ * @route   DELETE /api/users/:userId/wishlist/lists/:listId
+ * @desc    Delete a wishlist and its items, the default list cannot be deleted
+ * @access  Private (Requires authentication and ownership/admin rights)
+ */
+router.delete('/lists/:listId', isAuthenticated, isOwnerOrAdmin, wishlistController.deleteWishlist);
+
+/**
+ * @route   PUT /api/users/:userId/wishlist/lists/:listId/share
+ * @desc    Publish a wishlist at a read-only share link, or make it private again
+ * @access  Private (Requires authentication and ownership/admin rights)
+ * @body    {boolean} isPublic - Whether the list is shared
+ */
+router.put('/lists/:listId/share', isAuthenticated, isOwnerOrAdmin, expressjoi(shareWishlistSchema), wishlistController.shareWishlist);
+
+/**
+ * @route   PUT /api/users/:userId/wishlist/lists/:listId/items/:phoneId/move
+ * @desc    Move a phone to another of the user's wishlists
+ * @access  Private (Requires authentication and ownership/admin rights)
+ * @body    {string} targetListId - The wishlist to move the phone to
+ */
+router.put('/lists/:listId/items/:phoneId/move', isAuthenticated, isOwnerOrAdmin, expressjoi(moveItemSchema), wishlistController.moveItem);
 
 /**
  * @route   POST /api/users/:userId/wishlist/:phoneId
- * @desc    Add a phone to the user's wishlist
+ * @desc    Add a phone to one of the user's wishlists
  * @access  Private (Requires authentication and ownership/admin rights)
+ * @body    {string} [listId] - The wishlist to add to, the default list if omitted
  */
-router.post('/:phoneId', isAuthenticated, isOwnerOrAdmin, wishlistController.addToWishlist);
+router.post('/:phoneId', isAuthenticated, isOwnerOrAdmin, expressjoi(addItemSchema), wishlistController.addToWishlist);
 
 /**
  * @route   DELETE /api/users/:userId/wishlist/:phoneId
- * @desc    Remove a phone from the user's wishlist
+ * @desc    Remove a phone from one of the user's wishlists (?listId=) or from all of them
  * @access  Private (Requires authentication and ownership/admin rights)
  */
 router.delete('/:phoneId', isAuthenticated, isOwnerOrAdmin, wishlistController.removeFromWishlist);
@@ -1,35 +1,66 @@
 const express = require('express');
 const orderController = require('../../controllers/order/orderController');
-const { isAuthenticated, isAdmin } = require('../../middlewares/authMiddleware');
+const returnController = require('../../controllers/order/returnController');
+const { isAuthenticated, isAdmin, hasPermission, isOwnerOrAdmin } = require('../../middlewares/authMiddleware');
+const { PERMISSIONS } = require('../../config/permissions');
+const adminAuditLogger = require('../../middlewares/adminAuditLogger');
 
 const router = express.Router({ mergeParams: true });
 
 /**
  * @route   GET /api/admin/orders
  * @desc    Get all orders with pagination and filtering
- * @access  Private (Admin only)
+ * @access  Private (orders:read permission)
  */
-router.get('/admin/orders', isAuthenticated, isAdmin, orderController.getAllOrders);
+router.get('/admin/orders', isAuthenticated, isAdmin, hasPermission(PERMISSIONS.ORDERS_READ), orderController.getAllOrders);
 
 /**
  * @route   GET /api/admin/orders/:orderId
  * @desc    Get order by ID
- * @access  Private (Admin only)
+ * @access  Private (orders:read permission)
  */
-router.get('/admin/orders/:orderId', isAuthenticated, isAdmin, orderController.getOrderById);
+router.get('/admin/orders/:orderId', isAuthenticated, isAdmin, hasPermission(PERMISSIONS.ORDERS_READ), orderController.getOrderById);
 
 /**
  * @route   GET /api/users/:userId/orders
  * @desc    Get orders for a specific user
- * @access  Private (User or Admin)
+ * @access  Private (Owner or Admin)
  */
-router.get('/users/:userId/orders', isAuthenticated, orderController.getUserOrders);
+router.get('/users/:userId/orders', isAuthenticated, isOwnerOrAdmin, orderController.getUserOrders);
+
+/**
+ * @route   GET /api/users/:userId/orders/:orderId
+ * @desc    Get one order of a specific user
+ * @access  Private (Owner or Admin)
+ */
+router.get('/users/:userId/orders/:orderId', isAuthenticated, isOwnerOrAdmin, orderController.getUserOrderById);
+
+/**
+ * @route   GET /api/users/:userId/orders/:orderId/invoice
+ * @desc    Download the PDF invoice of one order of a specific user
+ * @access  Private (Owner or Admin)
+ */
+router.get('/users/:userId/orders/:orderId/invoice', isAuthenticated, isOwnerOrAdmin, orderController.getUserOrderInvoice);
+
+/**
+ * @route   GET /api/users/:userId/orders/:orderId/returns
+ * @desc    Get the returns opened for one order of a specific user
+ * @access  Private (Owner or Admin)
+ */
+router.get('/users/:userId/orders/:orderId/returns', isAuthenticated, isOwnerOrAdmin, returnController.getOrderReturns);
+
+/**
+ * @route   POST /api/users/:userId/orders/:orderId/returns
+ * @desc    Request the return of an order line, with a reason and optional photos
+ * @access  Private (Owner or Admin)
+ */
+router.post('/users/:userId/orders/:orderId/returns', isAuthenticated, isOwnerOrAdmin, returnController.createReturn);
 
 /**
  * @route   PATCH /api/admin/orders/:orderId/status
  * @desc    Update order status
- * @access  Private (Admin only)
+ * @access  Private (orders:update permission)
  */
-router.patch('/admin/orders/:orderId/status', isAuthenticated, isAdmin, orderController.updateOrderStatus);
+router.patch('/admin/orders/:orderId/status', isAuthenticated, isAdmin, hasPermission(PERMISSIONS.ORDERS_UPDATE), adminAuditLogger('UPDATE_ORDER_STATUS', 'order'), orderController.updateOrderStatus);
 
 module.exports = router; 
\ No newline at end of file
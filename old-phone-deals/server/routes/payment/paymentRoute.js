@@ -0,0 +1,33 @@
+const express = require('express');
+const paymentController = require('../../controllers/payment/paymentController');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/payments/webhook/{provider}:
+ *   post:
+ *     summary: Receive a payment provider webhook
+ *     description: |
+ *       Called by the payment provider when a payment settles. The request must carry the
+ *       provider's signature header (x-mock-signature for the mock provider). Each event id is
+ *       applied once, redeliveries answer 200 with duplicate set to true.
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Payment provider name, e.g. mock
+ *     responses:
+ *       200:
+ *         description: Event accepted
+ *       400:
+ *         description: Missing or invalid signature
+ *       404:
+ *         description: Unknown provider or payment
+ */
+router.post('/webhook/:provider', paymentController.handleWebhook);
+
+module.exports = router;
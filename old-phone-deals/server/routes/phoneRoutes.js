@@ -10,6 +10,9 @@ router.get('/best-sellers', phoneController.getBestSellerPhones);
 
 router.get('/search', phoneController.searchPhones);
 
+// GET /api/phone/suggest?q= - Suggestions while typing a search
+router.get('/suggest', phoneController.suggestSearch);
+
 router.get('/:id', phoneController.getPhoneById);
 
 router.post('/:id/reviews', phoneController.addReview);
@@ -0,0 +1,51 @@
+const express = require('express');
+const notificationController = require('../../controllers/user/notificationController');
+const { isAuthenticated, isOwnerOrAdmin } = require('../../middlewares/authMiddleware');
+const { notificationPreferenceSchema } = require('../../validator/notificationPreferenceValidator');
+const expressjoi = require('@escook/express-joi');
+
+const router = express.Router({ mergeParams: true });
+
+/**
+ * @route   GET /api/user/:userId/notifications
+ * @desc    Get the notifications for a specific user (?page, ?limit, ?unreadOnly=true)
+ * @access  Private (Requires authentication and ownership/admin rights)
+ */
+router.get('/', isAuthenticated, isOwnerOrAdmin, notificationController.getNotifications);
+
+/**
+ * @route   GET /api/user/:userId/notifications/preferences
+ * @desc    Get the channels (in-app, email) of every notification event and the email digest frequency
+ * @access  Private (Requires authentication and ownership/admin rights)
+ */
+router.get('/preferences', isAuthenticated, isOwnerOrAdmin, notificationController.getPreferences);
+
+/**
+ * @route   PUT /api/user/:userId/notifications/preferences
+ * @desc    Change the channels of notification events and/or the email digest frequency (off, daily, weekly)
+ * @access  Private (Requires authentication and ownership/admin rights)
+ */
+router.put('/preferences', isAuthenticated, isOwnerOrAdmin, expressjoi(notificationPreferenceSchema), notificationController.updatePreferences);
+
+/**
+ * @route   PUT /api/user/:userId/notifications/read-all
+ * @desc    Mark all of the user's notifications as read
+ * @access  Private (Requires authentication and ownership/admin rights)
+ */
+router.put('/read-all', isAuthenticated, isOwnerOrAdmin, notificationController.markAllAsRead);
+
+/**
+ * @route   PUT /api/user/:userId/notifications/:notificationId/read
+ * @desc    Mark a notification as read
+ * @access  Private (Requires authentication and ownership/admin rights)
+ */
+router.put('/:notificationId/read', isAuthenticated, isOwnerOrAdmin, notificationController.markAsRead);
+
+/**
+ * @route   DELETE /api/user/:userId/notifications/:notificationId
+ * @desc    Delete a notification
+ * @access  Private (Requires authentication and ownership/admin rights)
+ */
+router.delete('/:notificationId', isAuthenticated, isOwnerOrAdmin, notificationController.deleteNotification);
+
+module.exports = router;
@@ -1,10 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const profileController = require('../../controllers/user/profileController');
+const fulfilmentController = require('../../controllers/order/fulfilmentController');
+const addressController = require('../../controllers/user/addressController');
+const returnController = require('../../controllers/order/returnController');
 const { isAuthenticated } = require('../../middlewares/authMiddleware');
 const { profileUpdateSchema } = require('../../validator/profileValidator');
 const { changePasswordSchema } = require('../../validator/passwordValidator');
 const { listingSchema } = require('../../validator/listingValidator');
+const { addressSchema } = require('../../validator/addressValidator');
 const expressjoi = require('@escook/express-joi');
 
 /**
@@ -196,6 +200,24 @@ router.get('/listings', isAuthenticated, (req, res) => {
  *                 type: number
  *               stock:
  *                 type: number
+ *               description:
+ *                 type: string
+ *               condition:
+ *                 type: string
+ *                 enum: [A, B, C, for_parts]
+ *               storageGb:
+ *                 type: integer
+ *               colour:
+ *                 type: string
+ *               networkLock:
+ *                 type: string
+ *                 enum: [unlocked, locked]
+ *               batteryHealth:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 100
+ *               modelYear:
+ *                 type: integer
  *     responses:
  *       '201':
  *         description: Phone listing added successfully
@@ -244,6 +266,24 @@ router.post('/listings', isAuthenticated, expressjoi(listingSchema), profileCont
  *                 type: number
  *               stock:
  *                 type: number
+ *               description:
+ *                 type: string
+ *               condition:
+ *                 type: string
+ *                 enum: [A, B, C, for_parts]
+ *               storageGb:
+ *                 type: integer
+ *               colour:
+ *                 type: string
+ *               networkLock:
+ *                 type: string
+ *                 enum: [unlocked, locked]
+ *               batteryHealth:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 100
+ *               modelYear:
+ *                 type: integer
  *     responses:
  *       '200':
  *         description: Phone listing updated successfully
@@ -381,6 +421,312 @@ router.get('/comments', isAuthenticated, (req, res) => {
  */
 router.put('/comments/visibility', isAuthenticated, profileController.updateCommentVisibility);
 
+/**
+ * @swagger
+ * /api/user/profile/sales:
+ *   get:
+ *     summary: Get my sales
+ *     description: Get the fulfilments the current user has to ship as a seller
+ *     tags: [User Sales]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, shipped, delivered, cancelled]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: Successfully get sales
+ *       '401':
+ *         description: Not logged in
+ */
+router.get('/sales', isAuthenticated, fulfilmentController.getMySales);
+
+/**
+ * @swagger
+ * /api/user/profile/sales/{fulfilmentId}/status:
+ *   put:
+ *     summary: Update the status of one of my sales
+ *     description: Move a fulfilment pending -> shipped -> delivered or pending -> cancelled, shipping requires a tracking number
+ *     tags: [User Sales]
+ *     security:
+ *       - sessionAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *               trackingNumber:
+ *                 type: string
+ *               carrier:
+ *                 type: string
+ *               note:
+ *                 type: string
+ *     responses:
+ *       '200':
+ *         description: Sale status updated
+ *       '400':
+ *         description: Illegal transition or missing tracking number
+ *       '404':
+ *         description: Sale not found
+ */
+router.put('/sales/:fulfilmentId/status', isAuthenticated, fulfilmentController.updateSaleStatus);
+
+/**
+ * @swagger
+ * /api/user/profile/returns:
+ *   get:
+ *     summary: Get returns of my sales
+ *     description: Get the return requests buyers opened for items the current user sold
+ *     tags: [User Sales]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [requested, rejected, awaiting_item, received, refunded]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: Successfully get returns
+ *       '401':
+ *         description: Not logged in
+ */
+router.get('/returns', isAuthenticated, returnController.getMyReturns);
+
+/**
+ * @swagger
+ * /api/user/profile/returns/{returnId}/status:
+ *   put:
+ *     summary: Update the status of a return of one of my sales
+ *     description: Approve (awaiting_item) or reject a return, then mark the item received and refund it, refunding restocks the phone
+ *     tags: [User Sales]
+ *     security:
+ *       - sessionAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [awaiting_item, rejected, received, refunded]
+ *               note:
+ *                 type: string
+ *                 description: required to reject
+ *     responses:
+ *       '200':
+ *         description: Return updated
+ *       '400':
+ *         description: Illegal transition or missing rejection note
+ *       '404':
+ *         description: Return not found
+ */
+router.put('/returns/:returnId/status', isAuthenticated, returnController.updateMyReturnStatus);
+
+/**
+ * @swagger
+ * /api/user/profile/addresses:
+ *   get:
+ *     summary: Get my addresses
+ *     description: Get the current user's address book, the default address first
+ *     tags: [User Addresses]
+ *     security:
+ *       - sessionAuth: []
+ *     responses:
+ *       '200':
+ *         description: Successfully get addresses
+ *       '401':
+ *         description: Not logged in
+ */
+router.get('/addresses', isAuthenticated, addressController.getAddresses);
+
+/**
+ * @swagger
+ * /api/user/profile/addresses:
+ *   post:
+ *     summary: Add an address
+ *     description: Add an address to the current user's address book, the first address becomes the default
+ *     tags: [User Addresses]
+ *     security:
+ *       - sessionAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - recipient
+ *               - line1
+ *               - city
+ *               - state
+ *               - postcode
+ *               - country
+ *             properties:
+ *               label:
+ *                 type: string
+ *               recipient:
+ *                 type: string
+ *               line1:
+ *                 type: string
+ *               line2:
+ *                 type: string
+ *               city:
+ *                 type: string
+ *               state:
+ *                 type: string
+ *               postcode:
+ *                 type: string
+ *               country:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               isDefault:
+ *                 type: boolean
+ *     responses:
+ *       '201':
+ *         description: Address added, returns the address book
+ *       '400':
+ *         description: Invalid address or address book full
+ */
+router.post('/addresses', isAuthenticated, expressjoi(addressSchema), addressController.addAddress);
+
+/**
+ * @swagger
+ * /api/user/profile/addresses/{addressId}:
+ *   put:
+ *     summary: Update an address
+ *     description: Update an address in the current user's address book
+ *     tags: [User Addresses]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: addressId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Address ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - recipient
+ *               - line1
+ *               - city
+ *               - state
+ *               - postcode
+ *               - country
+ *             properties:
+ *               label:
+ *                 type: string
+ *               recipient:
+ *                 type: string
+ *               line1:
+ *                 type: string
+ *               line2:
+ *                 type: string
+ *               city:
+ *                 type: string
+ *               state:
+ *                 type: string
+ *               postcode:
+ *                 type: string
+ *               country:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *     responses:
+ *       '200':
+ *         description: Address updated, returns the address book
+ *       '400':
+ *         description: Invalid address
+ *       '404':
+ *         description: Address not found
+ */
+router.put('/addresses/:addressId', isAuthenticated, expressjoi(addressSchema), addressController.updateAddress);
+
+/**
+ * @swagger
+ * /api/user/profile/addresses/{addressId}:
+ *   delete:
+ *     summary: Delete an address
+ *     description: Delete an address from the current user's address book, the next address becomes the default if needed
+ *     tags: [User Addresses]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: addressId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Address ID
+ *     responses:
+ *       '200':
+ *         description: Address deleted, returns the address book
+ *       '404':
+ *         description: Address not found
+ */
+router.delete('/addresses/:addressId', isAuthenticated, addressController.deleteAddress);
+
+/**
+ * @swagger
+ * /api/user/profile/addresses/{addressId}/default:
+ *   put:
+ *     summary: Set the default address
+ *     description: Make an address the one preselected at checkout
+ *     tags: [User Addresses]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: addressId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Address ID
+ *     responses:
+ *       '200':
+ *         description: Default address updated, returns the address book
+ *       '404':
+ *         description: Address not found
+ */
+router.put('/addresses/:addressId/default', isAuthenticated, addressController.setDefaultAddress);
+
 /**
  * @swagger
  * /api/user/profile/logout:
@@ -0,0 +1,34 @@
+const express = require('express');
+const savedSearchController = require('../../controllers/user/savedSearchController');
+const { isAuthenticated, isOwnerOrAdmin } = require('../../middlewares/authMiddleware');
+const { savedSearchSchema } = require('../../validator/savedSearchValidator');
+const expressjoi = require('@escook/express-joi');
+
+const router = express.Router({ mergeParams: true });
+
+/**
+ * @route   GET /api/user/:userId/saved-searches
+ * @desc    Get the saved searches of a specific user, newest first
+ * @access  Private (Requires authentication and ownership/admin rights)
+ */
+router.get('/', isAuthenticated, isOwnerOrAdmin, savedSearchController.getSavedSearches);
+
+/**
+ * @route   POST /api/user/:userId/saved-searches
+ * @desc    Save a search, the user is notified when a new or re-enabled listing matches it
+ * @access  Private (Requires authentication and ownership/admin rights)
+ * @body    {string} query - Search text
+ * @body    {string} [brand] - Brand filter
+ * @body    {number} [minPrice] - Lower price bound
+ * @body    {number} [maxPrice] - Upper price bound
+ */
+router.post('/', isAuthenticated, isOwnerOrAdmin, expressjoi(savedSearchSchema), savedSearchController.createSavedSearch);
+
+/**
+ * @route   DELETE /api/user/:userId/saved-searches/:searchId
+ * @desc    Delete a saved search
+ * @access  Private (Requires authentication and ownership/admin rights)
+ */
+router.delete('/:searchId', isAuthenticated, isOwnerOrAdmin, savedSearchController.deleteSavedSearch);
+
+module.exports = router;
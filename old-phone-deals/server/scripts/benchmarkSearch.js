@@ -0,0 +1,79 @@
+/**
+ * Benchmark of the phone search: the old unescaped regex scan against the text index.
+ * Seeds an in-memory MongoDB with copies of public/dataset/phonelisting.json and prints,
+ * per query, the average time and documents examined of both.
+ *
+ * usage: npm run bench:search -- [copies] [runs]
+ */
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const Phone = require('../models/phone');
+const phoneSearchService = require('../service/phone/phoneSearchService');
+const phoneData = require('../public/dataset/phonelisting.json');
+
+const QUERIES = ['samsung', 'galaxy s8', 'iphone 6', 'samsng', 'nokai lumia', 'unlocked'];
+
+const copies = parseInt(process.argv[2]) || 200;
+const runs = parseInt(process.argv[3]) || 20;
+
+/**
+ * Average run time and documents examined of a query
+ * @param {Function} buildQuery - Returns a fresh mongoose query
+ * @returns {Promise<Object>} - { ms, examined, found }
+ */
+const measure = async (buildQuery) => {
+    const stats = await buildQuery().explain('executionStats');
+    const started = process.hrtime.bigint();
+    let found = 0;
+    for (let i = 0; i < runs; i++) {
+        found = (await buildQuery().lean()).length;
+    }
+    const ms = Number(process.hrtime.bigint() - started) / 1e6 / runs;
+    return { ms: ms.toFixed(2), examined: stats.executionStats.totalDocsExamined, found };
+};
+
+const run = async () => {
+    const mongod = await MongoMemoryServer.create();
+    try {
+        await mongoose.connect(mongod.getUri());
+        await Phone.syncIndexes();
+        for (let i = 0; i < copies; i++) {
+            await Phone.insertMany(phoneData.map(({ _id, ...phone }) => phone));
+        }
+        console.log(`${await Phone.countDocuments()} listings, ${runs} runs per query\n`);
+
+        const rows = [];
+        for (const search of QUERIES) {
+            const regex = await measure(() => Phone.find({
+                disabled: { $exists: false },
+                $or: [{ title: new RegExp(search, 'i') }, { brand: new RegExp(search, 'i') }]
+            }).sort({ createdAt: -1 }));
+
+            const textSearch = await phoneSearchService.buildTextSearch(search);
+            const text = await measure(() => Phone.find(
+                { disabled: { $exists: false }, $text: textSearch.text },
+                { score: { $meta: 'textScore' } }
+            ).sort({ score: { $meta: 'textScore' }, createdAt: -1 }));
+
+            rows.push({
+                search,
+                'regex ms': regex.ms,
+                'regex examined': regex.examined,
+                'regex found': regex.found,
+                'text ms': text.ms,
+                'text examined': text.examined,
+                'text found': text.found,
+                'searched as': textSearch.text.$search
+            });
+        }
+        console.table(rows);
+    } finally {
+        await mongoose.disconnect();
+        await mongod.stop();
+    }
+};
+
+run().then(() => process.exit(0), (error) => {
+    console.error(error);
+    process.exit(1);
+});
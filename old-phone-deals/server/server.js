@@ -8,6 +8,11 @@ let debug = require('debug')('server:server');
 let http = require('http');
 let connectDB = require('./config/db');
 const { createWebSocketServer } = require('./utils/websocket');
+const { startReservationSweeper } = require('./service/cart/reservationService');
+const { startOutboxWorker } = require('./service/email/outboxService');
+const { startDigestScheduler } = require('./service/user/digestService');
+const { syncWishlistIndexes } = require('./service/cart/wishlistService');
+const { migrateLegacyStatuses } = require('./service/order/orderService');
 
 /**
  * Get port from environment and store in Express.
@@ -36,6 +41,21 @@ async function startServer() {
         // connect db first
         await connectDB();
 
+        // users can keep several wishlists, drop the old one-per-user unique index
+        await syncWishlistIndexes();
+
+        // orders from before the lifecycle still hold pending/completed, which the status enum rejects
+        await migrateLegacyStatuses();
+
+        // release expired cart holds in the background (reservation mode only)
+        startReservationSweeper();
+
+        // send queued emails and retry the ones the mail server rejected
+        startOutboxWorker();
+
+        // email the daily and weekly notification digests once they are due
+        startDigestScheduler();
+
         // start http server
         server.listen(port);
         server.on('error', onError);
@@ -0,0 +1,366 @@
+const AuditLog = require('../../models/auditLog');
+const User = require('../../models/user');
+const Phone = require('../../models/phone');
+const Order = require('../../models/order');
+const Role = require('../../models/role');
+const Promotion = require('../../models/promotion');
+const ReturnRequest = require('../../models/returnRequest');
+const logger = require('../../config/logger');
+const mongoose = require('mongoose');
+const { parse } = require('json2csv');
+const { escapeRegex } = require('../../utils/regexHelper');
+const { createError } = require('../../utils/errorHelper');
+
+// bookkeeping fields that never show up in a diff
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+/**
+ * snapshot loaders for each audited resource, every loader receives the
+ * express request and returns the target id and a function that loads a
+ * plain object snapshot of the resource (or null when it does not exist)
+ */
+const SNAPSHOT_LOADERS = {
+    user: (req) => {
+        const id = req.params?.id;
+        return id && {
+            targetId: id,
+            load: () => User.findById(id).select('-password').lean()
+        };
+    },
+    phone: (req) => {
+        const id = req.params?.id;
+        // reviews are audited separately through the review resource
+        return id && {
+            targetId: id,
+            load: () => Phone.findById(id).select('-reviews').lean()
+        };
+    },
+    review: (req) => {
+        const { phoneId, reviewerId, comment } = req.body || {};
+        return phoneId && {
+            targetId: phoneId,
+            load: async () => {
+                const phone = await Phone.findById(phoneId).select('reviews').lean();
+                if (!phone) {
+                    return null;
+                }
+                const review = phone.reviews.find(item =>
+                    item.comment === comment &&
+                    (!reviewerId || String(item.reviewer) === String(reviewerId))
+                );
+                return review || null;
+            }
+        };
+    },
+    order: (req) => {
+        const id = req.params?.orderId || req.params?.id;
+        return id && {
+            targetId: id,
+            load: () => Order.findById(id).lean()
+        };
+    },
+    role: (req) => {
+        const id = req.params?.id;
+        return id && {
+            targetId: id,
+            load: () => Role.findById(id).lean()
+        };
+    },
+    promotion: (req) => {
+        const id = req.params?.id;
+        return id && {
+            targetId: id,
+            load: () => Promotion.findById(id).lean()
+        };
+    },
+    return: (req) => {
+        const id = req.params?.id;
+        return id && {
+            targetId: id,
+            load: () => ReturnRequest.findById(id).lean()
+        };
+    }
+};
+
+/**
+ * resolve the audited target of a request
+ * @param {String} targetResource - resource type (user, phone, review, order, role, promotion, return)
+ * @param {Object} req - Express request object
+ * @returns {Object|null} - { targetId, load } or null if the resource cannot be snapshotted
+ */
+const resolveTarget = (targetResource, req) => {
+    const loader = SNAPSHOT_LOADERS[targetResource];
+    return (loader && loader(req)) || null;
+};
+
+/**
+ * load a snapshot of the target, errors (e.g. malformed ids) are logged and treated as missing
+ * @param {Object} target - target returned by resolveTarget
+ * @returns {Promise<Object|null>} - plain object snapshot
+ */
+const loadSnapshot = async (target) => {
+    if (!target) {
+        return null;
+    }
+    try {
+        const snapshot = await target.load();
+        // round trip through JSON so ObjectIds and Dates compare and store as plain values
+        return snapshot ? JSON.parse(JSON.stringify(snapshot)) : null;
+    } catch (error) {
+        logger.warn(`failed to load audit snapshot for ${target.targetId}: ${error.message}`);
+        return null;
+    }
+};
+
+/**
+ * compute a field level diff between two snapshots
+ * @param {Object|null} before - snapshot taken before the operation
+ * @param {Object|null} after - snapshot taken after the operation
+ * @returns {Array<Object>} - changes as { field, before, after }
+ */
+const diffSnapshots = (before, after) => {
+    if (!before && !after) {
+        return [];
+    }
+
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    const changes = [];
+
+    fields.forEach(field => {
+        if (IGNORED_FIELDS.includes(field)) {
+            return;
+        }
+        const beforeValue = before ? before[field] : undefined;
+        const afterValue = after ? after[field] : undefined;
+
+        if (JSON.stringify(beforeValue) !== JSON.stringify(afterValue)) {
+            changes.push({
+                field,
+                before: beforeValue === undefined ? null : beforeValue,
+                after: afterValue === undefined ? null : afterValue
+            });
+        }
+    });
+
+    return changes;
+};
+
+/**
+ * persist an audit entry, failures are logged but never break the admin request
+ * @param {Object} entry - audit entry data
+ * @returns {Promise<Object|null>} - saved audit log or null on failure
+ */
+const recordAuditLog = async (entry) => {
+    try {
+        return await AuditLog.create(entry);
+    } catch (error) {
+        logger.error(`failed to persist audit log for ${entry.action}: ${error.message}`);
+        return null;
+    }
+};
+
+/**
+ * read a query parameter that must be a plain string, ?key[$ne]=x or a repeated key arrive as objects and arrays
+ * @param {Object} query - request query
+ * @param {String} key - parameter name
+ * @returns {String|undefined} - trimmed value, undefined when missing or empty
+ */
+const readStringParam = (query, key) => {
+    const value = query[key];
+    if (value === undefined || value === '') {
+        return undefined;
+    }
+    if (typeof value !== 'string') {
+        throw createError(`${key} must be a string`, 400);
+    }
+    return value.trim() || undefined;
+};
+
+/**
+ * read a YYYY-MM-DD query parameter
+ * @param {Object} query - request query
+ * @param {String} key - parameter name
+ * @returns {Date|undefined}
+ */
+const readDateParam = (query, key) => {
+    const value = readStringParam(query, key);
+    if (value === undefined) {
+        return undefined;
+    }
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw createError(`${key} must be a date`, 400);
+    }
+    return date;
+};
+
+/**
+ * build a mongo filter from the audit log query parameters, every value is compared as a string
+ * so a query cannot inject operators
+ * @param {Object} query - request query
+ * @param {String} query.admin - admin email or name, partial match
+ * @param {String} query.adminId - admin id
+ * @param {String} query.action - exact action name
+ * @param {String} query.targetResource - resource type
+ * @param {String} query.startDate - YYYY-MM-DD
+ * @param {String} query.endDate - YYYY-MM-DD
+ * @returns {Object} - mongo filter
+ * @throws {Error} - with statusCode 400 when a parameter is not a string, adminId is not an id or a date is invalid
+ */
+const buildFilters = (query = {}) => {
+    const filters = {};
+    const adminId = readStringParam(query, 'adminId');
+    const admin = readStringParam(query, 'admin');
+    const action = readStringParam(query, 'action');
+    const targetResource = readStringParam(query, 'targetResource');
+    const startDate = readDateParam(query, 'startDate');
+    const endDate = readDateParam(query, 'endDate');
+
+    if (adminId) {
+        if (!mongoose.Types.ObjectId.isValid(adminId)) {
+            throw createError('adminId must be a valid id', 400);
+        }
+        filters.adminId = adminId;
+    }
+    if (admin) {
+        const pattern = new RegExp(escapeRegex(admin), 'i');
+        filters.$or = [{ adminEmail: pattern }, { adminName: pattern }];
+    }
+    if (action) {
+        filters.action = action;
+    }
+    if (targetResource) {
+        filters.targetResource = targetResource;
+    }
+    if (startDate || endDate) {
+        filters.createdAt = {};
+
+        if (startDate) {
+            startDate.setHours(0, 0, 0, 0); // set to start of day
+            filters.createdAt.$gte = startDate;
+        }
+
+        if (endDate) {
+            endDate.setHours(23, 59, 59, 999); // set to end of day
+            filters.createdAt.$lte = endDate;
+        }
+    }
+
+    return filters;
+};
+
+/**
+ * get audit logs with pagination, newest first
+ * @param {Object} options
+ * @param {Object} options.filters - mongo filter built by buildFilters
+ * @param {Number} options.skip - number of documents to skip
+ * @param {Number} options.limit - page size
+ * @returns {Promise<Object>} - { logs, total }
+ */
+const getAuditLogs = async ({ filters = {}, skip, limit }) => {
+    try {
+        const [logs, total] = await Promise.all([
+            AuditLog.find(filters)
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .lean(),
+            AuditLog.countDocuments(filters)
+        ]);
+
+        return { logs, total };
+    } catch (error) {
+        logger.error(`Error fetching audit logs: ${error.message}`);
+        throw new Error('Failed to fetch audit logs');
+    }
+};
+
+/**
+ * get the values available for the audit log filters
+ * @returns {Promise<Object>} - { actions, resources, admins }
+ */
+const getFilterOptions = async () => {
+    try {
+        const [actions, resources, admins] = await Promise.all([
+            AuditLog.distinct('action'),
+            AuditLog.distinct('targetResource'),
+            AuditLog.aggregate([
+                { $match: { adminId: { $ne: null } } },
+                { $group: { _id: '$adminId', email: { $last: '$adminEmail' }, name: { $last: '$adminName' } } },
+                { $sort: { email: 1 } }
+            ])
+        ]);
+
+        return {
+            actions: actions.sort(),
+            resources: resources.filter(Boolean).sort(),
+            admins
+        };
+    } catch (error) {
+        logger.error(`Error fetching audit log filter options: ${error.message}`);
+        throw new Error('Failed to fetch audit log filter options');
+    }
+};
+
+/**
+ * export audit logs matching the filters
+ * @param {Object} options
+ * @param {Object} options.filters - mongo filter built by buildFilters
+ * @param {String} options.format - csv or json
+ * @returns {Promise<String|Array>} - CSV string or array of rows
+ */
+const exportAuditLogs = async ({ filters = {}, format }) => {
+    try {
+        const logs = await AuditLog.find(filters).sort({ createdAt: -1 }).lean();
+
+        const exportData = logs.map(log => ({
+            timestamp: log.createdAt,
+            adminName: log.adminName,
+            adminEmail: log.adminEmail,
+            adminRole: log.adminRole,
+            action: log.action,
+            targetResource: log.targetResource,
+            targetId: log.targetId,
+            method: log.method,
+            path: log.path,
+            status: log.status,
+            changes: (log.changes || [])
+                .map(change => `${change.field}: ${JSON.stringify(change.before)} -> ${JSON.stringify(change.after)}`)
+                .join(' ｜ ')
+        }));
+
+        if (format === 'csv') {
+            const fields = [
+                { label: 'Timestamp', value: 'timestamp' },
+                { label: 'Admin name', value: 'adminName' },
+                { label: 'Admin email', value: 'adminEmail' },
+                { label: 'Admin role', value: 'adminRole' },
+                { label: 'Action', value: 'action' },
+                { label: 'Resource', value: 'targetResource' },
+                { label: 'Target id', value: 'targetId' },
+                { label: 'Method', value: 'method' },
+                { label: 'Path', value: 'path' },
+                { label: 'Status', value: 'status' },
+                { label: 'Changes', value: 'changes' }
+            ];
+
+            return parse(exportData, { fields });
+        }
+
+        return exportData;
+    } catch (error) {
+        logger.error(`Error exporting audit logs: ${error.message}`);
+        throw new Error('Failed to export audit logs');
+    }
+};
+
+module.exports = {
+    resolveTarget,
+    loadSnapshot,
+    diffSnapshots,
+    recordAuditLog,
+    buildFilters,
+    getAuditLogs,
+    getFilterOptions,
+    exportAuditLogs
+};
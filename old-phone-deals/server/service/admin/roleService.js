@@ -0,0 +1,212 @@
+const Role = require('../../models/role');
+const User = require('../../models/user');
+const logger = require('../../config/logger');
+const { ALL_PERMISSIONS, BUILT_IN_ROLES, ROLE_PERMISSIONS } = require('../../config/permissions');
+const { createError } = require('../../utils/errorHelper');
+const { updateUserAccess, refreshRoleAccess } = require('../../utils/websocket');
+
+// names of Object.prototype members, a role with one of them would shadow it in plain object lookups
+const RESERVED_ROLE_NAMES = Object.getOwnPropertyNames(Object.prototype);
+
+/**
+ * get permissions granted to a role, built-in roles are resolved from config,
+ * custom roles are loaded from the Role collection
+ * @param {String} roleName - role name stored on the user
+ * @returns {Promise<Array<String>>} - permission names
+ */
+const getPermissionsForRole = async (roleName) => {
+    if (!roleName || typeof roleName !== 'string') {
+        return [];
+    }
+
+    if (Object.hasOwn(ROLE_PERMISSIONS, roleName)) {
+        return ROLE_PERMISSIONS[roleName];
+    }
+
+    const role = await Role.findOne({ name: roleName }).lean();
+    return role ? role.permissions : [];
+};
+
+/**
+ * check if a role may access the admin area (admin, superAdmin or any custom role)
+ * @param {String} roleName - role name stored on the user
+ * @returns {Promise<Boolean>}
+ */
+const isAdminRole = async (roleName) => {
+    if (roleName === 'admin' || roleName === 'superAdmin') {
+        return true;
+    }
+    if (!roleName || BUILT_IN_ROLES.includes(roleName)) {
+        return false;
+    }
+    return !!(await Role.exists({ name: roleName }));
+};
+
+/**
+ * validate a permission list against the known permission names
+ * @param {Array<String>} permissions - permission names
+ */
+const validatePermissions = (permissions) => {
+    if (!Array.isArray(permissions)) {
+        throw createError('Permissions must be an array', 400);
+    }
+    const unknown = permissions.filter(permission => !ALL_PERMISSIONS.includes(permission));
+    if (unknown.length > 0) {
+        throw createError(`Unknown permissions: ${unknown.join(', ')}`, 400);
+    }
+};
+
+/**
+ * list built-in and custom roles with their permissions
+ * @returns {Promise<Object>} - built-in roles, custom roles and all permission names
+ */
+const getRoles = async () => {
+    try {
+        const customRoles = await Role.find().sort({ name: 1 });
+        const builtInRoles = BUILT_IN_ROLES.map(name => ({
+            name,
+            permissions: ROLE_PERMISSIONS[name],
+            builtIn: true
+        }));
+
+        return {
+            builtInRoles,
+            customRoles,
+            permissions: ALL_PERMISSIONS
+        };
+    } catch (error) {
+        logger.error('get roles failed in role service with error: ', error);
+        throw error;
+    }
+};
+
+/**
+ * create a custom role
+ * @param {Object} roleData - role data
+ * @param {String} roleData.name - unique role name
+ * @param {String} roleData.description - role description
+ * @param {Array<String>} roleData.permissions - permission names
+ * @param {String} creatorId - id of the superAdmin creating the role
+ * @returns {Promise<Object>} - created role
+ */
+const createRole = async (roleData, creatorId) => {
+    const { name, description, permissions = [] } = roleData;
+
+    if (typeof name !== 'string' || !name.trim()) {
+        throw createError('Role name is required', 400);
+    }
+    if (BUILT_IN_ROLES.includes(name.trim()) || RESERVED_ROLE_NAMES.includes(name.trim())) {
+        throw createError(`Role name "${name}" is reserved`, 409);
+    }
+    validatePermissions(permissions);
+
+    const existingRole = await Role.findOne({ name: name.trim() });
+    if (existingRole) {
+        throw createError(`Role "${name}" already exists`, 409);
+    }
+
+    const role = await Role.create({
+        name: name.trim(),
+        description,
+        permissions: [...new Set(permissions)],
+        createdBy: creatorId,
+        updatedBy: creatorId
+    });
+
+    logger.info(`custom role ${role.name} created by ${creatorId}`);
+    return role;
+};
+
+/**
+ * update a custom role's description or permissions
+ * @param {String} roleId - role id
+ * @param {Object} roleData - fields to update
+ * @param {String} editorId - id of the superAdmin editing the role
+ * @returns {Promise<Object>} - updated role
+ */
+const updateRole = async (roleId, roleData, editorId) => {
+    const role = await Role.findById(roleId);
+    if (!role) {
+        throw createError('Role not found', 404);
+    }
+
+    if (roleData.permissions !== undefined) {
+        validatePermissions(roleData.permissions);
+        role.permissions = [...new Set(roleData.permissions)];
+    }
+    if (roleData.description !== undefined) {
+        role.description = roleData.description;
+    }
+    role.updatedBy = editorId;
+
+    await role.save();
+    logger.info(`custom role ${role.name} updated by ${editorId}`);
+
+    // connected admins of the role lose revoked permissions right away
+    await refreshRoleAccess(role.name);
+    return role;
+};
+
+/**
+ * delete a custom role that is no longer assigned to any user
+ * @param {String} roleId - role id
+ * @returns {Promise<Object>} - deleted role
+ */
+const deleteRole = async (roleId) => {
+    const role = await Role.findById(roleId);
+    if (!role) {
+        throw createError('Role not found', 404);
+    }
+
+    const assignedCount = await User.countDocuments({ role: role.name });
+    if (assignedCount > 0) {
+        throw createError(`Role "${role.name}" is still assigned to ${assignedCount} user(s)`, 409);
+    }
+
+    await Role.deleteOne({ _id: roleId });
+    logger.info(`custom role ${role.name} deleted`);
+
+    await refreshRoleAccess(role.name);
+    return role;
+};
+
+/**
+ * assign a built-in or custom role to a user
+ * @param {String} userId - user id
+ * @param {String} roleName - role name
+ * @returns {Promise<Object>} - updated user without password
+ */
+const assignRole = async (userId, roleName) => {
+    if (typeof roleName !== 'string') {
+        throw createError('Role name must be a string', 400);
+    }
+    if (!BUILT_IN_ROLES.includes(roleName) && !(await Role.exists({ name: roleName }))) {
+        throw createError(`Role "${roleName}" does not exist`, 400);
+    }
+
+    const user = await User.findByIdAndUpdate(
+        userId,
+        { $set: { role: roleName } },
+        { new: true }
+    ).select('-password');
+
+    if (!user) {
+        throw createError('User not found', 404);
+    }
+
+    logger.info(`role ${roleName} assigned to user ${userId}`);
+
+    // the user's open sockets receive what the new role may see, not what the old one could
+    await updateUserAccess(user._id, roleName);
+    return user;
+};
+
+module.exports = {
+    getPermissionsForRole,
+    isAdminRole,
+    getRoles,
+    createRole,
+    updateRole,
+    deleteRole,
+    assignRole
+};
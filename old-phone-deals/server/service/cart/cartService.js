@@ -4,7 +4,18 @@ const User = require('../../models/user');
 const Order = require('../../models/order');
 const logger = require('../../config/logger');
 const mongoose = require('mongoose');
-const { broadcast } = require('../../utils/websocket');
+const { sendToPermission } = require('../../utils/websocket');
+const { PERMISSIONS } = require('../../config/permissions');
+const notificationService = require('../user/notificationService');
+const fulfilmentService = require('../order/fulfilmentService');
+const orderService = require('../order/orderService');
+const paymentService = require('../payment/paymentService');
+const reservationService = require('./reservationService');
+const promotionService = require('../promotion/promotionService');
+const pricingService = require('../order/pricingService');
+const addressService = require('../user/addressService');
+const invoiceService = require('../order/invoiceService');
+const { createError } = require('../../utils/errorHelper');
 
 /**
  * Retrieves the shopping cart for a specific user by their ID, populating the phone details for each item.
@@ -71,11 +82,13 @@ const addOrUpdateItem = async (userId, phoneId, quantity) => {
         }
 
         const itemIndex = cart.items.findIndex(item => item.phone.toString() === phoneId);
+        let saved = false;
 
         if (quantity === 0) {
             if (itemIndex > -1) {
                 logger.info(`CartService: Quantity is 0, removing item ${phoneId} for user ${userId}`);
                 cart.items.pull({ _id: cart.items[itemIndex]._id }); // Efficiently remove sub-document
+                await reservationService.release(userId, phoneId);
             } else {
                 logger.info(`CartService: Quantity is 0, but item ${phoneId} not in cart for user ${userId}. No action.`);
             }
@@ -95,9 +108,21 @@ const addOrUpdateItem = async (userId, phoneId, quantity) => {
                  logger.info(`CartService: Adding new item ${phoneId} with quantity ${quantity} for user ${userId}`);
                 cart.items.push({ phone: phoneId, quantity: quantity });
             }
+
+            // In reservation mode, hold the units for this cart (throws if other carts hold them),
+            // the cart is written in the same transaction so a failed write leaves no hold behind
+            // (an update rather than save, a retried transaction writes it again)
+            const hold = await reservationService.reserve(userId, phone, quantity, (session) => Cart.updateOne(
+                { _id: cart._id },
+                { $set: { items: cart.items } },
+                { session, runValidators: true }
+            ));
+            saved = !!hold;
         }
 
-        await cart.save();
+        if (!saved) {
+            await cart.save();
+        }
         logger.debug(`CartService: Cart saved successfully for user ${userId}.`);
 
         const updatedCart = await Cart.findById(cart._id) // Use findById to ensure fresh data after save
@@ -146,6 +171,7 @@ const removeItem = async (userId, phoneId) => {
             // Remove only the specific item
             cart.items.splice(itemIndex, 1);
             await cart.save();
+            await reservationService.release(userId, phoneId);
             logger.debug(`CartService: Item removed and cart saved for user ${userId}.`);
         } else {
             logger.warn(`CartService: Item ${phoneId} not found in cart for user ${userId} during removal. No changes made.`);
@@ -186,6 +212,7 @@ const clearCart = async (userId) => {
 
         cart.items = [];
         await cart.save();
+        await reservationService.release(userId);
         logger.info(`CartService: Cart cleared successfully for user ${userId}.`);
 
         return cart;
@@ -200,44 +227,71 @@ const clearCart = async (userId) => {
 
 /**
  * Process checkout for a user's cart
+ * Every read and write runs in one transaction, and stock is taken with a conditional update
+ * (stock >= quantity), so concurrent checkouts can never sell more than is in stock.
+ * In reservation mode the units held by other carts are left alone as well.
+ * The payment is authorized inside the transaction and captured once the order is committed,
+ * the order only becomes paid when the provider confirms the capture.
  * @param {string} userId - The ID of the user
  * @param {Array<{phoneId: string, quantity: number}>} items - Array of items to checkout
- * @returns {Promise<Object>} - A promise that resolves to the updated cart object
- * @throws {Error} - Throws an error if stock is insufficient or other issues occur
+ * @param {{method: string, card: object}} paymentDetails - Payment method and card details
+ * @param {Object} [options]
+ * @param {string|null} [options.couponCode] - Optional promotion code, its discount is split over the lines it covers
+ * @param {string|null} [options.shippingAddressId] - Address book entry to ship to, defaults to the default address
+ * @returns {Promise<Object>} - A promise that resolves to the checkout result with the order id and payment status
+ * @throws {Error} - 404 if the cart, a phone, the address or the coupon is missing, 400 if stock is insufficient,
+ *                   the buyer has no address or the coupon cannot be used, 402 if the payment is declined
  */
-const checkout = async (userId, items) => {
+const checkout = async (userId, items, paymentDetails, { couponCode = null, shippingAddressId = null } = {}) => {
     logger.info(`CartService: Processing checkout for user ${userId}`);
+    const session = await mongoose.startSession();
+    let order;
+    let payment = null;
+
     try {
-        // Start a session for transaction
-        const session = await mongoose.startSession();
-        session.startTransaction();
+        // withTransaction retries on write conflicts with concurrent checkouts,
+        // the retry re-reads the stock and fails cleanly if it has run out
+        await session.withTransaction(async () => {
+            // a retried attempt must not leave the previous attempt's hold on the card
+            if (payment) {
+                await paymentService.releaseAuthorization(payment);
+                payment = null;
+            }
 
-        try {
             // Get the cart
-            const cart = await Cart.findOne({ user: userId }).populate('items.phone');
+            const cart = await Cart.findOne({ user: userId }).session(session);
             if (!cart) {
-                throw new Error('Cart not found');
+                throw createError('Cart not found', 404);
             }
 
-            // Validate stock for all items
+            // Take the stock and build the order items with current prices
+            const orderItems = [];
+            const sellerByPhone = new Map();
+            const brandByPhone = new Map();
+
+            const heldByOthers = await reservationService.getHeldQuantities(
+                items.map(item => item.phoneId),
+                { excludeUser: userId, session }
+            );
+
             for (const item of items) {
-                const phone = await Phone.findById(item.phoneId);
+                const held = heldByOthers.get(item.phoneId) || 0;
+                const phone = await Phone.findOneAndUpdate(
+                    { _id: item.phoneId, stock: { $gte: item.quantity + held } },
+                    { $inc: { stock: -item.quantity } },
+                    { session, new: true }
+                );
+
                 if (!phone) {
-                    throw new Error(`Phone with ID ${item.phoneId} not found`);
-                }
-                if (phone.stock < item.quantity) {
-                    throw new Error(`Insufficient stock for phone "${phone.title}". Available: ${phone.stock}`);
+                    const current = await Phone.findById(item.phoneId).session(session);
+                    if (!current) {
+                        throw createError(`Phone with ID ${item.phoneId} not found`, 404);
+                    }
+                    throw createError(`Insufficient stock for phone "${current.title}". Available: ${Math.max(0, current.stock - held)}`, 400);
                 }
-            }
-
-            // Create order items array with current prices
-            const orderItems = [];
-            let totalAmount = 0;
 
-            for (const item of items) {
-                const phone = await Phone.findById(item.phoneId);
-                const itemTotal = phone.price * item.quantity;
-                totalAmount += itemTotal;
+                sellerByPhone.set(phone._id.toString(), phone.seller?.toString());
+                brandByPhone.set(phone._id.toString(), phone.brand);
 
                 orderItems.push({
                     phone: item.phoneId,
@@ -246,60 +300,166 @@ const checkout = async (userId, items) => {
                 });
             }
 
+            // Price the order: coupon discount per line, shipping per seller and tax,
+            // an invalid coupon or a missing address aborts the checkout
+            const shippingAddress = await addressService.resolveShippingAddress(userId, shippingAddressId, session);
+            const lines = orderItems.map(orderItem => ({
+                ...orderItem,
+                brand: brandByPhone.get(orderItem.phone.toString()),
+                seller: sellerByPhone.get(orderItem.phone.toString())
+            }));
+            const pricing = await pricingService.priceOrder(userId, lines, {
+                address: shippingAddress,
+                couponCode,
+                session
+            });
+
+            let appliedPromotion;
+            if (pricing.promotion) {
+                orderItems.forEach(orderItem => {
+                    orderItem.discount = pricing.discounts.get(orderItem.phone.toString()) || 0;
+                });
+                appliedPromotion = {
+                    promotion: pricing.promotion._id,
+                    code: pricing.promotion.code,
+                    type: pricing.promotion.type,
+                    value: pricing.promotion.value
+                };
+                await promotionService.recordRedemption(pricing.promotion, session);
+            }
+
             // Create new order
-            const order = new Order({
+            order = new Order({
                 user: userId,
                 items: orderItems,
-                totalAmount: totalAmount,
-                status: 'completed'
+                subtotal: pricing.subtotal,
+                promotion: appliedPromotion,
+                discountTotal: pricing.discountTotal,
+                shippingTotal: pricing.shippingTotal,
+                taxTotal: pricing.taxTotal,
+                taxRate: pricing.taxRate,
+                totalAmount: pricing.totalAmount,
+                shippingAddress,
+                invoiceNumber: await invoiceService.nextInvoiceNumber(session),
+                paymentMethod: paymentDetails.method,
+                status: 'placed',
+                statusHistory: [{ status: 'placed', changedAt: new Date(), changedBy: userId }]
             });
+            await order.save({ session });
 
-            // Update stock for all items
-            for (const item of items) {
-                await Phone.findByIdAndUpdate(
-                    item.phoneId,
-                    { $inc: { stock: -item.quantity } },
-                    { session }
-                );
-            }
+            // Split the order into one fulfilment per seller, each carrying its parcel's shipping
+            await fulfilmentService.createFulfilmentsForOrder(order, sellerByPhone, session, pricing.shippingBySeller);
 
-            // Save the order
-            await order.save({ session });
+            // Create the payment intent, a decline aborts the whole checkout
+            payment = await paymentService.authorizePayment(order, paymentDetails, session);
 
-            // Clear the cart
+            // Clear the cart and its holds
             cart.items = [];
             await cart.save({ session });
+            await reservationService.release(userId, null, session);
+        });
+    } catch (error) {
+        // the transaction was aborted, release the hold taken by the last attempt
+        if (payment) {
+            await paymentService.releaseAuthorization(payment);
+        }
+        if (error.statusCode) {
+            logger.warn(`CartService: Checkout rejected for user ${userId} - ${error.message}`);
+        } else {
+            logger.error(`CartService: Error during checkout for user ${userId}:`, error);
+        }
+        throw error;
+    } finally {
+        session.endSession();
+    }
 
-            // Commit the transaction
-            await session.commitTransaction();
-            logger.info(`CartService: Checkout completed successfully for user ${userId}`);
-
-            // Send WebSocket notification
-            const populatedOrder = await Order.findById(order._id)
-                .populate('user', 'firstname lastname email')
-                .populate('items.phone', 'title brand price');
-            
-            broadcast({
-                type: 'NEW_ORDER',
-                data: populatedOrder
-            });
+    logger.info(`CartService: Checkout completed successfully for user ${userId}`);
 
-            return { 
-                success: true, 
-                message: 'Checkout completed successfully',
-                orderId: order._id
-            };
+    // the payment was created in the transaction, detach it from the ended session before saving it again
+    payment.$session(null);
+
+    // the order is committed, so nothing below may fail the checkout: an error answer would let the client
+    // retry with the same Idempotency-Key and place the order a second time
+
+    // Capture right away, delayed payments are settled later by the provider's webhook
+    if (payment.status === 'authorized') {
+        try {
+            await paymentService.capturePayment(payment);
+            await orderService.applyPaymentResult(payment);
         } catch (error) {
-            // If an error occurred, abort the transaction
-            await session.abortTransaction();
-            throw error;
-        } finally {
-            session.endSession();
+            logger.error(`CartService: Capturing payment ${payment._id} of order ${order._id} failed:`, error);
         }
+    }
+
+    try {
+        // Send WebSocket notification
+        const populatedOrder = await Order.findById(order._id)
+            .populate('user', 'firstname lastname email')
+            .populate('items.phone', 'title brand price seller');
+
+        // sales alerts carry buyer details, so only admins allowed to read orders receive them
+        sendToPermission(PERMISSIONS.ORDERS_READ, {
+            type: 'NEW_ORDER',
+            data: populatedOrder
+        });
+
+        // let every seller know their listing was ordered
+        await notificationService.notifySellersOfOrder(populatedOrder, userId);
     } catch (error) {
-        logger.error(`CartService: Error during checkout for user ${userId}:`, error);
-        throw error;
+        logger.error(`CartService: Notifying about order ${order._id} failed:`, error);
     }
+
+    // email the confirmation with the invoice in the background, the buyer does not wait for the mail server
+    void invoiceService.sendInvoiceEmail(order._id);
+
+    return { 
+        success: true, 
+        message: payment.status === 'pending'
+            ? 'Order placed, waiting for payment confirmation'
+            : 'Checkout completed successfully',
+        orderId: order._id,
+        paymentStatus: payment.status
+    };
+};
+
+/**
+ * Price the current cart for delivery to an address without placing an order,
+ * uses the same pricing as checkout so the summary matches what will be charged
+ * @param {string} userId - The ID of the user
+ * @param {Object} [options]
+ * @param {string|null} [options.couponCode] - Optional promotion code
+ * @param {string|null} [options.shippingAddressId] - Address book entry, defaults to the default address
+ * @returns {Promise<Object>} - subtotal, discountTotal, shippingTotal, taxTotal, totalAmount, taxRate and taxLabel
+ * @throws {Error} - 400 if the cart is empty or the buyer has no address, 404/400 if the coupon cannot be used
+ */
+const quoteCart = async (userId, { couponCode = null, shippingAddressId = null } = {}) => {
+    const cart = await Cart.findOne({ user: userId }).populate('items.phone', 'price brand seller');
+    const lines = (cart?.items || [])
+        .filter(item => item.phone)
+        .map(item => ({
+            phone: item.phone._id,
+            brand: item.phone.brand,
+            seller: item.phone.seller,
+            price: item.phone.price,
+            quantity: item.quantity
+        }));
+
+    if (lines.length === 0) {
+        throw createError('Your cart is empty', 400);
+    }
+
+    const address = await addressService.resolveShippingAddress(userId, shippingAddressId);
+    const pricing = await pricingService.priceOrder(userId, lines, { address, couponCode });
+
+    return {
+        subtotal: pricing.subtotal,
+        discountTotal: pricing.discountTotal,
+        shippingTotal: pricing.shippingTotal,
+        taxTotal: pricing.taxTotal,
+        totalAmount: pricing.totalAmount,
+        taxRate: pricing.taxRate,
+        taxLabel: pricing.taxLabel
+    };
 };
 
 module.exports = {
@@ -307,5 +467,6 @@ module.exports = {
     addOrUpdateItem,
     removeItem,
     clearCart,
+    quoteCart,
     checkout
 };
\ No newline at end of file
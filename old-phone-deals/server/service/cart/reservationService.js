@@ -0,0 +1,198 @@
+const mongoose = require('mongoose');
+const StockHold = require('../../models/stockHold');
+const Phone = require('../../models/phone');
+const logger = require('../../config/logger');
+
+const DEFAULT_SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * minutes a cart holds its units, 0 turns reservation mode off
+ * @returns {Number}
+ */
+const getReservationMinutes = () => parseInt(process.env.CART_RESERVATION_MINUTES) || 0;
+
+/**
+ * whether adding to the cart reserves stock
+ * @returns {Boolean}
+ */
+const isReservationEnabled = () => getReservationMinutes() > 0;
+
+/**
+ * sum the active holds per phone
+ * @param {Array<String>} phoneIds - phones to look up
+ * @param {Object} options
+ * @param {String} options.excludeUser - leave out this user's own holds
+ * @param {mongoose.ClientSession} options.session - optional transaction session
+ * @returns {Promise<Map<String, Number>>} - phone id -> units held
+ */
+const getHeldQuantities = async (phoneIds, { excludeUser, session } = {}) => {
+    const held = new Map();
+    if (!isReservationEnabled() || phoneIds.length === 0) {
+        return held;
+    }
+
+    const match = {
+        phone: { $in: phoneIds.map(id => new mongoose.Types.ObjectId(id)) },
+        expiresAt: { $gt: new Date() }
+    };
+    if (excludeUser) {
+        match.user = { $ne: new mongoose.Types.ObjectId(excludeUser) };
+    }
+
+    const totals = await StockHold.aggregate([
+        { $match: match },
+        { $group: { _id: '$phone', quantity: { $sum: '$quantity' } } }
+    ]).session(session || null);
+
+    totals.forEach(total => held.set(total._id.toString(), total.quantity));
+    return held;
+};
+
+/**
+ * add availableStock (stock minus other carts' active holds) to phones
+ * @param {Array<Object>} phones - phone documents
+ * @param {String} viewerId - optional id of the viewing user, their own holds stay available to them
+ * @returns {Promise<Array<Object>>} - plain phone objects with availableStock
+ */
+const withAvailableStock = async (phones, viewerId) => {
+    const held = await getHeldQuantities(phones.map(phone => phone._id.toString()), { excludeUser: viewerId });
+
+    return phones.map(phone => {
+        const plain = typeof phone.toObject === 'function' ? phone.toObject() : phone;
+        const holds = held.get(phone._id.toString()) || 0;
+        return { ...plain, availableStock: Math.max(0, (plain.stock || 0) - holds) };
+    });
+};
+
+/**
+ * reserve units of a phone for a user's cart, replacing the user's previous hold and restarting its window
+ * the availability check and the hold run in one transaction that also writes the phone, so concurrent
+ * reservations and checkouts of the phone conflict and the retried one counts the other's hold
+ * @param {String} userId - cart owner
+ * @param {Object} phone - phone document
+ * @param {Number} quantity - cart quantity to hold
+ * @param {Function} [persist] - optional write run with the session in the same transaction after the hold,
+ * e.g. saving the cart, so the hold is never committed without it
+ * @returns {Promise<Object|null>} - the hold, null when reservation mode is off and persist did not run
+ * @throws {Error} - 400 if other carts hold too much of the stock, 404 if the phone no longer exists
+ */
+const reserve = async (userId, phone, quantity, persist) => {
+    if (!isReservationEnabled()) {
+        return null;
+    }
+
+    const session = await mongoose.startSession();
+    try {
+        let hold;
+        let expiresAt;
+
+        // withTransaction retries on write conflicts, a retry re-reads the stock and the holds
+        await session.withTransaction(async () => {
+            const current = await Phone.findOneAndUpdate(
+                { _id: phone._id },
+                { $inc: { reservationVersion: 1 } },
+                { new: true, session, timestamps: false }
+            ).select('stock title');
+            if (!current) {
+                const err = new Error('Phone not found');
+                err.statusCode = 404;
+                throw err;
+            }
+
+            const heldByOthers = (await getHeldQuantities([phone._id.toString()], { excludeUser: userId, session }))
+                .get(phone._id.toString()) || 0;
+            const available = current.stock - heldByOthers;
+
+            if (quantity > available) {
+                const err = new Error(`Only ${Math.max(0, available)} of "${current.title}" available, the rest is reserved in other carts.`);
+                err.statusCode = 400;
+                throw err;
+            }
+
+            expiresAt = new Date(Date.now() + getReservationMinutes() * 60 * 1000);
+            hold = await StockHold.findOneAndUpdate(
+                { phone: phone._id, user: userId },
+                { quantity, expiresAt },
+                { upsert: true, new: true, setDefaultsOnInsert: true, session }
+            );
+            if (persist) {
+                await persist(session);
+            }
+        });
+
+        logger.info(`ReservationService: User ${userId} holds ${quantity} of phone ${phone._id} until ${expiresAt.toISOString()}`);
+        return hold;
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * release a user's holds, on one phone or the whole cart
+ * @param {String} userId - cart owner
+ * @param {String} [phoneId] - optional phone, all of the user's holds when omitted
+ * @param {mongoose.ClientSession} [session] - optional transaction session
+ */
+const release = async (userId, phoneId, session) => {
+    const filter = { user: userId };
+    if (phoneId) {
+        filter.phone = phoneId;
+    }
+    await StockHold.deleteMany(filter, { session });
+};
+
+/**
+ * get a user's active holds
+ * @param {String} userId - cart owner
+ * @returns {Promise<Array<Object>>} - holds with phone, quantity and expiresAt
+ */
+const getUserHolds = async (userId) => {
+    if (!isReservationEnabled()) {
+        return [];
+    }
+    return StockHold.find({ user: userId, expiresAt: { $gt: new Date() } })
+        .select('phone quantity expiresAt')
+        .lean();
+};
+
+/**
+ * delete every hold whose window has passed
+ * @returns {Promise<Number>} - number of holds released
+ */
+const sweepExpiredHolds = async () => {
+    const result = await StockHold.deleteMany({ expiresAt: { $lte: new Date() } });
+    if (result.deletedCount > 0) {
+        logger.info(`ReservationService: Released ${result.deletedCount} expired stock hold(s)`);
+    }
+    return result.deletedCount;
+};
+
+/**
+ * start the background sweeper that releases expired holds, does nothing when reservation mode is off
+ * @param {Number} intervalMs - how often to sweep
+ * @returns {NodeJS.Timeout|null} - the interval, null when not started
+ */
+const startReservationSweeper = (intervalMs = parseInt(process.env.CART_RESERVATION_SWEEP_MS) || DEFAULT_SWEEP_INTERVAL_MS) => {
+    if (!isReservationEnabled()) {
+        return null;
+    }
+
+    const timer = setInterval(() => {
+        sweepExpiredHolds().catch(error => logger.error('ReservationService: Sweep failed:', error));
+    }, intervalMs);
+    timer.unref();
+
+    logger.info(`ReservationService: Cart holds last ${getReservationMinutes()} minute(s), sweeping every ${intervalMs}ms`);
+    return timer;
+};
+
+module.exports = {
+    isReservationEnabled,
+    getHeldQuantities,
+    withAvailableStock,
+    reserve,
+    release,
+    getUserHolds,
+    sweepExpiredHolds,
+    startReservationSweeper
+};
@@ -3,69 +3,277 @@ const Cart = require('../../models/cart');
 const Phone = require('../../models/phone');
 const logger = require('../../config/logger');
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const notificationService = require('../user/notificationService');
+const { createError } = require('../../utils/errorHelper');
+
+// phone fields shown with every wishlist item
+const PHONE_FIELDS = 'title price image stock brand';
+const MAX_WISHLISTS = 20;
+const DEFAULT_WISHLIST_NAME = 'My wishlist';
+
+/**
+ * Find one of the user's wishlists
+ * @param {string} userId - The ID of the user
+ * @param {string} listId - The ID of the wishlist
+ * @returns {Promise<Object>} - The wishlist document
+ * @throws {Error} - 400 for a malformed ID, 404 if the user has no such wishlist
+ */
+const findOwnWishlist = async (userId, listId) => {
+    if (!mongoose.Types.ObjectId.isValid(listId)) {
+        throw createError(`Invalid wishlist ID format: ${listId}`, 400);
+    }
+    const wishlist = await Wishlist.findOne({ _id: listId, user: userId });
+    if (!wishlist) {
+        throw createError('Wishlist not found', 404);
+    }
+    return wishlist;
+};
 
 /**
- * Get user's wishlist
+ * Get the user's default wishlist, the oldest list becomes the default when none is marked,
+ * a first list is created for users without any
+ * the unique index on the default list rejects a second default made by a concurrent request,
+ * the default that request made is returned instead
  * @param {string} userId - The ID of the user
- * @returns {Promise<Object>} - A promise that resolves to the wishlist object
+ * @returns {Promise<Object>} - The default wishlist document
  */
-const getWishlist = async (userId) => {
-    logger.info(`WishlistService: Getting wishlist for user ${userId}`);
+const getDefaultWishlist = async (userId) => {
+    const wishlist = await Wishlist.findOne({ user: userId, isDefault: true });
+    if (wishlist) {
+        return wishlist;
+    }
+
     try {
-        let wishlist = await Wishlist.findOne({ user: userId })
-            .populate({
-                path: 'items.phone',
-                select: 'title price image stock brand'
-            });
+        const oldest = await Wishlist.findOne({ user: userId }).sort({ createdAt: 1 });
+        if (oldest) {
+            return await Wishlist.findOneAndUpdate(
+                { _id: oldest._id },
+                { $set: { isDefault: true } },
+                { new: true }
+            );
+        }
 
-        if (!wishlist) {
-            logger.info(`WishlistService: No wishlist found for user ${userId}, creating a new one.`);
-            wishlist = await Wishlist.create({ user: userId, items: [] });
+        logger.info(`WishlistService: No wishlist found for user ${userId}, creating a new one.`);
+        return await Wishlist.findOneAndUpdate(
+            { user: userId, isDefault: true },
+            { $setOnInsert: { name: DEFAULT_WISHLIST_NAME, items: [] } },
+            { upsert: true, new: true, setDefaultsOnInsert: true }
+        );
+    } catch (error) {
+        if (error.code !== 11000) {
+            throw error;
         }
+        return Wishlist.findOne({ user: userId, isDefault: true });
+    }
+};
 
-        return wishlist;
+/**
+ * Make sure no other list of the user has the same name, names are compared case-insensitively
+ * @param {string} userId - The ID of the user
+ * @param {string} name - The wanted name
+ * @param {string} exceptId - The list being renamed
+ * @throws {Error} - 409 if the name is taken
+ */
+const assertNameAvailable = async (userId, name, exceptId = null) => {
+    const lists = await Wishlist.find({ user: userId }).select('name');
+    const taken = lists.some(list => list._id.toString() !== exceptId?.toString()
+        && list.name.toLowerCase() === name.trim().toLowerCase());
+    if (taken) {
+        throw createError(`You already have a wishlist named "${name.trim()}"`, 409);
+    }
+};
+
+/**
+ * Get all wishlists of a user, the default list first
+ * @param {string} userId - The ID of the user
+ * @returns {Promise<Array<Object>>} - A promise that resolves to the wishlists with their phones populated
+ */
+const getWishlists = async (userId) => {
+    logger.info(`WishlistService: Getting wishlists for user ${userId}`);
+    try {
+        await getDefaultWishlist(userId);
+
+        return await Wishlist.find({ user: userId })
+            .sort({ isDefault: -1, createdAt: 1 })
+            .populate({
+                path: 'items.phone',
+                select: PHONE_FIELDS
+            });
     } catch (error) {
-        logger.error(`WishlistService: Error getting wishlist for user ${userId}:`, error);
+        logger.error(`WishlistService: Error getting wishlists for user ${userId}:`, error);
         throw new Error(`Failed to get wishlist for user ${userId}`);
     }
 };
 
+/**
+ * Create a named wishlist
+ * @param {string} userId - The ID of the user
+ * @param {string} name - Name of the new list
+ * @returns {Promise<Array<Object>>} - All wishlists of the user
+ * @throws {Error} - 409 if the name is taken or the user has too many lists
+ */
+const createWishlist = async (userId, name) => {
+    logger.info(`WishlistService: Creating wishlist "${name}" for user ${userId}`);
+    await getDefaultWishlist(userId);
+
+    const count = await Wishlist.countDocuments({ user: userId });
+    if (count >= MAX_WISHLISTS) {
+        throw createError(`You can keep at most ${MAX_WISHLISTS} wishlists`, 409);
+    }
+    await assertNameAvailable(userId, name);
+
+    await Wishlist.create({ user: userId, name, items: [] });
+    return getWishlists(userId);
+};
+
+/**
+ * Rename a wishlist or make it the default list
+ * switching the default runs in a transaction, a concurrent switch conflicts on the old default and retries
+ * @param {string} userId - The ID of the user
+ * @param {string} listId - The ID of the wishlist
+ * @param {Object} changes
+ * @param {string} changes.name - Optional new name
+ * @param {boolean} changes.isDefault - Optional, true makes the list the default one
+ * @returns {Promise<Array<Object>>} - All wishlists of the user
+ */
+const updateWishlist = async (userId, listId, { name, isDefault } = {}) => {
+    const wishlist = await findOwnWishlist(userId, listId);
+
+    if (name !== undefined) {
+        await assertNameAvailable(userId, name, wishlist._id);
+        wishlist.name = name;
+    }
+    const makeDefault = isDefault && !wishlist.isDefault;
+
+    const session = await mongoose.startSession();
+    try {
+        await session.withTransaction(async () => {
+            if (makeDefault) {
+                await Wishlist.updateMany(
+                    { user: userId, isDefault: true, _id: { $ne: wishlist._id } },
+                    { $set: { isDefault: false } },
+                    { session }
+                );
+                wishlist.isDefault = true;
+            }
+            await wishlist.save({ session });
+        });
+    } finally {
+        session.endSession();
+    }
+    logger.info(`WishlistService: Updated wishlist ${listId} of user ${userId}`);
+    return getWishlists(userId);
+};
+
+/**
+ * Delete a wishlist and its items, the default list cannot be deleted
+ * @param {string} userId - The ID of the user
+ * @param {string} listId - The ID of the wishlist
+ * @returns {Promise<Array<Object>>} - The remaining wishlists of the user
+ * @throws {Error} - 400 for the default list
+ */
+const deleteWishlist = async (userId, listId) => {
+    const wishlist = await findOwnWishlist(userId, listId);
+    if (wishlist.isDefault) {
+        throw createError('The default wishlist cannot be deleted, make another list the default first', 400);
+    }
+
+    await Wishlist.deleteOne({ _id: wishlist._id });
+    logger.info(`WishlistService: Deleted wishlist ${listId} of user ${userId}`);
+    return getWishlists(userId);
+};
+
+/**
+ * Publish a wishlist at a read-only share link or take it down again
+ * publishing gives the list a new random slug, unpublishing drops it so old links stop working
+ * @param {string} userId - The ID of the user
+ * @param {string} listId - The ID of the wishlist
+ * @param {boolean} isPublic - Whether the list should be shared
+ * @returns {Promise<Array<Object>>} - All wishlists of the user
+ */
+const setSharing = async (userId, listId, isPublic) => {
+    const wishlist = await findOwnWishlist(userId, listId);
+
+    if (isPublic && !wishlist.isPublic) {
+        wishlist.isPublic = true;
+        wishlist.shareSlug = crypto.randomBytes(18).toString('base64url');
+    } else if (!isPublic && wishlist.isPublic) {
+        wishlist.isPublic = false;
+        wishlist.shareSlug = undefined;
+    }
+
+    await wishlist.save();
+    logger.info(`WishlistService: Wishlist ${listId} of user ${userId} is now ${wishlist.isPublic ? 'public' : 'private'}`);
+    return getWishlists(userId);
+};
+
+/**
+ * Get a published wishlist by its share slug, for anyone with the link
+ * only the owner's first name and the phones still on sale are shown
+ * @param {string} slug - Share slug of the list
+ * @returns {Promise<Object>} - { name, owner, items: [{ phone, addedAt }], updatedAt }
+ * @throws {Error} - 404 if no public list has this slug
+ */
+const getSharedWishlist = async (slug) => {
+    const wishlist = await Wishlist.findOne({ shareSlug: slug, isPublic: true })
+        .populate({ path: 'user', select: 'firstname' })
+        .populate({ path: 'items.phone', select: `${PHONE_FIELDS} disabled` });
+    if (!wishlist) {
+        throw createError('Shared wishlist not found', 404);
+    }
+
+    const items = wishlist.items
+        .filter(item => item.phone && item.phone.disabled === undefined)
+        .map(item => ({
+            phone: {
+                _id: item.phone._id,
+                title: item.phone.title,
+                price: item.phone.price,
+                image: item.phone.image,
+                stock: item.phone.stock,
+                brand: item.phone.brand
+            },
+            addedAt: item.addedAt
+        }));
+
+    return {
+        name: wishlist.name,
+        owner: wishlist.user?.firstname || '',
+        items,
+        updatedAt: wishlist.updatedAt
+    };
+};
+
 /**
  * Add item to wishlist
  * @param {string} userId - The ID of the user
  * @param {string} phoneId - The ID of the phone to add
- * @returns {Promise<Object>} - A promise that resolves to the updated wishlist
+ * @param {string} listId - Optional wishlist to add to, the default list if omitted
+ * @returns {Promise<Array<Object>>} - A promise that resolves to all wishlists of the user
  */
-const addToWishlist = async (userId, phoneId) => {
+const addToWishlist = async (userId, phoneId, listId = null) => {
     logger.info(`WishlistService: Adding phone ${phoneId} to wishlist for user ${userId}`);
     try {
         // Verify phone exists
         const phone = await Phone.findById(phoneId);
         if (!phone) {
-            throw new Error(`Phone with ID ${phoneId} not found`);
+            throw createError(`Phone with ID ${phoneId} not found`, 404);
         }
 
-        let wishlist = await Wishlist.findOne({ user: userId });
-        if (!wishlist) {
-            wishlist = await Wishlist.create({ user: userId, items: [] });
-        }
+        const wishlist = listId ? await findOwnWishlist(userId, listId) : await getDefaultWishlist(userId);
 
         // Check if item already exists in wishlist
         const itemExists = wishlist.items.some(item => item.phone.toString() === phoneId);
         if (itemExists) {
-            throw new Error('Item already in wishlist');
+            throw createError('Item already in wishlist', 409);
         }
 
-        // Add item to wishlist
-        wishlist.items.push({ phone: phoneId });
+        // Add item to wishlist with the price and stock it had when saved
+        wishlist.items.push({ phone: phoneId, savedPrice: phone.price, savedStock: phone.stock, addedAt: new Date() });
         await wishlist.save();
 
-        // Return updated wishlist with populated phone details
-        return await Wishlist.findById(wishlist._id)
-            .populate({
-                path: 'items.phone',
-                select: 'title price image stock brand'
-            });
+        return await getWishlists(userId);
     } catch (error) {
         logger.error(`WishlistService: Error adding to wishlist for user ${userId}:`, error);
         throw error;
@@ -76,32 +284,59 @@ const addToWishlist = async (userId, phoneId) => {
  * Remove item from wishlist
  * @param {string} userId - The ID of the user
  * @param {string} phoneId - The ID of the phone to remove
- * @returns {Promise<Object>} - A promise that resolves to the updated wishlist
+ * @param {string} listId - Optional wishlist to remove from, every list of the user if omitted
+ * @returns {Promise<Array<Object>>} - A promise that resolves to all wishlists of the user
  */
-const removeFromWishlist = async (userId, phoneId) => {
+const removeFromWishlist = async (userId, phoneId, listId = null) => {
     logger.info(`WishlistService: Removing phone ${phoneId} from wishlist for user ${userId}`);
     try {
-        const wishlist = await Wishlist.findOne({ user: userId });
-        if (!wishlist) {
-            throw new Error('Wishlist not found');
+        const filter = { user: userId };
+        if (listId) {
+            filter._id = (await findOwnWishlist(userId, listId))._id;
         }
 
         // Remove item from wishlist
-        wishlist.items = wishlist.items.filter(item => item.phone.toString() !== phoneId);
-        await wishlist.save();
+        await Wishlist.updateMany(filter, { $pull: { items: { phone: phoneId } } });
 
-        // Return updated wishlist with populated phone details
-        return await Wishlist.findById(wishlist._id)
-            .populate({
-                path: 'items.phone',
-                select: 'title price image stock brand'
-            });
+        return await getWishlists(userId);
     } catch (error) {
         logger.error(`WishlistService: Error removing from wishlist for user ${userId}:`, error);
         throw error;
     }
 };
 
+/**
+ * Move an item to another of the user's wishlists, keeping the price and stock it was saved with
+ * @param {string} userId - The ID of the user
+ * @param {string} phoneId - The ID of the phone to move
+ * @param {string} fromListId - The wishlist holding the item
+ * @param {string} toListId - The wishlist to move it to
+ * @returns {Promise<Array<Object>>} - All wishlists of the user
+ * @throws {Error} - 404 if the item is not on the source list
+ */
+const moveItem = async (userId, phoneId, fromListId, toListId) => {
+    const source = await findOwnWishlist(userId, fromListId);
+    const target = await findOwnWishlist(userId, toListId);
+
+    const item = source.items.find(entry => entry.phone.toString() === phoneId);
+    if (!item) {
+        throw createError('Item not found in wishlist', 404);
+    }
+
+    if (!source._id.equals(target._id)) {
+        // a phone already on the target list is only removed from the source
+        if (!target.items.some(entry => entry.phone.toString() === phoneId)) {
+            target.items.push(item.toObject());
+            await target.save();
+        }
+        source.items = source.items.filter(entry => entry.phone.toString() !== phoneId);
+        await source.save();
+        logger.info(`WishlistService: Moved phone ${phoneId} from wishlist ${fromListId} to ${toListId} for user ${userId}`);
+    }
+
+    return getWishlists(userId);
+};
+
 /**
  * Add wishlist item to cart
  * @param {string} userId - The ID of the user
@@ -140,12 +375,12 @@ const addToCart = async (userId, phoneId) => {
 
             await cart.save({ session });
 
-            // Remove from wishlist
-            const wishlist = await Wishlist.findOne({ user: userId });
-            if (wishlist) {
-                wishlist.items = wishlist.items.filter(item => item.phone.toString() !== phoneId);
-                await wishlist.save({ session });
-            }
+            // Remove from every wishlist of the user
+            await Wishlist.updateMany(
+                { user: userId },
+                { $pull: { items: { phone: phoneId } } },
+                { session }
+            );
 
             // Commit transaction
             await session.commitTransaction();
@@ -154,7 +389,7 @@ const addToCart = async (userId, phoneId) => {
             return await Cart.findById(cart._id)
                 .populate({
                     path: 'items.phone',
-                    select: 'title price image stock brand'
+                    select: PHONE_FIELDS
                 });
         } catch (error) {
             await session.abortTransaction();
@@ -168,9 +403,105 @@ const addToCart = async (userId, phoneId) => {
     }
 };
 
+/**
+ * Alert the users watching a phone after a seller or admin edited it
+ * a price drop is only reported to users who saved the phone at a higher price,
+ * a restock only when the phone was sold out before the edit
+ * @param {Object} previous - Price and stock of the phone before the edit
+ * @param {Object} phone - The phone after the edit
+ * @returns {Promise<number>} - Number of alerts sent
+ */
+const notifyWatchers = async (previous, phone) => {
+    const priceDropped = phone.price < previous.price;
+    const restocked = previous.stock === 0 && phone.stock > 0;
+    if ((!priceDropped && !restocked) || phone.disabled !== undefined) {
+        return 0;
+    }
+
+    let sent = 0;
+    try {
+        const wishlists = await Wishlist.find({ 'items.phone': phone._id }).select('user items');
+
+        // one alert per user, a phone saved on several lists counts with its highest saved price
+        const savedPrices = new Map();
+        wishlists.forEach(wishlist => {
+            const item = wishlist.items.find(entry => entry.phone.toString() === phone._id.toString());
+            const savedPrice = item.savedPrice ?? previous.price;
+            const userId = wishlist.user.toString();
+            savedPrices.set(userId, Math.max(savedPrices.get(userId) ?? 0, savedPrice));
+        });
+
+        for (const [userId, savedPrice] of savedPrices) {
+            if (priceDropped && phone.price < savedPrice) {
+                await notificationService.createNotification({
+                    recipient: userId,
+                    type: 'PRICE_DROP',
+                    title: 'Price drop on your wishlist',
+                    message: `"${phone.title}" dropped to $${phone.price.toFixed(2)}, $${(savedPrice - phone.price).toFixed(2)} less than when you saved it.`,
+                    link: `/phone/${phone._id}`,
+                    data: { phoneId: phone._id, savedPrice, price: phone.price }
+                });
+                sent += 1;
+            }
+
+            if (restocked) {
+                await notificationService.createNotification({
+                    recipient: userId,
+                    type: 'BACK_IN_STOCK',
+                    title: 'Back in stock',
+                    message: `"${phone.title}" from your wishlist is back in stock.`,
+                    link: `/phone/${phone._id}`,
+                    data: { phoneId: phone._id, stock: phone.stock }
+                });
+                sent += 1;
+            }
+        }
+
+        logger.info(`WishlistService: Sent ${sent} wishlist alert(s) for phone ${phone._id}`);
+    } catch (error) {
+        // the edit is saved already, a failed alert must not fail it
+        logger.error(`WishlistService: Error alerting the watchers of phone ${phone._id}:`, error);
+    }
+    return sent;
+};
+
+/**
+ * Replace the one-wishlist-per-user unique index of databases created before named lists existed
+ * users left with several default lists keep the oldest one as their default, so the one default
+ * per user index can be built
+ * @returns {Promise<void>}
+ */
+const syncWishlistIndexes = async () => {
+    try {
+        const duplicates = await Wishlist.aggregate([
+            { $match: { isDefault: true } },
+            { $sort: { createdAt: 1 } },
+            { $group: { _id: '$user', lists: { $push: '$_id' } } },
+            { $match: { 'lists.1': { $exists: true } } }
+        ]);
+        const demoted = duplicates.flatMap(duplicate => duplicate.lists.slice(1));
+        if (demoted.length > 0) {
+            await Wishlist.updateMany({ _id: { $in: demoted } }, { $set: { isDefault: false } });
+            logger.info(`WishlistService: Kept one default wishlist each for ${duplicates.length} user(s)`);
+        }
+
+        await Wishlist.syncIndexes();
+    } catch (error) {
+        logger.error('WishlistService: Error syncing wishlist indexes:', error);
+    }
+};
+
 module.exports = {
-    getWishlist,
+    getWishlists,
+    createWishlist,
+    updateWishlist,
+    deleteWishlist,
+    setSharing,
+    getSharedWishlist,
     addToWishlist,
     removeFromWishlist,
-    addToCart
+    moveItem,
+    addToCart,
+    notifyWatchers,
+    syncWishlistIndexes
 }; 
\ No newline at end of file
@@ -0,0 +1,376 @@
+const jwt = require('jsonwebtoken');
+const { enqueueEmail } = require('./outboxService');
+const { renderPartial } = require('./templateService');
+const logger = require('../../config/logger');
+
+// entries listed in one digest email, the rest are only counted
+const MAX_DIGEST_ENTRIES = 50;
+
+/**
+ * Short order reference used in emails, the invoice number or the end of the order id.
+ * @param {object} order - The order.
+ * @returns {string}
+ */
+const orderNumber = (order) => order.invoiceNumber || `#${order._id.toString().slice(-8).toUpperCase()}`;
+
+/**
+ * Absolute client URL of a client route, e.g. /profile?tab=notifications.
+ * @param {string} route - Client route starting with a slash.
+ * @returns {string}
+ */
+const clientUrl = (route) => `${process.env.FRONTEND_URL}${route}`;
+
+/**
+ * One line summary of order items, e.g. "Galaxy S8 x 2, iPhone X x 1".
+ * @param {Array<object>} items - Items with phone populated (title) and quantity.
+ * @returns {string}
+ */
+const summarizeItems = (items) => items
+  .map(item => `${item.phone?.title || 'Removed listing'} x ${item.quantity}`)
+  .join(', ');
+
+/**
+ * Queues a verification email to a user.
+ *
+ * @param {Object} user - User object for whom to send the verification email.
+ * @param {string} user._id - MongoDB user ID.
+ * @param {string} user.email - User's email address.
+ *
+ * @returns {Promise<Object>} A promise that resolves to an object with success status and outbox ID.
+ * @returns {boolean} result.success - Indicates whether the email was queued.
+ * @returns {string} result.outboxId - The EmailOutbox entry the worker sends.
+ *
+ * @throws {Error} If there's an issue with token generation, rendering or queueing the email.
+ *
+ * @precondition user._id - Must be a valid MongoDB ID.
+ * @precondition user.email - Must be a valid email address.
+ * @precondition Environment variables - JWT_SECRET, FRONTEND_URL, EMAIL_* must be configured.
+ *
+ * @postcondition (Success) - Verification email with a valid JWT token link is queued for the user.
+ * @postcondition (Failure) - Error is thrown with details about the failure.
+ */
+const sendVerificationEmail = async (user) => {
+  try {
+    // Generates a JWT verification token.
+    const token = jwt.sign(
+      { userId: user._id, type: 'verify_email' },
+      process.env.JWT_SECRET,
+      { expiresIn: '24h' } // 24 hours validity
+    );
+
+    // Creates the verification URL.
+    const verificationUrl = `${process.env.FRONTEND_URL}/verify-email?token=${token}`;
+
+    const email = await enqueueEmail({
+      to: user.email,
+      template: 'verifyEmail',
+      data: { verificationUrl }
+    });
+
+    logger.info(`EmailService: Verification email queued: ${email._id}`);
+    return { success: true, outboxId: email._id };
+  } catch (error) {
+    logger.error(`EmailService: Failed to queue verification email for user ${user._id}: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Queues a password reset email to the user.
+ *
+ * @param {object} user - The user object (needs at least email and firstname).
+ * @param {string} token - The password reset token (from PasswordResetToken collection).
+ * @returns {Promise<Object>} A promise that resolves to an object with success status and outbox ID.
+ * @throws {Error} If there's an issue with configuration or queueing the email.
+ * @precondition Environment variables - FRONTEND_URL, EMAIL_* must be configured.
+ */
+const sendPasswordResetEmail = async (user, token) => {
+  logger.info(`EmailService: Initiating password reset email for user ${user._id}`);
+
+  const frontendUrl = process.env.FRONTEND_URL;
+  if (!frontendUrl) {
+       logger.error('EmailService: FRONTEND_URL environment variable is not set. Cannot create reset link.');
+       throw new Error('Frontend URL is not configured.');
+  }
+
+  try {
+      const email = await enqueueEmail({
+          to: user.email,
+          template: 'passwordReset',
+          data: {
+              firstname: user.firstname || 'User',
+              resetUrl: `${frontendUrl}/reset-password?token=${token}`,
+              expiryMinutes: parseInt(process.env.PASSWORD_RESET_TOKEN_EXPIRY_MS, 10) / 60000 || 60
+          }
+      });
+
+      logger.info(`EmailService: Password reset email queued: ${email._id}`);
+      return { success: true, outboxId: email._id };
+
+  } catch (error) {
+      logger.error(`EmailService: Failed to queue password reset email for user ${user._id}: ${error.message}`);
+      throw new Error('Failed to send password reset email.');
+  }
+};
+
+/**
+ * Queues an email to notify the user that the password has been changed.
+ *
+ * @param {object} user - The user object (needs at least email and firstname).
+ * @returns {Promise<Object>} A promise that resolves to an object with success status and outbox ID.
+ * @throws {Error} If there's an issue with queueing the email.
+ * @precondition Environment variables - EMAIL_* must be configured.
+ */
+const sendPasswordChangedEmail = async (user) => {
+  logger.info(`EmailService: Initiating password changed email for user ${user._id}`);
+
+  try {
+      const email = await enqueueEmail({
+          to: user.email,
+          template: 'passwordChanged',
+          data: { firstname: user.firstname || 'User' }
+      });
+
+      logger.info(`EmailService: Password changed email queued: ${email._id}`);
+      return { success: true, outboxId: email._id };
+
+  } catch (error) {
+      logger.error(`EmailService: Failed to queue password changed email for user ${user._id}: ${error.message}`);
+      throw new Error('Failed to send password changed email.');
+  }
+};
+
+/**
+ * Queues the order confirmation email with the invoice attached.
+ *
+ * @param {object} user - The buyer (needs at least email and firstname).
+ * @param {object} order - The order (needs invoiceNumber, totalAmount, _id and items with phone titles).
+ * @param {object} invoice - The invoice attachment.
+ * @param {string} invoice.filename - Attachment file name, e.g. INV-000042.pdf.
+ * @param {Buffer} invoice.content - The PDF.
+ * @returns {Promise<Object>} A promise that resolves to an object with success status and outbox ID.
+ * @throws {Error} If there's an issue with queueing the email.
+ * @precondition Environment variables - FRONTEND_URL, EMAIL_* must be configured.
+ */
+const sendOrderConfirmationEmail = async (user, order, invoice) => {
+  logger.info(`EmailService: Initiating order confirmation email for user ${user._id}`);
+
+  try {
+      const email = await enqueueEmail({
+          to: user.email,
+          template: 'orderPlaced',
+          data: {
+              firstname: user.firstname || 'User',
+              invoiceNumber: order.invoiceNumber,
+              totalAmount: order.totalAmount.toFixed(2),
+              itemSummary: summarizeItems(order.items),
+              orderUrl: clientUrl(`/orders/${order._id}`)
+          },
+          attachments: [{
+              filename: invoice.filename,
+              content: invoice.content,
+              contentType: 'application/pdf'
+          }]
+      });
+
+      logger.info(`EmailService: Order confirmation email queued: ${email._id}`);
+      return { success: true, outboxId: email._id };
+
+  } catch (error) {
+      logger.error(`EmailService: Failed to queue order confirmation email for user ${user._id}: ${error.message}`);
+      throw new Error('Failed to send order confirmation email.');
+  }
+};
+
+/**
+ * Queues the email telling the buyer that items of their order shipped.
+ *
+ * @param {object} user - The buyer (needs at least email and firstname).
+ * @param {object} order - The order (needs _id, invoiceNumber is used when set).
+ * @param {object} shipment - What shipped.
+ * @param {Array<object>} shipment.items - Shipped items with phone populated (title) and quantity.
+ * @param {string} shipment.trackingNumber - Tracking number.
+ * @param {string} shipment.carrier - Optional carrier.
+ * @returns {Promise<Object>} A promise that resolves to an object with success status and outbox ID.
+ * @throws {Error} If there's an issue with queueing the email.
+ * @precondition Environment variables - FRONTEND_URL, EMAIL_* must be configured.
+ */
+const sendOrderShippedEmail = async (user, order, { items, trackingNumber, carrier }) => {
+  try {
+      const email = await enqueueEmail({
+          to: user.email,
+          template: 'orderShipped',
+          data: {
+              firstname: user.firstname || 'User',
+              orderNumber: orderNumber(order),
+              itemSummary: summarizeItems(items),
+              trackingNumber,
+              carrier,
+              orderUrl: clientUrl(`/orders/${order._id}`)
+          }
+      });
+
+      logger.info(`EmailService: Order shipped email queued: ${email._id}`);
+      return { success: true, outboxId: email._id };
+
+  } catch (error) {
+      logger.error(`EmailService: Failed to queue order shipped email for user ${user._id}: ${error.message}`);
+      throw new Error('Failed to send order shipped email.');
+  }
+};
+
+/**
+ * Queues the email telling a seller that a buyer ordered their listings.
+ *
+ * @param {object} seller - The seller (needs at least email and firstname).
+ * @param {object} buyer - The buyer (firstname and lastname).
+ * @param {Array<object>} items - The seller's ordered items with phone populated (title) and quantity.
+ * @returns {Promise<Object>} A promise that resolves to an object with success status and outbox ID.
+ * @throws {Error} If there's an issue with queueing the email.
+ * @precondition Environment variables - FRONTEND_URL, EMAIL_* must be configured.
+ */
+const sendItemSoldEmail = async (seller, buyer, items) => {
+  try {
+      const email = await enqueueEmail({
+          to: seller.email,
+          template: 'itemSold',
+          data: {
+              firstname: seller.firstname || 'User',
+              buyerName: [buyer?.firstname, buyer?.lastname].filter(Boolean).join(' ') || 'A buyer',
+              itemSummary: summarizeItems(items),
+              salesUrl: clientUrl('/profile?tab=mySales')
+          }
+      });
+
+      logger.info(`EmailService: Item sold email queued: ${email._id}`);
+      return { success: true, outboxId: email._id };
+
+  } catch (error) {
+      logger.error(`EmailService: Failed to queue item sold email for seller ${seller._id}: ${error.message}`);
+      throw new Error('Failed to send item sold email.');
+  }
+};
+
+/**
+ * Queues the email telling a seller that one of their phones was reviewed.
+ *
+ * @param {object} seller - The seller (needs at least email and firstname).
+ * @param {object} reviewer - The reviewer (firstname and lastname).
+ * @param {object} phone - The reviewed phone (_id and title).
+ * @param {object} review - The review (rating and comment).
+ * @returns {Promise<Object>} A promise that resolves to an object with success status and outbox ID.
+ * @throws {Error} If there's an issue with queueing the email.
+ * @precondition Environment variables - FRONTEND_URL, EMAIL_* must be configured.
+ */
+const sendReviewReceivedEmail = async (seller, reviewer, phone, review) => {
+  try {
+      const email = await enqueueEmail({
+          to: seller.email,
+          template: 'reviewReceived',
+          data: {
+              firstname: seller.firstname || 'User',
+              reviewerName: [reviewer?.firstname, reviewer?.lastname].filter(Boolean).join(' ') || 'A buyer',
+              phoneTitle: phone.title,
+              rating: review.rating,
+              comment: review.comment,
+              phoneUrl: clientUrl(`/phone/${phone._id}`)
+          }
+      });
+
+      logger.info(`EmailService: Review received email queued: ${email._id}`);
+      return { success: true, outboxId: email._id };
+
+  } catch (error) {
+      logger.error(`EmailService: Failed to queue review received email for seller ${seller._id}: ${error.message}`);
+      throw new Error('Failed to send review received email.');
+  }
+};
+
+/**
+ * Queues the email of a notification event that has no dedicated email.
+ *
+ * @param {object} user - The recipient (needs at least email and firstname).
+ * @param {object} notification - The notification content.
+ * @param {string} notification.title - Short title, used as the subject.
+ * @param {string} notification.message - Notification body.
+ * @param {string} notification.link - Optional client route of the event.
+ * @returns {Promise<Object>} A promise that resolves to an object with success status and outbox ID.
+ * @throws {Error} If there's an issue with queueing the email.
+ * @precondition Environment variables - FRONTEND_URL, EMAIL_* must be configured.
+ */
+const sendNotificationEmail = async (user, { title, message, link }) => {
+  try {
+      const email = await enqueueEmail({
+          to: user.email,
+          template: 'notification',
+          data: {
+              firstname: user.firstname || 'User',
+              title,
+              message: message || '',
+              url: link ? clientUrl(link) : undefined,
+              preferencesUrl: clientUrl('/profile?tab=notifications')
+          }
+      });
+
+      logger.info(`EmailService: Notification email queued: ${email._id}`);
+      return { success: true, outboxId: email._id };
+
+  } catch (error) {
+      logger.error(`EmailService: Failed to queue notification email for user ${user._id}: ${error.message}`);
+      throw new Error('Failed to send notification email.');
+  }
+};
+
+/**
+ * Queues a digest email listing the events batched since the user's last digest.
+ *
+ * @param {object} user - The recipient (needs at least email and firstname).
+ * @param {Array<object>} entries - Digest entries (title, message, link, createdAt), oldest first.
+ * @param {string} frequency - The digest frequency named in the email, daily or weekly.
+ * @returns {Promise<Object>} A promise that resolves to an object with success status and outbox ID.
+ * @throws {Error} If there's an issue with queueing the email.
+ * @precondition Environment variables - FRONTEND_URL, EMAIL_* must be configured.
+ */
+const sendDigestEmail = async (user, entries, frequency) => {
+  try {
+      const listed = entries.slice(0, MAX_DIGEST_ENTRIES).map(entry => ({
+          title: entry.title,
+          message: entry.message || '',
+          url: entry.link ? clientUrl(entry.link) : undefined,
+          date: entry.createdAt.toISOString().slice(0, 10)
+      }));
+
+      const email = await enqueueEmail({
+          to: user.email,
+          template: 'digest',
+          data: {
+              firstname: user.firstname || 'User',
+              frequency,
+              count: entries.length,
+              entriesHtml: listed.map(entry => renderPartial('digestEntry', entry, 'html')).join(''),
+              entriesText: listed.map(entry => renderPartial('digestEntry', entry, 'txt').trim()).join('\n\n'),
+              moreCount: entries.length - listed.length,
+              preferencesUrl: clientUrl('/profile?tab=notifications')
+          }
+      });
+
+      logger.info(`EmailService: Digest email queued: ${email._id}`);
+      return { success: true, outboxId: email._id };
+
+  } catch (error) {
+      logger.error(`EmailService: Failed to queue digest email for user ${user._id}: ${error.message}`);
+      throw new Error('Failed to send digest email.');
+  }
+};
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendPasswordChangedEmail,
+  sendOrderConfirmationEmail,
+  sendOrderShippedEmail,
+  sendItemSoldEmail,
+  sendReviewReceivedEmail,
+  sendNotificationEmail,
+  sendDigestEmail
+};
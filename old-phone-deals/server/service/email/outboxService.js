@@ -0,0 +1,231 @@
+const nodemailer = require('nodemailer');
+const EmailOutbox = require('../../models/emailOutbox');
+const { renderTemplate } = require('./templateService');
+const logger = require('../../config/logger');
+
+const DEFAULT_POLL_INTERVAL_MS = 5 * 1000;
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_RETRY_BASE_MS = 30 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+// a claimed email is picked up again after this, in case its worker died mid-send
+const SEND_TIMEOUT_MS = 2 * 60 * 1000;
+// a send gives up well before SEND_TIMEOUT_MS, so a slow mail server is never sent the same email twice,
+// nodemailer would otherwise wait up to 10 minutes on an idle socket
+const SMTP_TIMEOUTS = {
+    connectionTimeout: 20 * 1000,
+    greetingTimeout: 20 * 1000,
+    socketTimeout: 60 * 1000
+};
+const BATCH_SIZE = 20;
+// sent and failed emails are deleted after this
+const SETTLED_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Creates a mail transporter.
+ * @returns {Object} - Nodemailer transporter.
+ */
+const createTransporter = () => {
+    if (process.env.EMAIL_SERVICE_USING_GMAIL === 'true') {
+        return nodemailer.createTransport({
+            ...SMTP_TIMEOUTS,
+            service: process.env.EMAIL_SERVICE_GMAIL,
+            auth: {
+                user: process.env.EMAIL_USER_GMAIL,
+                pass: process.env.EMAIL_PASS_GMAIL
+            }
+        });
+    }
+    return nodemailer.createTransport({
+        ...SMTP_TIMEOUTS,
+        service: process.env.EMAIL_SERVICE,
+        host: process.env.EMAIL_HOST,
+        port: process.env.EMAIL_PORT,
+        secure: process.env.EMAIL_PORT === '465', // true for 465, false for other ports
+        auth: {
+            user: process.env.EMAIL_USER,
+            pass: process.env.EMAIL_PASS
+        }
+    });
+};
+
+/**
+ * attempts before an email is marked failed
+ * @returns {Number}
+ */
+const getMaxAttempts = () => parseInt(process.env.EMAIL_OUTBOX_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS;
+
+/**
+ * wait before the next attempt, doubling after every failure
+ * @param {Number} attempts - attempts made so far
+ * @returns {Number} - milliseconds
+ */
+const getRetryDelay = (attempts) => {
+    const base = parseInt(process.env.EMAIL_OUTBOX_RETRY_BASE_MS) || DEFAULT_RETRY_BASE_MS;
+    return Math.min(base * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+};
+
+/**
+ * render an email and queue it for the worker, nothing is sent here
+ * @param {Object} email
+ * @param {String} email.to - recipient address
+ * @param {String} email.template - template name
+ * @param {Object} email.data - template variables
+ * @param {Array<Object>} email.attachments - optional attachments (filename, content, contentType)
+ * @returns {Promise<Object>} - the outbox entry
+ * @throws {Error} - for an unknown template or a missing variable
+ */
+const enqueueEmail = async ({ to, template, data, attachments = [] }) => {
+    const rendered = renderTemplate(template, data);
+    const email = await EmailOutbox.create({
+        to,
+        template,
+        ...rendered,
+        attachments,
+        maxAttempts: getMaxAttempts()
+    });
+
+    logger.info(`OutboxService: Queued ${template} email ${email._id}`);
+    return email;
+};
+
+/**
+ * mark failed the emails whose worker died mid-send on their last attempt, they are never claimed again
+ * @returns {Promise<Number>} - emails marked failed
+ */
+const failAbandonedEmails = async () => {
+    const { modifiedCount } = await EmailOutbox.updateMany(
+        { status: 'sending', nextAttemptAt: { $lte: new Date() }, $expr: { $gte: ['$attempts', '$maxAttempts'] } },
+        {
+            $set: {
+                status: 'failed',
+                lastError: 'The worker stopped during the last attempt',
+                expiresAt: new Date(Date.now() + SETTLED_RETENTION_MS)
+            }
+        }
+    );
+    if (modifiedCount > 0) {
+        logger.error(`OutboxService: Gave up on ${modifiedCount} email(s) whose worker stopped during the last attempt`);
+    }
+    return modifiedCount;
+};
+
+/**
+ * claim the next due email, counting the attempt up front so an email that crashes its worker still runs out of attempts
+ * @returns {Promise<Object|null>} - the claimed email, null when nothing is due
+ */
+const claimNextEmail = () => EmailOutbox.findOneAndUpdate(
+    {
+        status: { $in: ['pending', 'sending'] },
+        nextAttemptAt: { $lte: new Date() },
+        $expr: { $lt: ['$attempts', '$maxAttempts'] }
+    },
+    {
+        $set: { status: 'sending', nextAttemptAt: new Date(Date.now() + SEND_TIMEOUT_MS) },
+        $inc: { attempts: 1 }
+    },
+    { sort: { nextAttemptAt: 1 }, new: true }
+);
+
+/**
+ * send one claimed email, on failure schedule a retry or give up after maxAttempts
+ * @param {Object} email - claimed outbox entry
+ * @param {Object} transporter - nodemailer transporter
+ * @returns {Promise<String>} - 'sent', 'retrying' or 'failed'
+ */
+const deliverEmail = async (email, transporter) => {
+    try {
+        const info = await transporter.sendMail({
+            from: `"OldPhone Team" <${process.env.EMAIL_FROM}>`,
+            to: email.to,
+            subject: email.subject,
+            html: email.html,
+            text: email.text,
+            attachments: email.attachments.map(({ filename, content, contentType }) => ({ filename, content, contentType }))
+        });
+
+        email.status = 'sent';
+        email.sentAt = new Date();
+        email.messageId = info.messageId;
+        email.lastError = undefined;
+        email.expiresAt = new Date(Date.now() + SETTLED_RETENTION_MS);
+        await email.save();
+
+        logger.info(`OutboxService: Sent ${email.template} email ${email._id}: ${info.messageId}`);
+        return 'sent';
+    } catch (error) {
+        email.lastError = error.message;
+
+        if (email.attempts >= email.maxAttempts) {
+            email.status = 'failed';
+            email.expiresAt = new Date(Date.now() + SETTLED_RETENTION_MS);
+            logger.error(`OutboxService: Gave up on ${email.template} email ${email._id} after ${email.attempts} attempt(s): ${error.message}`);
+        } else {
+            email.status = 'pending';
+            email.nextAttemptAt = new Date(Date.now() + getRetryDelay(email.attempts));
+            logger.warn(`OutboxService: Attempt ${email.attempts} of ${email.template} email ${email._id} failed, retrying at ${email.nextAttemptAt.toISOString()}: ${error.message}`);
+        }
+
+        await email.save();
+        return email.status === 'failed' ? 'failed' : 'retrying';
+    }
+};
+
+/**
+ * send the emails that are due
+ * @param {Object} options
+ * @param {Number} options.limit - most emails to send in this run
+ * @returns {Promise<Object>} - { sent, retrying, failed } counts
+ */
+const processOutbox = async ({ limit = BATCH_SIZE } = {}) => {
+    const result = { sent: 0, retrying: 0, failed: await failAbandonedEmails() };
+    let transporter;
+
+    for (let i = 0; i < limit; i++) {
+        const email = await claimNextEmail();
+        if (!email) {
+            break;
+        }
+        // one connection setup per run, only once there is something to send
+        transporter = transporter || createTransporter();
+        result[await deliverEmail(email, transporter)] += 1;
+    }
+
+    if (transporter) {
+        transporter.close();
+    }
+    return result;
+};
+
+let processing = false;
+
+/**
+ * start the background worker that sends queued emails
+ * @param {Number} intervalMs - how often to look for due emails
+ * @returns {NodeJS.Timeout} - the interval
+ */
+const startOutboxWorker = (intervalMs = parseInt(process.env.EMAIL_OUTBOX_POLL_MS) || DEFAULT_POLL_INTERVAL_MS) => {
+    const timer = setInterval(() => {
+        // a slow mail server must not stack up runs
+        if (processing) {
+            return;
+        }
+        processing = true;
+        processOutbox()
+            .catch(error => logger.error('OutboxService: Processing failed:', error))
+            .finally(() => {
+                processing = false;
+            });
+    }, intervalMs);
+    timer.unref();
+
+    logger.info(`OutboxService: Sending queued emails every ${intervalMs}ms, up to ${getMaxAttempts()} attempt(s) each`);
+    return timer;
+};
+
+module.exports = {
+    createTransporter,
+    getRetryDelay,
+    enqueueEmail,
+    processOutbox,
+    startOutboxWorker
+};
@@ -0,0 +1,162 @@
+const fs = require('fs');
+const path = require('path');
+
+const TEMPLATE_DIR = path.join(__dirname, '../../templates/email');
+
+/**
+ * email templates, each has <name>.html and <name>.txt in templates/email rendered inside a layout
+ * subject and title accept the same {{variables}} as the body
+ */
+const TEMPLATES = {
+    verifyEmail: {
+        subject: 'Email Verification',
+        title: 'Welcome to OldPhone'
+    },
+    passwordReset: {
+        subject: 'Password Reset Request for OldPhone',
+        title: 'Password Reset for OldPhone'
+    },
+    passwordChanged: {
+        subject: 'Password Changed for OldPhone',
+        title: 'Password Changed for OldPhone'
+    },
+    orderPlaced: {
+        subject: 'Your OldPhone order - invoice {{invoiceNumber}}',
+        title: 'Thank you for your order'
+    },
+    orderShipped: {
+        subject: 'Your OldPhone order {{orderNumber}} has shipped',
+        title: 'Your order is on its way'
+    },
+    itemSold: {
+        subject: 'You sold {{itemSummary}} on OldPhone',
+        title: 'You made a sale'
+    },
+    reviewReceived: {
+        subject: 'New {{rating}}-star review on {{phoneTitle}}',
+        title: 'New review on your phone'
+    },
+    notification: {
+        subject: '{{title}}',
+        title: '{{title}}'
+    },
+    digest: {
+        subject: 'Your {{frequency}} OldPhone digest: {{count}} update(s)',
+        title: 'Your {{frequency}} digest'
+    }
+};
+
+const DEFAULT_LAYOUT = 'default';
+
+// template files never change while the server runs
+const fileCache = new Map();
+
+/**
+ * read a template file once
+ * @param {String} relativePath - path inside templates/email
+ * @returns {String}
+ */
+const readTemplateFile = (relativePath) => {
+    if (!fileCache.has(relativePath)) {
+        fileCache.set(relativePath, fs.readFileSync(path.join(TEMPLATE_DIR, relativePath), 'utf8'));
+    }
+    return fileCache.get(relativePath);
+};
+
+/**
+ * escape a value for an HTML body
+ * @param {*} value
+ * @returns {String}
+ */
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * look up a dotted variable name, e.g. order.invoiceNumber
+ * @param {Object} data - template variables
+ * @param {String} name - variable name
+ * @returns {*} - undefined when the variable is not set
+ */
+const lookup = (data, name) => name.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+
+/**
+ * fill a template string
+ * {{name}} is replaced by the variable (HTML escaped when escape is on), {{{name}}} is never escaped,
+ * {{#if name}}...{{/if}} keeps its content only when the variable is truthy
+ * @param {String} source - template string
+ * @param {Object} data - template variables
+ * @param {Object} options
+ * @param {Boolean} options.escape - escape values for HTML
+ * @returns {String}
+ * @throws {Error} - if a variable used outside an if block is missing, so a typo never reaches a customer
+ */
+const renderString = (source, data, { escape = true } = {}) => {
+    const resolve = (name) => {
+        const value = lookup(data, name);
+        if (value === undefined || value === null) {
+            throw new Error(`Missing email template variable: ${name}`);
+        }
+        return value;
+    };
+
+    return source
+        .replace(/{{#if ([\w.]+)}}([\s\S]*?){{\/if}}/g, (match, name, content) => (lookup(data, name) ? content : ''))
+        // one pass, so braces inside inserted values are never read as variables
+        .replace(/{{({)?\s*([\w.]+)\s*}?}}/g, (match, raw, name) => (
+            escape && !raw ? escapeHtml(resolve(name)) : String(resolve(name))
+        ));
+};
+
+/**
+ * render a partial from templates/email/partials, used for repeated blocks that are then passed to a template
+ * as a {{{raw}}} variable, e.g. the entries of a digest
+ * @param {String} name - partial name
+ * @param {Object} data - partial variables
+ * @param {String} format - 'html' or 'txt'
+ * @returns {String}
+ * @throws {Error} - for a missing variable
+ */
+const renderPartial = (name, data, format) => (
+    renderString(readTemplateFile(`partials/${name}.${format}`), data, { escape: format === 'html' })
+);
+
+/**
+ * render an email from its template and layout
+ * @param {String} name - template name, one of TEMPLATES
+ * @param {Object} data - template variables
+ * @param {Object} options
+ * @param {String} options.layout - layout in templates/email/layouts
+ * @returns {Object} - { subject, html, text }
+ * @throws {Error} - for an unknown template or a missing variable
+ */
+const renderTemplate = (name, data = {}, { layout = DEFAULT_LAYOUT } = {}) => {
+    const template = TEMPLATES[name];
+    if (!template) {
+        throw new Error(`Unknown email template: ${name}`);
+    }
+
+    // plain text keeps values as they are, only HTML needs escaping
+    const subject = renderString(template.subject, data, { escape: false });
+    const title = renderString(template.title, data, { escape: false });
+
+    const htmlBody = renderString(readTemplateFile(`${name}.html`), data);
+    const textBody = renderString(readTemplateFile(`${name}.txt`), data, { escape: false });
+
+    return {
+        subject,
+        html: renderString(readTemplateFile(`layouts/${layout}.html`), { title, body: htmlBody.trim() }),
+        text: renderString(readTemplateFile(`layouts/${layout}.txt`), { title, body: textBody.trim() }, { escape: false })
+    };
+};
+
+module.exports = {
+    TEMPLATES,
+    escapeHtml,
+    renderString,
+    renderPartial,
+    renderTemplate
+};
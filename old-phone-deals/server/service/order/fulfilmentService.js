@@ -0,0 +1,271 @@
+const mongoose = require('mongoose');
+const Fulfilment = require('../../models/fulfilment');
+const { FULFILMENT_STATUSES, FULFILMENT_TRANSITIONS } = require('../../models/fulfilment');
+const Order = require('../../models/order');
+const { ORDER_TRANSITIONS } = require('../../models/order');
+const Phone = require('../../models/phone');
+const paymentService = require('../payment/paymentService');
+const { getTaxRule } = require('./pricingService');
+const logger = require('../../config/logger');
+const notificationService = require('../user/notificationService');
+const { createError } = require('../../utils/errorHelper');
+
+// parent order statuses in which the payment is captured, a seller can only ship or cancel their part then
+const CAPTURED_ORDER_STATUSES = ['paid', 'shipped'];
+
+/**
+ * create one fulfilment per seller for a new order
+ * @param {Object} order - saved or unsaved parent order
+ * @param {Map<String, String>} sellerByPhone - phone id -> seller id
+ * @param {mongoose.ClientSession} session - checkout transaction session
+ * @param {Map<String, Number>} [shippingBySeller] - seller id -> shipping charged for that seller's parcel
+ * @returns {Promise<Array<Object>>} - created fulfilments
+ */
+const createFulfilmentsForOrder = async (order, sellerByPhone, session, shippingBySeller = new Map()) => {
+    const itemsBySeller = new Map();
+
+    order.items.forEach(item => {
+        const sellerId = sellerByPhone.get(item.phone.toString());
+        if (!sellerId) {
+            return;
+        }
+        if (!itemsBySeller.has(sellerId)) {
+            itemsBySeller.set(sellerId, []);
+        }
+        itemsBySeller.get(sellerId).push(item);
+    });
+
+    const fulfilments = [...itemsBySeller].map(([sellerId, items]) => ({
+        order: order._id,
+        seller: sellerId,
+        buyer: order.user,
+        items: items.map(item => ({ phone: item.phone, quantity: item.quantity, price: item.price, discount: item.discount || 0 })),
+        subtotal: items.reduce((sum, item) => sum + item.price * item.quantity - (item.discount || 0), 0),
+        shippingCost: shippingBySeller.get(sellerId) || 0,
+        status: 'pending',
+        statusHistory: [{ status: 'pending', changedAt: new Date(), changedBy: order.user }]
+    }));
+
+    const created = await Fulfilment.insertMany(fulfilments, { session });
+    logger.info(`FulfilmentService: Created ${created.length} fulfilment(s) for order ${order._id}`);
+    return created;
+};
+
+/**
+ * get the fulfilments a seller has to ship, newest first
+ * @param {String} sellerId - seller id
+ * @param {Object} options
+ * @param {Number} options.page - page number (1-based)
+ * @param {Number} options.limit - page size
+ * @param {String} options.status - optional status filter
+ * @returns {Promise<Object>} - { fulfilments, total }
+ */
+const getSellerFulfilments = async (sellerId, { page = 1, limit = 10, status } = {}) => {
+    try {
+        const filter = { seller: sellerId };
+        if (status && FULFILMENT_STATUSES.includes(status)) {
+            filter.status = status;
+        }
+
+        const [fulfilments, total] = await Promise.all([
+            Fulfilment.find(filter)
+                .populate('buyer', 'firstname lastname email')
+                .populate('items.phone', 'title brand image')
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            Fulfilment.countDocuments(filter)
+        ]);
+
+        return { fulfilments, total };
+    } catch (error) {
+        logger.error(`FulfilmentService: Error fetching fulfilments for seller ${sellerId}: ${error.message}`);
+        throw new Error('Failed to fetch sales');
+    }
+};
+
+/**
+ * the refund owed for a cancelled fulfilment: its discounted items and shipping plus their tax
+ * @param {Object} order - parent order
+ * @param {Object} fulfilment - cancelled fulfilment
+ * @returns {Number}
+ */
+const calculateCancellationRefund = (order, fulfilment) => {
+    const goodsCents = Math.round(fulfilment.subtotal * 100);
+    const shippingCents = Math.round((fulfilment.shippingCost || 0) * 100);
+    const taxableCents = goodsCents + (getTaxRule().includesShipping ? shippingCents : 0);
+    const taxCents = Math.round(taxableCents * (order.taxRate || 0) / 100);
+    return (goodsCents + shippingCents + taxCents) / 100;
+};
+
+/**
+ * restock and refund the items of a fulfilment its seller cancelled, must run inside the transaction
+ * that cancels it. The parent order is cancelled too once none of its fulfilments is left
+ * @param {Object} order - parent order loaded in the session
+ * @param {Object} fulfilment - fulfilment loaded in the session
+ * @param {String} sellerId - id of the seller cancelling
+ * @param {mongoose.ClientSession} session - transaction session
+ */
+const cancelSellerItems = async (order, fulfilment, sellerId, session) => {
+    // units already given back, e.g. by a refunded return, are not restocked twice
+    const restored = new Map();
+    order.stockRestorations.forEach(restoration => {
+        const phoneId = restoration.phone.toString();
+        restored.set(phoneId, (restored.get(phoneId) || 0) + restoration.quantity);
+    });
+
+    for (const item of fulfilment.items) {
+        const quantity = item.quantity - (restored.get(item.phone.toString()) || 0);
+        if (quantity <= 0) {
+            continue;
+        }
+        await Phone.updateOne({ _id: item.phone }, { $inc: { stock: quantity } }, { session });
+        order.stockRestorations.push({
+            phone: item.phone,
+            quantity,
+            reason: 'cancelled',
+            restoredAt: new Date(),
+            restoredBy: sellerId
+        });
+    }
+
+    // never refund more than the order has left
+    const amount = Math.min(
+        calculateCancellationRefund(order, fulfilment),
+        Number((order.totalAmount - order.refundedTotal).toFixed(2))
+    );
+    if (amount > 0) {
+        await paymentService.refundPartialPayment(order._id, amount, fulfilment._id.toString(), session);
+        order.refundedTotal = Number((order.refundedTotal + amount).toFixed(2));
+    }
+
+    const openCount = await Fulfilment.countDocuments({
+        order: order._id,
+        _id: { $ne: fulfilment._id },
+        status: { $ne: 'cancelled' }
+    }).session(session);
+    if (openCount === 0 && ORDER_TRANSITIONS[order.status].includes('cancelled')) {
+        order.statusHistory.push({
+            status: 'cancelled',
+            from: order.status,
+            changedAt: new Date(),
+            changedBy: sellerId,
+            note: 'Every seller cancelled their items'
+        });
+        order.status = 'cancelled';
+        order.stockRestored = true;
+    }
+
+    await order.save({ session });
+    logger.info(`FulfilmentService: Restocked and refunded ${amount} for cancelled fulfilment ${fulfilment._id} of order ${order._id}`);
+};
+
+/**
+ * move a seller's fulfilment to a new state
+ * shipping and cancelling need the parent order's payment captured, cancelling restocks the seller's items
+ * and refunds them in the same transaction
+ * @param {String} sellerId - id of the seller making the change
+ * @param {String} fulfilmentId - fulfilment id
+ * @param {String} status - requested status
+ * @param {Object} options
+ * @param {String} options.trackingNumber - tracking number, required when shipping
+ * @param {String} options.carrier - shipping carrier
+ * @param {String} options.note - optional note for the history entry
+ * @returns {Promise<Object>} - updated fulfilment
+ * @throws {Error} - 400 for illegal transitions or an unpaid parent order, 404 if the fulfilment is not the seller's
+ */
+const updateFulfilmentStatus = async (sellerId, fulfilmentId, status, { trackingNumber, carrier, note } = {}) => {
+    if (!FULFILMENT_STATUSES.includes(status)) {
+        throw createError(`Invalid status: ${status}`, 400);
+    }
+
+    if (status === 'shipped' && (!trackingNumber || !String(trackingNumber).trim())) {
+        throw createError('Tracking number is required to ship a sale', 400);
+    }
+
+    const session = await mongoose.startSession();
+    try {
+        let fulfilment;
+        let from;
+
+        // withTransaction retries on write conflicts, so concurrent updates re-read the latest status
+        await session.withTransaction(async () => {
+            fulfilment = await Fulfilment.findOne({ _id: fulfilmentId, seller: sellerId }).session(session);
+            if (!fulfilment) {
+                throw createError('Sale not found', 404);
+            }
+
+            from = fulfilment.status;
+            if (!FULFILMENT_TRANSITIONS[from].includes(status)) {
+                throw createError(`Illegal status transition: ${from} -> ${status}`, 400);
+            }
+
+            if (status === 'shipped' || status === 'cancelled') {
+                const order = await Order.findById(fulfilment.order).session(session);
+                if (!order) {
+                    throw createError('Order not found', 404);
+                }
+                if (!CAPTURED_ORDER_STATUSES.includes(order.status)) {
+                    throw createError(`The order is ${order.status}, a sale can only be ${status} once the order is paid`, 400);
+                }
+                if (status === 'cancelled') {
+                    await cancelSellerItems(order, fulfilment, sellerId, session);
+                }
+            }
+
+            if (status === 'shipped') {
+                fulfilment.trackingNumber = String(trackingNumber).trim();
+                if (carrier) {
+                    fulfilment.carrier = carrier;
+                }
+            }
+
+            fulfilment.status = status;
+            fulfilment.statusHistory.push({ status, from, changedAt: new Date(), changedBy: sellerId, note });
+            await fulfilment.save({ session });
+        });
+
+        logger.info(`FulfilmentService: Fulfilment ${fulfilmentId} moved from ${from} to ${status} by seller ${sellerId}`);
+
+        if (status === 'shipped') {
+            await notificationService.notifyBuyerOfShipment(fulfilment.order, {
+                items: fulfilment.items,
+                trackingNumber: fulfilment.trackingNumber,
+                carrier: fulfilment.carrier
+            });
+        }
+
+        return fulfilment;
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * cancel every fulfilment of an order that has not shipped yet, used when the parent order is cancelled or refunded
+ * @param {String} orderId - parent order id
+ * @param {String} changedBy - id of the user changing the parent order
+ * @param {mongoose.ClientSession} session - transaction session
+ */
+const cancelOpenFulfilments = async (orderId, changedBy, session) => {
+    const openFulfilments = await Fulfilment.find({ order: orderId, status: 'pending' }).session(session);
+
+    for (const fulfilment of openFulfilments) {
+        fulfilment.statusHistory.push({
+            status: 'cancelled',
+            from: fulfilment.status,
+            changedAt: new Date(),
+            changedBy,
+            note: 'Parent order cancelled'
+        });
+        fulfilment.status = 'cancelled';
+        await fulfilment.save({ session });
+    }
+};
+
+module.exports = {
+    createFulfilmentsForOrder,
+    getSellerFulfilments,
+    updateFulfilmentStatus,
+    cancelOpenFulfilments
+};
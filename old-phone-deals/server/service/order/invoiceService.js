@@ -0,0 +1,331 @@
+const PDFDocument = require('pdfkit');
+const mongoose = require('mongoose');
+const Order = require('../../models/order');
+const Fulfilment = require('../../models/fulfilment');
+const Payment = require('../../models/payment');
+const Counter = require('../../models/counter');
+const { getTaxRule } = require('./pricingService');
+const { sendOrderConfirmationEmail } = require('../email/emailService');
+const logger = require('../../config/logger');
+const { createError } = require('../../utils/errorHelper');
+
+const INVOICE_SEQUENCE = 'invoice';
+const INVOICE_PREFIX = 'INV-';
+
+// A4 page layout in points
+const PAGE_MARGIN = 50;
+const PAGE_BOTTOM = 770;
+const ROW_HEIGHT = 18;
+
+/**
+ * take the next invoice number, e.g. INV-000042
+ * inside the checkout transaction the increment rolls back with an aborted order, so numbers have no gaps
+ * @param {mongoose.ClientSession} [session] - optional transaction session
+ * @returns {Promise<String>}
+ */
+const nextInvoiceNumber = async (session = null) => {
+    const counter = await Counter.findOneAndUpdate(
+        { _id: INVOICE_SEQUENCE },
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true, session }
+    );
+    return `${INVOICE_PREFIX}${String(counter.seq).padStart(6, '0')}`;
+};
+
+/**
+ * give an order placed before invoice numbers existed its number on first download
+ * the number is taken and set on the order in one transaction, a concurrent download conflicts on the
+ * counter, retries and finds the order already numbered, so no number is lost
+ * @param {Object} order - order document
+ * @returns {Promise<String>} - the order's invoice number
+ */
+const ensureInvoiceNumber = async (order) => {
+    if (order.invoiceNumber) {
+        return order.invoiceNumber;
+    }
+    const session = await mongoose.startSession();
+    try {
+        await session.withTransaction(async () => {
+            const current = await Order.findById(order._id).select('invoiceNumber').session(session);
+            if (current.invoiceNumber) {
+                order.invoiceNumber = current.invoiceNumber;
+                return;
+            }
+            const invoiceNumber = await nextInvoiceNumber(session);
+            await Order.updateOne({ _id: order._id }, { $set: { invoiceNumber } }, { session });
+            order.invoiceNumber = invoiceNumber;
+        });
+    } finally {
+        session.endSession();
+    }
+    return order.invoiceNumber;
+};
+
+/**
+ * load an order with everything printed on its invoice
+ * @param {Object} query - order filter, scoped to the buyer for buyer downloads
+ * @returns {Promise<Object>} - { order, fulfilments, payment }
+ * @throws {Error} - 400 for a malformed id, 404 if the order is not found
+ */
+const loadInvoiceData = async (query) => {
+    if (!mongoose.Types.ObjectId.isValid(query._id)) {
+        throw createError(`Invalid orderId format: ${query._id}`, 400);
+    }
+
+    const order = await Order.findOne(query)
+        .populate('user', 'firstname lastname email')
+        .populate('items.phone', 'title brand');
+    if (!order) {
+        throw createError('Order not found', 404);
+    }
+
+    const [fulfilments, payment] = await Promise.all([
+        Fulfilment.find({ order: order._id }).populate('seller', 'firstname lastname email'),
+        Payment.findOne({ order: order._id })
+    ]);
+
+    await ensureInvoiceNumber(order);
+    return { order, fulfilments, payment };
+};
+
+/**
+ * format an amount as dollars
+ * @param {Number} amount
+ * @returns {String}
+ */
+const money = (amount) => `$${Number(amount || 0).toFixed(2)}`;
+
+/**
+ * full name of a populated user, or a fallback
+ * @param {Object} user - populated user
+ * @param {String} fallback - text when the user was deleted
+ * @returns {String}
+ */
+const fullName = (user, fallback) => (user ? `${user.firstname} ${user.lastname}` : fallback);
+
+/**
+ * describe how the order was paid, so the invoice doubles as a receipt
+ * @param {Object} order - order document
+ * @param {Object|null} payment - payment of the order
+ * @returns {String}
+ */
+const describePayment = (order, payment) => {
+    if (!payment) {
+        return order.status === 'placed' ? 'Awaiting payment' : 'Paid';
+    }
+    const card = payment.last4 ? ` by card ending ${payment.last4}` : '';
+    switch (payment.status) {
+        case 'captured':
+            return `Paid${card} on ${payment.updatedAt.toISOString().split('T')[0]}`;
+        case 'partially_refunded':
+            return `Paid${card}, $${payment.refundedAmount.toFixed(2)} refunded for returned items`;
+        case 'refunded':
+            return `Refunded${card}`;
+        case 'failed':
+        case 'voided':
+            return 'Payment failed';
+        default:
+            return 'Awaiting payment';
+    }
+};
+
+/**
+ * draw one table row, adding a page first if the row would not fit
+ * @param {PDFDocument} doc - document being drawn
+ * @param {Array<Object>} columns - { x, width, align }
+ * @param {Array<String>} values - cell text, one per column
+ * @param {Object} [options]
+ * @param {Boolean} [options.bold] - draw the row in bold
+ */
+const drawRow = (doc, columns, values, { bold = false } = {}) => {
+    if (doc.y + ROW_HEIGHT > PAGE_BOTTOM) {
+        doc.addPage();
+    }
+    const y = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    columns.forEach((column, index) => {
+        doc.text(values[index], column.x, y, { width: column.width, height: 11, align: column.align || 'left', ellipsis: true });
+    });
+    doc.x = PAGE_MARGIN;
+    doc.y = y + ROW_HEIGHT;
+};
+
+/**
+ * draw a horizontal rule across the page
+ * @param {PDFDocument} doc - document being drawn
+ */
+const drawRule = (doc) => {
+    doc.moveTo(PAGE_MARGIN, doc.y - 4).lineTo(doc.page.width - PAGE_MARGIN, doc.y - 4).strokeColor('#cccccc').stroke();
+};
+
+const ITEM_COLUMNS = [
+    { x: 50, width: 170 },
+    { x: 225, width: 110 },
+    { x: 340, width: 35, align: 'right' },
+    { x: 380, width: 60, align: 'right' },
+    { x: 445, width: 50, align: 'right' },
+    { x: 495, width: 50, align: 'right' }
+];
+
+const SELLER_COLUMNS = [
+    { x: 50, width: 230 },
+    { x: 285, width: 80, align: 'right' },
+    { x: 370, width: 80, align: 'right' },
+    { x: 455, width: 90, align: 'right' }
+];
+
+const TOTAL_COLUMNS = [
+    { x: 300, width: 150, align: 'right' },
+    { x: 455, width: 90, align: 'right' }
+];
+
+/**
+ * render an order's invoice
+ * @param {Object} data - { order, fulfilments, payment } from loadInvoiceData
+ * @returns {Promise<Buffer>} - the PDF
+ */
+const renderInvoicePdf = ({ order, fulfilments, payment }) => new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN, info: { Title: `Invoice ${order.invoiceNumber}` } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const taxRule = getTaxRule();
+    const sellerByPhone = new Map();
+    fulfilments.forEach(fulfilment => {
+        fulfilment.items.forEach(item => sellerByPhone.set(item.phone.toString(), fulfilment.seller));
+    });
+
+    // header
+    doc.font('Helvetica-Bold').fontSize(20).text('OldPhone Deals', PAGE_MARGIN, PAGE_MARGIN);
+    doc.font('Helvetica').fontSize(12).text(order.taxTotal > 0 ? `Tax invoice (${taxRule.label})` : 'Invoice');
+    doc.fontSize(10)
+        .text(`Invoice number: ${order.invoiceNumber}`, 350, PAGE_MARGIN, { width: 195, align: 'right' })
+        .text(`Order: ${order._id.toString().slice(-8).toUpperCase()}`, { width: 195, align: 'right' })
+        .text(`Date: ${order.createdAt.toISOString().split('T')[0]}`, { width: 195, align: 'right' })
+        .text(describePayment(order, payment), { width: 195, align: 'right' });
+
+    // buyer and delivery address
+    doc.x = PAGE_MARGIN;
+    doc.y = 140;
+    doc.font('Helvetica-Bold').fontSize(10).text('Bill to');
+    doc.font('Helvetica').text(fullName(order.user, 'Deleted user'));
+    if (order.user?.email) {
+        doc.text(order.user.email);
+    }
+    const address = order.shippingAddress;
+    if (address) {
+        doc.moveDown(0.5).font('Helvetica-Bold').text('Ship to');
+        doc.font('Helvetica').text(address.recipient).text(address.line1);
+        if (address.line2) {
+            doc.text(address.line2);
+        }
+        doc.text(`${address.city}, ${address.state} ${address.postcode}`).text(address.country);
+    }
+
+    // line items
+    doc.moveDown(1.5);
+    drawRow(doc, ITEM_COLUMNS, ['Item', 'Seller', 'Qty', 'Unit price', 'Discount', 'Amount'], { bold: true });
+    drawRule(doc);
+    order.items.forEach(item => {
+        const title = item.phone ? `${item.phone.brand} ${item.phone.title}` : 'Removed listing';
+        drawRow(doc, ITEM_COLUMNS, [
+            title,
+            fullName(item.phone ? sellerByPhone.get(item.phone._id.toString()) : null, '-'),
+            String(item.quantity),
+            money(item.price),
+            item.discount ? `-${money(item.discount)}` : '-',
+            money(item.price * item.quantity - (item.discount || 0))
+        ]);
+    });
+
+    // per seller breakdown, one parcel per seller
+    if (fulfilments.length > 0) {
+        doc.moveDown(1);
+        drawRow(doc, SELLER_COLUMNS, ['Seller', 'Items', 'Shipping', 'Subtotal'], { bold: true });
+        drawRule(doc);
+        fulfilments.forEach(fulfilment => {
+            drawRow(doc, SELLER_COLUMNS, [
+                fullName(fulfilment.seller, 'Deleted seller'),
+                money(fulfilment.subtotal),
+                money(fulfilment.shippingCost),
+                money(fulfilment.subtotal + (fulfilment.shippingCost || 0))
+            ]);
+        });
+    }
+
+    // totals, orders placed before shipping and tax only have a total
+    doc.moveDown(1);
+    const subtotal = order.subtotal ?? order.items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+    drawRow(doc, TOTAL_COLUMNS, ['Subtotal', money(subtotal)]);
+    if (order.discountTotal > 0) {
+        drawRow(doc, TOTAL_COLUMNS, [`Discount${order.promotion ? ` (${order.promotion.code})` : ''}`, `-${money(order.discountTotal)}`]);
+    }
+    drawRow(doc, TOTAL_COLUMNS, ['Shipping', money(order.shippingTotal)]);
+    if (order.taxTotal > 0) {
+        drawRow(doc, TOTAL_COLUMNS, [taxRule.label, money(order.taxTotal)]);
+    }
+    drawRule(doc);
+    drawRow(doc, TOTAL_COLUMNS, ['Total', money(order.totalAmount)], { bold: true });
+
+    doc.end();
+});
+
+/**
+ * file name of an order's invoice
+ * @param {Object} order - order with an invoice number
+ * @returns {String}
+ */
+const invoiceFilename = (order) => `${order.invoiceNumber}.pdf`;
+
+/**
+ * render the invoice of one of a buyer's orders
+ * @param {String} userId - buyer id
+ * @param {String} orderId - order id
+ * @returns {Promise<Object>} - { filename, pdf }
+ * @throws {Error} - 404 if the order does not exist or belongs to someone else
+ */
+const getBuyerInvoice = async (userId, orderId) => {
+    // scoping by user keeps other users' orders invisible instead of forbidden
+    const data = await loadInvoiceData({ _id: orderId, user: userId });
+    return { filename: invoiceFilename(data.order), pdf: await renderInvoicePdf(data) };
+};
+
+/**
+ * render the invoice of any order, for admins
+ * @param {String} orderId - order id
+ * @returns {Promise<Object>} - { filename, pdf }
+ * @throws {Error} - 404 if the order does not exist
+ */
+const getInvoice = async (orderId) => {
+    const data = await loadInvoiceData({ _id: orderId });
+    return { filename: invoiceFilename(data.order), pdf: await renderInvoicePdf(data) };
+};
+
+/**
+ * email the buyer their order confirmation with the invoice attached
+ * a failed email is logged and never fails the checkout that triggered it
+ * @param {String} orderId - order id
+ */
+const sendInvoiceEmail = async (orderId) => {
+    try {
+        const data = await loadInvoiceData({ _id: orderId });
+        if (!data.order.user?.email) {
+            return;
+        }
+        const pdf = await renderInvoicePdf(data);
+        await sendOrderConfirmationEmail(data.order.user, data.order, { filename: invoiceFilename(data.order), content: pdf });
+        logger.info(`InvoiceService: Sent invoice ${data.order.invoiceNumber} for order ${orderId}`);
+    } catch (error) {
+        logger.error(`InvoiceService: Failed to send invoice email for order ${orderId}:`, error);
+    }
+};
+
+module.exports = {
+    nextInvoiceNumber,
+    renderInvoicePdf,
+    getBuyerInvoice,
+    getInvoice,
+    sendInvoiceEmail
+};
@@ -1,6 +1,13 @@
 const Order = require('../../models/order');
+const { ORDER_STATUSES, ORDER_TRANSITIONS } = require('../../models/order');
+const Phone = require('../../models/phone');
+const mongoose = require('mongoose');
+const fulfilmentService = require('./fulfilmentService');
+const paymentService = require('../payment/paymentService');
+const notificationService = require('../user/notificationService');
 const logger = require('../../config/logger');
 const { parse } = require('json2csv');
+const { createError } = require('../../utils/errorHelper');
 
 
 
@@ -39,18 +46,26 @@ const exportOrders = async ({ format }) => {
         // Transform data to required format
         const exportData = orders.map(order => ({
             timestamp: order.createdAt,
+            invoiceNumber: order.invoiceNumber || '',
             buyerName: `${order.user.firstname} ${order.user.lastname}`,
             itemsPurchased: order.items.map(item => `${item.phone.title} x ${item.quantity} ${item.phone.brand} Price: $ ${item.price}`).join(' ｜ '),
-            totalAmount: order.totalAmount
+            shippingTotal: order.shippingTotal || 0,
+            taxTotal: order.taxTotal || 0,
+            totalAmount: order.totalAmount,
+            refundedTotal: order.refundedTotal || 0
         }));
 
         if (format === 'csv') {
             // Convert to CSV
             const fields = [
                 { label: 'Timestamp', value: 'timestamp' },
+                { label: 'Invoice number', value: 'invoiceNumber' },
                 { label: 'Buyer name', value: 'buyerName' },
                 { label: 'Items purchased and quantities', value: 'itemsPurchased' },
-                { label: 'Total amount', value: 'totalAmount' }
+                { label: 'Shipping', value: 'shippingTotal' },
+                { label: 'Tax', value: 'taxTotal' },
+                { label: 'Total amount', value: 'totalAmount' },
+                { label: 'Refunded', value: 'refundedTotal' }
             ];
             
             return parse(exportData, { fields });
@@ -58,9 +73,13 @@ const exportOrders = async ({ format }) => {
             // Return JSON format
             return exportData.map(item => ({
                 'Timestamp': item.timestamp,
+                'Invoice number': item.invoiceNumber,
                 'Buyer name': item.buyerName,
                 'Items purchased and quantities': item.itemsPurchased,
-                'Total amount': item.totalAmount
+                'Shipping': item.shippingTotal,
+                'Tax': item.taxTotal,
+                'Total amount': item.totalAmount,
+                'Refunded': item.refundedTotal
             }));
         }
     } catch (error) {
@@ -69,8 +88,235 @@ const exportOrders = async ({ format }) => {
     }
 };
 
+// orders created before the lifecycle existed use the old pending/completed values
+const LEGACY_STATUSES = {
+    pending: 'placed',
+    completed: 'paid'
+};
+
+// statuses that give the ordered quantities back to the phones' stock
+const RESTOCK_STATUSES = ['cancelled', 'refunded'];
+
+/**
+ * check whether an order may move from one state to another
+ * @param {String} from - current status
+ * @param {String} to - requested status
+ * @returns {Boolean}
+ */
+const canTransition = (from, to) => {
+    const current = LEGACY_STATUSES[from] || from;
+    return (ORDER_TRANSITIONS[current] || []).includes(to);
+};
+
+/**
+ * return every ordered quantity to its phone's stock, at most once per order
+ * must run inside the transaction that changes the order status
+ * @param {Object} order - order document loaded in the session
+ * @param {String} reason - status that triggered the restoration
+ * @param {String} restoredBy - id of the user making the change
+ * @param {mongoose.ClientSession} session - transaction session
+ */
+const restoreStock = async (order, reason, restoredBy, session) => {
+    if (order.stockRestored) {
+        logger.info(`Stock for order ${order._id} already restored, skipping`);
+        return;
+    }
+
+    // units already returned by the buyer went back to stock when their return was refunded
+    const returned = new Map();
+    order.stockRestorations.forEach(restoration => {
+        const phoneId = restoration.phone.toString();
+        returned.set(phoneId, (returned.get(phoneId) || 0) + restoration.quantity);
+    });
+
+    for (const item of order.items) {
+        const quantity = item.quantity - (returned.get(item.phone.toString()) || 0);
+        if (quantity <= 0) {
+            continue;
+        }
+        await Phone.updateOne(
+            { _id: item.phone },
+            { $inc: { stock: quantity } },
+            { session }
+        );
+        order.stockRestorations.push({
+            phone: item.phone,
+            quantity,
+            reason,
+            restoredAt: new Date(),
+            restoredBy
+        });
+    }
+
+    order.stockRestored = true;
+    logger.info(`Restored stock for ${order.items.length} item(s) of order ${order._id} (${reason})`);
+};
+
+/**
+ * move an order to a new lifecycle state, recording the transition in statusHistory
+ * cancelling or refunding returns the ordered quantities to stock and refunds the payment in the same transaction
+ * an order with a payment can only become paid once the provider has confirmed the capture
+ * @param {String} orderId - order id
+ * @param {String} status - requested status
+ * @param {Object} options
+ * @param {String} options.changedBy - id of the user making the change
+ * @param {String} options.note - optional note for the history entry
+ * @param {String} options.trackingNumber - tracking number, required when shipping
+ * @param {String} options.carrier - shipping carrier
+ * @returns {Promise<Object>} - updated order
+ * @throws {Error} - 400 for unknown status, missing tracking number, unconfirmed payment or illegal transition, 404 if not found
+ */
+const updateOrderStatus = async (orderId, status, { changedBy, note, trackingNumber, carrier } = {}) => {
+    if (!ORDER_STATUSES.includes(status)) {
+        throw createError(`Invalid status: ${status}`, 400);
+    }
+
+    if (status === 'shipped' && (!trackingNumber || !String(trackingNumber).trim())) {
+        throw createError('Tracking number is required to ship an order', 400);
+    }
+
+    const session = await mongoose.startSession();
+    try {
+        let order;
+        let from;
+
+        // withTransaction retries on write conflicts, so concurrent updates re-read the latest status
+        await session.withTransaction(async () => {
+            order = await Order.findById(orderId).session(session);
+            if (!order) {
+                throw createError('Order not found', 404);
+            }
+
+            from = order.status;
+            if (!canTransition(from, status)) {
+                throw createError(`Illegal status transition: ${from} -> ${status}`, 400);
+            }
+
+            if (status === 'paid') {
+                const payment = await paymentService.getPaymentForOrder(order._id, session);
+                // orders placed before payments existed have no payment and are confirmed manually
+                if (payment && payment.status !== 'captured') {
+                    throw createError(`Payment for this order is ${payment.status}, it can only be marked paid once the provider confirms it`, 400);
+                }
+            }
+
+            if (status === 'shipped') {
+                order.trackingNumber = String(trackingNumber).trim();
+                if (carrier) {
+                    order.carrier = carrier;
+                }
+            }
+
+            if (RESTOCK_STATUSES.includes(status)) {
+                await restoreStock(order, status, changedBy, session);
+                await fulfilmentService.cancelOpenFulfilments(order._id, changedBy, session);
+                const payment = await paymentService.refundPayment(order._id, session);
+                if (payment && payment.status === 'refunded') {
+                    order.refundedTotal = payment.refundedAmount;
+                }
+            }
+
+            order.status = status;
+            order.statusHistory.push({
+                status,
+                from,
+                changedAt: new Date(),
+                changedBy,
+                note
+            });
+
+            await order.save({ session });
+        });
+
+        logger.info(`Order ${orderId} moved from ${from} to ${status} by ${changedBy}`);
+
+        if (status === 'shipped') {
+            await notificationService.notifyBuyerOfShipment(order._id, {
+                items: order.items,
+                trackingNumber: order.trackingNumber,
+                carrier: order.carrier
+            });
+        }
+        return order;
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * move a placed order along once its payment is settled, captured -> paid, failed -> cancelled
+ * safe to call repeatedly, orders that already moved on are left alone
+ * @param {Object} payment - payment document
+ * @returns {Promise<Object|null>} - the order, null if it no longer exists
+ */
+const applyPaymentResult = async (payment) => {
+    const order = await Order.findById(payment.order);
+    if (!order || (LEGACY_STATUSES[order.status] || order.status) !== 'placed') {
+        return order;
+    }
+
+    try {
+        if (payment.status === 'captured') {
+            return await updateOrderStatus(order._id, 'paid', { note: `Payment confirmed by ${payment.provider}` });
+        }
+        if (payment.status === 'failed') {
+            return await updateOrderStatus(order._id, 'cancelled', { note: `Payment failed: ${payment.failureReason || 'unknown reason'}` });
+        }
+    } catch (error) {
+        // a concurrent delivery already moved the order
+        if (error.statusCode === 400) {
+            logger.info(`Order ${order._id} already left placed: ${error.message}`);
+            return order;
+        }
+        throw error;
+    }
+
+    return order;
+};
+
+/**
+ * build the mongo condition matching a lifecycle status, including the legacy statuses that map to it
+ * @param {String} status - lifecycle status to match
+ * @returns {Object|null} - status condition, null if the status is unknown
+ */
+const statusCondition = (status) => {
+    if (!ORDER_STATUSES.includes(status)) {
+        return null;
+    }
+    const legacy = Object.keys(LEGACY_STATUSES).filter(key => LEGACY_STATUSES[key] === status);
+    return { $in: [status, ...legacy] };
+};
+
+/**
+ * rewrite the legacy pending/completed statuses stored on orders to their lifecycle statuses,
+ * orders keeping a value outside ORDER_STATUSES fail validation on their next save
+ * (returns, invoice numbers, refunds). Safe to run on every start, migrated orders no longer match
+ * @returns {Promise<void>}
+ */
+const migrateLegacyStatuses = async () => {
+    try {
+        for (const [legacy, status] of Object.entries(LEGACY_STATUSES)) {
+            const result = await Order.updateMany({ status: legacy }, { $set: { status } });
+            const history = await Order.updateMany(
+                { 'statusHistory.status': legacy },
+                { $set: { 'statusHistory.$[entry].status': status } },
+                { arrayFilters: [{ 'entry.status': legacy }] }
+            );
+            if (result.modifiedCount > 0 || history.modifiedCount > 0) {
+                logger.info(`Migrated ${result.modifiedCount} order(s) from ${legacy} to ${status}, ${history.modifiedCount} with ${legacy} in their status history`);
+            }
+        }
+    } catch (error) {
+        logger.error(`Error migrating legacy order statuses: ${error.message}`);
+    }
+};
 
 module.exports = {
     getAllOrders,
-    exportOrders
+    exportOrders,
+    canTransition,
+    statusCondition,
+    updateOrderStatus,
+    applyPaymentResult,
+    migrateLegacyStatuses
 };
\ No newline at end of file
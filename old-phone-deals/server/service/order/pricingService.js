@@ -0,0 +1,116 @@
+const User = require('../../models/user');
+const promotionService = require('../promotion/promotionService');
+const { getRateTable } = require('../shipping/rateTables');
+
+/**
+ * the tax rule from the environment
+ * TAX_RATE is a percentage (0 turns tax off), TAX_LABEL names it on the order summary
+ * and TAX_INCLUDES_SHIPPING=false leaves shipping untaxed
+ * @returns {{rate: Number, label: String, includesShipping: Boolean}}
+ */
+const getTaxRule = () => ({
+    rate: parseFloat(process.env.TAX_RATE) || 0,
+    label: process.env.TAX_LABEL || 'Tax',
+    includesShipping: process.env.TAX_INCLUDES_SHIPPING !== 'false'
+});
+
+/**
+ * convert dollars to whole cents
+ * @param {Number} amount
+ * @returns {Number}
+ */
+const toCents = (amount) => Math.round(amount * 100);
+
+/**
+ * where each seller ships from, taken from the seller's default (or first) address
+ * @param {Array<String>} sellerIds - seller ids
+ * @param {mongoose.ClientSession} [session] - checkout transaction session
+ * @returns {Promise<Map<String, Object>>} - seller id -> { state, country }
+ */
+const getSellerRegions = async (sellerIds, session = null) => {
+    const sellers = await User.find({ _id: { $in: sellerIds } }).select('addresses').session(session);
+    const regions = new Map();
+
+    sellers.forEach(seller => {
+        const address = seller.addresses.find(item => item.isDefault) || seller.addresses[0];
+        if (address) {
+            regions.set(seller._id.toString(), { state: address.state, country: address.country });
+        }
+    });
+    return regions;
+};
+
+/**
+ * price an order: coupon discount, shipping per seller parcel, tax and grand total
+ * @param {String} userId - buyer id
+ * @param {Array<Object>} lines - { phone, brand, seller, price, quantity }
+ * @param {Object} options
+ * @param {Object} options.address - delivery address
+ * @param {String} [options.couponCode] - promotion code to apply
+ * @param {mongoose.ClientSession} [options.session] - checkout transaction session
+ * @returns {Promise<Object>} - { subtotal, discountTotal, shippingTotal, taxTotal, totalAmount, taxRate, taxLabel,
+ *                              promotion, discounts: Map<phone id, Number>, shippingBySeller: Map<seller id, Number> }
+ * @throws {Error} - 404/400 when the coupon cannot be used
+ */
+const priceOrder = async (userId, lines, { address, couponCode, session = null } = {}) => {
+    const subtotalCents = lines.reduce((sum, line) => sum + toCents(line.price) * line.quantity, 0);
+
+    // coupon discount per line
+    let promotion = null;
+    let discounts = new Map();
+    let discountCents = 0;
+    if (couponCode) {
+        const result = await promotionService.applyPromotion(couponCode, userId, lines, session);
+        promotion = result.promotion;
+        discounts = result.discounts;
+        discountCents = toCents(result.discountTotal);
+    }
+
+    // one parcel per seller, priced by the configured rate table
+    const parcelsBySeller = new Map();
+    lines.forEach(line => {
+        const seller = String(line.seller);
+        const parcel = parcelsBySeller.get(seller) || { seller, itemCount: 0, subtotal: 0 };
+        parcel.itemCount += line.quantity;
+        parcel.subtotal += line.price * line.quantity - (discounts.get(line.phone.toString()) || 0);
+        parcelsBySeller.set(seller, parcel);
+    });
+
+    const parcels = [...parcelsBySeller.values()];
+    const regions = await getSellerRegions(parcels.map(parcel => parcel.seller), session);
+    parcels.forEach(parcel => {
+        parcel.sellerRegion = regions.get(parcel.seller) || null;
+    });
+
+    const freeOver = parseFloat(process.env.SHIPPING_FREE_OVER) || 0;
+    const costs = getRateTable().quote(parcels, address);
+    const shippingBySeller = new Map();
+    parcels.forEach((parcel, index) => {
+        const free = freeOver > 0 && parcel.subtotal >= freeOver;
+        shippingBySeller.set(parcel.seller, free ? 0 : Number(costs[index].toFixed(2)));
+    });
+    const shippingCents = [...shippingBySeller.values()].reduce((sum, cost) => sum + toCents(cost), 0);
+
+    // tax on the discounted goods, and on shipping unless configured otherwise
+    const taxRule = getTaxRule();
+    const taxableCents = subtotalCents - discountCents + (taxRule.includesShipping ? shippingCents : 0);
+    const taxCents = Math.round(taxableCents * taxRule.rate / 100);
+
+    return {
+        subtotal: subtotalCents / 100,
+        discountTotal: discountCents / 100,
+        shippingTotal: shippingCents / 100,
+        taxTotal: taxCents / 100,
+        totalAmount: (subtotalCents - discountCents + shippingCents + taxCents) / 100,
+        taxRate: taxRule.rate,
+        taxLabel: taxRule.label,
+        promotion,
+        discounts,
+        shippingBySeller
+    };
+};
+
+module.exports = {
+    getTaxRule,
+    priceOrder
+};
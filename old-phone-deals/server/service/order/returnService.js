@@ -0,0 +1,397 @@
+const mongoose = require('mongoose');
+const ReturnRequest = require('../../models/returnRequest');
+const { RETURN_STATUSES, RETURN_TRANSITIONS, RETURN_REASONS } = require('../../models/returnRequest');
+const Order = require('../../models/order');
+const Fulfilment = require('../../models/fulfilment');
+const Phone = require('../../models/phone');
+const paymentService = require('../payment/paymentService');
+const notificationService = require('../user/notificationService');
+const { uploadImage, deleteImage } = require('../user/profileService');
+const logger = require('../../config/logger');
+const { createError } = require('../../utils/errorHelper');
+
+/**
+ * most photos a buyer can attach to a return
+ */
+const MAX_RETURN_PHOTOS = 5;
+
+// orders whose items have left the seller, cancelled or refunded orders have nothing left to return
+const RETURNABLE_ORDER_STATUSES = ['shipped', 'delivered', 'closed'];
+
+/**
+ * days after the order was placed during which its items can be returned, RETURN_WINDOW_DAYS in the environment
+ * @returns {Number}
+ */
+const getReturnWindowDays = () => parseInt(process.env.RETURN_WINDOW_DAYS) || 30;
+
+/**
+ * the refund owed for returned units of an order line: their share of the discounted line price plus its tax
+ * shipping is not refunded
+ * @param {Object} order - order document
+ * @param {Object} item - order line
+ * @param {Number} quantity - units returned
+ * @returns {Number}
+ */
+const calculateRefundAmount = (order, item, quantity) => {
+    const lineCents = Math.round(item.price * 100) * item.quantity - Math.round((item.discount || 0) * 100);
+    const netCents = Math.round(lineCents * quantity / item.quantity);
+    const taxCents = Math.round(netCents * (order.taxRate || 0) / 100);
+    return (netCents + taxCents) / 100;
+};
+
+/**
+ * units of an order line already covered by open or finished returns
+ * @param {String} orderId - order id
+ * @param {String} phoneId - phone id of the line
+ * @param {mongoose.ClientSession} [session] - optional transaction session
+ * @returns {Promise<Number>}
+ */
+const getReturnedQuantity = async (orderId, phoneId, session = null) => {
+    const returns = await ReturnRequest.find({ order: orderId, phone: phoneId, status: { $ne: 'rejected' } })
+        .select('quantity')
+        .session(session);
+    return returns.reduce((sum, item) => sum + item.quantity, 0);
+};
+
+/**
+ * open a return for part or all of an order line
+ * the returnable quantity is counted again inside the transaction that creates the return, which also writes
+ * the order, so concurrent returns of the same line conflict and the retried one sees the other
+ * @param {String} userId - buyer id
+ * @param {String} orderId - order id
+ * @param {Object} data
+ * @param {String} data.phoneId - phone of the order line
+ * @param {Number} data.quantity - units to return
+ * @param {String} data.reason - one of RETURN_REASONS
+ * @param {String} [data.details] - description of the problem, required for "other"
+ * @param {Array<String>} [data.photos] - photos as base64 data URLs
+ * @returns {Promise<Object>} - created return request
+ * @throws {Error} - 400 if the line cannot be returned, 404 if the order or line is not found
+ */
+const createReturn = async (userId, orderId, { phoneId, quantity, reason, details, photos = [] }) => {
+    if (!mongoose.Types.ObjectId.isValid(orderId) || !mongoose.Types.ObjectId.isValid(phoneId)) {
+        throw createError('Invalid order or phone id', 400);
+    }
+
+    const order = await Order.findOne({ _id: orderId, user: userId });
+    if (!order) {
+        throw createError('Order not found', 404);
+    }
+
+    const item = order.items.find(line => line.phone.toString() === phoneId);
+    if (!item) {
+        throw createError('Item not found in this order', 404);
+    }
+
+    if (!RETURNABLE_ORDER_STATUSES.includes(order.status)) {
+        throw createError('Only items of shipped or delivered orders can be returned', 400);
+    }
+
+    const windowDays = getReturnWindowDays();
+    if (Date.now() - order.createdAt.getTime() > windowDays * 24 * 60 * 60 * 1000) {
+        throw createError(`Items can only be returned within ${windowDays} days of the order`, 400);
+    }
+
+    if (!RETURN_REASONS.includes(reason)) {
+        throw createError(`Invalid reason: ${reason}`, 400);
+    }
+    if (reason === 'other' && !(details && String(details).trim())) {
+        throw createError('Please describe why the item is returned', 400);
+    }
+
+    if (!Array.isArray(photos) || photos.length > MAX_RETURN_PHOTOS) {
+        throw createError(`You can attach at most ${MAX_RETURN_PHOTOS} photos`, 400);
+    }
+    if (photos.some(photo => typeof photo !== 'string' || !photo.startsWith('data:image'))) {
+        throw createError('Photos must be images', 400);
+    }
+
+    const units = parseInt(quantity);
+    if (!units || units < 1) {
+        throw createError('Quantity must be at least 1', 400);
+    }
+    const checkReturnable = async (session) => {
+        const returnable = item.quantity - await getReturnedQuantity(order._id, phoneId, session);
+        if (units > returnable) {
+            throw createError(returnable > 0
+                ? `Only ${returnable} of this item can still be returned`
+                : 'This item has already been returned', 400);
+        }
+    };
+    // fail fast before uploading photos, counted again in the transaction below
+    await checkReturnable();
+
+    // the seller is whoever ships the line, orders placed before fulfilments existed fall back to the listing
+    const fulfilment = await Fulfilment.findOne({ order: order._id, 'items.phone': phoneId }).select('seller');
+    const phone = fulfilment ? null : await Phone.findById(phoneId).select('seller');
+    const sellerId = fulfilment?.seller || phone?.seller;
+    if (!sellerId) {
+        throw createError('The seller of this item no longer exists', 400);
+    }
+
+    const photoPaths = [];
+    let returnRequest;
+    const session = await mongoose.startSession();
+    try {
+        for (const photo of photos) {
+            photoPaths.push(await uploadImage(photo));
+        }
+
+        await session.withTransaction(async () => {
+            await Order.updateOne({ _id: order._id }, { $inc: { returnVersion: 1 } }, { session, timestamps: false });
+            await checkReturnable(session);
+
+            [returnRequest] = await ReturnRequest.create([{
+                order: order._id,
+                phone: phoneId,
+                buyer: userId,
+                seller: sellerId,
+                quantity: units,
+                reason,
+                details,
+                photos: photoPaths,
+                refundAmount: calculateRefundAmount(order, item, units),
+                status: 'requested',
+                statusHistory: [{ status: 'requested', changedAt: new Date(), changedBy: userId }]
+            }], { session });
+        });
+    } catch (error) {
+        // no return refers to the photos, e.g. a concurrent return took the units
+        await Promise.all(photoPaths.map(deleteImage));
+        throw error;
+    } finally {
+        session.endSession();
+    }
+
+    logger.info(`ReturnService: Return ${returnRequest._id} opened for ${units} x ${phoneId} of order ${orderId}`);
+
+    await notificationService.createNotification({
+        recipient: sellerId,
+        type: 'RETURN_REQUESTED',
+        title: 'Return requested',
+        message: `A buyer wants to return ${units} item(s) you sold.`,
+        link: '/profile?tab=returns',
+        data: { orderId: order._id, phoneId, returnId: returnRequest._id }
+    });
+
+    return returnRequest;
+};
+
+/**
+ * get the returns a buyer opened for one of their orders, newest first
+ * @param {String} userId - buyer id
+ * @param {String} orderId - order id
+ * @returns {Promise<Array<Object>>}
+ */
+const getOrderReturns = async (userId, orderId) => {
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+        throw createError('Invalid order id', 400);
+    }
+
+    return ReturnRequest.find({ order: orderId, buyer: userId })
+        .populate('phone', 'title brand image')
+        .sort({ createdAt: -1 });
+};
+
+/**
+ * get a page of returns, newest first
+ * @param {Object} filter - base mongo filter
+ * @param {Object} options
+ * @param {Number} options.page - page number (1-based)
+ * @param {Number} options.limit - page size
+ * @param {String} options.status - optional status filter
+ * @returns {Promise<Object>} - { returns, total }
+ */
+const findReturns = async (filter, { page = 1, limit = 10, status } = {}) => {
+    if (status && RETURN_STATUSES.includes(status)) {
+        filter.status = status;
+    }
+
+    const [returns, total] = await Promise.all([
+        ReturnRequest.find(filter)
+            .populate('buyer', 'firstname lastname email')
+            .populate('seller', 'firstname lastname email')
+            .populate('phone', 'title brand image')
+            .populate('order', 'invoiceNumber createdAt')
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit),
+        ReturnRequest.countDocuments(filter)
+    ]);
+
+    return { returns, total };
+};
+
+/**
+ * get the returns of items a seller sold
+ * @param {String} sellerId - seller id
+ * @param {Object} options - { page, limit, status }
+ * @returns {Promise<Object>} - { returns, total }
+ */
+const getSellerReturns = async (sellerId, options) => {
+    try {
+        return await findReturns({ seller: sellerId }, options);
+    } catch (error) {
+        logger.error(`ReturnService: Error fetching returns for seller ${sellerId}: ${error.message}`);
+        throw new Error('Failed to fetch returns');
+    }
+};
+
+/**
+ * get every return, for the admin
+ * @param {Object} options - { page, limit, status }
+ * @returns {Promise<Object>} - { returns, total }
+ */
+const getAllReturns = async (options) => {
+    try {
+        return await findReturns({}, options);
+    } catch (error) {
+        logger.error(`ReturnService: Error fetching returns: ${error.message}`);
+        throw new Error('Failed to fetch returns');
+    }
+};
+
+/**
+ * restock the returned units and refund them, must run inside the transaction that marks the return refunded
+ * @param {Object} returnRequest - return document loaded in the session
+ * @param {String} changedBy - id of the user issuing the refund
+ * @param {mongoose.ClientSession} session - transaction session
+ * @throws {Error} - 400 if the order was already refunded as a whole
+ */
+const refundReturn = async (returnRequest, changedBy, session) => {
+    const order = await Order.findById(returnRequest.order).session(session);
+    if (!order) {
+        throw createError('Order not found', 404);
+    }
+    if (order.stockRestored) {
+        throw createError(`The order was already ${order.status}, nothing is left to refund`, 400);
+    }
+
+    // never refund more than the order has left, e.g. after rounding on many partial returns
+    const amount = Math.min(returnRequest.refundAmount, Number((order.totalAmount - order.refundedTotal).toFixed(2)));
+
+    // never restock more units of the line than were bought, less those already given back
+    const phoneId = returnRequest.phone.toString();
+    const item = order.items.find(line => line.phone.toString() === phoneId);
+    const restored = order.stockRestorations
+        .filter(restoration => restoration.phone.toString() === phoneId)
+        .reduce((sum, restoration) => sum + restoration.quantity, 0);
+    const quantity = Math.min(returnRequest.quantity, (item ? item.quantity : 0) - restored);
+
+    if (quantity > 0) {
+        await Phone.updateOne(
+            { _id: returnRequest.phone },
+            { $inc: { stock: quantity } },
+            { session }
+        );
+        order.stockRestorations.push({
+            phone: returnRequest.phone,
+            quantity,
+            reason: 'returned',
+            restoredAt: new Date(),
+            restoredBy: changedBy
+        });
+    }
+    order.refundedTotal = order.refundedTotal + amount;
+    await order.save({ session });
+
+    await paymentService.refundPartialPayment(order._id, amount, returnRequest._id.toString(), session);
+
+    returnRequest.refundAmount = amount;
+    returnRequest.refundedAt = new Date();
+};
+
+/**
+ * the message telling a buyer what happened to their return
+ * @param {Object} returnRequest - updated return
+ * @returns {String}
+ */
+const describeReturnUpdate = (returnRequest) => {
+    switch (returnRequest.status) {
+        case 'awaiting_item':
+            return 'Your return was approved, please send the item back to the seller.';
+        case 'rejected':
+            return 'Your return was rejected.';
+        case 'received':
+            return 'The seller received your returned item.';
+        case 'refunded':
+            return `You were refunded $${returnRequest.refundAmount.toFixed(2)} for your return.`;
+        default:
+            return `Your return is now ${returnRequest.status}.`;
+    }
+};
+
+/**
+ * move a return to a new state, refunding it restocks the phone and gives the buyer their money back
+ * @param {String} returnId - return id
+ * @param {String} status - requested status
+ * @param {Object} options
+ * @param {String} options.changedBy - id of the user making the change
+ * @param {String} [options.sellerId] - limit the change to this seller's returns, omitted for admins
+ * @param {String} [options.note] - note for the history entry, required to reject
+ * @returns {Promise<Object>} - updated return
+ * @throws {Error} - 400 for illegal transitions, 404 if the return is not found
+ */
+const updateReturnStatus = async (returnId, status, { changedBy, sellerId, note } = {}) => {
+    if (!RETURN_STATUSES.includes(status)) {
+        throw createError(`Invalid status: ${status}`, 400);
+    }
+    if (!mongoose.Types.ObjectId.isValid(returnId)) {
+        throw createError(`Invalid return id: ${returnId}`, 400);
+    }
+    if (status === 'rejected' && !(note && String(note).trim())) {
+        throw createError('Please give a reason for rejecting the return', 400);
+    }
+
+    const session = await mongoose.startSession();
+    try {
+        let returnRequest;
+        let from;
+
+        await session.withTransaction(async () => {
+            const filter = sellerId ? { _id: returnId, seller: sellerId } : { _id: returnId };
+            returnRequest = await ReturnRequest.findOne(filter).session(session);
+            if (!returnRequest) {
+                throw createError('Return not found', 404);
+            }
+
+            from = returnRequest.status;
+            if (!RETURN_TRANSITIONS[from].includes(status)) {
+                throw createError(`Illegal status transition: ${from} -> ${status}`, 400);
+            }
+
+            if (status === 'refunded') {
+                await refundReturn(returnRequest, changedBy, session);
+            }
+
+            returnRequest.status = status;
+            returnRequest.statusHistory.push({ status, from, changedAt: new Date(), changedBy, note });
+            await returnRequest.save({ session });
+        });
+
+        logger.info(`ReturnService: Return ${returnId} moved from ${from} to ${status} by ${changedBy}`);
+
+        await notificationService.createNotification({
+            recipient: returnRequest.buyer,
+            type: 'RETURN_UPDATED',
+            title: 'Return updated',
+            message: describeReturnUpdate(returnRequest),
+            link: `/orders/${returnRequest.order}`,
+            data: { orderId: returnRequest.order, returnId: returnRequest._id }
+        });
+
+        return returnRequest;
+    } finally {
+        session.endSession();
+    }
+};
+
+module.exports = {
+    MAX_RETURN_PHOTOS,
+    calculateRefundAmount,
+    createReturn,
+    getOrderReturns,
+    getSellerReturns,
+    getAllReturns,
+    updateReturnStatus
+};
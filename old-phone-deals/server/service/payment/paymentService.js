@@ -0,0 +1,233 @@
+const mongoose = require('mongoose');
+const Payment = require('../../models/payment');
+const WebhookEvent = require('../../models/webhookEvent');
+const { getPaymentProvider } = require('./providers');
+const logger = require('../../config/logger');
+const { createError } = require('../../utils/errorHelper');
+
+const CURRENCY = process.env.PAYMENT_CURRENCY || 'USD';
+
+// payments that no longer hold or owe the buyer any money
+const SETTLED_STATUSES = ['failed', 'refunded', 'voided'];
+
+// payments holding captured money that can be given back in part
+const REFUNDABLE_STATUSES = ['captured', 'partially_refunded'];
+
+/**
+ * create the payment intent for a new order and authorize it with the provider
+ * @param {Object} order - order being placed, saved in the same session
+ * @param {Object} details - payment details from checkout
+ * @param {String} details.method - payment method
+ * @param {Object} details.card - card details, never persisted apart from the last four digits
+ * @param {mongoose.ClientSession} session - checkout transaction session
+ * @returns {Promise<Object>} - payment with status "authorized" or "pending"
+ * @throws {Error} - 402 if the provider declines the payment
+ */
+const authorizePayment = async (order, { method, card = {} }, session) => {
+    const provider = getPaymentProvider();
+    const result = await provider.authorize({
+        amount: order.totalAmount,
+        currency: CURRENCY,
+        method,
+        card,
+        metadata: { orderId: order._id.toString() }
+    });
+
+    if (result.status === 'declined') {
+        logger.info(`PaymentService: Payment for order ${order._id} declined: ${result.failureReason}`);
+        throw createError(`Payment declined: ${result.failureReason}`, 402);
+    }
+
+    const [payment] = await Payment.create([{
+        order: order._id,
+        user: order.user,
+        provider: provider.name,
+        providerRef: result.providerRef,
+        amount: order.totalAmount,
+        currency: CURRENCY,
+        method,
+        last4: String(card.number || '').replace(/\s+/g, '').slice(-4),
+        status: result.status
+    }], { session });
+
+    logger.info(`PaymentService: Payment ${payment.providerRef} for order ${order._id} is ${payment.status}`);
+    return payment;
+};
+
+/**
+ * capture an authorized payment, a failed capture marks the payment failed instead of throwing
+ * @param {Object} payment - authorized payment document
+ * @returns {Promise<Object>} - payment with status "captured" or "failed"
+ */
+const capturePayment = async (payment) => {
+    try {
+        await getPaymentProvider(payment.provider).capture(payment.providerRef, payment.amount);
+        payment.status = 'captured';
+        payment.capturedAt = new Date();
+    } catch (error) {
+        logger.error(`PaymentService: Capture of ${payment.providerRef} failed: ${error.message}`);
+        payment.status = 'failed';
+        payment.failureReason = error.message;
+    }
+
+    await payment.save();
+    return payment;
+};
+
+/**
+ * release an authorization that was never attached to a saved order, e.g. when checkout aborts
+ * @param {Object} payment - payment returned by authorizePayment
+ */
+const releaseAuthorization = async (payment) => {
+    try {
+        await getPaymentProvider(payment.provider).refund(payment.providerRef, payment.amount);
+        logger.info(`PaymentService: Released authorization ${payment.providerRef}`);
+    } catch (error) {
+        logger.error(`PaymentService: Failed to release authorization ${payment.providerRef}: ${error.message}`);
+    }
+};
+
+/**
+ * refund or void the payment of an order that is being cancelled or refunded
+ * @param {String} orderId - order id
+ * @param {mongoose.ClientSession} session - transaction session of the status change
+ * @returns {Promise<Object|null>} - updated payment, null for orders placed before payments existed
+ */
+const refundPayment = async (orderId, session) => {
+    const payment = await Payment.findOne({ order: orderId }).session(session);
+    if (!payment || SETTLED_STATUSES.includes(payment.status)) {
+        return payment;
+    }
+
+    // providers treat a repeated refund as a no-op, so a retried transaction is safe
+    // items refunded through returns were already given back, only the rest is refunded
+    const remaining = payment.amount - (payment.refundedAmount || 0);
+    const result = await getPaymentProvider(payment.provider).refund(payment.providerRef, remaining);
+    payment.status = result.status;
+    if (result.status === 'refunded') {
+        payment.refundedAmount = payment.amount;
+    }
+    payment.refundedAt = new Date();
+    await payment.save({ session });
+
+    logger.info(`PaymentService: Payment ${payment.providerRef} for order ${orderId} ${payment.status}`);
+    return payment;
+};
+
+/**
+ * refund part of a captured payment, used when a returned item is refunded
+ * @param {String} orderId - order id
+ * @param {Number} amount - amount to give back
+ * @param {String} refundId - id of what is refunded, e.g. the return request, so a retried transaction does not refund twice
+ * @param {mongoose.ClientSession} session - transaction session of the refund
+ * @returns {Promise<Object|null>} - updated payment, null for orders placed before payments existed
+ * @throws {Error} - 400 if the payment was never captured or less than the amount is left to refund
+ */
+const refundPartialPayment = async (orderId, amount, refundId, session) => {
+    const payment = await Payment.findOne({ order: orderId }).session(session);
+    if (!payment) {
+        return null;
+    }
+
+    if (!REFUNDABLE_STATUSES.includes(payment.status)) {
+        throw createError(`Payment for this order is ${payment.status} and cannot be refunded`, 400);
+    }
+
+    const remaining = Number((payment.amount - (payment.refundedAmount || 0)).toFixed(2));
+    if (amount > remaining) {
+        throw createError(`Only $${remaining.toFixed(2)} of this payment is left to refund`, 400);
+    }
+
+    await getPaymentProvider(payment.provider).refund(payment.providerRef, amount, refundId);
+    payment.refundedAmount = Number(((payment.refundedAmount || 0) + amount).toFixed(2));
+    payment.status = payment.amount - payment.refundedAmount < 0.005 ? 'refunded' : 'partially_refunded';
+    payment.refundedAt = new Date();
+    await payment.save({ session });
+
+    logger.info(`PaymentService: Refunded ${amount} of payment ${payment.providerRef} for order ${orderId}, ${payment.status}`);
+    return payment;
+};
+
+/**
+ * get the payment of an order
+ * @param {String} orderId - order id
+ * @param {mongoose.ClientSession} [session] - optional transaction session
+ * @returns {Promise<Object|null>}
+ */
+const getPaymentForOrder = async (orderId, session) => {
+    return Payment.findOne({ order: orderId }).session(session || null);
+};
+
+/**
+ * verify and apply a provider webhook, each event id is applied at most once
+ * @param {String} providerName - provider named in the webhook URL
+ * @param {Buffer} rawBody - request body exactly as received
+ * @param {Object} headers - request headers
+ * @returns {Promise<Object>} - { payment, duplicate }
+ * @throws {Error} - 400 for a bad signature, 404 if the payment is unknown so the provider retries
+ */
+const handleWebhook = async (providerName, rawBody, headers) => {
+    const provider = getPaymentProvider(providerName);
+    const event = provider.parseWebhook(rawBody, headers);
+
+    const session = await mongoose.startSession();
+    try {
+        let payment;
+        let duplicate = false;
+
+        await session.withTransaction(async () => {
+            duplicate = false;
+            payment = await Payment.findOne({ provider: provider.name, providerRef: event.providerRef }).session(session);
+            if (!payment) {
+                throw createError(`Unknown payment: ${event.providerRef}`, 404);
+            }
+
+            // a concurrent redelivery conflicts on the unique index and is retried, then seen here
+            const seen = await WebhookEvent.exists({ provider: provider.name, eventId: event.id }).session(session);
+            if (seen) {
+                duplicate = true;
+                return;
+            }
+
+            await WebhookEvent.create([{
+                provider: provider.name,
+                eventId: event.id,
+                type: event.type,
+                providerRef: event.providerRef
+            }], { session });
+
+            if (event.type === 'payment.captured' && ['pending', 'authorized'].includes(payment.status)) {
+                payment.status = 'captured';
+                payment.capturedAt = new Date();
+            } else if (event.type === 'payment.failed' && ['pending', 'authorized'].includes(payment.status)) {
+                payment.status = 'failed';
+                payment.failureReason = event.failureReason;
+            } else if (event.type === 'payment.refunded' && REFUNDABLE_STATUSES.includes(payment.status)) {
+                payment.status = 'refunded';
+                payment.refundedAmount = payment.amount;
+                payment.refundedAt = new Date();
+            } else {
+                logger.info(`PaymentService: Ignoring ${event.type} for ${payment.status} payment ${payment.providerRef}`);
+            }
+
+            await payment.save({ session });
+        });
+
+        if (duplicate) {
+            logger.info(`PaymentService: Webhook ${event.id} already processed`);
+        }
+        return { payment, duplicate };
+    } finally {
+        session.endSession();
+    }
+};
+
+module.exports = {
+    authorizePayment,
+    capturePayment,
+    releaseAuthorization,
+    refundPayment,
+    refundPartialPayment,
+    getPaymentForOrder,
+    handleWebhook
+};
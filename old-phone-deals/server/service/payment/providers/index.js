@@ -0,0 +1,61 @@
+const mockProvider = require('./mockProvider');
+
+/**
+ * @typedef {object} AuthorizeResult
+ * @property {string} providerRef - The provider's id for the payment intent.
+ * @property {string} status - "authorized", "pending" (outcome arrives by webhook) or "declined".
+ * @property {string} [failureReason] - Why the payment was declined.
+ */
+
+/**
+ * @typedef {object} WebhookEvent
+ * @property {string} id - The provider's id for the event, used to drop redeliveries.
+ * @property {string} type - "payment.captured", "payment.failed" or "payment.refunded".
+ * @property {string} providerRef - The payment intent the event is about.
+ * @property {string} [failureReason] - Why the payment failed.
+ */
+
+/**
+ * Every payment provider implements this interface.
+ * @typedef {object} PaymentProvider
+ * @property {string} name - Provider name, stored on each Payment.
+ * @property {function({amount: number, currency: string, method: string, card: object, metadata: object}): Promise<AuthorizeResult>} authorize
+ *           Place a hold for the amount on the buyer's payment method.
+ * @property {function(string, number): Promise<{status: string}>} capture
+ *           Collect a previously authorized amount, resolves with status "captured".
+ * @property {function(string, number=, string=): Promise<{status: string}>} refund
+ *           Refund a captured payment or release an authorization, must be safe to call twice.
+ *           With an amount below what is left it refunds part of the payment and resolves with
+ *           "partially_refunded", the third argument identifies that partial refund so a retry is a no-op.
+ * @property {function(Buffer, Object): WebhookEvent} parseWebhook
+ *           Verify the webhook signature from the raw body and headers and return the event,
+ *           throws an error with statusCode 400 when the signature does not match.
+ */
+
+/**
+ * registered providers by name
+ * @type {Object<string, PaymentProvider>}
+ */
+const PROVIDERS = {
+    [mockProvider.name]: mockProvider
+};
+
+/**
+ * get a payment provider by name, defaults to PAYMENT_PROVIDER from the environment
+ * @param {String} name - provider name
+ * @returns {PaymentProvider}
+ * @throws {Error} - 404 if no provider is registered under that name
+ */
+const getPaymentProvider = (name = process.env.PAYMENT_PROVIDER || 'mock') => {
+    const provider = PROVIDERS[name];
+    if (!provider) {
+        const error = new Error(`Unknown payment provider: ${name}`);
+        error.statusCode = 404;
+        throw error;
+    }
+    return provider;
+};
+
+module.exports = {
+    getPaymentProvider
+};
@@ -0,0 +1,240 @@
+const crypto = require('crypto');
+const logger = require('../../../config/logger');
+const { createError } = require('../../../utils/errorHelper');
+
+const NAME = 'mock';
+const SIGNATURE_HEADER = 'x-mock-signature';
+// reject signed webhooks older than this to stop replays of captured requests
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+const WEBHOOK_ATTEMPTS = 3;
+
+/**
+ * Card numbers that select an outcome, any other card is approved.
+ * Delayed outcomes answer "pending" and deliver the result by webhook.
+ */
+const TEST_CARDS = {
+    '4242424242424242': 'approve',
+    '4000000000000002': 'decline',
+    '4000000000000077': 'delayed_approve',
+    '4000000000000119': 'delayed_decline'
+};
+
+// payment intents by reference, the mock gateway keeps no state across restarts
+const intents = new Map();
+
+const getWebhookSecret = () => process.env.MOCK_PAYMENT_WEBHOOK_SECRET || 'mock-payment-webhook-secret';
+const getWebhookUrl = () => process.env.PAYMENT_WEBHOOK_URL
+    || `http://localhost:${process.env.PORT || 7777}/api/payments/webhook/${NAME}`;
+const getWebhookDelay = () => parseInt(process.env.MOCK_PAYMENT_WEBHOOK_DELAY_MS) || 5000;
+
+/**
+ * sign a webhook body the way the mock gateway does
+ * @param {String} body - raw JSON body
+ * @param {Number} timestamp - unix seconds
+ * @returns {String} - signature header value "t=<timestamp>,v1=<hex hmac>"
+ */
+const sign = (body, timestamp = Math.floor(Date.now() / 1000)) => {
+    const digest = crypto.createHmac('sha256', getWebhookSecret()).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${digest}`;
+};
+
+/**
+ * post a signed event to the webhook endpoint, retrying with backoff when the server is not ready
+ * @param {Object} event - event to deliver
+ */
+const deliverWebhook = async (event) => {
+    const body = JSON.stringify(event);
+
+    for (let attempt = 1; attempt <= WEBHOOK_ATTEMPTS; attempt++) {
+        try {
+            const response = await fetch(getWebhookUrl(), {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', [SIGNATURE_HEADER]: sign(body) },
+                body
+            });
+            if (response.ok) {
+                logger.info(`MockPaymentProvider: Delivered ${event.type} for ${event.data.reference}`);
+                return;
+            }
+            logger.warn(`MockPaymentProvider: Webhook ${event.id} rejected with ${response.status} (attempt ${attempt})`);
+        } catch (error) {
+            logger.warn(`MockPaymentProvider: Webhook ${event.id} failed: ${error.message} (attempt ${attempt})`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** attempt).unref());
+    }
+
+    logger.error(`MockPaymentProvider: Gave up delivering webhook ${event.id}`);
+};
+
+/**
+ * settle a delayed intent and tell the server by webhook
+ * @param {String} reference - intent reference
+ * @param {Boolean} approve - whether the payment goes through
+ */
+const settleLater = (reference, approve) => {
+    const intent = intents.get(reference);
+    intent.timer = setTimeout(() => {
+        intent.timer = null;
+        intent.status = approve ? 'captured' : 'failed';
+        deliverWebhook({
+            id: `evt_${crypto.randomUUID()}`,
+            type: approve ? 'payment.captured' : 'payment.failed',
+            created: Math.floor(Date.now() / 1000),
+            data: {
+                reference,
+                amount: intent.amount,
+                failureReason: approve ? undefined : 'Card declined by issuer'
+            }
+        });
+    }, getWebhookDelay());
+    // a pending mock payment must not keep the process alive
+    intent.timer.unref();
+};
+
+/**
+ * authorize a payment, the outcome is chosen by the card number (see TEST_CARDS)
+ * @param {Object} params
+ * @param {Number} params.amount - amount to authorize
+ * @param {String} params.currency - ISO currency code
+ * @param {Object} params.card - card details, only the number is inspected
+ * @returns {Promise<Object>} - { providerRef, status, failureReason }
+ */
+const authorize = async ({ amount, currency, card = {} }) => {
+    const number = String(card.number || '').replace(/\s+/g, '');
+    if (!/^\d{12,19}$/.test(number)) {
+        throw createError('Invalid card number', 400);
+    }
+
+    const scenario = TEST_CARDS[number] || 'approve';
+    const reference = `mock_pi_${crypto.randomUUID()}`;
+
+    if (scenario === 'decline') {
+        logger.info(`MockPaymentProvider: Declined ${reference}`);
+        return { providerRef: reference, status: 'declined', failureReason: 'Card declined' };
+    }
+
+    const delayed = scenario.startsWith('delayed_');
+    intents.set(reference, { amount, currency, status: delayed ? 'pending' : 'authorized', timer: null });
+
+    if (delayed) {
+        settleLater(reference, scenario === 'delayed_approve');
+        logger.info(`MockPaymentProvider: ${reference} pending, outcome will arrive by webhook`);
+        return { providerRef: reference, status: 'pending' };
+    }
+
+    logger.info(`MockPaymentProvider: Authorized ${reference} for ${amount} ${currency}`);
+    return { providerRef: reference, status: 'authorized' };
+};
+
+/**
+ * capture an authorized payment
+ * @param {String} reference - intent reference
+ * @returns {Promise<Object>} - { status: 'captured' }
+ */
+const capture = async (reference) => {
+    const intent = intents.get(reference);
+    if (!intent) {
+        throw createError(`Unknown payment intent: ${reference}`, 404);
+    }
+    if (intent.status !== 'authorized' && intent.status !== 'captured') {
+        throw createError(`Cannot capture a ${intent.status} payment`, 400);
+    }
+
+    intent.status = 'captured';
+    return { status: 'captured' };
+};
+
+/**
+ * refund a captured payment, in full or in part, or void an authorization
+ * calling it again with the same refund id returns the same result
+ * @param {String} reference - intent reference
+ * @param {Number} [amount] - amount to refund, defaults to everything not refunded yet
+ * @param {String} [refundId] - caller's id for a partial refund, repeats are not refunded twice
+ * @returns {Promise<Object>} - { status: 'partially_refunded' | 'refunded' | 'voided' }
+ */
+const refund = async (reference, amount, refundId) => {
+    const intent = intents.get(reference);
+    if (!intent) {
+        // intents are lost on restart, treat them as captured so local refunds keep working
+        logger.warn(`MockPaymentProvider: Unknown intent ${reference}, assuming it was captured`);
+        return { status: 'refunded' };
+    }
+
+    if (intent.status === 'refunded' || intent.status === 'voided') {
+        return { status: intent.status };
+    }
+
+    if (intent.timer) {
+        clearTimeout(intent.timer);
+        intent.timer = null;
+    }
+
+    if (intent.status !== 'captured') {
+        intent.status = 'voided';
+        logger.info(`MockPaymentProvider: ${reference} voided`);
+        return { status: intent.status };
+    }
+
+    intent.refundIds = intent.refundIds || new Set();
+    if (!refundId || !intent.refundIds.has(refundId)) {
+        const remaining = intent.amount - (intent.refunded || 0);
+        intent.refunded = (intent.refunded || 0) + Math.min(amount ?? remaining, remaining);
+        if (refundId) {
+            intent.refundIds.add(refundId);
+        }
+    }
+
+    // cents left over from rounding do not keep the intent open
+    if (intent.amount - intent.refunded < 0.005) {
+        intent.status = 'refunded';
+        logger.info(`MockPaymentProvider: ${reference} refunded`);
+        return { status: 'refunded' };
+    }
+
+    logger.info(`MockPaymentProvider: ${reference} refunded ${intent.refunded} of ${intent.amount}`);
+    return { status: 'partially_refunded' };
+};
+
+/**
+ * verify a webhook signature and return the event
+ * @param {Buffer} rawBody - request body exactly as received
+ * @param {Object} headers - request headers
+ * @returns {Object} - { id, type, providerRef, failureReason }
+ * @throws {Error} - 400 if the signature is missing, stale or does not match
+ */
+const parseWebhook = (rawBody, headers) => {
+    const header = headers[SIGNATURE_HEADER];
+    if (!header || !rawBody) {
+        throw createError('Missing webhook signature', 400);
+    }
+
+    const parts = Object.fromEntries(header.split(',').map(part => part.split('=')));
+    const timestamp = parseInt(parts.t);
+    if (!timestamp || Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+        throw createError('Stale webhook signature', 400);
+    }
+
+    const expected = Buffer.from(sign(rawBody.toString('utf8'), timestamp));
+    const received = Buffer.from(header);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        throw createError('Invalid webhook signature', 400);
+    }
+
+    const event = JSON.parse(rawBody.toString('utf8'));
+    return {
+        id: event.id,
+        type: event.type,
+        providerRef: event.data?.reference,
+        failureReason: event.data?.failureReason
+    };
+};
+
+module.exports = {
+    name: NAME,
+    TEST_CARDS,
+    authorize,
+    capture,
+    refund,
+    parseWebhook,
+    sign
+};
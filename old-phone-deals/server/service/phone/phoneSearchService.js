@@ -0,0 +1,368 @@
+const crypto = require('crypto');
+const Phone = require('../../models/phone');
+const SearchQuery = require('../../models/searchQuery');
+const logger = require('../../config/logger');
+const { escapeRegex } = require('../../utils/regexHelper');
+
+// words of listing titles and brands, cached so a search does not read every listing
+const VOCABULARY_TTL_MS = 5 * 60 * 1000;
+// search terms beyond these are ignored, a search box never needs more
+const MAX_TERMS = 10;
+const MAX_TERM_LENGTH = 30;
+// expansions added to the text search for one search term
+const MAX_EXPANSIONS = 5;
+// suggestions answer while the user types, each lookup gets this long before it is left out
+const SUGGEST_TIME_BUDGET_MS = 150;
+const SUGGEST_MIN_LENGTH = 2;
+const MAX_SUGGESTIONS = 5;
+const MAX_QUERY_LENGTH = 100;
+// a past query is only suggested to others once this many different people searched it
+const MIN_POPULAR_SEARCHERS = 3;
+
+let vocabularyCache = { words: null, brands: null, expiresAt: 0 };
+
+/**
+ * Split text into lowercase words of letters and digits, quotes and minus signs have a
+ * meaning in a $text search and are dropped with every other symbol. Single letters are
+ * dropped too, single digits are kept for model numbers like "iphone 6"
+ * @param {string} text - Text to split
+ * @returns {Array<string>}
+ */
+const tokenize = (text) => (text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length >= 2 || /[0-9]/.test(word));
+
+/**
+ * Edit distance between two words counting insertions, deletions, substitutions and swaps
+ * of neighbouring letters, stops early once it exceeds max
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @param {number} max - Largest distance of interest
+ * @returns {number} - The distance, or max + 1 when it is larger than max
+ */
+const editDistance = (a, b, max) => {
+    if (Math.abs(a.length - b.length) > max) {
+        return max + 1;
+    }
+
+    let previousRow = null;
+    let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const nextRow = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+            if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, previousRow[j - 2] + 1);
+            }
+            nextRow.push(value);
+            rowMin = Math.min(rowMin, value);
+        }
+        if (rowMin > max) {
+            return max + 1;
+        }
+        previousRow = row;
+        row = nextRow;
+    }
+    return row[b.length] > max ? max + 1 : row[b.length];
+};
+
+/**
+ * Words used in listing titles and brands, and the brand names
+ * @returns {Promise<Object>} - { words: Set<string>, brands: Array<string> }
+ */
+const loadVocabulary = async () => {
+    if (vocabularyCache.words && vocabularyCache.expiresAt > Date.now()) {
+        return vocabularyCache;
+    }
+
+    const [titles, brands] = await Promise.all([Phone.distinct('title'), Phone.distinct('brand')]);
+    const words = new Set([...titles, ...brands].flatMap(tokenize));
+    vocabularyCache = { words, brands: brands.filter(brand => brand), expiresAt: Date.now() + VOCABULARY_TTL_MS };
+    logger.info(`search vocabulary built with ${words.size} words`);
+    return vocabularyCache;
+};
+
+/**
+ * Words used in listing titles and brands
+ * @returns {Promise<Set<string>>}
+ */
+const getVocabulary = async () => (await loadVocabulary()).words;
+
+/**
+ * Forget the cached vocabulary, the next search reads it again
+ */
+const clearVocabulary = () => {
+    vocabularyCache = { words: null, brands: null, expiresAt: 0 };
+};
+
+/**
+ * Listing words a search term may stand for: longer words it starts, or the closest
+ * words within one typo (two for terms longer than four letters)
+ * @param {string} term - Search term
+ * @param {Set<string>} vocabulary - Listing words
+ * @returns {Object} - { words, corrected }, corrected is the best spelling fix or null
+ */
+const expandTerm = (term, vocabulary) => {
+    if (vocabulary.has(term)) {
+        return { words: [], corrected: null };
+    }
+
+    const completions = [...vocabulary]
+        .filter(word => word.startsWith(term))
+        .sort((a, b) => a.length - b.length || a.localeCompare(b))
+        .slice(0, MAX_EXPANSIONS);
+    if (completions.length > 0) {
+        return { words: completions, corrected: null };
+    }
+
+    // a two letter term is a model code more often than a typo
+    if (term.length < 3) {
+        return { words: [], corrected: null };
+    }
+
+    const maxDistance = term.length <= 4 ? 1 : 2;
+    const candidates = [];
+    vocabulary.forEach(word => {
+        const distance = editDistance(term, word, maxDistance);
+        if (distance <= maxDistance) {
+            candidates.push({ word, distance });
+        }
+    });
+    if (candidates.length === 0) {
+        return { words: [], corrected: null };
+    }
+
+    const closest = Math.min(...candidates.map(candidate => candidate.distance));
+    const words = candidates
+        .filter(candidate => candidate.distance === closest)
+        .map(candidate => candidate.word)
+        .sort()
+        .slice(0, MAX_EXPANSIONS);
+    return { words, corrected: words[0] };
+};
+
+/**
+ * Distinct terms of search text, at most MAX_TERMS of at most MAX_TERM_LENGTH letters
+ * @param {string} search - Search text as typed
+ * @returns {Array<string>}
+ */
+const searchTerms = (search) => [...new Set(tokenize(search))]
+    .slice(0, MAX_TERMS)
+    .map(term => term.slice(0, MAX_TERM_LENGTH));
+
+/**
+ * Build the $text condition for a search, tolerant of unfinished words and typos
+ * e.g. "samsng" also searches "samsung" and "gal" also searches "galaxy"
+ * @param {string} search - Search text as typed
+ * @returns {Promise<Object|null>} - { text, correctedSearch } or null when the text has no words,
+ * correctedSearch is the search with its typos fixed or null when nothing was fixed
+ */
+const buildTextSearch = async (search) => {
+    const terms = searchTerms(search);
+    if (terms.length === 0) {
+        return null;
+    }
+
+    const vocabulary = await getVocabulary();
+    const searchWords = new Set(terms);
+    let anyCorrected = false;
+    const correctedTerms = terms.map(term => {
+        const { words, corrected } = expandTerm(term, vocabulary);
+        words.forEach(word => searchWords.add(word));
+        if (corrected) {
+            anyCorrected = true;
+            return corrected;
+        }
+        return term;
+    });
+
+    return {
+        // the typed terms stay in, listings newer than the cached vocabulary still match them
+        text: { $search: [...searchWords].join(' ') },
+        correctedSearch: anyCorrected ? correctedTerms.join(' ') : null
+    };
+};
+
+/**
+ * Whether text contains every term of a search in any order, each term as a word, the start of
+ * a word or within a typo of one, with the same tolerance as buildTextSearch
+ * e.g. "samsng" and "galaxy s10 samsung" both match "Samsung Galaxy S10"
+ * @param {string} search - Search text as typed
+ * @param {string} text - Text to match, e.g. a listing's title and brand
+ * @returns {boolean} - false when the search has no words
+ */
+const matchesSearchText = (search, text) => {
+    const terms = searchTerms(search);
+    const words = new Set(tokenize(text));
+    return terms.length > 0
+        && terms.every(term => words.has(term) || expandTerm(term, words).words.length > 0);
+};
+
+/**
+ * Normalise search text for the query log: lower case, single spaces
+ * @param {string} text - Search text as typed
+ * @returns {string}
+ */
+const normalizeQuery = (text) => (text || '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, MAX_QUERY_LENGTH);
+
+/**
+ * Count a search in the query log, never throws so a search does not fail on it
+ * the searcher is kept as a hash and only until MIN_POPULAR_SEARCHERS different ones are recorded
+ * @param {string} search - Search text as typed
+ * @param {number} resultCount - Number of listings found
+ * @param {string} [searcher] - id of the searching user or their address, a search without one
+ * is counted but never makes the query popular
+ */
+const logQuery = async (search, resultCount, searcher) => {
+    const query = normalizeQuery(search);
+    if (query.length < SUGGEST_MIN_LENGTH) {
+        return;
+    }
+
+    try {
+        await SearchQuery.updateOne(
+            { query },
+            { $inc: { count: 1 }, $set: { resultCount, lastSearchedAt: new Date() } },
+            { upsert: true }
+        );
+
+        if (searcher) {
+            const hash = crypto.createHash('sha256').update(String(searcher)).digest('hex');
+            await SearchQuery.updateOne(
+                { query, searchers: { $ne: hash }, [`searchers.${MIN_POPULAR_SEARCHERS - 1}`]: { $exists: false } },
+                { $push: { searchers: hash } }
+            );
+        }
+    } catch (error) {
+        logger.error(`failed to log search query "${query}": ${error.message}`);
+    }
+};
+
+/**
+ * Listing titles for the typed text, titles starting with it first, then by text score
+ * @param {string} query - Normalised search text
+ * @returns {Promise<Array>} - [{ _id, title, brand }]
+ */
+const suggestTitles = async (query) => {
+    const textSearch = await buildTextSearch(query);
+    if (!textSearch) {
+        return [];
+    }
+
+    const phones = await Phone.find(
+        { disabled: { $exists: false }, $text: textSearch.text },
+        { title: 1, brand: 1, score: { $meta: 'textScore' } }
+    )
+        .sort({ score: { $meta: 'textScore' } })
+        .limit(MAX_SUGGESTIONS * 4)
+        .maxTimeMS(SUGGEST_TIME_BUDGET_MS)
+        .lean();
+
+    // listings often share a title, suggest it once
+    const byTitle = new Map();
+    phones
+        .map((phone, rank) => ({ phone, rank, prefix: phone.title.toLowerCase().startsWith(query) }))
+        .sort((a, b) => (b.prefix - a.prefix) || (a.rank - b.rank))
+        .forEach(({ phone }) => {
+            if (!byTitle.has(phone.title)) {
+                byTitle.set(phone.title, { _id: phone._id, title: phone.title, brand: phone.brand });
+            }
+        });
+    return [...byTitle.values()].slice(0, MAX_SUGGESTIONS);
+};
+
+/**
+ * Brands starting with the typed text, or with one of its words
+ * @param {string} query - Normalised search text
+ * @returns {Promise<Array<string>>}
+ */
+const suggestBrands = async (query) => {
+    const { brands } = await loadVocabulary();
+    const terms = [query, ...tokenize(query)];
+    return brands
+        .filter(brand => terms.some(term => brand.toLowerCase().startsWith(term)))
+        .sort()
+        .slice(0, MAX_SUGGESTIONS);
+};
+
+/**
+ * Most searched past queries starting with the typed text that found listings,
+ * searched by at least MIN_POPULAR_SEARCHERS different people
+ * @param {string} query - Normalised search text
+ * @returns {Promise<Array>} - [{ query, count }]
+ */
+const suggestPopularQueries = async (query) => SearchQuery.find(
+    {
+        query: new RegExp(`^${escapeRegex(query)}`),
+        resultCount: { $gt: 0 },
+        [`searchers.${MIN_POPULAR_SEARCHERS - 1}`]: { $exists: true }
+    },
+    { _id: 0, query: 1, count: 1 }
+)
+    .sort({ count: -1 })
+    .limit(MAX_SUGGESTIONS)
+    .maxTimeMS(SUGGEST_TIME_BUDGET_MS)
+    .lean();
+
+/**
+ * Settle a lookup within the suggestion time budget
+ * @param {Promise} lookup - Suggestion lookup
+ * @returns {Promise} - The lookup result, rejected once the budget runs out
+ */
+const withinBudget = (lookup) => {
+    let timer;
+    const deadline = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error('time budget exceeded')), SUGGEST_TIME_BUDGET_MS);
+    });
+    return Promise.race([lookup, deadline]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Suggestions while the user types: title completions, matching brands and popular past queries.
+ * Every lookup has a time budget, one that fails or runs out of time is left empty
+ * instead of delaying the others
+ * @param {string} text - Search text as typed
+ * @returns {Promise<Object>} - { query, titles, brands, popular }
+ */
+const getSuggestions = async (text) => {
+    const query = normalizeQuery(text);
+    if (query.length < SUGGEST_MIN_LENGTH) {
+        return { query, titles: [], brands: [], popular: [] };
+    }
+
+    const [titles, brands, popular] = await Promise.allSettled([
+        withinBudget(suggestTitles(query)),
+        withinBudget(suggestBrands(query)),
+        withinBudget(suggestPopularQueries(query))
+    ]);
+
+    [titles, brands, popular]
+        .filter(result => result.status === 'rejected')
+        .forEach(result => logger.warn(`search suggestion lookup left out for "${query}": ${result.reason.message}`));
+
+    const valueOf = (result) => (result.status === 'fulfilled' ? result.value : []);
+    return {
+        query,
+        titles: valueOf(titles),
+        brands: valueOf(brands),
+        // the typed text itself is not worth suggesting
+        popular: valueOf(popular).filter(past => past.query !== query)
+    };
+};
+
+module.exports = {
+    tokenize,
+    editDistance,
+    buildTextSearch,
+    matchesSearchText,
+    clearVocabulary,
+    logQuery,
+    getSuggestions
+};
@@ -4,6 +4,147 @@ const mongoose = require('mongoose');
 const { v4: uuidv4 } = require('uuid');
 const fs = require('fs');
 const path = require('path');
+const notificationService = require('../user/notificationService');
+const reservationService = require('../cart/reservationService');
+const { escapeRegex } = require('../../utils/regexHelper');
+const wishlistService = require('../cart/wishlistService');
+const phoneSearchService = require('./phoneSearchService');
+const { CONDITION_GRADES, NETWORK_LOCKS, STORAGE_OPTIONS_GB } = require('../../config/phoneAttributes');
+
+// sort orders of the search page, relevance needs search text. score, averageRating and
+// reviewCount are added by the search aggregation, _id keeps the pages apart on ties
+const SEARCH_SORTS = {
+    relevance: { score: -1, createdAt: -1, _id: -1 },
+    newest: { createdAt: -1, _id: -1 },
+    price_asc: { price: 1, createdAt: -1, _id: -1 },
+    price_desc: { price: -1, createdAt: -1, _id: -1 },
+    rating: { averageRating: -1, reviewCount: -1, createdAt: -1, _id: -1 },
+    reviews: { reviewCount: -1, averageRating: -1, createdAt: -1, _id: -1 }
+};
+
+// lower bounds of the search page price buckets, the last bucket has no upper bound
+const PRICE_BUCKETS = [0, 50, 100, 200, 300, 500];
+// minimum average ratings offered as "& up" bands
+const RATING_BANDS = [4, 3, 2, 1];
+
+/**
+ * count the search results per facet in one aggregation. Each facet applies every filter
+ * except its own, so its counts show what choosing another value of it would return
+ * @param {Object} baseQuery - conditions every facet shares (disabled and search text)
+ * @param {Object} filters - filter conditions by facet name (brand, price, inStock, rating, condition, storage,
+ * colour, networkLock, battery, year)
+ * @returns {Promise<Object>} - total results, brand counts, price range and buckets, in-stock count, rating bands,
+ * condition, storage, colour and network lock counts
+ */
+const getSearchFacets = async (baseQuery, filters) => {
+    const matchAllBut = (facet) => ({
+        $match: Object.keys(filters)
+            .filter(name => name !== facet)
+            .reduce((match, name) => ({ ...match, ...filters[name] }), {})
+    });
+
+    const [result] = await Phone.aggregate([
+        { $match: baseQuery },
+        {
+            $facet: {
+                total: [matchAllBut(null), { $count: 'count' }],
+                brands: [
+                    matchAllBut('brand'),
+                    { $group: { _id: '$brand', count: { $sum: 1 } } },
+                    { $sort: { count: -1, _id: 1 } }
+                ],
+                priceRange: [
+                    matchAllBut('price'),
+                    { $group: { _id: null, min: { $min: '$price' }, max: { $max: '$price' } } }
+                ],
+                priceBuckets: [
+                    matchAllBut('price'),
+                    { $match: { price: { $gte: 0 } } },
+                    {
+                        $bucket: {
+                            groupBy: '$price',
+                            boundaries: PRICE_BUCKETS,
+                            default: PRICE_BUCKETS[PRICE_BUCKETS.length - 1],
+                            output: { count: { $sum: 1 } }
+                        }
+                    }
+                ],
+                inStock: [matchAllBut('inStock'), { $match: { stock: { $gt: 0 } } }, { $count: 'count' }],
+                ratings: [
+                    matchAllBut('rating'),
+                    { $project: { rating: { $floor: { $avg: '$reviews.rating' } } } },
+                    { $group: { _id: '$rating', count: { $sum: 1 } } }
+                ],
+                conditions: [
+                    matchAllBut('condition'),
+                    { $group: { _id: '$condition', count: { $sum: 1 } } }
+                ],
+                storage: [
+                    matchAllBut('storage'),
+                    { $group: { _id: '$storageGb', count: { $sum: 1 } } }
+                ],
+                // sellers type the colour, "Black" and "black" are one colour
+                colours: [
+                    matchAllBut('colour'),
+                    { $group: { _id: { $toLower: '$colour' }, count: { $sum: 1 } } },
+                    { $sort: { count: -1, _id: 1 } }
+                ],
+                networkLocks: [
+                    matchAllBut('networkLock'),
+                    { $group: { _id: '$networkLock', count: { $sum: 1 } } }
+                ]
+            }
+        }
+    ]);
+
+    const bucketCounts = new Map(result.priceBuckets.map(bucket => [bucket._id, bucket.count]));
+    const ratingCounts = new Map(result.ratings.map(rating => [rating._id, rating.count]));
+    const conditionCounts = new Map(result.conditions.map(condition => [condition._id, condition.count]));
+    const storageCounts = new Map(result.storage.map(storage => [storage._id, storage.count]));
+    const networkLockCounts = new Map(result.networkLocks.map(networkLock => [networkLock._id, networkLock.count]));
+    const range = result.priceRange[0];
+
+    return {
+        total: result.total.length > 0 ? result.total[0].count : 0,
+        facets: {
+            brands: result.brands
+                .filter(brand => brand._id) // filter out null or empty strings
+                .map(brand => ({ brand: brand._id, count: brand.count })),
+            priceRange: range && range.min !== null ? { min: range.min, max: range.max } : null,
+            priceBuckets: PRICE_BUCKETS.map((min, i) => ({
+                min,
+                max: i < PRICE_BUCKETS.length - 1 ? PRICE_BUCKETS[i + 1] : null,
+                count: bucketCounts.get(min) || 0
+            })),
+            inStock: result.inStock.length > 0 ? result.inStock[0].count : 0,
+            // an average of 4.5 counts towards 4 & up and every lower band
+            ratings: RATING_BANDS.map(minRating => ({
+                minRating,
+                count: [...ratingCounts.entries()]
+                    .filter(([rating]) => rating !== null && rating >= minRating)
+                    .reduce((sum, [, count]) => sum + count, 0)
+            })),
+            conditions: CONDITION_GRADES.map(condition => ({
+                condition,
+                count: conditionCounts.get(condition) || 0
+            })),
+            // 128 GB counts towards 128 GB & up and every smaller option
+            storage: STORAGE_OPTIONS_GB.map(minStorage => ({
+                minStorage,
+                count: [...storageCounts.entries()]
+                    .filter(([storageGb]) => storageGb !== null && storageGb >= minStorage)
+                    .reduce((sum, [, count]) => sum + count, 0)
+            })),
+            colours: result.colours
+                .filter(colour => colour._id) // listings without a colour group under an empty string
+                .map(colour => ({ colour: colour._id, count: colour.count })),
+            networkLocks: NETWORK_LOCKS.map(networkLock => ({
+                networkLock,
+                count: networkLockCounts.get(networkLock) || 0
+            }))
+        }
+    };
+};
 
 /**
  * get phones with pagination, search and filtering
@@ -13,7 +154,7 @@ const path = require('path');
  * @param {String} options.disabled - filter by disabled status
  * @param {Number} options.page - page number
  * @param {Number} options.limit - number of records per page
- * @param {String} options.sortBy - field to sort by
+ * @param {String} options.sortBy - field to sort by, or relevance to rank by the search text
  * @param {String} options.sortOrder - sort order (asc or desc)
  * @returns {Promise<Object>} - return phones data and pagination information
  */
@@ -35,17 +176,14 @@ const getPhones = async (options = {}) => {
         let query = {};
 
         // handle search conditions for title or brand
-        if (search) {
-            const searchRegex = new RegExp(search, 'i');
-            query.$or = [
-                { title: searchRegex },
-                { brand: searchRegex }
-            ];
+        const textSearch = search ? await phoneSearchService.buildTextSearch(search) : null;
+        if (textSearch) {
+            query.$text = textSearch.text;
         }
 
         // handle brand filter
         if (filter.brand) {
-            query.brand = new RegExp(filter.brand, 'i');
+            query.brand = new RegExp(escapeRegex(filter.brand), 'i');
         }
 
         // handle stock filter
@@ -65,15 +203,19 @@ const getPhones = async (options = {}) => {
 
         logger.info(`query conditions: ${JSON.stringify(query)}`);
 
-        // prepare sort
-        const sort = {};
-        sort[sortBy] = sortOrder === 'asc' ? 1 : -1;
+        // prepare sort, relevance falls back to newest first without search text
+        let sort = {};
+        if (sortBy === 'relevance') {
+            sort = textSearch ? { score: { $meta: 'textScore' }, createdAt: -1 } : { createdAt: -1 };
+        } else {
+            sort[sortBy] = sortOrder === 'asc' ? 1 : -1;
+        }
 
         logger.info(`getting phones with search: "${search}", brand filter: "${filter.brand}", 
             inStock filter: ${filter.inStock}, disabled filter: ${disabled}, page: ${page}, limit: ${limit}`);
 
         // get paginated phone data
-        const phones = await Phone.find(query)
+        const phones = await Phone.find(query, textSearch ? { score: { $meta: 'textScore' } } : undefined)
             .sort(sort)
             .skip(skip)
             .limit(limit)
@@ -198,12 +340,25 @@ const getBestSellerPhones = async () => {
 /**
  * search phones with title and brand filter
  * @param {Object} options - search options
- * @param {String} options.search - search term for title
+ * @param {String} options.search - search text, matched against title and brand through the text index
  * @param {String} options.brand - brand filter
  * @param {Object} options.price - price filter with min and max
+ * @param {Boolean} options.inStock - only phones in stock
+ * @param {Number} options.minRating - only phones with at least this average rating
+ * @param {String} options.condition - condition grade, one of CONDITION_GRADES
+ * @param {Number} options.minStorage - only phones with at least this much storage in GB
+ * @param {String} options.colour - colour, matched case-insensitively
+ * @param {String} options.networkLock - network lock status, one of NETWORK_LOCKS
+ * @param {Number} options.minBattery - only phones with at least this battery health in percent
+ * @param {Number} options.minYear - only phones of this model year or later
+ * @param {String} options.sort - relevance, newest, price_asc, price_desc, rating (average rating) or reviews
+ * (review count), defaults to relevance when searching and to newest otherwise
  * @param {Number} options.page - page number
  * @param {Number} options.limit - number of records per page
- * @returns {Promise<Object>} - returns phones data, brand list and pagination info
+ * @param {String} options.viewerId - optional id of the searching user, their own cart holds count as available
+ * @param {String} options.searcher - optional user id or address of the searcher, counted in the query log
+ * @returns {Promise<Object>} - returns phones data with availableStock, facet counts for the current search,
+ * the search with its typos fixed (correctedSearch, null when nothing was fixed), the sort used and pagination info
  */
 const searchPhones = async (options = {}) => {
     try {
@@ -211,62 +366,129 @@ const searchPhones = async (options = {}) => {
             search = '',
             brand = '',
             price = {},
+            inStock = false,
+            minRating,
+            condition,
+            minStorage,
+            colour,
+            networkLock,
+            minBattery,
+            minYear,
+            sort,
             page = 1,
-            limit = 10
+            limit = 10,
+            viewerId,
+            searcher
         } = options;
 
         const skip = (page - 1) * limit;
 
-        // build query conditions
-        let query = {
+        // build query conditions shared by the results and every facet
+        const baseQuery = {
             disabled: { $exists: false }  // exclude disabled phones
         };
 
         // handle search across title and brand
-        if (search) {
-            query.$or = [
-                { title: new RegExp(search, 'i') },
-                { brand: new RegExp(search, 'i') }
-            ];
+        const textSearch = search ? await phoneSearchService.buildTextSearch(search) : null;
+        if (textSearch) {
+            baseQuery.$text = textSearch.text;
         }
 
+        // filters by facet name, the facet counts leave their own filter out
+        const filters = {};
+
         // handle brand filter (exact match)
         if (brand) {
-            // If we already have search criteria, we need to keep it compatible with brand filter
-            query.brand = brand;
+            filters.brand = { brand };
         }
 
         // handle price filter
         if (price.min !== undefined || price.max !== undefined) {
-            query.price = {};
+            filters.price = { price: {} };
             if (price.min !== undefined) {
-                query.price.$gte = parseFloat(price.min);
+                filters.price.price.$gte = parseFloat(price.min);
             }
             if (price.max !== undefined) {
-                query.price.$lte = parseFloat(price.max);
+                filters.price.price.$lte = parseFloat(price.max);
             }
         }
 
-        logger.info(`searching phones with query: ${JSON.stringify(query)}`);
+        // handle stock filter
+        if (inStock) {
+            filters.inStock = { stock: { $gt: 0 } };
+        }
 
-        // get paginated phone data
-        const phones = await Phone.find(query)
-            .sort({ createdAt: -1 })
-            .skip(skip)
-            .limit(limit)
-            .populate('seller', 'firstname lastname email');
+        // handle rating filter on the average of all review ratings
+        if (minRating) {
+            filters.rating = { $expr: { $gte: [{ $avg: '$reviews.rating' }, parseFloat(minRating)] } };
+        }
 
-        // get total number of matching records
-        const total = await Phone.countDocuments(query);
+        // handle the structured attribute filters, listings without the attribute never match them
+        if (CONDITION_GRADES.includes(condition)) {
+            filters.condition = { condition };
+        }
+        if (minStorage) {
+            filters.storage = { storageGb: { $gte: parseFloat(minStorage) } };
+        }
+        if (colour) {
+            filters.colour = { colour: new RegExp(`^${escapeRegex(colour)}$`, 'i') };
+        }
+        if (NETWORK_LOCKS.includes(networkLock)) {
+            filters.networkLock = { networkLock };
+        }
+        if (minBattery) {
+            filters.battery = { batteryHealth: { $gte: parseFloat(minBattery) } };
+        }
+        if (minYear) {
+            filters.year = { modelYear: { $gte: parseInt(minYear) } };
+        }
 
-        // get all unique brands
-        const brands = await Phone.distinct('brand');
+        const query = Object.values(filters).reduce((conditions, filter) => ({ ...conditions, ...filter }), baseQuery);
+
+        // relevance ranks by the text score, so it needs search text
+        let sortKey = Object.hasOwn(SEARCH_SORTS, sort) ? sort : 'relevance';
+        if (sortKey === 'relevance' && !textSearch) {
+            sortKey = 'newest';
+        }
+
+        logger.info(`searching phones with query: ${JSON.stringify(query)}, sort: ${sortKey}`);
+
+        // get paginated phone data, an aggregation so rating and review count can be sorted on
+        const pipeline = [{ $match: query }];
+        if (textSearch) {
+            pipeline.push({ $addFields: { score: { $meta: 'textScore' } } });
+        }
+        pipeline.push(
+            {
+                $addFields: {
+                    averageRating: { $avg: '$reviews.rating' },
+                    reviewCount: { $size: { $ifNull: ['$reviews', []] } }
+                }
+            },
+            { $sort: SEARCH_SORTS[sortKey] },
+            { $skip: skip },
+            { $limit: limit }
+        );
+        const phones = await Phone.populate(await Phone.aggregate(pipeline), {
+            path: 'seller',
+            select: 'firstname lastname email'
+        });
+
+        // get total number of matching records and the facet counts
+        const { total, facets } = await getSearchFacets(baseQuery, filters);
+
+        // count the search for suggestions, without waiting for it
+        if (search && parseInt(page) === 1) {
+            phoneSearchService.logQuery(search, total, searcher);
+        }
 
         logger.info(`search completed. found ${total} phones matching criteria`);
 
         return {
-            phones,
-            brands: brands.filter(b => b), // filter out null or empty strings
+            phones: await reservationService.withAvailableStock(phones, viewerId),
+            facets,
+            correctedSearch: textSearch ? textSearch.correctedSearch : null,
+            sort: sortKey,
             pagination: {
                 total,
                 page: parseInt(page),
@@ -283,9 +505,10 @@ const searchPhones = async (options = {}) => {
 /**
  * get phone by id
  * @param {String} phoneId - phone id
- * @returns {Promise<Object>} - phone object
+ * @param {String} viewerId - optional id of the viewing user, their own cart holds count as available
+ * @returns {Promise<Object>} - phone object with availableStock
  */
-const getPhoneById = async (phoneId) => {
+const getPhoneById = async (phoneId, viewerId) => {
     try {
         const phone = await Phone.findById(phoneId)
             .populate('seller', 'firstname lastname email')
@@ -300,7 +523,8 @@ const getPhoneById = async (phoneId) => {
             error.statusCode = 400;
             throw error;
         }
-        return phone;
+        const [withAvailability] = await reservationService.withAvailableStock([phone], viewerId);
+        return withAvailability;
     } catch (error) {
         throw error;
     }
@@ -327,11 +551,24 @@ const deletePhoneById = async (phoneId) => {
  */
 const disablePhoneById = async (phoneId) => {
     try {
+        // only notify the seller when the listing was enabled before this call
+        const wasEnabled = await Phone.exists({ _id: phoneId, disabled: { $exists: false } });
         const phone = await Phone.findByIdAndUpdate(
             phoneId, 
             { $set: { disabled: "" } }, 
             { new: true }
         );
+
+        if (phone && wasEnabled && phone.seller) {
+            await notificationService.createNotification({
+                recipient: phone.seller,
+                type: 'LISTING_DISABLED',
+                title: 'Your listing was disabled',
+                message: `An administrator disabled your listing "${phone.title}".`,
+                link: '/profile',
+                data: { phoneId: phone._id }
+            });
+        }
         return phone;
     } catch (error) {
         throw error;
@@ -384,7 +621,13 @@ const getReviewsByUserId = async (userId) => {
 
 const updatePhoneById = async (phoneId, phone) => {
     try {
+        const previous = await Phone.findById(phoneId).select('price stock');
         const updatedPhone = await Phone.findByIdAndUpdate(phoneId, phone, { new: true });
+
+        // a lower price or a restock from zero alerts the users who saved the phone
+        if (previous && updatedPhone) {
+            await wishlistService.notifyWatchers(previous, updatedPhone);
+        }
         return updatedPhone;
     } catch (error) {
         throw error;
@@ -521,7 +764,7 @@ const getAllReviews = async (page = 1, limit = 10, brand = null, hidden = null)
 const searchReviews = async (query, page = 1, limit = 10, brand = null, hidden = null) => {
     try {
         const skip = (page - 1) * limit;
-        const searchRegex = new RegExp(query, 'i'); 
+        const searchRegex = query ? new RegExp(escapeRegex(query), 'i') : null;
         
         const aggregationPipeline = [];
         
@@ -695,6 +938,8 @@ const addReview = async (phoneId, userId, rating, comment) => {
         };
         phone.reviews.unshift(newReview);
         await phone.save();
+
+        await notificationService.notifySellerOfReview(phone, phone.reviews[0]);
         return phone.reviews[0];
     } catch (error) {
         throw error;
@@ -0,0 +1,300 @@
+const mongoose = require('mongoose');
+const Promotion = require('../../models/promotion');
+const Order = require('../../models/order');
+const Cart = require('../../models/cart');
+const User = require('../../models/user');
+const logger = require('../../config/logger');
+const { createError } = require('../../utils/errorHelper');
+
+// fields an admin may set on a promotion
+const EDITABLE_FIELDS = ['code', 'description', 'type', 'value', 'brand', 'minSpend', 'usageLimitPerUser', 'startsAt', 'endsAt', 'active'];
+
+/**
+ * normalise a coupon code the way it is stored
+ * @param {String} code - code as typed by the user
+ * @returns {String}
+ */
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+/**
+ * turn mongoose validation and duplicate key errors into 400/409 errors
+ * @param {Error} error - error thrown by save
+ * @returns {Error}
+ */
+const toClientError = (error) => {
+    if (error.name === 'ValidationError') {
+        return createError(Object.values(error.errors).map(item => item.message).join(' '), 400);
+    }
+    if (error.code === 11000) {
+        return createError('A promotion with this code already exists', 409);
+    }
+    return error;
+};
+
+/**
+ * copy the editable fields of a request onto a promotion, resolving the seller from an email
+ * @param {Object} promotion - promotion document
+ * @param {Object} data - request body
+ */
+const assignFields = async (promotion, data) => {
+    EDITABLE_FIELDS.forEach(field => {
+        if (data[field] !== undefined) {
+            promotion[field] = data[field] === '' ? undefined : data[field];
+        }
+    });
+
+    if (data.sellerEmail !== undefined) {
+        if (!data.sellerEmail) {
+            promotion.seller = undefined;
+        } else {
+            const seller = await User.findOne({ email: String(data.sellerEmail).trim().toLowerCase() }).select('_id');
+            if (!seller) {
+                throw createError(`No user with email ${data.sellerEmail}`, 400);
+            }
+            promotion.seller = seller._id;
+        }
+    }
+};
+
+/**
+ * list promotions for the admin screens, newest first
+ * @param {Object} options
+ * @param {Number} options.page - page number (1-based)
+ * @param {Number} options.limit - page size
+ * @param {String} options.search - optional code prefix
+ * @returns {Promise<Object>} - { promotions, total }
+ */
+const getPromotions = async ({ page = 1, limit = 10, search } = {}) => {
+    const filter = {};
+    if (search) {
+        filter.code = { $regex: `^${normalizeCode(search).replace(/[^A-Z0-9_-]/g, '')}` };
+    }
+
+    const [promotions, total] = await Promise.all([
+        Promotion.find(filter)
+            .populate('seller', 'firstname lastname email')
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit),
+        Promotion.countDocuments(filter)
+    ]);
+
+    return { promotions, total };
+};
+
+/**
+ * create a promotion
+ * @param {Object} data - promotion fields, the seller is given as sellerEmail
+ * @param {String} adminId - id of the admin creating it
+ * @returns {Promise<Object>} - created promotion
+ */
+const createPromotion = async (data, adminId) => {
+    const promotion = new Promotion({ createdBy: adminId, updatedBy: adminId });
+    await assignFields(promotion, data);
+
+    try {
+        await promotion.save();
+    } catch (error) {
+        throw toClientError(error);
+    }
+
+    logger.info(`PromotionService: Promotion ${promotion.code} created by ${adminId}`);
+    return promotion.populate('seller', 'firstname lastname email');
+};
+
+/**
+ * update a promotion, orders already placed keep the terms they were placed with
+ * @param {String} promotionId - promotion id
+ * @param {Object} data - fields to change
+ * @param {String} adminId - id of the admin editing it
+ * @returns {Promise<Object>} - updated promotion
+ */
+const updatePromotion = async (promotionId, data, adminId) => {
+    if (!mongoose.Types.ObjectId.isValid(promotionId)) {
+        throw createError('Promotion not found', 404);
+    }
+    const promotion = await Promotion.findById(promotionId);
+    if (!promotion) {
+        throw createError('Promotion not found', 404);
+    }
+
+    await assignFields(promotion, data);
+    promotion.updatedBy = adminId;
+
+    try {
+        await promotion.save();
+    } catch (error) {
+        throw toClientError(error);
+    }
+
+    logger.info(`PromotionService: Promotion ${promotion.code} updated by ${adminId}`);
+    return promotion.populate('seller', 'firstname lastname email');
+};
+
+/**
+ * delete a promotion, orders keep their copy of the applied code
+ * @param {String} promotionId - promotion id
+ * @returns {Promise<Object>} - deleted promotion
+ */
+const deletePromotion = async (promotionId) => {
+    if (!mongoose.Types.ObjectId.isValid(promotionId)) {
+        throw createError('Promotion not found', 404);
+    }
+    const promotion = await Promotion.findByIdAndDelete(promotionId);
+    if (!promotion) {
+        throw createError('Promotion not found', 404);
+    }
+
+    logger.info(`PromotionService: Promotion ${promotion.code} deleted`);
+    return promotion;
+};
+
+/**
+ * whether a line is covered by the promotion's brand and seller scope
+ * @param {Object} promotion - promotion document
+ * @param {Object} line - { brand, seller }
+ * @returns {Boolean}
+ */
+const isEligibleLine = (promotion, line) => {
+    if (promotion.brand && String(line.brand || '').toLowerCase() !== promotion.brand.toLowerCase()) {
+        return false;
+    }
+    if (promotion.seller && String(line.seller) !== String(promotion.seller)) {
+        return false;
+    }
+    return true;
+};
+
+/**
+ * split a promotion's discount over the lines it covers, worked out in cents so the lines add up exactly
+ * @param {Object} promotion - promotion document
+ * @param {Array<Object>} lines - { phone, brand, seller, price, quantity }
+ * @returns {Object} - { eligibleSubtotal, discountTotal, discounts: Map<phone id, discount> }
+ */
+const calculateDiscount = (promotion, lines) => {
+    const eligible = lines
+        .filter(line => isEligibleLine(promotion, line))
+        .map(line => ({ phone: line.phone.toString(), cents: Math.round(line.price * 100) * line.quantity }));
+    const eligibleCents = eligible.reduce((sum, line) => sum + line.cents, 0);
+
+    const discountCents = promotion.type === 'percentage'
+        ? Math.round(eligibleCents * promotion.value / 100)
+        : Math.min(Math.round(promotion.value * 100), eligibleCents);
+
+    // share the discount by line total, the last line takes the rounding remainder
+    const discounts = new Map();
+    let allocated = 0;
+    eligible.forEach((line, index) => {
+        const share = index === eligible.length - 1
+            ? discountCents - allocated
+            : Math.floor(discountCents * line.cents / eligibleCents);
+        allocated += share;
+        discounts.set(line.phone, share / 100);
+    });
+
+    return {
+        eligibleSubtotal: eligibleCents / 100,
+        discountTotal: discountCents / 100,
+        discounts
+    };
+};
+
+/**
+ * look up a code and check it can be redeemed by this user for these lines
+ * @param {String} code - coupon code
+ * @param {String} userId - buyer id
+ * @param {Array<Object>} lines - { phone, brand, seller, price, quantity }
+ * @param {mongoose.ClientSession} [session] - checkout transaction session
+ * @returns {Promise<Object>} - { promotion, eligibleSubtotal, discountTotal, discounts }
+ * @throws {Error} - 404 for an unknown code, 400 when the code cannot be used
+ */
+const applyPromotion = async (code, userId, lines, session = null) => {
+    const promotion = await Promotion.findOne({ code: normalizeCode(code) }).session(session);
+    if (!promotion || !promotion.active) {
+        throw createError(`Coupon code ${normalizeCode(code)} is not valid`, 404);
+    }
+
+    const now = new Date();
+    if (now < promotion.startsAt) {
+        throw createError(`Coupon code ${promotion.code} is not active yet`, 400);
+    }
+    if (now > promotion.endsAt) {
+        throw createError(`Coupon code ${promotion.code} has expired`, 400);
+    }
+
+    const result = calculateDiscount(promotion, lines);
+    if (result.eligibleSubtotal === 0) {
+        throw createError(`Coupon code ${promotion.code} does not apply to any item in your cart`, 400);
+    }
+    if (result.eligibleSubtotal < promotion.minSpend) {
+        throw createError(`Coupon code ${promotion.code} needs a minimum spend of $${promotion.minSpend.toFixed(2)} on eligible items`, 400);
+    }
+
+    if (promotion.usageLimitPerUser > 0) {
+        // cancelled orders give the use back
+        const used = await Order.countDocuments({
+            user: userId,
+            'promotion.promotion': promotion._id,
+            status: { $ne: 'cancelled' }
+        }).session(session);
+        if (used >= promotion.usageLimitPerUser) {
+            throw createError(`You have already used coupon code ${promotion.code}`, 400);
+        }
+    }
+
+    return { promotion, ...result };
+};
+
+/**
+ * count a redemption, bumping the promotion inside the checkout transaction also makes
+ * concurrent checkouts with the same code conflict, so the per-user limit is re-checked on retry
+ * @param {Object} promotion - promotion document
+ * @param {mongoose.ClientSession} session - checkout transaction session
+ */
+const recordRedemption = async (promotion, session) => {
+    await Promotion.updateOne({ _id: promotion._id }, { $inc: { timesUsed: 1 } }, { session });
+};
+
+/**
+ * preview what a code takes off the user's current cart
+ * @param {String} userId - cart owner
+ * @param {String} code - coupon code
+ * @returns {Promise<Object>} - { code, description, discountTotal, items: [{ phone, discount }] }
+ */
+const previewForCart = async (userId, code) => {
+    const cart = await Cart.findOne({ user: userId }).populate('items.phone', 'price brand seller');
+    const lines = (cart?.items || [])
+        .filter(item => item.phone)
+        .map(item => ({
+            phone: item.phone._id,
+            brand: item.phone.brand,
+            seller: item.phone.seller,
+            price: item.phone.price,
+            quantity: item.quantity
+        }));
+
+    if (lines.length === 0) {
+        throw createError('Your cart is empty', 400);
+    }
+
+    const { promotion, discountTotal, discounts } = await applyPromotion(code, userId, lines);
+
+    return {
+        code: promotion.code,
+        description: promotion.description,
+        discountTotal,
+        items: [...discounts].map(([phone, discount]) => ({ phone, discount }))
+    };
+};
+
+module.exports = {
+    normalizeCode,
+    getPromotions,
+    createPromotion,
+    updatePromotion,
+    deletePromotion,
+    calculateDiscount,
+    applyPromotion,
+    recordRedemption,
+    previewForCart
+};
@@ -0,0 +1,19 @@
+/**
+ * flat rate table, every seller's parcel costs the same
+ * SHIPPING_FLAT_RATE sets the price of one parcel
+ */
+const DEFAULT_RATE = 10;
+
+/**
+ * @param {Array<Object>} parcels - one parcel per seller
+ * @returns {Array<Number>} - cost of each parcel
+ */
+const quote = (parcels) => {
+    const rate = parseFloat(process.env.SHIPPING_FLAT_RATE);
+    return parcels.map(() => (isNaN(rate) ? DEFAULT_RATE : rate));
+};
+
+module.exports = {
+    name: 'flat',
+    quote
+};
@@ -0,0 +1,49 @@
+const flatRate = require('./flatRate');
+const itemCountRate = require('./itemCountRate');
+const sellerRegionRate = require('./sellerRegionRate');
+
+/**
+ * @typedef {object} Parcel
+ * @property {string} seller - Seller id, every seller ships their items in one parcel.
+ * @property {number} itemCount - Units in the parcel.
+ * @property {number} subtotal - Value of the parcel after discounts.
+ * @property {{state: string, country: string}|null} sellerRegion - Where the seller ships from, null if unknown.
+ */
+
+/**
+ * Every shipping rate table implements this interface.
+ * @typedef {object} RateTable
+ * @property {string} name - Rate table name, selected with SHIPPING_RATE_TABLE.
+ * @property {function(Array<Parcel>, Object): Array<number>} quote
+ *           Price each parcel for delivery to the address, in the same order as the parcels.
+ */
+
+/**
+ * registered rate tables by name
+ * @type {Object<string, RateTable>}
+ */
+const RATE_TABLES = {
+    [flatRate.name]: flatRate,
+    [itemCountRate.name]: itemCountRate,
+    [sellerRegionRate.name]: sellerRegionRate
+};
+
+/**
+ * get a rate table by name, defaults to SHIPPING_RATE_TABLE from the environment
+ * @param {String} name - rate table name
+ * @returns {RateTable}
+ * @throws {Error} - 500 if no rate table is registered under that name, the server is misconfigured
+ */
+const getRateTable = (name = process.env.SHIPPING_RATE_TABLE || 'flat') => {
+    const rateTable = RATE_TABLES[name];
+    if (!rateTable) {
+        const error = new Error(`Unknown shipping rate table: ${name}`);
+        error.statusCode = 500;
+        throw error;
+    }
+    return rateTable;
+};
+
+module.exports = {
+    getRateTable
+};
@@ -0,0 +1,33 @@
+/**
+ * item count rate table, a parcel costs a base rate plus a rate for every unit after the first
+ * SHIPPING_BASE_RATE and SHIPPING_PER_ITEM_RATE set the two rates
+ */
+const DEFAULT_BASE_RATE = 8;
+const DEFAULT_PER_ITEM_RATE = 2;
+
+/**
+ * read a rate from the environment
+ * @param {String} name - environment variable
+ * @param {Number} fallback - default rate
+ * @returns {Number}
+ */
+const readRate = (name, fallback) => {
+    const rate = parseFloat(process.env[name]);
+    return isNaN(rate) ? fallback : rate;
+};
+
+/**
+ * @param {Array<Object>} parcels - one parcel per seller
+ * @returns {Array<Number>} - cost of each parcel
+ */
+const quote = (parcels) => {
+    const baseRate = readRate('SHIPPING_BASE_RATE', DEFAULT_BASE_RATE);
+    const perItemRate = readRate('SHIPPING_PER_ITEM_RATE', DEFAULT_PER_ITEM_RATE);
+
+    return parcels.map(parcel => baseRate + perItemRate * Math.max(0, parcel.itemCount - 1));
+};
+
+module.exports = {
+    name: 'item_count',
+    quote
+};
@@ -0,0 +1,58 @@
+/**
+ * seller region rate table, a parcel costs more the further it travels from the seller
+ * SHIPPING_SAME_STATE_RATE, SHIPPING_DOMESTIC_RATE and SHIPPING_INTERNATIONAL_RATE set the rates,
+ * sellers without an address are charged the domestic rate
+ */
+const DEFAULT_RATES = {
+    sameState: 6,
+    domestic: 12,
+    international: 35
+};
+
+/**
+ * read a rate from the environment
+ * @param {String} name - environment variable
+ * @param {Number} fallback - default rate
+ * @returns {Number}
+ */
+const readRate = (name, fallback) => {
+    const rate = parseFloat(process.env[name]);
+    return isNaN(rate) ? fallback : rate;
+};
+
+/**
+ * compare two address parts ignoring case and surrounding spaces
+ * @param {String} a
+ * @param {String} b
+ * @returns {Boolean}
+ */
+const samePlace = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+/**
+ * @param {Array<Object>} parcels - one parcel per seller, with the seller's region
+ * @param {Object} address - delivery address
+ * @returns {Array<Number>} - cost of each parcel
+ */
+const quote = (parcels, address) => {
+    const rates = {
+        sameState: readRate('SHIPPING_SAME_STATE_RATE', DEFAULT_RATES.sameState),
+        domestic: readRate('SHIPPING_DOMESTIC_RATE', DEFAULT_RATES.domestic),
+        international: readRate('SHIPPING_INTERNATIONAL_RATE', DEFAULT_RATES.international)
+    };
+
+    return parcels.map(parcel => {
+        const region = parcel.sellerRegion;
+        if (!region) {
+            return rates.domestic;
+        }
+        if (!samePlace(region.country, address.country)) {
+            return rates.international;
+        }
+        return samePlace(region.state, address.state) ? rates.sameState : rates.domestic;
+    });
+};
+
+module.exports = {
+    name: 'seller_region',
+    quote
+};
@@ -0,0 +1,198 @@
+const User = require('../../models/user');
+const mongoose = require('mongoose');
+const logger = require('../../config/logger');
+const { createError } = require('../../utils/errorHelper');
+
+/**
+ * most addresses a user can keep in their address book
+ */
+const MAX_ADDRESSES = 10;
+
+/**
+ * fields a user can set on an address
+ */
+const EDITABLE_FIELDS = ['label', 'recipient', 'line1', 'line2', 'city', 'state', 'postcode', 'country', 'phone'];
+
+/**
+ * load a user with their address book
+ * @param {String} userId - user id
+ * @param {mongoose.ClientSession} [session] - optional transaction session
+ * @returns {Promise<Object>} - user document
+ * @throws {Error} - 404 if the user does not exist
+ */
+const findUser = async (userId, session = null) => {
+    const user = await User.findById(userId).select('addresses').session(session);
+    if (!user) {
+        throw createError('User not found', 404);
+    }
+    return user;
+};
+
+/**
+ * find an address in a user's address book
+ * @param {Object} user - user document
+ * @param {String} addressId - address id
+ * @returns {Object} - address subdocument
+ * @throws {Error} - 404 if the address is not in the address book
+ */
+const findAddress = (user, addressId) => {
+    const address = mongoose.Types.ObjectId.isValid(addressId) ? user.addresses.id(addressId) : null;
+    if (!address) {
+        throw createError('Address not found', 404);
+    }
+    return address;
+};
+
+/**
+ * save the address book, turning schema validation errors into 400s
+ * @param {Object} user - user document
+ */
+const saveAddresses = async (user) => {
+    try {
+        await user.save();
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            throw createError(Object.values(error.errors).map(err => err.message).join(' '), 400);
+        }
+        throw error;
+    }
+};
+
+/**
+ * get a user's addresses, the default one first
+ * @param {String} userId - user id
+ * @returns {Promise<Array<Object>>} - addresses
+ */
+const getAddresses = async (userId) => {
+    const user = await findUser(userId);
+    return [...user.addresses].sort((a, b) => Number(b.isDefault) - Number(a.isDefault));
+};
+
+/**
+ * add an address, the first address or one added with isDefault becomes the default
+ * @param {String} userId - user id
+ * @param {Object} data - address fields
+ * @returns {Promise<Array<Object>>} - the updated address book
+ * @throws {Error} - 400 if the address book is full or the address is incomplete
+ */
+const addAddress = async (userId, data) => {
+    const user = await findUser(userId);
+    if (user.addresses.length >= MAX_ADDRESSES) {
+        throw createError(`You can save at most ${MAX_ADDRESSES} addresses`, 400);
+    }
+
+    const fields = {};
+    EDITABLE_FIELDS.forEach(field => {
+        if (data[field] !== undefined) {
+            fields[field] = data[field];
+        }
+    });
+
+    const makeDefault = data.isDefault === true || user.addresses.length === 0;
+    if (makeDefault) {
+        user.addresses.forEach(address => {
+            address.isDefault = false;
+        });
+    }
+    user.addresses.push({ ...fields, isDefault: makeDefault });
+
+    await saveAddresses(user);
+    logger.info(`AddressService: Added address for user ${userId}`);
+    return getAddresses(userId);
+};
+
+/**
+ * update an address
+ * @param {String} userId - user id
+ * @param {String} addressId - address id
+ * @param {Object} data - address fields to change
+ * @returns {Promise<Array<Object>>} - the updated address book
+ * @throws {Error} - 404 if the address is not found, 400 if the result is incomplete
+ */
+const updateAddress = async (userId, addressId, data) => {
+    const user = await findUser(userId);
+    const address = findAddress(user, addressId);
+
+    EDITABLE_FIELDS.forEach(field => {
+        if (data[field] !== undefined) {
+            address[field] = data[field];
+        }
+    });
+
+    await saveAddresses(user);
+    logger.info(`AddressService: Updated address ${addressId} for user ${userId}`);
+    return getAddresses(userId);
+};
+
+/**
+ * delete an address, if it was the default the oldest remaining address takes over
+ * @param {String} userId - user id
+ * @param {String} addressId - address id
+ * @returns {Promise<Array<Object>>} - the updated address book
+ * @throws {Error} - 404 if the address is not found
+ */
+const deleteAddress = async (userId, addressId) => {
+    const user = await findUser(userId);
+    const address = findAddress(user, addressId);
+    const wasDefault = address.isDefault;
+
+    address.deleteOne();
+    if (wasDefault && user.addresses.length > 0) {
+        user.addresses[0].isDefault = true;
+    }
+
+    await saveAddresses(user);
+    logger.info(`AddressService: Deleted address ${addressId} for user ${userId}`);
+    return getAddresses(userId);
+};
+
+/**
+ * make an address the default
+ * @param {String} userId - user id
+ * @param {String} addressId - address id
+ * @returns {Promise<Array<Object>>} - the updated address book
+ * @throws {Error} - 404 if the address is not found
+ */
+const setDefaultAddress = async (userId, addressId) => {
+    const user = await findUser(userId);
+    findAddress(user, addressId);
+
+    user.addresses.forEach(address => {
+        address.isDefault = address._id.toString() === addressId;
+    });
+
+    await saveAddresses(user);
+    return getAddresses(userId);
+};
+
+/**
+ * pick the address an order ships to, the chosen one or else the default
+ * @param {String} userId - buyer id
+ * @param {String|null} addressId - chosen address id
+ * @param {mongoose.ClientSession} [session] - checkout transaction session
+ * @returns {Promise<Object>} - plain address fields to copy onto the order
+ * @throws {Error} - 400 if the buyer has no address, 404 if the chosen address is not theirs
+ */
+const resolveShippingAddress = async (userId, addressId = null, session = null) => {
+    const user = await findUser(userId, session);
+    if (user.addresses.length === 0) {
+        throw createError('Please add a shipping address', 400);
+    }
+
+    const address = addressId
+        ? findAddress(user, addressId)
+        : user.addresses.find(item => item.isDefault) || user.addresses[0];
+
+    const { recipient, line1, line2, city, state, postcode, country, phone } = address;
+    return { recipient, line1, line2, city, state, postcode, country, phone };
+};
+
+module.exports = {
+    MAX_ADDRESSES,
+    getAddresses,
+    addAddress,
+    updateAddress,
+    deleteAddress,
+    setDefaultAddress,
+    resolveShippingAddress
+};
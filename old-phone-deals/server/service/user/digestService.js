@@ -0,0 +1,95 @@
+const User = require('../../models/user');
+const DigestEntry = require('../../models/digestEntry');
+const { DIGEST_PERIOD_MS } = require('../../config/notificationEvents');
+const emailService = require('../email/emailService');
+const logger = require('../../config/logger');
+
+const DEFAULT_CHECK_INTERVAL_MS = 15 * 60 * 1000;
+
+/**
+ * keep an event for the recipient's next digest
+ * @param {string} recipient - The ID of the user
+ * @param {Object} entry
+ * @param {string} entry.type - Notification type
+ * @param {string} entry.title - Short title
+ * @param {string} entry.message - Event description
+ * @param {string} entry.link - Client route of the event
+ * @returns {Promise<Object>} - The digest entry
+ */
+const addToDigest = (recipient, { type, title, message, link }) => (
+    DigestEntry.create({ recipient, type, title, message, link })
+);
+
+/**
+ * queue the digest of one user with every event waiting for it and restart the user's digest period
+ * nothing is emailed when no event is waiting
+ * @param {Object} user - User document (firstname, email, notificationPreferences)
+ * @param {string} frequency - Frequency named in the email, the user's own by default
+ * @returns {Promise<number>} - Number of events in the digest
+ */
+const sendDigest = async (user, frequency = user.notificationPreferences.digest) => {
+    const entries = await DigestEntry.find({ recipient: user._id }).sort({ createdAt: 1 });
+
+    if (entries.length > 0 && user.email) {
+        await emailService.sendDigestEmail(user, entries, frequency);
+        await DigestEntry.deleteMany({ _id: { $in: entries.map(entry => entry._id) } });
+        logger.info(`DigestService: Queued ${frequency} digest of ${entries.length} event(s) for user ${user._id}`);
+    }
+
+    await User.updateOne({ _id: user._id }, { $set: { 'notificationPreferences.lastDigestAt': new Date() } });
+    return entries.length;
+};
+
+/**
+ * send the digest of every user whose daily or weekly period is over
+ * @returns {Promise<number>} - Number of digests queued
+ */
+const sendDueDigests = async () => {
+    let sent = 0;
+
+    for (const [frequency, periodMs] of Object.entries(DIGEST_PERIOD_MS)) {
+        const cutoff = new Date(Date.now() - periodMs);
+        const users = await User.find({
+            'notificationPreferences.digest': frequency,
+            $or: [
+                { 'notificationPreferences.lastDigestAt': { $lte: cutoff } },
+                { 'notificationPreferences.lastDigestAt': { $exists: false } }
+            ]
+        }).select('firstname email notificationPreferences');
+
+        for (const user of users) {
+            try {
+                if (await sendDigest(user, frequency) > 0) {
+                    sent += 1;
+                }
+            } catch (error) {
+                // one broken digest must not hold back the others
+                logger.error(`DigestService: Error sending the digest of user ${user._id}:`, error);
+            }
+        }
+    }
+
+    return sent;
+};
+
+/**
+ * start the scheduled job that sends the digests that are due
+ * @param {number} intervalMs - How often to look for due digests
+ * @returns {NodeJS.Timeout} - The interval
+ */
+const startDigestScheduler = (intervalMs = parseInt(process.env.DIGEST_CHECK_INTERVAL_MS) || DEFAULT_CHECK_INTERVAL_MS) => {
+    const timer = setInterval(() => {
+        sendDueDigests().catch(error => logger.error('DigestService: Digest run failed:', error));
+    }, intervalMs);
+    timer.unref();
+
+    logger.info(`DigestService: Checking for due digests every ${intervalMs}ms`);
+    return timer;
+};
+
+module.exports = {
+    addToDigest,
+    sendDigest,
+    sendDueDigests,
+    startDigestScheduler
+};
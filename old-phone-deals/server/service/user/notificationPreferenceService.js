@@ -0,0 +1,103 @@
+const User = require('../../models/user');
+const { NOTIFICATION_EVENTS } = require('../../config/notificationEvents');
+const digestService = require('./digestService');
+const logger = require('../../config/logger');
+const { createError } = require('../../utils/errorHelper');
+
+/**
+ * Channels of one event for a user, their own choice or the event's defaults
+ * @param {Object} user - User document, null for a deleted user
+ * @param {string} type - Notification type
+ * @returns {Object} - { inApp, email, digest }, digest is true when emails of this event go into the user's digest
+ */
+const getChannels = (user, type) => {
+    const defaults = NOTIFICATION_EVENTS[type] || { inApp: true, email: false, digestible: false };
+    const chosen = user?.notificationPreferences?.events?.get(type);
+    const digestFrequency = user?.notificationPreferences?.digest || 'off';
+
+    return {
+        inApp: chosen ? chosen.inApp : defaults.inApp,
+        email: chosen ? chosen.email : defaults.email,
+        digest: defaults.digestible && digestFrequency !== 'off'
+    };
+};
+
+/**
+ * Describe a user's preferences for the settings screen
+ * @param {Object} user - User document
+ * @returns {Object} - { events: { type: { inApp, email, digestible } }, digest }
+ */
+const describePreferences = (user) => {
+    const events = {};
+    Object.keys(NOTIFICATION_EVENTS).forEach(type => {
+        const { inApp, email } = getChannels(user, type);
+        events[type] = { inApp, email, digestible: NOTIFICATION_EVENTS[type].digestible };
+    });
+    return { events, digest: user.notificationPreferences?.digest || 'off' };
+};
+
+/**
+ * Get a user's notification preferences, events the user never changed show their defaults
+ * @param {string} userId - The ID of the user
+ * @returns {Promise<Object>} - { events, digest }
+ * @throws {Error} - 404 if the user does not exist
+ */
+const getPreferences = async (userId) => {
+    const user = await User.findById(userId).select('notificationPreferences');
+    if (!user) {
+        throw createError('User not found', 404);
+    }
+    return describePreferences(user);
+};
+
+/**
+ * Update a user's notification preferences
+ * switching the digest on starts its period now, switching it off sends the events still waiting for it
+ * @param {string} userId - The ID of the user
+ * @param {Object} preferences
+ * @param {Object} preferences.events - Optional, notification type -> { inApp, email }
+ * @param {string} preferences.digest - Optional digest frequency
+ * @returns {Promise<Object>} - The updated { events, digest }
+ * @throws {Error} - 404 if the user does not exist
+ */
+const updatePreferences = async (userId, { events = {}, digest } = {}) => {
+    const user = await User.findById(userId).select('firstname email notificationPreferences');
+    if (!user) {
+        throw createError('User not found', 404);
+    }
+
+    Object.entries(events).forEach(([type, channels]) => {
+        const current = getChannels(user, type);
+        user.notificationPreferences.events.set(type, {
+            inApp: channels.inApp ?? current.inApp,
+            email: channels.email ?? current.email
+        });
+    });
+
+    const previousDigest = user.notificationPreferences.digest || 'off';
+    if (digest && digest !== previousDigest) {
+        user.notificationPreferences.digest = digest;
+        if (digest !== 'off') {
+            user.notificationPreferences.lastDigestAt = new Date();
+        }
+    }
+
+    await user.save();
+    logger.info(`NotificationPreferenceService: Updated notification preferences of user ${userId}`);
+
+    if (previousDigest !== 'off' && user.notificationPreferences.digest === 'off') {
+        try {
+            await digestService.sendDigest(user, previousDigest);
+        } catch (error) {
+            logger.error(`NotificationPreferenceService: Error sending the last digest of user ${userId}:`, error);
+        }
+    }
+
+    return describePreferences(user);
+};
+
+module.exports = {
+    getChannels,
+    getPreferences,
+    updatePreferences
+};
@@ -0,0 +1,258 @@
+const Notification = require('../../models/notification');
+const User = require('../../models/user');
+const Order = require('../../models/order');
+const Phone = require('../../models/phone');
+const emailService = require('../email/emailService');
+const notificationPreferenceService = require('./notificationPreferenceService');
+const digestService = require('./digestService');
+const logger = require('../../config/logger');
+const { sendToUser } = require('../../utils/websocket');
+
+/**
+ * Deliver a notification event on the channels the recipient chose: an in-app notification pushed to their open sockets,
+ * an email, or an entry of their email digest.
+ * Notifications are a side effect of other operations, so failures are logged and never thrown.
+ * @param {Object} notificationData
+ * @param {string} notificationData.recipient - The ID of the user receiving the notification
+ * @param {string} notificationData.type - One of Notification.NOTIFICATION_TYPES
+ * @param {string} notificationData.title - Short title
+ * @param {string} notificationData.message - Notification body
+ * @param {string} notificationData.link - Client route to open
+ * @param {Object} notificationData.data - Event specific ids
+ * @param {Function} notificationData.sendEmail - Optional, queues the event's own email for the loaded recipient,
+ * events without one are emailed with the generic notification template
+ * @returns {Promise<Object|null>} - The created in-app notification, null when the recipient turned it off or on failure
+ */
+const createNotification = async ({ recipient, type, title, message, link, data = {}, sendEmail }) => {
+    let user = null;
+    try {
+        user = await User.findById(recipient).select('firstname lastname email notificationPreferences');
+    } catch (error) {
+        logger.error(`NotificationService: Error loading preferences of user ${recipient}:`, error);
+    }
+    const channels = notificationPreferenceService.getChannels(user, type);
+
+    let notification = null;
+    if (channels.inApp) {
+        try {
+            notification = await Notification.create({ recipient, type, title, message, link, data });
+            logger.info(`NotificationService: ${type} notification created for user ${recipient}`);
+
+            sendToUser(recipient, {
+                type: 'NOTIFICATION',
+                data: notification
+            });
+        } catch (error) {
+            logger.error(`NotificationService: Error creating ${type} notification for user ${recipient}:`, error);
+        }
+    }
+
+    if (channels.email && user?.email) {
+        try {
+            if (channels.digest) {
+                await digestService.addToDigest(recipient, { type, title, message, link });
+            } else if (sendEmail) {
+                await sendEmail(user);
+            } else {
+                await emailService.sendNotificationEmail(user, { title, message, link });
+            }
+        } catch (error) {
+            logger.error(`NotificationService: Error emailing ${type} notification to user ${recipient}:`, error);
+        }
+    }
+
+    return notification;
+};
+
+/**
+ * Get a user's notifications, newest first
+ * @param {string} userId - The ID of the user
+ * @param {Object} options
+ * @param {number} options.page - Page number (1-based)
+ * @param {number} options.limit - Page size
+ * @param {boolean} options.unreadOnly - Only return unread notifications
+ * @returns {Promise<Object>} - { notifications, total, unreadCount }
+ */
+const getNotifications = async (userId, { page = 1, limit = 10, unreadOnly = false } = {}) => {
+    logger.info(`NotificationService: Getting notifications for user ${userId}`);
+    try {
+        const filter = { recipient: userId };
+        if (unreadOnly) {
+            filter.read = false;
+        }
+
+        const [notifications, total, unreadCount] = await Promise.all([
+            Notification.find(filter)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            Notification.countDocuments(filter),
+            Notification.countDocuments({ recipient: userId, read: false })
+        ]);
+
+        return { notifications, total, unreadCount };
+    } catch (error) {
+        logger.error(`NotificationService: Error getting notifications for user ${userId}:`, error);
+        throw new Error(`Failed to get notifications for user ${userId}`);
+    }
+};
+
+/**
+ * Mark one notification as read
+ * @param {string} userId - The ID of the owner
+ * @param {string} notificationId - The ID of the notification
+ * @returns {Promise<Object>} - The updated notification
+ * @throws {Error} - 404 if the notification does not belong to the user
+ */
+const markAsRead = async (userId, notificationId) => {
+    const notification = await Notification.findOneAndUpdate(
+        { _id: notificationId, recipient: userId },
+        { $set: { read: true, readAt: new Date() } },
+        { new: true }
+    );
+
+    if (!notification) {
+        const error = new Error('Notification not found');
+        error.statusCode = 404;
+        throw error;
+    }
+
+    return notification;
+};
+
+/**
+ * Mark every unread notification of a user as read
+ * @param {string} userId - The ID of the user
+ * @returns {Promise<number>} - Number of notifications updated
+ */
+const markAllAsRead = async (userId) => {
+    const result = await Notification.updateMany(
+        { recipient: userId, read: false },
+        { $set: { read: true, readAt: new Date() } }
+    );
+    logger.info(`NotificationService: Marked ${result.modifiedCount} notifications as read for user ${userId}`);
+    return result.modifiedCount;
+};
+
+/**
+ * Delete one notification
+ * @param {string} userId - The ID of the owner
+ * @param {string} notificationId - The ID of the notification
+ * @returns {Promise<Object>} - The deleted notification
+ * @throws {Error} - 404 if the notification does not belong to the user
+ */
+const deleteNotification = async (userId, notificationId) => {
+    const notification = await Notification.findOneAndDelete({ _id: notificationId, recipient: userId });
+
+    if (!notification) {
+        const error = new Error('Notification not found');
+        error.statusCode = 404;
+        throw error;
+    }
+
+    return notification;
+};
+
+/**
+ * Notify and email each seller whose listings are part of a new order
+ * @param {Object} order - Order with user (firstname, lastname) and items.phone (title, seller) populated
+ * @param {string} buyerId - The ID of the buyer
+ */
+const notifySellersOfOrder = async (order, buyerId) => {
+    // group ordered items by seller
+    const itemsBySeller = new Map();
+    order.items.forEach(item => {
+        const sellerId = item.phone?.seller?.toString();
+        if (!sellerId || sellerId === buyerId.toString()) {
+            return;
+        }
+        if (!itemsBySeller.has(sellerId)) {
+            itemsBySeller.set(sellerId, []);
+        }
+        itemsBySeller.get(sellerId).push(item);
+    });
+
+    for (const [sellerId, items] of itemsBySeller) {
+        const summary = items.map(item => `${item.phone.title} x ${item.quantity}`).join(', ');
+        await createNotification({
+            recipient: sellerId,
+            type: 'ORDER_ON_LISTING',
+            title: 'New order on your listing',
+            message: `Ordered: ${summary}`,
+            link: '/profile',
+            data: { orderId: order._id, phoneIds: items.map(item => item.phone._id) },
+            sendEmail: (seller) => emailService.sendItemSoldEmail(seller, order.user, items)
+        });
+    }
+};
+
+/**
+ * Notify and email the seller of a phone about a new review, sellers reviewing their own phone are skipped
+ * @param {Object} phone - The reviewed phone
+ * @param {Object} review - The new review (reviewer, rating, comment)
+ */
+const notifySellerOfReview = async (phone, review) => {
+    if (!phone.seller || phone.seller.toString() === review.reviewer.toString()) {
+        return;
+    }
+
+    await createNotification({
+        recipient: phone.seller,
+        type: 'NEW_REVIEW',
+        title: 'New review on your phone',
+        message: `"${phone.title}" received a ${review.rating}-star review: ${review.comment}`,
+        link: `/phone/${phone._id}`,
+        data: { phoneId: phone._id, reviewerId: review.reviewer },
+        sendEmail: async (seller) => {
+            const reviewer = await User.findById(review.reviewer).select('firstname lastname');
+            await emailService.sendReviewReceivedEmail(seller, reviewer, phone, review);
+        }
+    });
+};
+
+/**
+ * Notify and email the buyer that items of their order shipped
+ * @param {string} orderId - The ID of the order
+ * @param {Object} shipment
+ * @param {Array<Object>} shipment.items - Shipped items (phone id and quantity)
+ * @param {string} shipment.trackingNumber - Tracking number
+ * @param {string} shipment.carrier - Optional carrier
+ */
+const notifyBuyerOfShipment = async (orderId, { items, trackingNumber, carrier }) => {
+    try {
+        const [order, phones] = await Promise.all([
+            Order.findById(orderId).select('user invoiceNumber'),
+            Phone.find({ _id: { $in: items.map(item => item.phone) } }).select('title')
+        ]);
+        if (!order) {
+            return;
+        }
+
+        const titles = new Map(phones.map(phone => [phone._id.toString(), phone]));
+        const shippedItems = items.map(item => ({ phone: titles.get(item.phone.toString()), quantity: item.quantity }));
+        const summary = shippedItems.map(item => `${item.phone?.title || 'Removed listing'} x ${item.quantity}`).join(', ');
+
+        await createNotification({
+            recipient: order.user,
+            type: 'ORDER_SHIPPED',
+            title: 'Your order has shipped',
+            message: `${summary} shipped with tracking number ${trackingNumber}${carrier ? ` (${carrier})` : ''}.`,
+            link: `/orders/${order._id}`,
+            data: { orderId: order._id },
+            sendEmail: (buyer) => emailService.sendOrderShippedEmail(buyer, order, { items: shippedItems, trackingNumber, carrier })
+        });
+    } catch (error) {
+        logger.error(`NotificationService: Error notifying the buyer of order ${orderId} about a shipment:`, error);
+    }
+};
+
+module.exports = {
+    createNotification,
+    getNotifications,
+    markAsRead,
+    markAllAsRead,
+    deleteNotification,
+    notifySellersOfOrder,
+    notifySellerOfReview,
+    notifyBuyerOfShipment
+};
@@ -2,12 +2,30 @@ const Phone = require('../../models/phone');
 const User = require('../../models/user');
 const bcrypt = require('bcrypt');
 const mongoose = require('mongoose');
-const { sendPasswordChangedEmail } = require('../emailService');
+const { sendPasswordChangedEmail } = require('../email/emailService');
 const logger = require('../../config/logger');
+const notificationService = require('./notificationService');
+const wishlistService = require('../cart/wishlistService');
+const savedSearchService = require('./savedSearchService');
 const { v4: uuidv4 } = require('uuid');
 const fs = require('fs');
 const path = require('path');
 
+// optional listing fields a seller can fill in besides title, brand, image, price and stock
+const LISTING_ATTRIBUTES = ['description', 'condition', 'storageGb', 'colour', 'networkLock', 'batteryHealth', 'modelYear'];
+
+/**
+ * Optional listing fields present in the request data, an empty value clears the field
+ * @param {Object} data - Listing data from the request
+ * @returns {Object} - Field values keyed by name, undefined for cleared fields
+ */
+const pickListingAttributes = (data) => LISTING_ATTRIBUTES
+    .filter(key => key in data)
+    .reduce((attributes, key) => ({
+        ...attributes,
+        [key]: data[key] === '' || data[key] === null ? undefined : data[key]
+    }), {});
+
 /**
  * Get user profile
  * @param {String} userId - User ID
@@ -203,6 +221,7 @@ const getUserListings = async (userId) => {
  * @param {String} phoneData.image - Image path
  * @param {Number} phoneData.price - Price
  * @param {Number} phoneData.stock - Stock
+ * @param {String} [phoneData.description] - Description, and the other optional attributes in LISTING_ATTRIBUTES
  * @returns {Promise<Object>} - Return new created phone object
  */
 const addPhoneListing = async (userId, phoneData) => {
@@ -229,12 +248,16 @@ const addPhoneListing = async (userId, phoneData) => {
             image: image || '', // If no image is provided, set to an empty string
             price,
             stock,
+            ...pickListingAttributes(phoneData),
             seller: userId,
             reviews: []
         });
         
         // Save to database
         await newPhone.save();
+
+        // buyers whose saved searches match the new listing are notified
+        await savedSearchService.notifyMatches(newPhone);
         
         logger.info(`Successfully added new phone listing for userId: ${userId}, phoneId: ${newPhone._id}`);
         return newPhone;
@@ -254,6 +277,8 @@ const addPhoneListing = async (userId, phoneData) => {
  * @param {String} updateData.image - Image path
  * @param {Number} updateData.price - Price
  * @param {Number} updateData.stock - Stock
+ * @param {String} [updateData.description] - Description, and the other optional attributes in LISTING_ATTRIBUTES,
+ * attributes left out of updateData keep their value
  * @returns {Promise<Object>} - Return updated phone object
  */
 const updatePhoneListing = async (userId, phoneId, updateData) => {
@@ -287,14 +312,20 @@ const updatePhoneListing = async (userId, phoneId, updateData) => {
             throw new Error('UNAUTHORIZED');
         }
         
+        const previous = { price: phone.price, stock: phone.stock };
+
         // Update phone information
         phone.title = title;
         phone.brand = brand;
         phone.image = image || phone.image;
         phone.price = price;
         phone.stock = stock;
+        Object.entries(pickListingAttributes(updateData)).forEach(([key, value]) => phone.set(key, value));
         
         await phone.save();
+
+        // a lower price or a restock from zero alerts the users who saved the phone
+        await wishlistService.notifyWatchers(previous, phone);
         
         logger.info(`Successfully updated phone listing: ${phoneId}`);
         return phone;
@@ -461,6 +492,18 @@ const toggleCommentVisibility = async (userId, phoneId, reviewerId, comment, hid
         }
         
         logger.info(`Successfully updated review visibility - Phone ID: ${phoneId}, Reviewer ID: ${reviewerId}, Hidden: ${hide}`);
+
+        // tell the reviewer when the seller hides their review
+        if (hide && phone.seller.toString() === userId.toString() && reviewerId.toString() !== userId.toString()) {
+            await notificationService.createNotification({
+                recipient: reviewerId,
+                type: 'REVIEW_HIDDEN',
+                title: 'Your review was hidden',
+                message: `The seller of "${phone.title}" hid your review.`,
+                link: `/phone/${phone._id}`,
+                data: { phoneId: phone._id }
+            });
+        }
         return result;
     } catch (error) {
         logger.error('Toggle comment visibility failed:', error);
@@ -508,6 +551,20 @@ const uploadImage = async (image) => {
     }
 };
 
+/**
+ * Delete an image saved by uploadImage, never throws so it can clean up after a failed request
+ * @param {String} imagePath - Image path returned by uploadImage
+ * @returns {Promise<void>}
+ */
+const deleteImage = async (imagePath) => {
+    try {
+        await fs.promises.unlink(path.join(__dirname, '../../public', imagePath));
+        logger.info(`image deleted: ${imagePath}`);
+    } catch (error) {
+        logger.error(`image delete failed: ${error.message}`);
+    }
+};
+
 // Export all functions
 module.exports = {
     getUserProfile,
@@ -519,6 +576,7 @@ module.exports = {
     deletePhoneListing,
     getUserListingsComments,
     toggleCommentVisibility,
-    uploadImage
+    uploadImage,
+    deleteImage
 };
 
@@ -0,0 +1,175 @@
+const mongoose = require('mongoose');
+const SavedSearch = require('../../models/savedSearch');
+const notificationService = require('./notificationService');
+const { matchesSearchText } = require('../phone/phoneSearchService');
+const logger = require('../../config/logger');
+const { createError } = require('../../utils/errorHelper');
+
+const MAX_SAVED_SEARCHES = 20;
+
+/**
+ * Format a price bound, whole dollars without cents
+ * @param {number} value - Price
+ * @returns {string}
+ */
+const formatPrice = (value) => (Number.isInteger(value) ? `$${value}` : `$${value.toFixed(2)}`);
+
+/**
+ * Describe a saved search in words, e.g. "iphone", Apple, under $300
+ * @param {Object} search - Saved search
+ * @returns {string}
+ */
+const describeSearch = (search) => {
+    const parts = [`"${search.query}"`];
+    if (search.brand) {
+        parts.push(search.brand);
+    }
+
+    const hasMin = search.minPrice !== undefined && search.minPrice !== null;
+    const hasMax = search.maxPrice !== undefined && search.maxPrice !== null;
+    if (hasMin && hasMax) {
+        parts.push(`${formatPrice(search.minPrice)} to ${formatPrice(search.maxPrice)}`);
+    } else if (hasMin) {
+        parts.push(`from ${formatPrice(search.minPrice)}`);
+    } else if (hasMax) {
+        parts.push(`under ${formatPrice(search.maxPrice)}`);
+    }
+    return parts.join(', ');
+};
+
+/**
+ * Whether the listing's title and brand match the search text like a search would,
+ * every word in any order, unfinished words and typos included
+ * @param {Object} search - Saved search
+ * @param {Object} phone - Listing
+ * @returns {boolean}
+ */
+const matchesText = (search, phone) => matchesSearchText(search.query, `${phone.title || ''} ${phone.brand || ''}`);
+
+/**
+ * Get the saved searches of a user, newest first
+ * @param {string} userId - The ID of the user
+ * @returns {Promise<Array<Object>>} - Saved searches with a readable description
+ */
+const getSavedSearches = async (userId) => {
+    const searches = await SavedSearch.find({ user: userId }).sort({ createdAt: -1 }).lean();
+    return searches.map(search => ({ ...search, description: describeSearch(search) }));
+};
+
+/**
+ * Save a search for the user
+ * @param {string} userId - The ID of the user
+ * @param {Object} criteria
+ * @param {string} criteria.query - Search text
+ * @param {string} criteria.brand - Optional brand
+ * @param {number} criteria.minPrice - Optional lower price bound
+ * @param {number} criteria.maxPrice - Optional upper price bound
+ * @returns {Promise<Array<Object>>} - All saved searches of the user
+ * @throws {Error} - 400 for inverted price bounds, 409 for a duplicate or when the user has too many
+ */
+const createSavedSearch = async (userId, { query, brand = '', minPrice, maxPrice }) => {
+    if (minPrice !== undefined && maxPrice !== undefined && minPrice > maxPrice) {
+        throw createError('Minimum price cannot exceed maximum price', 400);
+    }
+
+    const existing = await SavedSearch.find({ user: userId }).lean();
+    if (existing.length >= MAX_SAVED_SEARCHES) {
+        throw createError(`You can save at most ${MAX_SAVED_SEARCHES} searches`, 409);
+    }
+
+    const duplicate = existing.some(search => search.query.toLowerCase() === query.trim().toLowerCase()
+        && search.brand === brand
+        && (search.minPrice ?? null) === (minPrice ?? null)
+        && (search.maxPrice ?? null) === (maxPrice ?? null));
+    if (duplicate) {
+        throw createError('You already saved this search', 409);
+    }
+
+    await SavedSearch.create({ user: userId, query, brand, minPrice, maxPrice });
+    logger.info(`SavedSearchService: User ${userId} saved the search ${query}`);
+    return getSavedSearches(userId);
+};
+
+/**
+ * Delete one of the user's saved searches
+ * @param {string} userId - The ID of the user
+ * @param {string} searchId - The ID of the saved search
+ * @returns {Promise<Array<Object>>} - The remaining saved searches of the user
+ * @throws {Error} - 400 for a malformed ID, 404 if the user has no such search
+ */
+const deleteSavedSearch = async (userId, searchId) => {
+    if (!mongoose.Types.ObjectId.isValid(searchId)) {
+        throw createError(`Invalid saved search ID format: ${searchId}`, 400);
+    }
+
+    const deleted = await SavedSearch.findOneAndDelete({ _id: searchId, user: userId });
+    if (!deleted) {
+        throw createError('Saved search not found', 404);
+    }
+
+    logger.info(`SavedSearchService: User ${userId} deleted saved search ${searchId}`);
+    return getSavedSearches(userId);
+};
+
+/**
+ * Notify the users whose saved searches match a listing that was just added or re-enabled,
+ * each user is notified once even when several of their searches match
+ * never throws, the listing is saved already
+ * @param {Object} phone - The listing
+ * @returns {Promise<number>} - Number of users notified
+ */
+const notifyMatches = async (phone) => {
+    if (phone.disabled !== undefined) {
+        return 0;
+    }
+
+    try {
+        const candidates = await SavedSearch.find({
+            user: { $ne: phone.seller },
+            brand: { $in: ['', phone.brand] },
+            $and: [
+                { $or: [{ minPrice: null }, { minPrice: { $lte: phone.price } }] },
+                { $or: [{ maxPrice: null }, { maxPrice: { $gte: phone.price } }] }
+            ]
+        });
+
+        const byUser = new Map();
+        candidates.filter(search => matchesText(search, phone)).forEach(search => {
+            const userId = search.user.toString();
+            byUser.set(userId, [...(byUser.get(userId) || []), search]);
+        });
+
+        for (const [userId, searches] of byUser) {
+            await notificationService.createNotification({
+                recipient: userId,
+                type: 'SAVED_SEARCH_MATCH',
+                title: 'New match for your saved search',
+                message: `"${phone.title}" for ${formatPrice(phone.price)} matches your saved search ${describeSearch(searches[0])}.`,
+                link: `/phone/${phone._id}`,
+                data: { phoneId: phone._id, savedSearchIds: searches.map(search => search._id) }
+            });
+        }
+
+        const matched = [...byUser.values()].flat().map(search => search._id);
+        if (matched.length > 0) {
+            await SavedSearch.updateMany(
+                { _id: { $in: matched } },
+                { $set: { lastMatchedAt: new Date() }, $inc: { matchCount: 1 } }
+            );
+        }
+
+        logger.info(`SavedSearchService: Listing ${phone._id} matched saved searches of ${byUser.size} user(s)`);
+        return byUser.size;
+    } catch (error) {
+        logger.error(`SavedSearchService: Error matching listing ${phone._id} against saved searches:`, error);
+        return 0;
+    }
+};
+
+module.exports = {
+    describeSearch,
+    getSavedSearches,
+    createSavedSearch,
+    deleteSavedSearch,
+    notifyMatches
+};
@@ -3,11 +3,12 @@ const crypto = require('crypto');
 
 const User = require('../../models/user');
 const logger = require('../../../server/config/logger');
-const { sendVerificationEmail, sendPasswordResetEmail } = require('../emailService');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../email/emailService');
 const moment = require('moment');
 const Phone = require('../../models/phone');
 const Cart = require('../../models/cart');
 const Wishlist = require('../../models/wishlist');
+const SavedSearch = require('../../models/savedSearch');
 const PasswordResetToken = require('../../models/passwordResetToken');
 
 /**
@@ -95,6 +96,10 @@ const deleteUserById = async (userId) => {
         await Wishlist.deleteMany({ user: userId });
         logger.info(`Successfully deleted wishlist for user ID: ${userId}`);
 
+        logger.info(`Deleting saved searches for user ID: ${userId}`);
+        await SavedSearch.deleteMany({ user: userId });
+        logger.info(`Successfully deleted saved searches for user ID: ${userId}`);
+
         logger.info(`Deleting password reset tokens for user ID: ${userId}`);
         await PasswordResetToken.deleteMany({ userId: userId });
         logger.info(`Successfully deleted password reset tokens for user ID: ${userId}`);
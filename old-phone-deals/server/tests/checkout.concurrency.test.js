@@ -0,0 +1,218 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+const cartRouter = require('../routes/cart/cartRoute');
+const errorHandler = require('../middlewares/errorHandler');
+const User = require('../models/user');
+const Phone = require('../models/phone');
+const Cart = require('../models/cart');
+const Order = require('../models/order');
+const Payment = require('../models/payment');
+const IdempotencyKey = require('../models/idempotencyKey');
+
+// transactions need a replica set, a single member is enough
+jest.setTimeout(120000);
+
+const APPROVED_CARD = { method: 'credit_card', card: { number: '4242424242424242' } };
+const DECLINED_CARD = { method: 'credit_card', card: { number: '4000000000000002' } };
+
+let replSet;
+let app;
+let seller;
+
+/**
+ * express app with the real cart routes, the test picks the logged-in user with a header
+ * instead of going through express-session
+ */
+const buildApp = () => {
+    const testApp = express();
+    testApp.use(express.json());
+    testApp.use((req, res, next) => {
+        req.session = { user: { _id: req.get('x-test-user'), role: 'user' } };
+        next();
+    });
+    testApp.use('/api/user/:userId/cart', cartRouter);
+    testApp.use(errorHandler);
+    return testApp;
+};
+
+const createPhone = (stock, price = 100) => Phone.create({
+    title: 'Galaxy S8',
+    brand: 'Samsung',
+    image: '/images/Samsung.jpeg',
+    stock,
+    price,
+    seller: seller._id
+});
+
+/**
+ * create a buyer whose cart holds the phone
+ * @param {Object} phone - phone to put in the cart
+ * @param {Number} quantity - quantity in the cart
+ */
+const createBuyerWithCart = async (phone, quantity = 1) => {
+    const buyer = await User.create({
+        firstname: 'Buyer',
+        lastname: `${new mongoose.Types.ObjectId()}`,
+        email: `${new mongoose.Types.ObjectId()}@example.com`,
+        status: 'active',
+        addresses: [{
+            recipient: 'Buyer',
+            line1: '1 Test Street',
+            city: 'Sydney',
+            state: 'NSW',
+            postcode: '2000',
+            country: 'Australia',
+            isDefault: true
+        }]
+    });
+    await Cart.create({ user: buyer._id, items: [{ phone: phone._id, quantity }] });
+    return buyer;
+};
+
+/**
+ * send a checkout request for the buyer
+ * @param {Object} buyer - buyer user
+ * @param {Object} phone - phone to buy
+ * @param {Object} options
+ * @param {Number} options.quantity - quantity to buy
+ * @param {String} options.key - optional Idempotency-Key
+ * @param {Object} options.payment - payment details
+ */
+const checkout = (buyer, phone, { quantity = 1, key, payment = APPROVED_CARD } = {}) => {
+    const req = request(app)
+        .post(`/api/user/${buyer._id}/cart/checkout`)
+        .set('x-test-user', buyer._id.toString());
+    if (key) {
+        req.set('Idempotency-Key', key);
+    }
+    return req.send({ items: [{ phoneId: phone._id.toString(), quantity }], payment });
+};
+
+beforeAll(async () => {
+    replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+    await mongoose.connect(replSet.getUri());
+    // collections must exist before they are written to inside a transaction
+    await Promise.all(Object.values(mongoose.models).map(model => model.createCollection()));
+    await Promise.all(Object.values(mongoose.models).map(model => model.syncIndexes()));
+    app = buildApp();
+});
+
+afterAll(async () => {
+    await mongoose.disconnect();
+    if (replSet) {
+        await replSet.stop();
+    }
+});
+
+beforeEach(async () => {
+    await Promise.all(Object.values(mongoose.models).map(model => model.deleteMany({})));
+    seller = await User.create({ firstname: 'Seller', lastname: 'One', email: 'seller@example.com', status: 'active' });
+});
+
+describe('checkout stock concurrency', () => {
+    test('sells the last unit only once when two buyers check out at the same time', async () => {
+        const phone = await createPhone(1);
+        const buyers = await Promise.all([createBuyerWithCart(phone), createBuyerWithCart(phone)]);
+
+        const responses = await Promise.all(buyers.map(buyer => checkout(buyer, phone)));
+
+        const statuses = responses.map(res => res.status).sort();
+        expect(statuses).toEqual([200, 400]);
+        expect((await Phone.findById(phone._id)).stock).toBe(0);
+        expect(await Order.countDocuments()).toBe(1);
+    });
+
+    test('never oversells when more buyers than stock check out concurrently', async () => {
+        const phone = await createPhone(3);
+        const buyers = await Promise.all(Array.from({ length: 6 }, () => createBuyerWithCart(phone)));
+
+        const responses = await Promise.all(buyers.map(buyer => checkout(buyer, phone)));
+
+        expect(responses.filter(res => res.status === 200)).toHaveLength(3);
+        expect(responses.filter(res => res.status === 400)).toHaveLength(3);
+        expect((await Phone.findById(phone._id)).stock).toBe(0);
+        expect(await Order.countDocuments()).toBe(3);
+    });
+
+    test('rejects a quantity above the stock without touching it', async () => {
+        const phone = await createPhone(2);
+        const buyer = await createBuyerWithCart(phone, 3);
+
+        const res = await checkout(buyer, phone, { quantity: 3 });
+
+        expect(res.status).toBe(400);
+        expect(res.body.message).toMatch(/Insufficient stock/);
+        expect((await Phone.findById(phone._id)).stock).toBe(2);
+        expect((await Cart.findOne({ user: buyer._id })).items).toHaveLength(1);
+    });
+
+    test('rolls back the stock, order and cart when the payment is declined', async () => {
+        const phone = await createPhone(1);
+        const buyer = await createBuyerWithCart(phone);
+
+        const res = await checkout(buyer, phone, { payment: DECLINED_CARD });
+
+        expect(res.status).toBe(402);
+        expect((await Phone.findById(phone._id)).stock).toBe(1);
+        expect(await Order.countDocuments()).toBe(0);
+        expect(await Payment.countDocuments()).toBe(0);
+        expect((await Cart.findOne({ user: buyer._id })).items).toHaveLength(1);
+    });
+});
+
+describe('checkout Idempotency-Key', () => {
+    test('replays the stored response for a repeated key', async () => {
+        const phone = await createPhone(5);
+        const buyer = await createBuyerWithCart(phone);
+
+        const first = await checkout(buyer, phone, { key: 'checkout-1' });
+        const second = await checkout(buyer, phone, { key: 'checkout-1' });
+
+        expect(first.status).toBe(200);
+        expect(second.status).toBe(200);
+        expect(second.headers['idempotent-replayed']).toBe('true');
+        expect(second.body.data.orderId).toBe(first.body.data.orderId);
+        expect(await Order.countDocuments()).toBe(1);
+        expect((await Phone.findById(phone._id)).stock).toBe(4);
+    });
+
+    test('creates a single order when a double-clicked checkout sends the key twice at once', async () => {
+        const phone = await createPhone(5);
+        const buyer = await createBuyerWithCart(phone);
+
+        const responses = await Promise.all([
+            checkout(buyer, phone, { key: 'double-click' }),
+            checkout(buyer, phone, { key: 'double-click' })
+        ]);
+
+        const statuses = responses.map(res => res.status);
+        expect(statuses).toContain(200);
+        statuses.forEach(status => expect([200, 409]).toContain(status));
+        expect(await Order.countDocuments()).toBe(1);
+        expect((await Phone.findById(phone._id)).stock).toBe(4);
+    });
+
+    test('refuses to reuse a key for a different request', async () => {
+        const phone = await createPhone(5);
+        const buyer = await createBuyerWithCart(phone, 2);
+
+        await checkout(buyer, phone, { key: 'reused' });
+        const res = await checkout(buyer, phone, { key: 'reused', quantity: 2 });
+
+        expect(res.status).toBe(422);
+        expect(await Order.countDocuments()).toBe(1);
+    });
+
+    test('keeps keys per user', async () => {
+        const phone = await createPhone(5);
+        const buyers = await Promise.all([createBuyerWithCart(phone), createBuyerWithCart(phone)]);
+
+        const responses = await Promise.all(buyers.map(buyer => checkout(buyer, phone, { key: 'same-key' })));
+
+        responses.forEach(res => expect(res.status).toBe(200));
+        expect(await Order.countDocuments()).toBe(2);
+        expect(await IdempotencyKey.countDocuments()).toBe(2);
+    });
+});
@@ -0,0 +1,238 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const EmailOutbox = require('../models/emailOutbox');
+const { enqueueEmail, processOutbox, getRetryDelay } = require('../service/email/outboxService');
+const emailService = require('../service/email/emailService');
+const notificationService = require('../service/user/notificationService');
+const digestService = require('../service/user/digestService');
+const User = require('../models/user');
+const Notification = require('../models/notification');
+const DigestEntry = require('../models/digestEntry');
+const { startSmtpCapture } = require('./helpers/smtpCapture');
+
+jest.setTimeout(120000);
+
+const originalEnv = { ...process.env };
+let mongod;
+let smtp;
+
+/**
+ * make every queued email due now, so the test does not wait out the backoff
+ */
+const makeAllDue = () => EmailOutbox.updateMany({}, { nextAttemptAt: new Date(Date.now() - 1000) });
+
+beforeAll(async () => {
+    smtp = await startSmtpCapture();
+    mongod = await MongoMemoryServer.create();
+    await mongoose.connect(mongod.getUri());
+    Object.assign(process.env, {
+        EMAIL_SERVICE_USING_GMAIL: 'false',
+        EMAIL_SERVICE: '',
+        EMAIL_HOST: '127.0.0.1',
+        EMAIL_PORT: String(smtp.port),
+        EMAIL_USER: 'test',
+        EMAIL_PASS: 'test',
+        EMAIL_FROM: 'no-reply@example.com',
+        FRONTEND_URL: 'http://localhost:5173',
+        EMAIL_OUTBOX_MAX_ATTEMPTS: '3',
+        EMAIL_OUTBOX_RETRY_BASE_MS: '1000'
+    });
+});
+
+afterAll(async () => {
+    process.env = originalEnv;
+    await smtp?.close();
+    await mongoose.disconnect();
+    if (mongod) {
+        await mongod.stop();
+    }
+});
+
+beforeEach(async () => {
+    await Promise.all([EmailOutbox, User, Notification, DigestEntry].map(model => model.deleteMany({})));
+    smtp.clear();
+});
+
+describe('email outbox', () => {
+    test('queues without sending and delivers on the next run', async () => {
+        await emailService.sendPasswordChangedEmail({ email: 'ada@example.com', firstname: 'Ada' });
+
+        expect(smtp.messages).toHaveLength(0);
+        expect((await EmailOutbox.findOne()).status).toBe('pending');
+
+        const result = await processOutbox();
+
+        expect(result).toEqual({ sent: 1, retrying: 0, failed: 0 });
+        expect(smtp.messages).toHaveLength(1);
+        expect(smtp.messages[0].subject).toBe('Password Changed for OldPhone');
+        expect(smtp.messages[0].text).toContain('Hello Ada,');
+
+        const email = await EmailOutbox.findOne();
+        expect(email.status).toBe('sent');
+        expect(email.attempts).toBe(1);
+        expect(email.sentAt).toBeInstanceOf(Date);
+        expect(email.expiresAt.getTime()).toBeGreaterThan(email.sentAt.getTime());
+    });
+
+    test('sends the invoice attached to the order confirmation', async () => {
+        const order = {
+            _id: new mongoose.Types.ObjectId(),
+            invoiceNumber: 'INV-000007',
+            totalAmount: 110,
+            items: [{ phone: { title: 'Galaxy S8' }, quantity: 1 }]
+        };
+        await emailService.sendOrderConfirmationEmail(
+            { email: 'ada@example.com', firstname: 'Ada' },
+            order,
+            { filename: 'INV-000007.pdf', content: Buffer.from('%PDF-1.3 test') }
+        );
+
+        await processOutbox();
+
+        const [message] = smtp.messages;
+        expect(message.subject).toBe('Your OldPhone order - invoice INV-000007');
+        expect(message.text).toContain('Galaxy S8 x 1');
+        expect(message.attachments).toHaveLength(1);
+        expect(message.attachments[0].filename).toBe('INV-000007.pdf');
+        expect(message.attachments[0].content.toString()).toBe('%PDF-1.3 test');
+    });
+
+    test('backs off exponentially while the mail server rejects the email', async () => {
+        await enqueueEmail({
+            to: 'ada@example.com',
+            template: 'itemSold',
+            data: { firstname: 'Ada', buyerName: 'Grace Hopper', itemSummary: 'Galaxy S8 x 2', salesUrl: 'http://localhost:5173/profile' }
+        });
+        smtp.rejectNext(2);
+
+        const first = await processOutbox();
+        let email = await EmailOutbox.findOne();
+        expect(first).toEqual({ sent: 0, retrying: 1, failed: 0 });
+        expect(email.status).toBe('pending');
+        expect(email.attempts).toBe(1);
+        expect(email.lastError).toMatch(/temporarily unavailable/);
+        expect(email.nextAttemptAt.getTime()).toBeGreaterThan(Date.now() + getRetryDelay(1) - 1000);
+
+        // not due yet, nothing is attempted
+        expect(await processOutbox()).toEqual({ sent: 0, retrying: 0, failed: 0 });
+
+        await makeAllDue();
+        await processOutbox();
+        email = await EmailOutbox.findOne();
+        expect(email.attempts).toBe(2);
+        expect(getRetryDelay(2)).toBe(2 * getRetryDelay(1));
+
+        await makeAllDue();
+        expect(await processOutbox()).toEqual({ sent: 1, retrying: 0, failed: 0 });
+        expect(smtp.messages).toHaveLength(1);
+        expect(smtp.messages[0].subject).toBe('You sold Galaxy S8 x 2 on OldPhone');
+        expect((await EmailOutbox.findOne()).status).toBe('sent');
+    });
+
+    test('gives up after the maximum number of attempts', async () => {
+        await emailService.sendPasswordChangedEmail({ email: 'ada@example.com', firstname: 'Ada' });
+        smtp.rejectNext(10);
+
+        for (let i = 0; i < 3; i++) {
+            await makeAllDue();
+            await processOutbox();
+        }
+
+        const email = await EmailOutbox.findOne();
+        expect(email.status).toBe('failed');
+        expect(email.attempts).toBe(3);
+
+        await makeAllDue();
+        expect(await processOutbox()).toEqual({ sent: 0, retrying: 0, failed: 0 });
+        expect(smtp.messages).toHaveLength(0);
+    });
+
+    test('picks an email up again when its worker died mid-send', async () => {
+        await emailService.sendPasswordChangedEmail({ email: 'ada@example.com', firstname: 'Ada' });
+        // claimed by a worker that never finished
+        await EmailOutbox.updateMany({}, { status: 'sending', attempts: 1, nextAttemptAt: new Date(Date.now() - 1000) });
+
+        expect(await processOutbox()).toEqual({ sent: 1, retrying: 0, failed: 0 });
+        expect((await EmailOutbox.findOne()).attempts).toBe(2);
+    });
+
+    test('gives up on an email whose worker died during its last attempt', async () => {
+        await emailService.sendPasswordChangedEmail({ email: 'ada@example.com', firstname: 'Ada' });
+        await EmailOutbox.updateMany({}, { status: 'sending', attempts: 3, nextAttemptAt: new Date(Date.now() - 1000) });
+
+        expect(await processOutbox()).toEqual({ sent: 0, retrying: 0, failed: 1 });
+        expect(smtp.messages).toHaveLength(0);
+
+        const email = await EmailOutbox.findOne();
+        expect(email.status).toBe('failed');
+        expect(email.attempts).toBe(3);
+    });
+});
+
+describe('notification preferences and digests', () => {
+    const notifyReturnUpdate = (recipient) => notificationService.createNotification({
+        recipient,
+        type: 'RETURN_UPDATED',
+        title: 'Return updated',
+        message: 'The seller approved your return.',
+        link: '/orders/1'
+    });
+
+    const notifyReview = (recipient) => notificationService.createNotification({
+        recipient,
+        type: 'NEW_REVIEW',
+        title: 'New review on your phone',
+        message: '"Galaxy S8" received a 5-star review: great',
+        link: '/phone/1'
+    });
+
+    test('follows the default channels until the user changes them', async () => {
+        const user = await User.create({ firstname: 'Ada', email: 'ada@example.com', status: 'active' });
+
+        await notifyReturnUpdate(user._id);
+        expect(await Notification.countDocuments()).toBe(1);
+        expect(await EmailOutbox.countDocuments()).toBe(0);
+
+        user.notificationPreferences.events.set('RETURN_UPDATED', { inApp: false, email: true });
+        await user.save();
+        await notifyReturnUpdate(user._id);
+        await processOutbox();
+
+        expect(await Notification.countDocuments()).toBe(1);
+        expect(smtp.messages).toHaveLength(1);
+        expect(smtp.messages[0].subject).toBe('Return updated');
+        expect(smtp.messages[0].text).toContain('The seller approved your return.');
+    });
+
+    test('batches digestible events into one digest email', async () => {
+        const user = await User.create({
+            firstname: 'Ada',
+            email: 'ada@example.com',
+            status: 'active',
+            notificationPreferences: { digest: 'daily', lastDigestAt: new Date() }
+        });
+
+        await notifyReview(user._id);
+        await notifyReview(user._id);
+        // not digestible, emailed right away
+        await notificationService.createNotification({
+            recipient: user._id,
+            type: 'ORDER_ON_LISTING',
+            title: 'New order on your listing',
+            message: 'Ordered: Galaxy S8 x 1'
+        });
+
+        expect(await DigestEntry.countDocuments()).toBe(2);
+        expect(await digestService.sendDueDigests()).toBe(0);
+
+        await User.updateOne({ _id: user._id }, { 'notificationPreferences.lastDigestAt': new Date(Date.now() - 25 * 60 * 60 * 1000) });
+        expect(await digestService.sendDueDigests()).toBe(1);
+        await processOutbox();
+
+        expect(await DigestEntry.countDocuments()).toBe(0);
+        expect(smtp.messages.map(message => message.subject).sort()).toEqual([
+            'New order on your listing',
+            'Your daily OldPhone digest: 2 update(s)'
+        ]);
+    });
+});
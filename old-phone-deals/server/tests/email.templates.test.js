@@ -0,0 +1,118 @@
+const { TEMPLATES, renderString, renderPartial, renderTemplate } = require('../service/email/templateService');
+const { createTransporter } = require('../service/email/outboxService');
+const { startSmtpCapture } = require('./helpers/smtpCapture');
+
+// variables every template needs, the tests render each template with these
+const SAMPLE_DATA = {
+    firstname: 'Ada',
+    verificationUrl: 'http://localhost:5173/verify-email?token=abc',
+    resetUrl: 'http://localhost:5173/reset-password?token=abc',
+    expiryMinutes: 60,
+    invoiceNumber: 'INV-000042',
+    totalAmount: '219.99',
+    orderNumber: 'INV-000042',
+    itemSummary: 'Galaxy S8 x 2',
+    orderUrl: 'http://localhost:5173/orders/1',
+    trackingNumber: 'TRACK123',
+    buyerName: 'Grace Hopper',
+    salesUrl: 'http://localhost:5173/profile',
+    reviewerName: 'Grace Hopper',
+    phoneTitle: 'Galaxy S8',
+    rating: 4,
+    comment: 'Works like new',
+    phoneUrl: 'http://localhost:5173/phone/1',
+    title: 'Return updated',
+    message: 'The seller approved your return.',
+    url: 'http://localhost:5173/orders/1',
+    preferencesUrl: 'http://localhost:5173/profile?tab=notifications',
+    frequency: 'weekly',
+    count: 1,
+    entriesHtml: '<div>New review</div>',
+    entriesText: '- New review',
+    moreCount: 0
+};
+
+describe('email templates', () => {
+    test.each(Object.keys(TEMPLATES))('renders %s inside the layout', (name) => {
+        const email = renderTemplate(name, SAMPLE_DATA);
+
+        expect(email.subject).not.toMatch(/{{|}}/);
+        expect(email.html).toContain('OldPhone Team');
+        expect(email.html).not.toMatch(/{{|}}/);
+        expect(email.text).toContain('OldPhone Team');
+        expect(email.text).not.toMatch(/{{|}}/);
+    });
+
+    test('escapes variables in HTML but not in plain text', () => {
+        const email = renderTemplate('reviewReceived', { ...SAMPLE_DATA, comment: '<script>alert(1)</script> & more' });
+
+        expect(email.html).toContain('&lt;script&gt;alert(1)&lt;/script&gt; &amp; more');
+        expect(email.html).not.toContain('<script>');
+        expect(email.text).toContain('<script>alert(1)</script> & more');
+    });
+
+    test('never reads braces inside a value as a variable', () => {
+        expect(renderString('{{a}} {{{b}}}', { a: '{{b}}', b: '<i>{{a}}</i>' })).toBe('{{b}} <i>{{a}}</i>');
+    });
+
+    test('keeps an if block only when its variable is set', () => {
+        const withCarrier = renderTemplate('orderShipped', { ...SAMPLE_DATA, carrier: 'DHL' });
+        const withoutCarrier = renderTemplate('orderShipped', SAMPLE_DATA);
+
+        expect(withCarrier.text).toContain('TRACK123 (DHL)');
+        expect(withoutCarrier.text).toContain('TRACK123\n');
+    });
+
+    test('renders digest entries as escaped partials', () => {
+        const entry = { title: 'New review', message: 'Galaxy S8 <3', url: 'http://localhost:5173/phone/1', date: '2026-10-18' };
+
+        expect(renderPartial('digestEntry', entry, 'html')).toContain('Galaxy S8 &lt;3');
+        expect(renderPartial('digestEntry', entry, 'txt')).toContain('Galaxy S8 <3');
+        expect(renderPartial('digestEntry', { ...entry, url: undefined }, 'txt')).not.toContain('http');
+    });
+
+    test('throws on a missing variable instead of sending a broken email', () => {
+        const { itemSummary, ...data } = SAMPLE_DATA;
+        expect(() => renderTemplate('itemSold', data)).toThrow('Missing email template variable: itemSummary');
+    });
+
+    test('throws on an unknown template', () => {
+        expect(() => renderTemplate('nope', SAMPLE_DATA)).toThrow('Unknown email template: nope');
+    });
+});
+
+describe('email transport', () => {
+    let smtp;
+    const originalEnv = { ...process.env };
+
+    beforeAll(async () => {
+        smtp = await startSmtpCapture();
+        Object.assign(process.env, {
+            EMAIL_SERVICE_USING_GMAIL: 'false',
+            EMAIL_SERVICE: '',
+            EMAIL_HOST: '127.0.0.1',
+            EMAIL_PORT: String(smtp.port),
+            EMAIL_USER: 'test',
+            EMAIL_PASS: 'test'
+        });
+    });
+
+    afterAll(async () => {
+        process.env = originalEnv;
+        await smtp.close();
+    });
+
+    test('delivers a rendered template through the configured SMTP server', async () => {
+        const email = renderTemplate('orderPlaced', SAMPLE_DATA);
+        const transporter = createTransporter();
+
+        await transporter.sendMail({ from: 'no-reply@example.com', to: 'ada@example.com', ...email });
+        transporter.close();
+
+        expect(smtp.messages).toHaveLength(1);
+        expect(smtp.messages[0].to.text).toBe('ada@example.com');
+        expect(smtp.messages[0].subject).toBe('Your OldPhone order - invoice INV-000042');
+        expect(smtp.messages[0].text).toContain('Galaxy S8 x 2');
+        expect(smtp.messages[0].html).toContain('href="http://localhost:5173/orders/1"');
+    });
+});
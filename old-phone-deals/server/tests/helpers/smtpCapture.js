@@ -0,0 +1,60 @@
+const { SMTPServer } = require('smtp-server');
+const { simpleParser } = require('mailparser');
+
+/**
+ * local SMTP server standing in for the real mail server, it keeps every message it accepts
+ * point EMAIL_HOST / EMAIL_PORT at it and read the parsed messages from `messages`
+ * @returns {Promise<Object>} - { port, messages, rejectNext(count), clear(), close() }
+ */
+const startSmtpCapture = async () => {
+    const messages = [];
+    let rejections = 0;
+
+    const server = new SMTPServer({
+        authOptional: true,
+        allowInsecureAuth: true,
+        disabledCommands: ['STARTTLS'],
+        logger: false,
+        onAuth(auth, session, callback) {
+            callback(null, { user: auth.username });
+        },
+        onRcptTo(address, session, callback) {
+            // simulate a mail server that is down or throttling us
+            if (rejections > 0) {
+                rejections -= 1;
+                const err = new Error('Service temporarily unavailable');
+                err.responseCode = 421;
+                return callback(err);
+            }
+            callback();
+        },
+        onData(stream, session, callback) {
+            simpleParser(stream)
+                .then(parsed => {
+                    messages.push(parsed);
+                    callback();
+                })
+                .catch(callback);
+        }
+    });
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', resolve);
+    });
+
+    return {
+        port: server.server.address().port,
+        messages,
+        rejectNext(count = 1) {
+            rejections = count;
+        },
+        clear() {
+            messages.length = 0;
+            rejections = 0;
+        },
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+};
+
+module.exports = { startSmtpCapture };
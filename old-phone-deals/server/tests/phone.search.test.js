@@ -0,0 +1,188 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const Phone = require('../models/phone');
+const phoneService = require('../service/phone/phoneService');
+const phoneSearchService = require('../service/phone/phoneSearchService');
+const phoneData = require('../public/dataset/phonelisting.json');
+
+jest.setTimeout(120000);
+
+// the search page never shows disabled listings
+const enabledPhones = phoneData.filter(phone => phone.disabled === undefined);
+
+let mongod;
+
+beforeAll(async () => {
+    mongod = await MongoMemoryServer.create();
+    await mongoose.connect(mongod.getUri());
+    await Phone.syncIndexes();
+    await Phone.insertMany(phoneData);
+});
+
+afterAll(async () => {
+    await mongoose.disconnect();
+    if (mongod) {
+        await mongod.stop();
+    }
+});
+
+beforeEach(() => {
+    phoneSearchService.clearVocabulary();
+});
+
+const search = (text, options = {}) => phoneService.searchPhones({ search: text, limit: 100, ...options });
+
+describe('phone search', () => {
+    test('uses the text index instead of scanning the collection', async () => {
+        const { text } = await phoneSearchService.buildTextSearch('galaxy');
+        const plan = await Phone.find({ $text: text }).explain('queryPlanner');
+
+        expect(JSON.stringify(plan)).toContain('phone_text_search');
+        expect(JSON.stringify(plan)).not.toContain('COLLSCAN');
+    });
+
+    test('ranks listings by relevance, title matches before brand only matches', async () => {
+        const result = await search('samsung galaxy');
+        const scores = result.phones.map(phone => phone.score);
+
+        expect(result.sort).toBe('relevance');
+        expect(result.phones.length).toBeGreaterThan(0);
+        expect(scores).toEqual([...scores].sort((a, b) => b - a));
+        expect(result.phones[0].title.toLowerCase()).toContain('galaxy');
+    });
+
+    test('finds listings despite a typo and reports the corrected search', async () => {
+        const result = await search('samsng');
+
+        expect(result.correctedSearch).toBe('samsung');
+        expect(result.phones.length).toBe(enabledPhones.filter(phone => phone.brand === 'Samsung').length);
+    });
+
+    test('completes an unfinished word', async () => {
+        const result = await search('galax');
+
+        expect(result.correctedSearch).toBeNull();
+        expect(result.phones.length).toBeGreaterThan(0);
+        expect(result.phones.every(phone => /galax/i.test(phone.title))).toBe(true);
+    });
+
+    test('treats regex and text search syntax as plain text', async () => {
+        await expect(search('(a+)+$')).resolves.toMatchObject({ pagination: { total: enabledPhones.length } });
+        await expect(search('"galaxy" -samsung')).resolves.toMatchObject({ correctedSearch: null });
+        await expect(phoneService.getPhones({ filter: { brand: 'Sam[' } })).resolves.toMatchObject({ pagination: { total: 0 } });
+        await expect(phoneService.searchReviews('.*(', 1, 10)).resolves.toBeDefined();
+    });
+
+    test('matches saved search text with the same typo and word order tolerance', () => {
+        const listing = 'Samsung Galaxy S10 Samsung';
+
+        expect(phoneSearchService.matchesSearchText('samsng', listing)).toBe(true);
+        expect(phoneSearchService.matchesSearchText('galaxy s10 samsung', listing)).toBe(true);
+        expect(phoneSearchService.matchesSearchText('galax', listing)).toBe(true);
+        expect(phoneSearchService.matchesSearchText('galaxy note', listing)).toBe(false);
+        expect(phoneSearchService.matchesSearchText('iphone', listing)).toBe(false);
+        expect(phoneSearchService.matchesSearchText('!!', listing)).toBe(false);
+    });
+
+    test('counts facets for the current search, each without its own filter', async () => {
+        const apple = enabledPhones.filter(phone => phone.brand === 'Apple');
+        const result = await search('', { brand: 'Apple', inStock: true });
+        const bucketTotal = result.facets.priceBuckets.reduce((sum, bucket) => sum + bucket.count, 0);
+
+        expect(result.pagination.total).toBe(apple.filter(phone => phone.stock > 0).length);
+        expect(result.facets.brands.find(facet => facet.brand === 'Samsung').count)
+            .toBe(enabledPhones.filter(phone => phone.brand === 'Samsung' && phone.stock > 0).length);
+        expect(result.facets.inStock).toBe(result.pagination.total);
+        expect(bucketTotal).toBe(result.pagination.total);
+        expect(result.facets.priceRange.max).toBe(Math.max(...apple.filter(phone => phone.stock > 0).map(phone => phone.price)));
+        expect(result.facets.ratings.map(facet => facet.minRating)).toEqual([4, 3, 2, 1]);
+    });
+
+    test('suggests titles, brands and past searches that found listings and several people searched', async () => {
+        await phoneSearchService.logQuery('Samsung  Galaxy', 10, 'first');
+        await phoneSearchService.logQuery('samsung galaxy', 12, 'second');
+        await phoneSearchService.logQuery('samsung galaxy', 12, 'third');
+        await phoneSearchService.logQuery('samsung flip phone 2030', 0, 'first');
+        await phoneSearchService.logQuery('samsung flip phone 2030', 0, 'second');
+        await phoneSearchService.logQuery('samsung flip phone 2030', 0, 'third');
+        // searched often, but by one person only
+        await phoneSearchService.logQuery('samsung s9 for john smith', 3, 'first');
+        await phoneSearchService.logQuery('samsung s9 for john smith', 3, 'first');
+        await phoneSearchService.logQuery('samsung s9 for john smith', 3, 'first');
+
+        const suggestions = await phoneSearchService.getSuggestions('Sam');
+
+        expect(suggestions.brands).toEqual(['Samsung']);
+        // earlier searches in this file are logged too
+        const popular = suggestions.popular.map(past => past.query);
+        expect(popular).toContain('samsung galaxy');
+        expect(popular).not.toContain('samsung flip phone 2030');
+        expect(popular).not.toContain('samsung s9 for john smith');
+        expect(suggestions.titles.length).toBeGreaterThan(0);
+        expect(suggestions.titles.length).toBeLessThanOrEqual(5);
+        expect(suggestions.titles.every(phone => phone.brand === 'Samsung' || /sam/i.test(phone.title))).toBe(true);
+        await expect(phoneSearchService.getSuggestions('s')).resolves.toEqual({ query: 's', titles: [], brands: [], popular: [] });
+    });
+
+    test('sorts by newest on request and without search text', async () => {
+        const newest = await search('samsung', { sort: 'newest' });
+        const browse = await search('', { sort: 'relevance' });
+
+        expect(newest.sort).toBe('newest');
+        expect(browse.sort).toBe('newest');
+        expect(browse.pagination.total).toBe(enabledPhones.length);
+    });
+
+    test('sorts by price, rating and review count', async () => {
+        const byPrice = await search('', { sort: 'price_asc' });
+        const byPriceDesc = await search('', { sort: 'price_desc' });
+        const byRating = await search('', { sort: 'rating' });
+        const byReviews = await search('', { sort: 'reviews' });
+        const prices = byPrice.phones.map(phone => phone.price);
+        const ratings = byRating.phones.map(phone => phone.averageRating).filter(rating => rating !== null);
+        const reviewCounts = byReviews.phones.map(phone => phone.reviewCount);
+
+        expect(prices).toEqual([...prices].sort((a, b) => a - b));
+        expect(byPriceDesc.phones.map(phone => phone.price)).toEqual([...prices].reverse());
+        expect(ratings).toEqual([...ratings].sort((a, b) => b - a));
+        expect(reviewCounts).toEqual([...reviewCounts].sort((a, b) => b - a));
+    });
+
+    test('filters by minimum average rating and stock', async () => {
+        const result = await search('', { minRating: 4, inStock: true });
+
+        expect(result.pagination.total).toBeGreaterThan(0);
+        expect(result.phones.every(phone => phone.averageRating >= 4 && phone.stock > 0)).toBe(true);
+    });
+
+    test('filters by condition, storage, colour, network lock, battery health and model year', async () => {
+        const [first, second, third] = await Phone.find({ disabled: { $exists: false } }).sort({ _id: 1 }).limit(3);
+        await Phone.updateOne({ _id: first._id }, {
+            condition: 'A', storageGb: 128, colour: 'Black', networkLock: 'unlocked', batteryHealth: 92, modelYear: 2020
+        });
+        await Phone.updateOne({ _id: second._id }, {
+            condition: 'A', storageGb: 64, colour: 'black', networkLock: 'locked', batteryHealth: 78, modelYear: 2018
+        });
+        await Phone.updateOne({ _id: third._id }, { condition: 'for_parts', storageGb: 256, colour: 'Silver' });
+
+        const gradeA = await search('', { condition: 'A' });
+        const unlocked = await search('', { condition: 'A', minStorage: 100, colour: 'BLACK', networkLock: 'unlocked' });
+        const healthy = await search('', { minBattery: 80, minYear: 2019 });
+
+        expect(gradeA.pagination.total).toBe(2);
+        expect(unlocked.phones.map(phone => phone._id.toString())).toEqual([first._id.toString()]);
+        expect(healthy.phones.map(phone => phone._id.toString())).toEqual([first._id.toString()]);
+        expect(gradeA.facets.conditions).toEqual([
+            { condition: 'A', count: 2 },
+            { condition: 'B', count: 0 },
+            { condition: 'C', count: 0 },
+            { condition: 'for_parts', count: 1 }
+        ]);
+        expect(gradeA.facets.colours).toEqual([{ colour: 'black', count: 2 }]);
+        expect(gradeA.facets.storage.find(facet => facet.minStorage === 128).count).toBe(1);
+        expect(gradeA.facets.networkLocks).toEqual([
+            { networkLock: 'unlocked', count: 1 },
+            { networkLock: 'locked', count: 1 }
+        ]);
+    });
+});
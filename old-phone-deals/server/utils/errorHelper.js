@@ -0,0 +1,19 @@
+/**
+ * error utility functions shared by the services
+ */
+
+/**
+ * create an error carrying an HTTP status code, controllers answer with error.statusCode
+ * @param {String} message - error message
+ * @param {Number} statusCode - HTTP status code
+ * @returns {Error} - error object with statusCode property
+ */
+const createError = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+module.exports = {
+    createError
+};
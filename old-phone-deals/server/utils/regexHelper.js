@@ -0,0 +1,14 @@
+/**
+ * regular expression utility functions
+ */
+
+/**
+ * escape a user supplied string so it matches literally inside a regular expression
+ * @param {String} value - raw string
+ * @returns {String} - escaped string
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = {
+    escapeRegex
+};
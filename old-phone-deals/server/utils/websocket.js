@@ -1,16 +1,146 @@
 const WebSocket = require('ws');
+const logger = require('../config/logger');
 
-// Store all connected clients
+// Store all authenticated clients, every socket is tagged with userId, role, isAdmin, permissions and topics
 const clients = new Set();
 
-// Create WebSocket server
+// topics starting with this prefix can only be joined by admin sockets
+const ADMIN_TOPIC_PREFIX = 'admin:';
+const MAX_TOPIC_LENGTH = 100;
+
+/**
+ * run the express-session middleware matching the requested scope against the upgrade request
+ * the admin client connects with ?scope=admin and is authenticated with the admin_sid cookie,
+ * every other client is authenticated with the user_sid cookie
+ * @param {http.IncomingMessage} request - upgrade request
+ * @returns {Promise<Object|null>} - session user or null
+ */
+function authenticateUpgrade(request) {
+    // loaded on first upgrade, services import this module to push messages and must not open the session store
+    const { adminSession, userSession } = require('../config/session');
+    const { searchParams } = new URL(request.url, 'http://localhost');
+    const sessionParser = searchParams.get('scope') === 'admin' ? adminSession : userSession;
+
+    return new Promise((resolve) => {
+        sessionParser(request, {}, () => {
+            resolve(request.session?.user || null);
+        });
+    });
+}
+
+/**
+ * resolve what a role may receive, an error resolves to no access
+ * @param {String} role - role name
+ * @returns {Promise<Object>} - { isAdmin, permissions }
+ */
+async function resolveAccess(role) {
+    // loaded on first use, the role service pushes access changes through this module
+    const roleService = require('../service/admin/roleService');
+    try {
+        return {
+            isAdmin: await roleService.isAdminRole(role),
+            permissions: await roleService.getPermissionsForRole(role)
+        };
+    } catch (error) {
+        logger.error(`failed to resolve websocket access for role ${role}: ${error.message}`);
+        return { isAdmin: false, permissions: [] };
+    }
+}
+
+// Tag a socket with a role and what it may receive, a socket that is no longer an admin leaves the admin topics
+function applyAccess(client, role, { isAdmin, permissions }) {
+    client.role = role;
+    client.isAdmin = isAdmin;
+    client.permissions = permissions;
+    if (!isAdmin) {
+        client.topics.forEach(topic => {
+            if (topic.startsWith(ADMIN_TOPIC_PREFIX)) {
+                client.topics.delete(topic);
+            }
+        });
+    }
+}
+
+// Send a message to one socket if it is still open
+function send(client, message) {
+    if (client.readyState === WebSocket.OPEN) {
+        client.send(JSON.stringify(message));
+    }
+}
+
+// Handle SUBSCRIBE / UNSUBSCRIBE messages sent by a client
+function handleClientMessage(ws, raw) {
+    let message;
+    try {
+        message = JSON.parse(raw);
+    } catch (error) {
+        send(ws, { type: 'ERROR', message: 'Invalid message format' });
+        return;
+    }
+
+    const { type, topic } = message;
+    if (type !== 'SUBSCRIBE' && type !== 'UNSUBSCRIBE') {
+        send(ws, { type: 'ERROR', message: `Unknown message type: ${type}` });
+        return;
+    }
+
+    if (typeof topic !== 'string' || !topic || topic.length > MAX_TOPIC_LENGTH) {
+        send(ws, { type: 'ERROR', message: 'Invalid topic' });
+        return;
+    }
+
+    if (type === 'SUBSCRIBE') {
+        if (topic.startsWith(ADMIN_TOPIC_PREFIX) && !ws.isAdmin) {
+            send(ws, { type: 'ERROR', message: `Not allowed to subscribe to ${topic}` });
+            return;
+        }
+        ws.topics.add(topic);
+        send(ws, { type: 'SUBSCRIBED', topic });
+    } else {
+        ws.topics.delete(topic);
+        send(ws, { type: 'UNSUBSCRIBED', topic });
+    }
+}
+
+// Create WebSocket server, the upgrade handshake is rejected unless the session is authenticated
 function createWebSocketServer(server) {
-    const wss = new WebSocket.Server({ server });
+    const wss = new WebSocket.Server({ noServer: true });
+
+    server.on('upgrade', async (request, socket, head) => {
+        try {
+            const user = await authenticateUpgrade(request);
+
+            if (!user) {
+                logger.warn('WebSocket upgrade rejected: no authenticated session');
+                socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+                socket.destroy();
+                return;
+            }
+
+            // resolved before the socket is registered, so it never receives or subscribes with the wrong access
+            const access = await resolveAccess(user.role);
+
+            wss.handleUpgrade(request, socket, head, (ws) => {
+                wss.emit('connection', ws, request, user, access);
+            });
+        } catch (error) {
+            logger.error(`WebSocket upgrade failed: ${error.message}`);
+            socket.write('HTTP/1.1 500 Internal Server Error\r\n\r\n');
+            socket.destroy();
+        }
+    });
+
+    wss.on('connection', (ws, request, user, access) => {
+        // tag the socket with the session user
+        ws.userId = String(user._id);
+        ws.topics = new Set();
+        applyAccess(ws, user.role, access);
 
-    wss.on('connection', (ws) => {
         // Add new client
         clients.add(ws);
 
+        ws.on('message', (raw) => handleClientMessage(ws, raw));
+
         // Handle client disconnection
         ws.on('close', () => {
             clients.delete(ws);
@@ -20,16 +150,80 @@ function createWebSocketServer(server) {
     return wss;
 }
 
-// Broadcast message to all connected clients
-function broadcast(message) {
+/**
+ * give the open sockets of a user their new role, e.g. after an admin assigned it
+ * @param {String} userId - user id
+ * @param {String} role - the user's new role
+ * @returns {Promise<void>}
+ */
+async function updateUserAccess(userId, role) {
+    const id = String(userId);
+    const sockets = [...clients].filter(client => client.userId === id);
+    if (sockets.length === 0) {
+        return;
+    }
+    const access = await resolveAccess(role);
+    sockets.forEach(client => applyAccess(client, role, access));
+}
+
+/**
+ * resolve again what the open sockets of a role may receive, after its permissions changed or it was deleted
+ * @param {String} role - role name
+ * @returns {Promise<void>}
+ */
+async function refreshRoleAccess(role) {
+    const sockets = [...clients].filter(client => client.role === role);
+    if (sockets.length === 0) {
+        return;
+    }
+    const access = await resolveAccess(role);
+    sockets.forEach(client => applyAccess(client, role, access));
+}
+
+// Send message to every socket of one user
+function sendToUser(userId, message) {
+    const id = String(userId);
+    clients.forEach(client => {
+        if (client.userId === id) {
+            send(client, message);
+        }
+    });
+}
+
+// Send message to every socket whose role is one of the given roles
+function sendToRole(roles, message) {
+    const roleList = Array.isArray(roles) ? roles : [roles];
+    clients.forEach(client => {
+        if (roleList.includes(client.role)) {
+            send(client, message);
+        }
+    });
+}
+
+// Send message to every admin socket granted the given permission (built-in and custom admin roles)
+function sendToPermission(permission, message) {
+    clients.forEach(client => {
+        if (client.isAdmin && client.permissions.includes(permission)) {
+            send(client, message);
+        }
+    });
+}
+
+// Send message to every socket subscribed to a topic
+function publish(topic, message) {
     clients.forEach(client => {
-        if (client.readyState === WebSocket.OPEN) {
-            client.send(JSON.stringify(message));
+        if (client.topics.has(topic)) {
+            send(client, { ...message, topic });
         }
     });
 }
 
 module.exports = {
     createWebSocketServer,
-    broadcast
-}; 
\ No newline at end of file
+    sendToUser,
+    sendToRole,
+    sendToPermission,
+    publish,
+    updateUserAccess,
+    refreshRoleAccess
+};
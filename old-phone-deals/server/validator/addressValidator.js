@@ -0,0 +1,34 @@
+const Joi = require('joi');
+
+/**
+ * Required address text field
+ * @param {String} name - field name used in the messages
+ * @param {Number} max - maximum length
+ */
+const requiredText = (name, max = 100) => Joi.string().required().trim().max(max).messages({
+  'string.empty': `${name} cannot be empty`,
+  'string.max': `${name} length cannot exceed ${max} characters`,
+  'any.required': `${name} is required`
+});
+
+/**
+ * Address book entry validator
+ */
+const addressSchema = {
+  body: {
+    label: Joi.string().allow('').trim().max(50).optional(),
+    recipient: requiredText('Recipient'),
+    line1: requiredText('Address line 1', 200),
+    line2: Joi.string().allow('').trim().max(200).optional(),
+    city: requiredText('City'),
+    state: requiredText('State'),
+    postcode: requiredText('Postcode', 20),
+    country: requiredText('Country'),
+    phone: Joi.string().allow('').trim().max(30).optional(),
+    isDefault: Joi.boolean().optional()
+  }
+};
+
+module.exports = {
+  addressSchema
+};
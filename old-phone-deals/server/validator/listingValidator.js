@@ -1,4 +1,11 @@
 const Joi = require('joi');
+const {
+  CONDITION_GRADES,
+  NETWORK_LOCKS,
+  MIN_MODEL_YEAR,
+  MAX_COLOUR_LENGTH,
+  MAX_DESCRIPTION_LENGTH
+} = require('../config/phoneAttributes');
 
 /**
  * Listing validator
@@ -26,7 +33,36 @@ const listingSchema = {
       'number.min': 'Stock cannot be negative',
       'any.required': 'Stock is required'
     }),
-    description: Joi.string().allow('').optional()
+    description: Joi.string().allow('').optional().trim().max(MAX_DESCRIPTION_LENGTH).messages({
+      'string.max': `Description length cannot exceed ${MAX_DESCRIPTION_LENGTH} characters`
+    }),
+    // structured attributes are optional, an empty value clears them
+    condition: Joi.string().valid(...CONDITION_GRADES).allow('', null).optional().messages({
+      'any.only': 'Condition must be one of A, B, C or for parts'
+    }),
+    storageGb: Joi.number().integer().min(1).allow('', null).optional().messages({
+      'number.base': 'Storage must be a number',
+      'number.integer': 'Storage must be a whole number of GB',
+      'number.min': 'Storage must be at least 1 GB'
+    }),
+    colour: Joi.string().trim().max(MAX_COLOUR_LENGTH).allow('', null).optional().messages({
+      'string.max': `Colour length cannot exceed ${MAX_COLOUR_LENGTH} characters`
+    }),
+    networkLock: Joi.string().valid(...NETWORK_LOCKS).allow('', null).optional().messages({
+      'any.only': 'Network lock must be unlocked or locked'
+    }),
+    batteryHealth: Joi.number().integer().min(0).max(100).allow('', null).optional().messages({
+      'number.base': 'Battery health must be a number',
+      'number.integer': 'Battery health must be a whole percentage',
+      'number.min': 'Battery health cannot be negative',
+      'number.max': 'Battery health cannot exceed 100%'
+    }),
+    modelYear: Joi.number().integer().min(MIN_MODEL_YEAR).max(new Date().getFullYear() + 1).allow('', null).optional().messages({
+      'number.base': 'Model year must be a number',
+      'number.integer': 'Model year must be a whole number',
+      'number.min': `Model year cannot be before ${MIN_MODEL_YEAR}`,
+      'number.max': 'Model year cannot be in the future'
+    })
   }
 };
 
@@ -0,0 +1,31 @@
+const Joi = require('joi');
+const { NOTIFICATION_EVENTS, DIGEST_FREQUENCIES } = require('../config/notificationEvents');
+
+/**
+ * Channels of one notification event
+ */
+const channelsSchema = Joi.object({
+  inApp: Joi.boolean().optional(),
+  email: Joi.boolean().optional()
+});
+
+/**
+ * Notification preferences validator, only the events and fields being changed need to be sent
+ */
+const notificationPreferenceSchema = {
+  body: {
+    events: Joi.object()
+      .pattern(Joi.string().valid(...Object.keys(NOTIFICATION_EVENTS)), channelsSchema)
+      .optional()
+      .messages({
+        'object.unknown': 'Unknown notification event'
+      }),
+    digest: Joi.string().valid(...DIGEST_FREQUENCIES).optional().messages({
+      'any.only': `Digest must be one of ${DIGEST_FREQUENCIES.join(', ')}`
+    })
+  }
+};
+
+module.exports = {
+  notificationPreferenceSchema
+};
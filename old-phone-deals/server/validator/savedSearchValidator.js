@@ -0,0 +1,30 @@
+const Joi = require('joi');
+
+/**
+ * Optional price bound
+ * @param {String} name - field name used in the messages
+ */
+const priceBound = (name) => Joi.number().min(0).optional().messages({
+  'number.base': `${name} must be a number`,
+  'number.min': `${name} cannot be negative`
+});
+
+/**
+ * Saved search validator, the same criteria as the search page
+ */
+const savedSearchSchema = {
+  body: {
+    query: Joi.string().required().trim().max(100).messages({
+      'string.empty': 'Search text cannot be empty',
+      'string.max': 'Search text length cannot exceed 100 characters',
+      'any.required': 'Search text is required'
+    }),
+    brand: Joi.string().allow('').trim().max(50).optional(),
+    minPrice: priceBound('Minimum price'),
+    maxPrice: priceBound('Maximum price')
+  }
+};
+
+module.exports = {
+  savedSearchSchema
+};
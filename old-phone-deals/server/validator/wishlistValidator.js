@@ -0,0 +1,77 @@
+const Joi = require('joi');
+
+/**
+ * Wishlist name
+ */
+const nameSchema = Joi.string().trim().min(1).max(50).messages({
+  'string.empty': 'Wishlist name cannot be empty',
+  'string.max': 'Wishlist name length cannot exceed 50 characters',
+  'any.required': 'Wishlist name is required'
+});
+
+/**
+ * Wishlist ID
+ */
+const listIdSchema = Joi.string().hex().length(24).messages({
+  'string.hex': 'Invalid wishlist ID',
+  'string.length': 'Invalid wishlist ID',
+  'any.required': 'Wishlist ID is required'
+});
+
+/**
+ * New wishlist validator
+ */
+const createWishlistSchema = {
+  body: {
+    name: nameSchema.required()
+  }
+};
+
+/**
+ * Wishlist update validator, rename and/or make the list the default one
+ */
+const updateWishlistSchema = {
+  body: {
+    name: nameSchema.optional(),
+    isDefault: Joi.boolean().valid(true).optional().messages({
+      'any.only': 'Make another list the default instead'
+    })
+  }
+};
+
+/**
+ * Wishlist sharing validator
+ */
+const shareWishlistSchema = {
+  body: {
+    isPublic: Joi.boolean().required().messages({
+      'any.required': 'isPublic is required'
+    })
+  }
+};
+
+/**
+ * Move item validator
+ */
+const moveItemSchema = {
+  body: {
+    targetListId: listIdSchema.required()
+  }
+};
+
+/**
+ * Add item validator, the default list is used without a list ID
+ */
+const addItemSchema = {
+  body: {
+    listId: listIdSchema.optional()
+  }
+};
+
+module.exports = {
+  createWishlistSchema,
+  updateWishlistSchema,
+  shareWishlistSchema,
+  moveItemSchema,
+  addItemSchema
+};